@@ -5,8 +5,6 @@ const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
-const jwt = require("jsonwebtoken");
-const bcrypt = require("bcryptjs");
 const { z } = require("zod");
 const path = require("path");
 
@@ -28,6 +26,11 @@ app.use(helmet({
 	},
 }));
 
+// Stripe webhooks need the raw body and come from a handful of Stripe IPs,
+// so mount them ahead of the rate limiters and the JSON parser
+const billingWebhookRoutes = require("./routes/billingWebhook");
+app.use("/api/billing/webhook", billingWebhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
 	windowMs: 15 * 60 * 1000, // 15 minutes
@@ -76,49 +79,75 @@ app.use(express.json({ limit: '10mb' })); // Increased limit for file uploads
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 const PORT = process.env.PORT || 4000;
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
-
-// ---------------- Demo user (extended profile fields) ----------------
-const demoUser = {
-	id: "u_1",
-	email: "demo@verblizr.com",
-	name: "Demo User",
-	firstName: "Demo",
-	lastName: "User",
-	title: "Mr",
-	address: "123 Main St",
-	city: "Demo City",
-	state: "DC",
-	postalCode: "12345",
-	country: "USA",
-	company: "Verblizr Inc.",
-	about: "Loves live translation and good coffee.",
-	phone: "+1 (555) 123-4567",
-	passwordHash: bcrypt.hashSync("Password123!", 10),
-};
 
-// ---------------- Auth helpers ----------------
-function authFromJWT(req, _res, next) {
-	const auth = req.headers?.authorization || "";
-	if (auth.startsWith("Bearer ")) {
-		const token = auth.slice("Bearer ".length).trim();
-		try {
-			const decoded = jwt.verify(token, JWT_SECRET);
-			req.user = { id: decoded.sub, email: decoded.email };
-		} catch (_e) {
-			// invalid/expired token -> leave req.user unset
-		}
-	}
-	next();
+// ---------------- User accounts (persistent, see services/users.js) ----------------
+const {
+	findUserById,
+	findUserByEmail,
+	createUser,
+	updateUser,
+	markEmailVerified,
+	setPassword,
+	setMfaState,
+	verifyPassword,
+	toPublicUser,
+} = require("./services/users");
+const {
+	createSession,
+	rotateRefreshToken,
+	revokeAccessToken,
+	revokeRefreshToken,
+	revokeAllForUser,
+	issueActionToken,
+	verifyActionToken,
+	consumeActionToken,
+} = require("./services/tokens");
+const { verifySecondFactor } = require("./services/mfa");
+const { recordAuditEvent } = require("./services/audit");
+const { syncBillingDetailsForUser } = require("./services/billingProfile");
+const {
+	checkLogin,
+	recordLoginFailure,
+	recordLoginSuccess,
+} = require("./services/loginGuard");
+const {
+	sendVerificationEmail,
+	sendPasswordResetEmail,
+} = require("./services/mailer");
+
+const EMAIL_VERIFY_TTL_MINUTES = Number(
+	process.env.EMAIL_VERIFY_TTL_MINUTES || 24 * 60
+);
+const PASSWORD_RESET_TTL_MINUTES = Number(
+	process.env.PASSWORD_RESET_TTL_MINUTES || 30
+);
+const MFA_CHALLENGE_TTL_MINUTES = 5;
+
+// Mail failures are logged but never fail the request that triggered them
+function queueVerificationEmail(user) {
+	const token = issueActionToken(
+		user.id,
+		"verify_email",
+		EMAIL_VERIFY_TTL_MINUTES,
+		{ email: user.email }
+	);
+	sendVerificationEmail(user, token).catch((e) =>
+		console.error("[mail] verification email failed:", e.message)
+	);
 }
 
-app.use(authFromJWT);
+// ---------------- Auth helpers ----------------
+const {
+	AUTH_MODE,
+	authFromJWT,
+	devUserFallback,
+	requireAuth,
+} = require("./middleware/auth");
 
-// DEV shim: if no JWT, use demo user so curl & bare requests work
-app.use((req, _res, next) => {
-	if (!req.user) req.user = { id: demoUser.id, email: demoUser.email };
-	next();
-});
+console.log("[server] auth mode:", AUTH_MODE);
+
+app.use(authFromJWT);
+app.use(devUserFallback);
 
 // ---------------- Auth routes (dual paths) ----------------
 const loginSchema = z.object({
@@ -132,44 +161,94 @@ const loginHandler = (req, res) => {
 		return res.status(400).json({ message: "Invalid payload" });
 
 	const { email, password } = parsed.data;
-	if (email !== demoUser.email)
-		return res.status(401).json({ message: "Invalid credentials" });
 
-	const ok = bcrypt.compareSync(password, demoUser.passwordHash);
-	if (!ok) return res.status(401).json({ message: "Invalid credentials" });
+	const lock = checkLogin(email, req.ip);
+	if (lock.locked) {
+		res.setHeader("Retry-After", String(lock.retryAfterSeconds));
+		return res.status(429).json({
+			message: "Too many failed login attempts, please try again later",
+			retryAfter: lock.retryAfterSeconds,
+		});
+	}
 
-	const token = jwt.sign(
-		{ sub: demoUser.id, email: demoUser.email },
-		JWT_SECRET,
-		{
-			expiresIn: "24h",
-		}
-	);
+	const user = findUserByEmail(email);
+	if (!user || !verifyPassword(user, password)) {
+		recordLoginFailure(email, req.ip, user?.id);
+		return res.status(401).json({ message: "Invalid credentials" });
+	}
+
+	// 2FA accounts get a short-lived challenge instead of a session; the
+	// failure counter only resets once the code checks out too
+	if (user.mfa?.enabled) {
+		return res.json({
+			mfaRequired: true,
+			mfaToken: issueActionToken(
+				user.id,
+				"mfa_challenge",
+				MFA_CHALLENGE_TTL_MINUTES
+			),
+			expiresIn: `${MFA_CHALLENGE_TTL_MINUTES}m`,
+		});
+	}
 
+	recordLoginSuccess(email, req.ip, user.id);
 	// Return full profile
-	res.json({
-		token,
-		user: {
-			id: demoUser.id,
-			email: demoUser.email,
-			name: `${demoUser.firstName} ${demoUser.lastName}`,
-			firstName: demoUser.firstName,
-			lastName: demoUser.lastName,
-			title: demoUser.title,
-			address: demoUser.address,
-			city: demoUser.city,
-			state: demoUser.state,
-			postalCode: demoUser.postalCode,
-			country: demoUser.country,
-			company: demoUser.company,
-			about: demoUser.about,
-			phone: demoUser.phone,
-		},
-	});
+	res.json({ ...createSession(user), user: toPublicUser(user) });
 };
 
 app.post(["/auth/login", "/api/auth/login"], loginHandler);
 
+// Second login step: exchange the MFA challenge + TOTP/recovery code for a session
+const mfaLoginSchema = z.object({
+	mfaToken: z.string().min(1),
+	code: z.string().min(6),
+});
+
+const mfaLoginHandler = (req, res) => {
+	const parsed = mfaLoginSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const { mfaToken, code } = parsed.data;
+	const claims = verifyActionToken(mfaToken, "mfa_challenge");
+	const user = claims && findUserById(claims.sub);
+	if (!user || !user.mfa?.enabled)
+		return res
+			.status(401)
+			.json({ message: "MFA challenge is invalid or has expired" });
+
+	// Wrong codes count towards the same lockout as wrong passwords
+	const lock = checkLogin(user.email, req.ip);
+	if (lock.locked) {
+		res.setHeader("Retry-After", String(lock.retryAfterSeconds));
+		return res.status(429).json({
+			message: "Too many failed login attempts, please try again later",
+			retryAfter: lock.retryAfterSeconds,
+		});
+	}
+
+	const nextMfa = verifySecondFactor(user.mfa, code);
+	if (!nextMfa) {
+		recordLoginFailure(user.email, req.ip, user.id);
+		return res.status(401).json({ message: "Invalid verification code" });
+	}
+
+	consumeActionToken(mfaToken, "mfa_challenge");
+	setMfaState(user.id, nextMfa);
+	recordLoginSuccess(user.email, req.ip, user.id);
+	if (nextMfa.recoveryCodeHashes.length < user.mfa.recoveryCodeHashes.length) {
+		recordAuditEvent("auth.mfa_recovery_code_used", {
+			userId: user.id,
+			ip: req.ip,
+			remaining: nextMfa.recoveryCodeHashes.length,
+		});
+	}
+
+	res.json({ ...createSession(user), user: toPublicUser(user) });
+};
+
+app.post(["/auth/login/mfa", "/api/auth/login/mfa"], mfaLoginHandler);
+
 const registerSchema = z.object({
 	firstName: z.string().min(1),
 	lastName: z.string().min(1),
@@ -182,25 +261,65 @@ const registerHandler = (req, res) => {
 	if (!parsed.success)
 		return res.status(400).json({ message: "Invalid payload" });
 
-	const { email, firstName, lastName } = parsed.data;
-	if (email === demoUser.email)
+	const { email, password, firstName, lastName } = parsed.data;
+	if (findUserByEmail(email))
 		return res.status(409).json({ message: "Email already in use" });
 
-	const token = jwt.sign({ sub: "u_2", email }, JWT_SECRET, {
-		expiresIn: "24h",
-	});
-	const user = {
-		id: "u_2",
-		email,
-		name: `${firstName} ${lastName}`,
-		firstName,
-		lastName,
-	};
-	res.json({ token, user });
+	const user = createUser({ email, password, firstName, lastName });
+	console.log("[Register] Created user:", user.id);
+	queueVerificationEmail(user);
+
+	res.json({ ...createSession(user), user: toPublicUser(user) });
 };
 
 app.post(["/auth/register", "/api/auth/register"], registerHandler);
 
+// ---------------- Refresh / logout ----------------
+const refreshSchema = z.object({
+	refreshToken: z.string().min(1),
+});
+
+const refreshHandler = (req, res) => {
+	const parsed = refreshSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const result = rotateRefreshToken(parsed.data.refreshToken, findUserById);
+	if (result.error === "reused")
+		return res.status(401).json({
+			message: "Refresh token reuse detected, please sign in again",
+			code: "refresh_token_reused",
+		});
+	if (result.error)
+		return res.status(401).json({
+			message: "Invalid or expired refresh token",
+			code: `refresh_token_${result.error}`,
+		});
+
+	res.json(result.session);
+};
+
+app.post(["/auth/refresh", "/api/auth/refresh"], refreshHandler);
+
+const logoutSchema = z.object({
+	refreshToken: z.string().optional(),
+});
+
+// Revokes the presented access token and the refresh token's family.
+// Always 200 so clients can call it blindly on sign-out.
+const logoutHandler = (req, res) => {
+	const parsed = logoutSchema.safeParse(req.body || {});
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	if (req.auth) revokeAccessToken(req.auth);
+	if (parsed.data.refreshToken) revokeRefreshToken(parsed.data.refreshToken);
+
+	res.json({ ok: true });
+};
+
+app.post(["/auth/logout", "/api/auth/logout"], logoutHandler);
+
 // ---------------- Profile endpoints (expanded) ----------------
 const profileUpdateSchema = z.object({
 	firstName: z.string().min(1),
@@ -233,83 +352,47 @@ const profileUpdateHandler = (req, res) => {
 			.json({ message: "Invalid payload", errors: parsed.error.errors });
 	}
 
-	const {
-		firstName,
-		lastName,
-		email,
-		title,
-		address,
-		city,
-		state,
-		postalCode,
-		country,
-		company,
-		about,
-		phone,
-	} = parsed.data;
-
-	// In-memory update for demo user
-	if (req.user.id === demoUser.id) {
-		demoUser.firstName = firstName;
-		demoUser.lastName = lastName;
-		demoUser.email = email;
-		demoUser.title = title ?? "";
-		demoUser.address = address ?? "";
-		demoUser.city = city ?? "";
-		demoUser.state = state ?? "";
-		demoUser.postalCode = postalCode ?? "";
-		demoUser.country = country ?? "";
-		demoUser.company = company ?? "";
-		demoUser.about = about ?? "";
-		demoUser.phone = phone ?? "";
+	const current = findUserById(req.user.id);
+	if (!current) return res.status(404).json({ message: "User not found" });
+
+	const owner = findUserByEmail(parsed.data.email);
+	if (owner && owner.id !== current.id)
+		return res.status(409).json({ message: "Email already in use" });
+
+	// Optional fields the client leaves out are cleared, as before
+	const patch = { ...parsed.data };
+	for (const f of Object.keys(profileUpdateSchema.shape)) {
+		if (patch[f] === undefined) patch[f] = "";
 	}
 
-	const updatedUser = {
-		id: req.user.id,
-		email,
-		name: `${firstName} ${lastName}`,
-		firstName,
-		lastName,
-		title: title ?? "",
-		address: address ?? "",
-		city: city ?? "",
-		state: state ?? "",
-		postalCode: postalCode ?? "",
-		country: country ?? "",
-		company: company ?? "",
-		about: about ?? "",
-		phone: phone ?? "",
-	};
+	const updated = updateUser(current.id, patch);
+	if (updated.email !== current.email) queueVerificationEmail(updated);
+	// Invoices are made out to the profile – keep Stripe's copy current
+	syncBillingDetailsForUser(updated.id).catch((e) =>
+		console.error("[billing] billing details sync failed:", e.message)
+	);
+	const updatedUser = toPublicUser(updated);
 
 	console.log("[Profile Update] Success:", updatedUser);
 	res.json({ user: updatedUser });
 };
 
-// (Optional) Get current user profile
-const meHandler = (_req, res) => {
-	const u = demoUser;
-	res.json({
-		user: {
-			id: u.id,
-			email: u.email,
-			name: `${u.firstName} ${u.lastName}`,
-			firstName: u.firstName,
-			lastName: u.lastName,
-			title: u.title,
-			address: u.address,
-			city: u.city,
-			state: u.state,
-			postalCode: u.postalCode,
-			country: u.country,
-			company: u.company,
-			about: u.about,
-			phone: u.phone,
-		},
-	});
+// Get current user profile
+const meHandler = (req, res) => {
+	if (!req.user) return res.status(401).json({ message: "Unauthorized" });
+
+	const u = findUserById(req.user.id);
+	if (!u) return res.status(404).json({ message: "User not found" });
+
+	res.json({ user: toPublicUser(u) });
 };
 
-app.get(["/auth/me", "/api/auth/me"], meHandler);
-app.put(["/auth/profile", "/api/auth/profile"], profileUpdateHandler);
+app.get(["/auth/me", "/api/auth/me"], requireAuth(), meHandler);
+app.put(
+	["/auth/profile", "/api/auth/profile"],
+	requireAuth(),
+	profileUpdateHandler
+);
 
 // ---------------- Password change ----------------
 const passwordChangeSchema = z.object({
@@ -330,13 +413,16 @@ const passwordChangeHandler = (req, res) => {
 
 	const { currentPassword, newPassword } = parsed.data;
 
-	if (req.user.id === demoUser.id) {
-		const ok = bcrypt.compareSync(currentPassword, demoUser.passwordHash);
-		if (!ok)
-			return res.status(400).json({ message: "Current password is incorrect" });
-		// Update in-memory hash so subsequent logins use the new password
-		demoUser.passwordHash = bcrypt.hashSync(newPassword, 10);
-	}
+	const user = findUserById(req.user.id);
+	if (!user) return res.status(404).json({ message: "User not found" });
+
+	if (!verifyPassword(user, currentPassword))
+		return res.status(400).json({ message: "Current password is incorrect" });
+	setPassword(user.id, newPassword);
+	// Sign out every other session; this one (if it's a token session) stays
+	revokeAllForUser(user.id, "password_changed", {
+		exceptFamilyId: req.auth?.fam,
+	});
 
 	console.log("[Password Change] Success");
 	res.json({ message: "Password changed successfully" });
@@ -344,9 +430,127 @@ const passwordChangeHandler = (req, res) => {
 
 app.put(
 	["/auth/change-password", "/api/auth/change-password"],
+	requireAuth(),
 	passwordChangeHandler
 );
 
+// ---------------- Two-factor enrolment ----------------
+const mfaRoutes = require("./routes/mfa");
+app.use(["/auth/mfa", "/api/auth/mfa"], requireAuth(), mfaRoutes);
+
+// ---------------- API keys ----------------
+const apiKeyRoutes = require("./routes/apiKeys");
+app.use(["/auth/api-keys", "/api/auth/api-keys"], requireAuth(), apiKeyRoutes);
+
+// ---------------- Data export & account deletion ----------------
+const accountRoutes = require("./routes/account");
+app.use(["/auth/account", "/api/auth/account"], requireAuth(), accountRoutes);
+
+// ---------------- Email verification ----------------
+// GET is what the emailed link hits; POST is for the app (deep link -> API)
+const verifyEmailHandler = (req, res) => {
+	const token = req.body?.token || req.query?.token;
+	if (typeof token !== "string" || !token)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const claims = consumeActionToken(token, "verify_email");
+	const user = claims && findUserById(claims.sub);
+	// Token was minted for an address the account no longer uses
+	if (!user || user.email !== claims.email)
+		return res
+			.status(400)
+			.json({ message: "Verification link is invalid or has expired" });
+
+	markEmailVerified(user.id);
+	console.log("[Verify Email] Verified:", user.id);
+	res.json({ message: "Email verified", emailVerified: true });
+};
+
+app.get(["/auth/verify-email", "/api/auth/verify-email"], verifyEmailHandler);
+app.post(["/auth/verify-email", "/api/auth/verify-email"], verifyEmailHandler);
+
+const resendVerificationHandler = (req, res) => {
+	const user = findUserById(req.user.id);
+	if (!user) return res.status(404).json({ message: "User not found" });
+	if (user.emailVerified)
+		return res.json({ message: "Email already verified", emailVerified: true });
+
+	queueVerificationEmail(user);
+	res.json({ message: "Verification email sent" });
+};
+
+app.post(
+	["/auth/verify-email/resend", "/api/auth/verify-email/resend"],
+	requireAuth(),
+	resendVerificationHandler
+);
+
+// ---------------- Password reset ----------------
+const forgotPasswordSchema = z.object({
+	email: z.string().email(),
+});
+
+// Same answer whether or not the account exists, so emails can't be probed
+const forgotPasswordHandler = (req, res) => {
+	const parsed = forgotPasswordSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const user = findUserByEmail(parsed.data.email);
+	if (user) {
+		const token = issueActionToken(
+			user.id,
+			"reset_password",
+			PASSWORD_RESET_TTL_MINUTES
+		);
+		sendPasswordResetEmail(user, token).catch((e) =>
+			console.error("[mail] password reset email failed:", e.message)
+		);
+		console.log("[Forgot Password] Reset email queued for:", user.id);
+	}
+
+	res.json({
+		message: "If that email is registered, a reset link has been sent",
+	});
+};
+
+app.post(
+	["/auth/forgot-password", "/api/auth/forgot-password"],
+	forgotPasswordHandler
+);
+
+const resetPasswordSchema = z.object({
+	token: z.string().min(1),
+	newPassword: z.string().min(8),
+});
+
+const resetPasswordHandler = (req, res) => {
+	const parsed = resetPasswordSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const claims = consumeActionToken(parsed.data.token, "reset_password");
+	const user = claims && findUserById(claims.sub);
+	if (!user)
+		return res
+			.status(400)
+			.json({ message: "Reset link is invalid or has expired" });
+
+	setPassword(user.id, parsed.data.newPassword);
+	// Receiving the email proves ownership of the address
+	if (!user.emailVerified) markEmailVerified(user.id);
+	// Sign out every existing session – whoever had the old password is gone
+	revokeAllForUser(user.id, "password_reset");
+
+	console.log("[Reset Password] Success for:", user.id);
+	res.json({ message: "Password has been reset, please sign in again" });
+};
+
+app.post(
+	["/auth/reset-password", "/api/auth/reset-password"],
+	resetPasswordHandler
+);
+
 // ---------------- Health ----------------
 app.get(["/health", "/api/health"], (_req, res) => res.json({ ok: true }));
 
@@ -367,9 +571,16 @@ const table = (billingRoutes.stack || [])
 console.log("[server] billing route table:", table);
 
 // DES Added: Mount only on /api/billing to match frontend API calls
-app.use("/api/billing", billingRoutes);
+app.use(
+	"/api/billing",
+	requireAuth({ public: ["GET /health", "GET /plans"], apiKeys: true }),
+	billingRoutes
+);
 console.log("[server] Billing routes mounted at /api/billing");
 
+// Failed-payment retries, reminders, suspensions and card expiry warnings
+require("./services/dunning").startDunningJob();
+
 // DES Added: Debug middleware for billing requests
 app.use("/api/billing", (req, _res, next) => {
 	console.log(
@@ -388,27 +599,38 @@ console.log(
 );
 const invoiceRoutes = require("./routes/invoices");
 
-// Mount on BOTH prefixes for consistency
+// Mount on BOTH prefixes for consistency (every invoice route needs a user)
+app.use(["/api/invoices", "/invoices"], requireAuth({ apiKeys: true }));
 app.use("/api", invoiceRoutes);
 app.use("/", invoiceRoutes);
 
 console.log("[server] Invoice routes mounted at /api/* and /*");
 
+// ---------------- Admin routes ----------------
+const adminRoutes = require("./routes/admin");
+app.use("/api/admin", requireAuth(), adminRoutes);
+console.log("[server] Admin routes mounted at /api/admin");
+
+// ---------------- Organisation routes ----------------
+const orgRoutes = require("./routes/orgs");
+app.use("/api/orgs", requireAuth(), orgRoutes);
+console.log("[server] Org routes mounted at /api/orgs");
+
 // Import and mount new API routes
 const ttsRoutes = require('./routes/tts');
 const openaiRoutes = require('./routes/openai');
 const gcpRoutes = require('./routes/gcp');
 
 // Mount TTS routes
-app.use('/api/tts', ttsRoutes);
+app.use('/api/tts', requireAuth({ apiKeys: true }), ttsRoutes);
 console.log('[server] TTS routes mounted at /api/tts');
 
 // Mount OpenAI routes
-app.use('/api/openai', openaiRoutes);
+app.use('/api/openai', requireAuth({ apiKeys: true }), openaiRoutes);
 console.log('[server] OpenAI routes mounted at /api/openai');
 
 // Mount GCP routes
-app.use('/api/gcp', gcpRoutes);
+app.use('/api/gcp', requireAuth({ apiKeys: true }), gcpRoutes);
 console.log('[server] GCP routes mounted at /api/gcp');
 
 // Health check endpoint
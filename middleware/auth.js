@@ -0,0 +1,182 @@
+// middleware/auth.js
+const { verifyAccessToken } = require("../services/tokens");
+const { DEMO_USER_ID, ROLES, findUserById } = require("../services/users");
+const { isApiKey, authenticateApiKey } = require("../services/apiKeys");
+const { getMembership } = require("../services/orgs");
+
+/**
+ * AUTH_MODE
+ * - "dev"    (default outside production) unauthenticated requests act as the
+ *            demo user so curl & the simulator work without logging in
+ * - "strict" (default when NODE_ENV=production) no fallback; protected
+ *            routers answer 401 unless the route is on their public allowlist
+ */
+const AUTH_MODE = (
+	process.env.AUTH_MODE ||
+	(process.env.NODE_ENV === "production" ? "strict" : "dev")
+).toLowerCase();
+
+if (!["dev", "strict"].includes(AUTH_MODE)) {
+	throw new Error(`AUTH_MODE must be "dev" or "strict", got "${AUTH_MODE}"`);
+}
+
+/** User keys need a live account; org keys need their creator to still manage the org */
+function apiKeyStillAllowed(k) {
+	if (!findUserById(k.userId)) return false;
+	if (k.ownerType !== "org") return true;
+	const m = getMembership(k.userId);
+	return !!m && m.orgId === k.orgId && m.role !== "member";
+}
+
+/**
+ * Populate req.user from either
+ * - a Bearer access token (JWT)       -> req.user + req.auth (claims), or
+ * - an API key (Bearer vbz_... or X-API-Key) -> req.user with authType "api_key" + scopes
+ */
+function authFromJWT(req, _res, next) {
+	const auth = req.headers?.authorization || "";
+	const token = auth.startsWith("Bearer ")
+		? auth.slice("Bearer ".length).trim()
+		: req.headers?.["x-api-key"];
+	if (!token) return next();
+
+	// invalid/expired/revoked credentials -> leave req.user unset
+	if (isApiKey(token)) {
+		const k = authenticateApiKey(token, {
+			ip: req.ip,
+			isStillAllowed: apiKeyStillAllowed,
+		});
+		if (k) {
+			req.user = {
+				id: k.userId,
+				email: findUserById(k.userId)?.email,
+				role: "user", // keys never carry support/admin powers
+				authType: "api_key",
+				apiKeyId: k.id,
+				orgId: k.orgId,
+				scopes: k.scopes,
+			};
+		}
+		return next();
+	}
+
+	const decoded = verifyAccessToken(token);
+	if (decoded) {
+		req.user = {
+			id: decoded.sub,
+			email: decoded.email,
+			role: decoded.role || "user",
+		};
+		req.auth = decoded;
+	}
+	next();
+}
+
+/** DEV shim: if no JWT, use demo user so curl & bare requests work */
+function devUserFallback(req, _res, next) {
+	if (AUTH_MODE === "dev" && !req.user) {
+		const demo = findUserById(DEMO_USER_ID);
+		if (demo) {
+			req.user = {
+				id: demo.id,
+				email: demo.email,
+				role: demo.role || "user",
+			};
+		}
+	}
+	next();
+}
+
+/** "GET /health" -> { method: "GET", path: "/health" }; "/health" matches any method */
+function parseRoute(spec) {
+	const [a, b] = spec.trim().split(/\s+/);
+	return b ? { method: a.toUpperCase(), path: b } : { method: null, path: a };
+}
+
+/**
+ * Guard for protected routers/routes.
+ *   app.use("/api/billing", requireAuth({ public: ["GET /health"] }), billingRoutes)
+ * `public` paths are relative to where the guard is mounted (req.path).
+ * API keys are refused unless `apiKeys: true`; such routers then gate each
+ * route with requireScope().
+ */
+function requireAuth(options = {}) {
+	const publicRoutes = (options.public || []).map(parseRoute);
+	const allowApiKeys = !!options.apiKeys;
+
+	return function requireAuthMiddleware(req, res, next) {
+		if (req.user?.authType === "api_key" && !allowApiKeys)
+			return res.status(403).json({
+				success: false,
+				error: "API keys cannot access this endpoint",
+			});
+		if (req.user) return next();
+		if (req.method === "OPTIONS") return next(); // CORS preflight
+
+		const isPublic = publicRoutes.some(
+			(r) =>
+				(!r.method || r.method === req.method) &&
+				r.path.replace(/\/$/, "") === req.path.replace(/\/$/, "")
+		);
+		if (isPublic) return next();
+
+		return res.status(401).json({
+			success: false,
+			error: "Authentication required",
+		});
+	};
+}
+
+/**
+ * Authorization guard: the caller needs at least `minRole` (see ROLES).
+ *   router.post("/usage/reset", requireRole("admin"), handler)
+ * 401 when nobody is signed in, 403 when the role is too low.
+ */
+function requireRole(minRole) {
+	const needed = ROLES.indexOf(minRole);
+	if (needed === -1) throw new Error(`requireRole: unknown role "${minRole}"`);
+
+	return function requireRoleMiddleware(req, res, next) {
+		if (!req.user)
+			return res.status(401).json({
+				success: false,
+				error: "Authentication required",
+			});
+
+		if (ROLES.indexOf(req.user.role || "user") < needed)
+			return res.status(403).json({
+				success: false,
+				error: "Insufficient permissions",
+				requiredRole: minRole,
+			});
+
+		next();
+	};
+}
+
+/**
+ * API key scope guard. Signed-in users (JWT sessions) pass through; API keys
+ * need `scope` in their scope list.
+ *   router.post("/synthesize", requireScope("tts:synthesize"), handler)
+ */
+function requireScope(scope) {
+	return function requireScopeMiddleware(req, res, next) {
+		if (req.user?.authType !== "api_key") return next();
+		if (req.user.scopes?.includes(scope)) return next();
+
+		return res.status(403).json({
+			success: false,
+			error: "API key is missing the required scope",
+			requiredScope: scope,
+		});
+	};
+}
+
+module.exports = {
+	AUTH_MODE,
+	authFromJWT,
+	devUserFallback,
+	requireAuth,
+	requireRole,
+	requireScope,
+};
@@ -0,0 +1,23 @@
+// middleware/dunning.js
+const { getBillingAccount } = require("../services/orgs");
+const { getDunningState } = require("../services/dunning");
+
+/**
+ * Guard for cost-bearing routes: accounts suspended by dunning (an invoice
+ * still unpaid after the grace period, see services/dunning.js) get 402
+ * until the overdue payment goes through.
+ */
+function requireGoodStanding(req, res, next) {
+	if (!req.user?.id) return next();
+
+	const dunning = getDunningState(getBillingAccount(req.user.id));
+	if (!dunning?.suspended) return next();
+
+	return res.status(402).json({
+		success: false,
+		error: "Your account is suspended for an unpaid invoice. Update your card and pay it to continue.",
+		dunning,
+	});
+}
+
+module.exports = { requireGoodStanding };
@@ -0,0 +1,71 @@
+// middleware/idempotency.js
+const {
+	isValidKey,
+	claimKey,
+	saveResponse,
+	releaseKey,
+	stripeKey,
+} = require("../services/idempotency");
+
+const KEYED_METHODS = ["POST", "PATCH"];
+
+/**
+ * `Idempotency-Key` support for POST and PATCH routes (see
+ * services/idempotency.js). Requests without the header, and other methods,
+ * pass straight through.
+ * A replayed response carries `Idempotent-Replayed: true`.
+ *
+ * Handlers pass stripeOptions(req, step) as the options argument of their
+ * Stripe calls so retries reach Stripe with the same keys.
+ */
+function idempotent(req, res, next) {
+	const key = req.get("Idempotency-Key");
+	if (!KEYED_METHODS.includes(req.method) || key === undefined || !req.user?.id) return next();
+	if (!isValidKey(key))
+		return res
+			.status(400)
+			.json({ error: "Idempotency-Key must be 1-255 printable characters" });
+
+	const claim = claimKey(req.user.id, key, {
+		method: req.method,
+		url: req.originalUrl,
+		body: req.body,
+	});
+	if (claim.conflict === "mismatch")
+		return res
+			.status(422)
+			.json({ error: "Idempotency-Key was already used for a different request" });
+	if (claim.conflict)
+		return res
+			.status(409)
+			.json({ error: "A request with this Idempotency-Key is still in progress" });
+	if (claim.replay) {
+		res.set("Idempotent-Replayed", "true");
+		return res.status(claim.replay.statusCode).json(claim.replay.body);
+	}
+
+	req.idempotencyKeyId = claim.id;
+	let saved = false;
+	const json = res.json.bind(res);
+	res.json = (body) => {
+		if (!saved) {
+			saved = true;
+			saveResponse(claim.id, res.statusCode, body);
+		}
+		return json(body);
+	};
+	// Handler crashed or the client went away before there was a response
+	res.on("close", () => {
+		if (!saved) releaseKey(claim.id);
+	});
+	next();
+}
+
+/** Stripe request options for `step` of a keyed request; undefined without a key */
+function stripeOptions(req, step) {
+	return req.idempotencyKeyId
+		? { idempotencyKey: stripeKey(req.idempotencyKeyId, step) }
+		: undefined;
+}
+
+module.exports = { idempotent, stripeOptions };
@@ -0,0 +1,23 @@
+// middleware/wallet.js
+const { getBillingAccount } = require("../services/orgs");
+const { getWallet, hasCredit, toWalletView } = require("../services/wallet");
+
+/**
+ * Guard for cost-bearing routes (TTS, transcription, speech, translation,
+ * chat): accounts on prepaid credit get 402 once their balance is used up.
+ * Accounts without a wallet are billed afterwards and always pass.
+ */
+function requireCredit(req, res, next) {
+	if (!req.user?.id) return next();
+
+	const account = getBillingAccount(req.user.id);
+	if (hasCredit(account)) return next();
+
+	return res.status(402).json({
+		success: false,
+		error: "Your prepaid credit has run out. Top up to continue.",
+		wallet: toWalletView(getWallet(account)),
+	});
+}
+
+module.exports = { requireCredit };
@@ -0,0 +1,130 @@
+// routes/account.js
+const express = require("express");
+const { z } = require("zod");
+const archiver = require("archiver");
+const { findUserById, verifyPassword } = require("../services/users");
+const { verifySecondFactor } = require("../services/mfa");
+const { sendAccountDeletedEmail } = require("../services/mailer");
+const { recordAuditEvent } = require("../services/audit");
+const { listUserFiles, relativeName } = require("../services/userFiles");
+const {
+	collectAccountData,
+	deletionBlocker,
+	deleteAccount,
+} = require("../services/account");
+
+const router = express.Router();
+
+/**
+ * GDPR data export and account deletion for the signed-in user.
+ * Mounted at /auth/account and /api/auth/account behind requireAuth().
+ */
+
+const deleteSchema = z.object({
+	password: z.string().min(1),
+	code: z.string().min(6).optional(),
+});
+
+function loadUser(req, res) {
+	const user = findUserById(req.user.id);
+	if (!user) res.status(404).json({ message: "User not found" });
+	return user;
+}
+
+/**
+ * GET /account/export
+ * Streams a ZIP with the profile, invoices, usage records, wallet and its
+ * ledger, promotion redemptions, pending payments, API keys, security events
+ * and every stored file under the user's GCS prefix.
+ */
+router.get("/export", async (req, res) => {
+	const user = loadUser(req, res);
+	if (!user) return;
+
+	// List files before streaming so a GCS outage is still reported in the ZIP
+	let files = [];
+	let filesError = null;
+	try {
+		files = await listUserFiles(user.id);
+	} catch (e) {
+		console.error("[account/export] listing GCS files failed:", e.message);
+		filesError = e.message;
+	}
+
+	recordAuditEvent("account.exported", {
+		userId: user.id,
+		ip: req.ip,
+		files: files.length,
+	});
+
+	res.setHeader("Content-Type", "application/zip");
+	res.setHeader(
+		"Content-Disposition",
+		`attachment; filename=verblizr_export_${user.id}.zip`
+	);
+
+	const archive = archiver("zip", { zlib: { level: 9 } });
+	archive.on("error", (err) => {
+		console.error("[account/export] archive error", err);
+		if (!res.headersSent) res.status(500).end("Archive error");
+	});
+	archive.pipe(res);
+
+	for (const [name, data] of Object.entries(collectAccountData(user))) {
+		archive.append(JSON.stringify(data, null, 2), { name });
+	}
+
+	for (const { bucket, file } of files) {
+		archive.append(file.createReadStream(), {
+			name: `files/${bucket}/${relativeName(user.id, file.name)}`,
+		});
+	}
+	if (filesError) {
+		archive.append(
+			`Stored files could not be retrieved (${filesError}). Please request the export again later.\n`,
+			{ name: "files/UNAVAILABLE.txt" }
+		);
+	}
+
+	archive.finalize();
+});
+
+/**
+ * DELETE /account
+ * Body: { password, code? } – code is required when two-factor is enabled.
+ * Erases the account; see services/account.js for what is kept and why.
+ */
+router.delete("/", async (req, res) => {
+	const parsed = deleteSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const user = loadUser(req, res);
+	if (!user) return;
+
+	if (!verifyPassword(user, parsed.data.password))
+		return res.status(400).json({ message: "Password is incorrect" });
+	if (user.mfa?.enabled && !verifySecondFactor(user.mfa, parsed.data.code || ""))
+		return res.status(400).json({ message: "Invalid verification code" });
+
+	if (deletionBlocker(user) === "org_owner")
+		return res.status(409).json({
+			message:
+				"Remove the other members of your organisation before deleting your account",
+		});
+
+	try {
+		const summary = await deleteAccount(user, { ip: req.ip });
+		sendAccountDeletedEmail(user).catch((e) =>
+			console.error("[mail] account deleted email failed:", e.message)
+		);
+		res.json({ ok: true, ...summary });
+	} catch (e) {
+		console.error("[account] deletion failed:", e.message);
+		res.status(502).json({
+			message: "We couldn't finish deleting your account, please try again",
+		});
+	}
+});
+
+module.exports = router;
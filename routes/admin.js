@@ -0,0 +1,234 @@
+// routes/admin.js
+const express = require("express");
+const { z } = require("zod");
+const {
+	ROLES,
+	findUserById,
+	listUsers,
+	setUserRole,
+	toPublicUser,
+} = require("../services/users");
+const { revokeAllForUser } = require("../services/tokens");
+const { recordAuditEvent, listAuditEvents } = require("../services/audit");
+const { requireRole } = require("../middleware/auth");
+const { listStripeEvents } = require("../services/stripeEvents");
+const {
+	runUsageBilling,
+	listUsageBillingRuns,
+} = require("../services/meteredBilling");
+const { runDunning, listDunningCases } = require("../services/dunning");
+const {
+	PROMOTION_TARGETS,
+	DURATIONS,
+	listPromotions,
+	createPromotion,
+	deactivatePromotion,
+	toAdminPromotionView,
+} = require("../services/promotions");
+const { isSupportedCurrency } = require("../services/currency");
+
+const router = express.Router();
+
+/**
+ * Back-office endpoints. Mounted at /api/admin behind requireAuth();
+ * each route states the minimum role it needs.
+ */
+
+const roleSchema = z.object({
+	role: z.enum(ROLES),
+});
+
+// GET /api/admin/users – support & admin
+router.get("/users", requireRole("support"), (_req, res) => {
+	res.json({ users: listUsers().map(toPublicUser) });
+});
+
+// PUT /api/admin/users/:id/role – admin only
+router.put("/users/:id/role", requireRole("admin"), (req, res) => {
+	const parsed = roleSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res
+			.status(400)
+			.json({ message: "Invalid payload", errors: parsed.error.errors });
+
+	const target = findUserById(req.params.id);
+	if (!target) return res.status(404).json({ message: "User not found" });
+	if (target.id === req.user.id && parsed.data.role !== "admin")
+		return res.status(400).json({ message: "You cannot demote yourself" });
+
+	const updated = setUserRole(target.id, parsed.data.role);
+	// Roles travel in the access token, so force a fresh sign-in
+	revokeAllForUser(target.id, "role_changed");
+	recordAuditEvent("admin.role_changed", {
+		userId: target.id,
+		ip: req.ip,
+		by: req.user.id,
+		from: target.role || "user",
+		to: parsed.data.role,
+	});
+
+	res.json({ user: toPublicUser(updated) });
+});
+
+// GET /api/admin/audit-events?type=&userId=&limit= – support & admin
+router.get("/audit-events", requireRole("support"), (req, res) => {
+	const limit = Math.max(
+		1,
+		Math.min(500, parseInt(req.query.limit, 10) || 100)
+	);
+	res.json({
+		events: listAuditEvents({
+			type: req.query.type,
+			userId: req.query.userId,
+			limit,
+		}),
+	});
+});
+
+// GET /api/admin/stripe-events?status=failed&limit= – webhook deliveries (support & admin)
+router.get("/stripe-events", requireRole("support"), (req, res) => {
+	const limit = Math.max(
+		1,
+		Math.min(500, parseInt(req.query.limit, 10) || 100)
+	);
+	res.json({ events: listStripeEvents({ status: req.query.status, limit }) });
+});
+
+const usageRunSchema = z.object({
+	until: z.coerce.date().optional(),
+});
+
+// POST /api/admin/usage-billing/run – invoice unbilled usage before `until` (admin)
+router.post("/usage-billing/run", requireRole("admin"), async (req, res) => {
+	const parsed = usageRunSchema.safeParse(req.body || {});
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	try {
+		const until = parsed.data.until || new Date();
+		const results = await runUsageBilling({ until });
+		recordAuditEvent("billing.usage_run", {
+			userId: req.user.id,
+			ip: req.ip,
+			until: until.toISOString(),
+			accounts: results.length,
+			failed: results.filter((r) => r.error).length,
+		});
+		res.json({ until: until.toISOString(), results });
+	} catch (e) {
+		console.error("[billing] usage billing run failed:", e.message);
+		res.status(500).json({ message: "Usage billing run failed" });
+	}
+});
+
+// GET /api/admin/usage-billing/runs – past usage billing runs (support & admin)
+router.get("/usage-billing/runs", requireRole("support"), (req, res) => {
+	const limit = Math.max(
+		1,
+		Math.min(500, parseInt(req.query.limit, 10) || 100)
+	);
+	res.json({ runs: listUsageBillingRuns({ limit }) });
+});
+
+// POST /api/admin/dunning/run – run the dunning job now (admin)
+router.post("/dunning/run", requireRole("admin"), async (req, res) => {
+	try {
+		const result = await runDunning();
+		recordAuditEvent("billing.dunning_run", {
+			userId: req.user.id,
+			ip: req.ip,
+			cases: result.cases.length,
+			failed: result.cases.filter((c) => c.error).length,
+			cardWarnings: result.cardWarnings,
+		});
+		res.json(result);
+	} catch (e) {
+		console.error("[billing] dunning run failed:", e.message);
+		res.status(500).json({ message: "Dunning run failed" });
+	}
+});
+
+// GET /api/admin/dunning?stage=suspended&limit= – dunning cases (support & admin)
+router.get("/dunning", requireRole("support"), (req, res) => {
+	const limit = Math.max(
+		1,
+		Math.min(500, parseInt(req.query.limit, 10) || 100)
+	);
+	res.json({ cases: listDunningCases({ stage: req.query.stage, limit }) });
+});
+
+const promotionSchema = z
+	.object({
+		code: z.string().trim().regex(/^[A-Za-z0-9_-]{3,32}$/),
+		description: z.string().trim().max(120).optional(),
+		percentOff: z.number().positive().max(100).optional(),
+		amountOff: z.number().int().positive().optional(), // minor units of `currency`
+		currency: z.string().refine(isSupportedCurrency, "Unsupported currency").optional(),
+		duration: z.enum(DURATIONS).default("once"),
+		durationInMonths: z.number().int().min(1).max(36).optional(),
+		appliesTo: z.array(z.enum(PROMOTION_TARGETS)).min(1).optional(),
+		maxRedemptions: z.number().int().positive().optional(),
+		oncePerAccount: z.boolean().optional(),
+		expiresAt: z.coerce.date().optional(),
+	})
+	.refine((p) => (p.percentOff == null) !== (p.amountOff == null), {
+		message: "Give either percentOff or amountOff",
+	})
+	.refine((p) => p.amountOff == null || p.currency, {
+		message: "amountOff needs a currency",
+	})
+	.refine((p) => p.duration !== "repeating" || p.durationInMonths, {
+		message: "A repeating promotion needs durationInMonths",
+	})
+	.refine((p) => !p.expiresAt || p.expiresAt > new Date(), {
+		message: "expiresAt is in the past",
+	});
+
+// GET /api/admin/promotions?active=true – promotion codes and their use (support & admin)
+router.get("/promotions", requireRole("support"), (req, res) => {
+	const { active } = req.query;
+	res.json({
+		promotions: listPromotions({
+			active: active === undefined ? undefined : active === "true",
+		}).map(toAdminPromotionView),
+	});
+});
+
+// POST /api/admin/promotions – new promotion code (admin)
+router.post("/promotions", requireRole("admin"), (req, res) => {
+	const parsed = promotionSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res
+			.status(400)
+			.json({ message: "Invalid payload", errors: parsed.error.errors });
+
+	try {
+		const promotion = createPromotion(parsed.data, { createdBy: req.user.id });
+		recordAuditEvent("billing.promotion_created", {
+			userId: req.user.id,
+			ip: req.ip,
+			promotionId: promotion.id,
+			code: promotion.code,
+		});
+		res.status(201).json({ promotion: toAdminPromotionView(promotion) });
+	} catch (e) {
+		if (e.code === "promo_code_taken") return res.status(409).json({ message: e.message });
+		throw e;
+	}
+});
+
+// POST /api/admin/promotions/:id/deactivate – stop new redemptions (admin)
+router.post("/promotions/:id/deactivate", requireRole("admin"), (req, res) => {
+	const promotion = deactivatePromotion(req.params.id);
+	if (!promotion) return res.status(404).json({ message: "Promotion not found" });
+
+	recordAuditEvent("billing.promotion_deactivated", {
+		userId: req.user.id,
+		ip: req.ip,
+		promotionId: promotion.id,
+		code: promotion.code,
+	});
+	res.json({ promotion: toAdminPromotionView(promotion) });
+});
+
+module.exports = router;
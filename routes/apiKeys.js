@@ -0,0 +1,120 @@
+// routes/apiKeys.js
+const express = require("express");
+const { z } = require("zod");
+const {
+	SCOPES,
+	createApiKey,
+	getApiKey,
+	listApiKeys,
+	revokeApiKey,
+	rotateApiKey,
+} = require("../services/apiKeys");
+const { getMembership } = require("../services/orgs");
+const { recordAuditEvent } = require("../services/audit");
+
+const router = express.Router();
+
+/**
+ * API key management for the signed-in user. Mounted at /auth/api-keys and
+ * /api/auth/api-keys behind requireAuth() (so keys can't mint more keys).
+ * `org: true` creates a key for the caller's organisation (owners/admins only).
+ */
+
+const createSchema = z.object({
+	name: z.string().min(1).max(80),
+	scopes: z.array(z.enum(SCOPES)).min(1),
+	org: z.boolean().optional().default(false),
+});
+
+/** Org owners/admins manage their org's keys; everyone manages their own */
+function managedOrgId(userId) {
+	const m = getMembership(userId);
+	return m && m.role !== "member" ? m.orgId : null;
+}
+
+function canManage(userId, key) {
+	if (!key || key.revokedAt) return false;
+	return key.ownerType === "org"
+		? key.orgId === managedOrgId(userId)
+		: key.userId === userId;
+}
+
+// GET /api-keys/scopes – what can be granted
+router.get("/scopes", (_req, res) => {
+	res.json({ scopes: SCOPES });
+});
+
+// GET /api-keys – active keys (own + org's when the caller manages it)
+router.get("/", (req, res) => {
+	res.json({
+		keys: listApiKeys({
+			userId: req.user.id,
+			orgId: managedOrgId(req.user.id),
+		}),
+	});
+});
+
+// POST /api-keys – create; the full key is only returned here
+router.post("/", (req, res) => {
+	const parsed = createSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res
+			.status(400)
+			.json({ message: "Invalid payload", errors: parsed.error.errors });
+
+	const { name, scopes, org } = parsed.data;
+	const orgId = org ? managedOrgId(req.user.id) : null;
+	if (org && !orgId)
+		return res.status(403).json({
+			message: "Only organisation owners and admins can create org keys",
+		});
+
+	const { apiKey, key } = createApiKey({
+		name,
+		scopes,
+		userId: req.user.id,
+		orgId,
+	});
+	recordAuditEvent("api_key.created", {
+		userId: req.user.id,
+		ip: req.ip,
+		apiKeyId: apiKey.id,
+		orgId,
+		scopes,
+	});
+
+	res.status(201).json({ apiKey, key });
+});
+
+// POST /api-keys/:id/rotate – new secret, old key stops working immediately
+router.post("/:id/rotate", (req, res) => {
+	if (!canManage(req.user.id, getApiKey(req.params.id)))
+		return res.status(404).json({ message: "API key not found" });
+
+	const { apiKey, key } = rotateApiKey(req.params.id);
+	recordAuditEvent("api_key.rotated", {
+		userId: req.user.id,
+		ip: req.ip,
+		apiKeyId: req.params.id,
+		replacedBy: apiKey.id,
+	});
+
+	res.json({ apiKey, key });
+});
+
+// DELETE /api-keys/:id – revoke
+router.delete("/:id", (req, res) => {
+	if (!canManage(req.user.id, getApiKey(req.params.id)))
+		return res.status(404).json({ message: "API key not found" });
+
+	const apiKey = revokeApiKey(req.params.id);
+	recordAuditEvent("api_key.revoked", {
+		userId: req.user.id,
+		ip: req.ip,
+		apiKeyId: apiKey.id,
+	});
+
+	res.json({ apiKey });
+});
+
+module.exports = router;
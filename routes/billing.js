@@ -1,13 +1,86 @@
 // routes/billing.js
 const express = require("express");
-const Stripe = require("stripe");
-const { getOrCreateStripeCustomerId } = require("../services/users");
+const { z } = require("zod");
+const {
+	getOrCreateStripeCustomerId,
+	extractDefaultPmId,
+	getDefaultPaymentMethodId,
+} = require("../services/users");
+const { requireRole, requireScope } = require("../middleware/auth");
+const { idempotent, stripeOptions } = require("../middleware/idempotency");
+const { canManageBilling, getBillingAccount } = require("../services/orgs");
+const { getBillingState } = require("../services/billingState");
+const {
+	listPlans,
+	getPlan,
+	planAmount,
+	lookupKeyFor,
+	monthlyAmount,
+} = require("../services/plans");
+const {
+	syncSubscription,
+	findLiveSubscription,
+	listSubscriptions,
+	toSubscriptionView,
+} = require("../services/subscriptions");
+const { previewUsage } = require("../services/meteredBilling");
+const {
+	findInvoice,
+	recordPaymentIntentInvoice,
+	syncStripeInvoice,
+} = require("../services/invoices");
+const {
+	REFUND_REASONS,
+	listCreditNotes,
+	refundPayment,
+} = require("../services/creditNotes");
+const { recordAuditEvent } = require("../services/audit");
+const {
+	MIN_TOP_UP,
+	MAX_TOP_UP,
+	getWallet,
+	toWalletView,
+	listLedger,
+	topUp,
+	updateWalletSettings,
+} = require("../services/wallet");
+const {
+	getBillingProfile,
+	updateBillingProfile,
+	taxTreatmentFor,
+	chargeTax,
+	currencyFor,
+	getBillingDetails,
+	stripeSyncStatus,
+	syncStripeCustomer,
+} = require("../services/billingProfile");
+const { parseVatNumber, resolveTaxRateId } = require("../services/tax");
+const { SUPPORTED_CURRENCIES, isSupportedCurrency } = require("../services/currency");
+const {
+	authenticationRequiredIntent,
+	needsCustomer,
+	trackPendingPayment,
+	getPendingPayment,
+	isPaymentPending,
+	listPendingPayments,
+	toRecoveryView,
+} = require("../services/pendingPayments");
+const { applyPaymentIntentUpdate } = require("../services/stripeEvents");
+const { cardExpiry, getDunningState, payOverdue } = require("../services/dunning");
+const {
+	isPromotionError,
+	checkPromotion,
+	discountFor,
+	recordRedemption,
+	resolveCouponId,
+	toPromotionView,
+} = require("../services/promotions");
 
 const router = express.Router();
 
-/** Sanitize the env var: strip quotes/whitespace */
-const rawKey = process.env.STRIPE_SECRET_KEY || "";
-const STRIPE_KEY = rawKey.replace(/^['"]*|['"]*$/g, "").trim();
+// Shared client; the env var is sanitised in services/stripeClient.js
+const { stripe, STRIPE_KEY, GATEWAY } = require("../services/stripeClient");
+const needsStripeKey = GATEWAY === "stripe";
 console.log(
 	"[billing] key check:",
 	STRIPE_KEY.slice(0, 10) + "...",
@@ -16,7 +89,9 @@ console.log(
 );
 
 // DES Added: Validate Stripe key format and configuration
-if (!STRIPE_KEY || STRIPE_KEY.length < 10) {
+if (!needsStripeKey) {
+	console.log(`[billing] ${GATEWAY} payment gateway – STRIPE_SECRET_KEY isn't used`);
+} else if (!STRIPE_KEY || STRIPE_KEY.length < 10) {
 	console.error("[billing] ERROR: Invalid or missing STRIPE_SECRET_KEY!");
 	console.error("[billing] Please check your .env file");
 } else if (!STRIPE_KEY.startsWith('sk_')) {
@@ -25,33 +100,100 @@ if (!STRIPE_KEY || STRIPE_KEY.length < 10) {
 	console.log("[billing] ✅ Stripe key appears valid");
 }
 
-const stripe = new Stripe(STRIPE_KEY, { apiVersion: "2024-06-20" });
-
 /* ----------------- helpers ----------------- */
-function extractDefaultPmId(customer) {
-	const invDefault = customer?.invoice_settings?.default_payment_method;
-	return typeof invDefault === "string" ? invDefault : invDefault?.id || null;
-}
 
-async function getDefaultPaymentMethodId(customerId) {
-	const customer = await stripe.customers.retrieve(customerId);
-	const invoiceDefault = extractDefaultPmId(customer);
-	if (invoiceDefault) return invoiceDefault;
+// "<plan id>:<currency>" -> Stripe price id, resolved once per process
+const PRICE_IDS = new Map();
+
+/**
+ * Stripe price for a catalogue plan in a currency, found by its lookup key.
+ * Outside production a missing price is created so test mode just works.
+ */
+async function resolvePriceId(plan, currency = plan.currency) {
+	const cacheKey = `${plan.id}:${currency}`;
+	if (PRICE_IDS.has(cacheKey)) return PRICE_IDS.get(cacheKey);
+	const lookupKey = lookupKeyFor(plan, currency);
+	const unitAmount = planAmount(plan, currency);
+	if (unitAmount == null) throw new Error(`Plan ${plan.id} has no ${currency} price`);
 
-	const { data } = await stripe.paymentMethods.list({
-		customer: customerId,
-		type: "card",
+	const { data } = await stripe.prices.list({
+		lookup_keys: [lookupKey],
+		active: true,
 		limit: 1,
 	});
-	return data[0]?.id || null;
+	let price = data[0];
+	if (!price) {
+		if (process.env.NODE_ENV === "production")
+			throw new Error(`No Stripe price with lookup key "${lookupKey}"`);
+		price = await stripe.prices.create({
+			currency,
+			unit_amount: unitAmount,
+			recurring: { interval: plan.interval },
+			lookup_key: lookupKey,
+			product_data: { name: plan.name },
+			metadata: { planId: plan.id },
+		});
+		console.log("[billing] created price", price.id, "for plan", plan.id, currency);
+	}
+
+	PRICE_IDS.set(cacheKey, price.id);
+	return price.id;
+}
+
+/** Subscription response, plus what the app needs when the payment needs SCA */
+function subscriptionResponse(stripeSub, extra = {}) {
+	const pi = stripeSub.latest_invoice?.payment_intent;
+	return {
+		subscription: toSubscriptionView(syncSubscription(stripeSub)),
+		...extra,
+		...(pi?.status === "requires_action" && {
+			requiresAction: true,
+			clientSecret: pi.client_secret,
+		}),
+	};
+}
+
+/**
+ * Put the subscription's latest invoice in the ledger now rather than waiting
+ * for the invoice.* webhooks (which then just confirm it).
+ */
+async function recordLatestInvoice(stripeSub, userId) {
+	if (typeof stripeSub.latest_invoice !== "object" || !stripeSub.latest_invoice) return;
+	try {
+		await syncStripeInvoice(stripeSub.latest_invoice, {
+			account: getBillingAccount(userId),
+		});
+	} catch (e) {
+		console.warn("[billing] could not record invoice:", e.message);
+	}
+}
+
+/**
+ * Members of an organisation are billed to the org's customer, but only the
+ * org's owners/admins may change its cards or charge it.
+ */
+function requireBillingManager(req, res, next) {
+	if (req.user?.id && !canManageBilling(req.user.id)) {
+		return res.status(403).json({
+			error: "Only organisation owners and admins can manage billing",
+		});
+	}
+	next();
 }
 
+// API keys additionally need the matching billing scope
+const canRead = [requireBillingManager, requireScope("billing:read")];
+const canWrite = [requireBillingManager, requireScope("billing:write")];
+
+// Every POST and PATCH below honours an Idempotency-Key header (retries from flaky networks)
+router.use(idempotent);
+
 /* ----------------- debug ----------------- */
 router.get("/health", (req, res) => {
 	res.json({ ok: true, mountedAt: req.baseUrl || "/billing" });
 });
 
-router.get("/debug-key", (_req, res) =>
+router.get("/debug-key", requireRole("admin"), (_req, res) =>
 	res.json({
 		prefix: STRIPE_KEY.slice(0, 10) + "...",
 		length: STRIPE_KEY.length,
@@ -62,7 +204,7 @@ router.get("/debug-key", (_req, res) =>
 /* ----------------- billing APIs ----------------- */
 
 // Create SetupIntent (save a card from the device)
-router.post("/setup-intent", async (req, res) => {
+router.post("/setup-intent", canWrite, async (req, res) => {
 	try {
 		// DES Added: Better validation and logging
 		console.log("[billing] setup-intent request from user:", req.user?.id);
@@ -74,7 +216,7 @@ router.post("/setup-intent", async (req, res) => {
 		}
 
 		// DES Added: Validate Stripe key before proceeding
-		if (!STRIPE_KEY || STRIPE_KEY.length < 10) {
+		if (needsStripeKey && (!STRIPE_KEY || STRIPE_KEY.length < 10)) {
 			console.error("[billing] setup-intent: Invalid Stripe key configuration");
 			return res.status(500).json({ error: "Payment service configuration error" });
 		}
@@ -82,11 +224,14 @@ router.post("/setup-intent", async (req, res) => {
 		const customerId = await getOrCreateStripeCustomerId(userId);
 		console.log("[billing] setup-intent: Creating for customer:", customerId);
 		
-		const si = await stripe.setupIntents.create({
-			customer: customerId,
-			usage: "off_session",
-			automatic_payment_methods: { enabled: true },
-		});
+		const si = await stripe.setupIntents.create(
+			{
+				customer: customerId,
+				usage: "off_session",
+				automatic_payment_methods: { enabled: true },
+			},
+			stripeOptions(req, "setup_intent")
+		);
 		
 		console.log("[billing] setup-intent: Success", si.id);
 		res.json({ clientSecret: si.client_secret });
@@ -108,7 +253,7 @@ router.post("/setup-intent", async (req, res) => {
 });
 
 // Set default card
-router.post("/payment-methods/:id/default", async (req, res) => {
+router.post("/payment-methods/:id/default", canWrite, async (req, res) => {
 	try {
 		const userId = req.user?.id;
 		if (!userId) return res.status(401).json({ error: "Unauthorized" });
@@ -121,17 +266,21 @@ router.post("/payment-methods/:id/default", async (req, res) => {
 
 		// attach (idempotent)
 		try {
-			await stripe.paymentMethods.attach(paymentMethodId, {
-				customer: customerId,
-			});
+			await stripe.paymentMethods.attach(
+				paymentMethodId,
+				{ customer: customerId },
+				stripeOptions(req, "attach")
+			);
 		} catch (err) {
 			if (!(err && err.code === "resource_already_exists")) throw err;
 		}
 
 		// set as invoice default
-		await stripe.customers.update(customerId, {
-			invoice_settings: { default_payment_method: paymentMethodId },
-		});
+		await stripe.customers.update(
+			customerId,
+			{ invoice_settings: { default_payment_method: paymentMethodId } },
+			stripeOptions(req, "default")
+		);
 
 		res.json({ ok: true });
 	} catch (e) {
@@ -143,7 +292,7 @@ router.post("/payment-methods/:id/default", async (req, res) => {
 });
 
 // List attached cards (default first) – accept optional trailing slash
-router.get(["/payment-methods", "/payment-methods/"], async (req, res) => {
+router.get(["/payment-methods", "/payment-methods/"], canRead, async (req, res) => {
 	try {
 		const userId = req.user?.id;
 		if (!userId) return res.status(401).json({ error: "Unauthorized" });
@@ -164,6 +313,7 @@ router.get(["/payment-methods", "/payment-methods/"], async (req, res) => {
 				last4: pm.card?.last4 || "",
 				expMonth: pm.card?.exp_month || 0,
 				expYear: pm.card?.exp_year || 0,
+				...expiryFlags(pm),
 				isDefault: pm.id === defaultId,
 			}))
 			.sort((a, b) => (a.isDefault === b.isDefault ? 0 : a.isDefault ? -1 : 1));
@@ -196,12 +346,14 @@ async function deletePmHandler(req, res) {
 				type: "card",
 			});
 			const next = data.find((pm) => pm.id !== paymentMethodId);
-			await stripe.customers.update(customerId, {
-				invoice_settings: { default_payment_method: next?.id || null },
-			});
+			await stripe.customers.update(
+				customerId,
+				{ invoice_settings: { default_payment_method: next?.id || null } },
+				stripeOptions(req, "default")
+			);
 		}
 
-		await stripe.paymentMethods.detach(paymentMethodId);
+		await stripe.paymentMethods.detach(paymentMethodId, stripeOptions(req, "detach"));
 		return res.json({ ok: true });
 	} catch (e) {
 		return res
@@ -211,13 +363,19 @@ async function deletePmHandler(req, res) {
 }
 
 // Keep DELETE (if your client uses it)
-router.delete("/payment-methods/:id", deletePmHandler);
+router.delete("/payment-methods/:id", canWrite, deletePmHandler);
 
 // POST alias for delete (use this from the app to avoid DELETE quirks)
-router.post("/payment-methods/:id/delete", deletePmHandler);
+router.post("/payment-methods/:id/delete", canWrite, deletePmHandler);
+
+// { expired, expiringSoon } for a card (CARD_EXPIRY_WARNING_DAYS, see services/dunning.js)
+function expiryFlags(pm) {
+	const { expired, expiringSoon } = cardExpiry(pm.card?.exp_month, pm.card?.exp_year);
+	return { expired, expiringSoon };
+}
 
-// Customer summary (used by the app to show saved cards)
-router.get("/customer", async (req, res) => {
+// Customer summary (used by the app to show saved cards and overdue payments)
+router.get("/customer", canRead, async (req, res) => {
 	try {
 		const userId = req.user?.id;
 		if (!userId) return res.status(401).json({ error: "Unauthorized" });
@@ -229,15 +387,23 @@ router.get("/customer", async (req, res) => {
 			type: "card",
 		});
 
+		// Async outcomes recorded by the webhook (routes/billingWebhook.js)
+		const state = getBillingState(customerId);
+
 		res.json({
 			customerId,
 			defaultPaymentMethod: extractDefaultPmId(customer),
+			lastPaymentFailure: state?.lastPaymentFailure || null,
+			pendingAction: state?.pendingAction || null,
+			// Open dunning case (retries, grace period, suspension), null when all paid
+			dunning: getDunningState(getBillingAccount(userId)),
 			cards: pms.data.map((pm) => ({
 				id: pm.id,
 				brand: pm.card?.brand,
 				last4: pm.card?.last4,
 				expMonth: pm.card?.exp_month,
 				expYear: pm.card?.exp_year,
+				...expiryFlags(pm),
 			})),
 		});
 	} catch (e) {
@@ -245,13 +411,46 @@ router.get("/customer", async (req, res) => {
 	}
 });
 
+// Promotion codes on test charges, top-ups and subscriptions
+const promoCodeSchema = z.string().trim().min(1).max(64);
+
+// Stripe's smallest charge in our currencies is 50 cents / 30 pence
+const MIN_TEST_CHARGE = 50;
+
+const testChargeSchema = z.object({
+	amountMinor: z.number().int().min(MIN_TEST_CHARGE).max(MAX_TOP_UP).default(MIN_TEST_CHARGE),
+	promoCode: promoCodeSchema.optional(),
+});
+
 // Off-session test charge
-router.post("/test-charge", async (req, res) => {
+router.post("/test-charge", canWrite, async (req, res) => {
 	try {
 		const userId = req.user?.id;
 		if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-		const amountMinor = Number(req.body?.amountMinor ?? 50);
+		const parsed = testChargeSchema.safeParse(req.body || {});
+		if (!parsed.success)
+			return res.status(400).json({
+				ok: false,
+				error: `amountMinor must be a whole number between ${MIN_TEST_CHARGE} and ${MAX_TOP_UP}`,
+			});
+		const { amountMinor, promoCode } = parsed.data;
+		const account = getBillingAccount(userId);
+		const currency = currencyFor(account);
+		const promotion = promoCode
+			? checkPromotion(promoCode, account, { target: "one_off", currency })
+			: null;
+
+		// amountMinor is net; a promotion comes off it and VAT (if any) goes on top
+		const discount = promotion ? discountFor(promotion, amountMinor) : null;
+		const netMinor = amountMinor - (discount?.amount || 0);
+		if (netMinor <= 0)
+			return res.status(400).json({
+				ok: false,
+				error: "Promotion codes can't make a charge free",
+				code: "promo_not_applicable",
+			});
+
 		const customerId = await getOrCreateStripeCustomerId(userId);
 		const pmId = await getDefaultPaymentMethodId(customerId);
 		if (!pmId) {
@@ -261,29 +460,800 @@ router.post("/test-charge", async (req, res) => {
 			});
 		}
 
-		const pi = await stripe.paymentIntents.create({
-			amount: amountMinor,
-			currency: "gbp",
-			customer: customerId,
-			payment_method: pmId,
-			confirm: true,
-			off_session: true,
-			payment_method_types: ["card"],
-			description: `Test off-session charge for ${userId}`,
-			metadata: { kind: "test_charge" },
-		});
+		const { gross, tax } = chargeTax(account, netMinor);
+		const recordCharge = (pi) => {
+			if (promotion)
+				recordRedemption(promotion, account, {
+					target: "one_off",
+					amount: discount.amount,
+					currency,
+					paymentIntentId: pi.id,
+					createdBy: userId,
+				});
+			return recordPaymentIntentInvoice(pi, {
+				account,
+				source: "test_charge",
+				title: "Test charge",
+				tax,
+				discount,
+			});
+		};
+		let pi;
+		try {
+			pi = await stripe.paymentIntents.create(
+				{
+					amount: gross,
+					currency,
+					customer: customerId,
+					payment_method: pmId,
+					confirm: true,
+					off_session: true,
+					payment_method_types: ["card"],
+					description: `Test off-session charge for ${userId}`,
+					metadata: {
+						kind: "test_charge",
+						netAmount: String(netMinor),
+						taxAmount: String(tax.amount),
+						...(discount && {
+							discountAmount: String(discount.amount),
+							promotionCode: discount.code,
+						}),
+					},
+				},
+				stripeOptions(req, "payment_intent")
+			);
+		} catch (e) {
+			// The bank wants 3-D Secure: keep the PaymentIntent so the app can finish it
+			pi = authenticationRequiredIntent(e);
+			if (!pi) throw e;
+			const invoice = recordCharge(pi);
+			const pending = trackPendingPayment(pi, {
+				account,
+				kind: "test_charge",
+				createdBy: userId,
+				error: e.message,
+			});
+			return res.status(402).json({
+				ok: false,
+				error: e.message,
+				requiresAction: true,
+				paymentIntentId: pi.id,
+				invoiceId: invoice.id,
+				recovery: toRecoveryView(pending, pi),
+			});
+		}
+		const invoice = recordCharge(pi);
 
 		res.json({
 			ok: true,
 			paymentIntentId: pi.id,
 			status: pi.status,
 			amountMinor: pi.amount,
+			netMinor,
+			discountMinor: discount?.amount || 0,
+			taxMinor: tax.amount,
 			currency: pi.currency,
 			paymentMethodId: pmId,
+			invoiceId: invoice.id,
 		});
 	} catch (e) {
+		if (isPromotionError(e))
+			return res.status(400).json({ ok: false, error: e.message, code: e.code });
 		res.status(402).json({ ok: false, error: e?.message || "Payment failed" });
 	}
 });
 
+/* ----------------- pending payments (SCA recovery) ----------------- */
+
+const completePaymentSchema = z.object({
+	paymentMethodId: z.string().startsWith("pm_").optional(), // default: the card first tried
+});
+
+/** The caller's pending payment for :id, or null after answering 404 */
+function loadOwnPendingPayment(req, res) {
+	const account = getBillingAccount(req.user.id);
+	const row = getPendingPayment(req.params.id);
+	const own =
+		row && (account.orgId ? row.orgId === account.orgId : row.userId === account.userId);
+	if (!own) {
+		res.status(404).json({ error: "Pending payment not found" });
+		return null;
+	}
+	return row;
+}
+
+/** Response for a pending payment after complete/cancel, by PaymentIntent status */
+function sendRecovery(res, pi) {
+	const recovery = toRecoveryView(getPendingPayment(pi.id), pi);
+	switch (pi.status) {
+		case "succeeded":
+			return res.json({ ok: true, status: pi.status, recovery });
+		case "canceled":
+			return res.status(409).json({ error: "Payment was canceled", recovery });
+		case "requires_action":
+			return res.status(202).json({
+				status: pi.status,
+				requiresAction: true,
+				clientSecret: pi.client_secret,
+				recovery,
+			});
+		case "processing":
+			return res.status(202).json({ status: pi.status, recovery });
+		default:
+			return res.status(402).json({
+				error: pi.last_payment_error?.message || "Payment failed",
+				recovery,
+			});
+	}
+}
+
+// Off-session payments waiting for the customer (3-D Secure, new card)
+router.get("/pending-payments", canRead, (req, res) => {
+	const userId = req.user?.id;
+	if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+	res.json({
+		payments: listPendingPayments(getBillingAccount(userId)).map((row) =>
+			toRecoveryView(row)
+		),
+	});
+});
+
+/**
+ * Finish a pending payment with the customer present: confirm it on-session
+ * (optionally with another saved card). If the bank then asks for 3-D Secure
+ * the answer is 202 with the client secret for Stripe.js handleNextAction();
+ * call this again afterwards to settle it without waiting for the webhook.
+ * Once it has settled either way the answer is 409.
+ */
+router.post("/pending-payments/:id/complete", canWrite, async (req, res) => {
+	try {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+		const parsed = completePaymentSchema.safeParse(req.body ?? {});
+		if (!parsed.success) return res.status(400).json({ error: "Invalid payment method" });
+
+		const row = loadOwnPendingPayment(req, res);
+		if (!row) return;
+		if (!isPaymentPending(row.id))
+			return res
+				.status(409)
+				.json({ error: `Payment is ${row.state}`, recovery: toRecoveryView(row) });
+
+		const paymentMethodId = parsed.data.paymentMethodId || row.paymentMethodId;
+		if (parsed.data.paymentMethodId) {
+			const pm = await stripe.paymentMethods.retrieve(paymentMethodId).catch(() => null);
+			if (!pm || pm.customer !== row.customerId)
+				return res.status(400).json({ error: "Unknown payment method" });
+		}
+
+		let pi = await stripe.paymentIntents.retrieve(row.id);
+		if (["requires_payment_method", "requires_confirmation"].includes(pi.status)) {
+			try {
+				pi = await stripe.paymentIntents.confirm(
+					pi.id,
+					{ payment_method: paymentMethodId },
+					stripeOptions(req, "confirm")
+				);
+			} catch (e) {
+				// Declined again: the PaymentIntent stays open for another card
+				pi = e.raw?.payment_intent;
+				if (!pi) throw e;
+			}
+		}
+
+		applyPaymentIntentUpdate(pi);
+		console.log("[billing] pending payment", pi.id, "->", pi.status);
+		sendRecovery(res, pi);
+	} catch (e) {
+		console.error("[billing] complete pending payment error:", e.message);
+		res.status(400).json({ error: e?.message || "Failed to complete payment" });
+	}
+});
+
+// Give up on a pending payment; its invoice is voided
+router.post("/pending-payments/:id/cancel", canWrite, async (req, res) => {
+	try {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+		const row = loadOwnPendingPayment(req, res);
+		if (!row) return;
+
+		let pi = await stripe.paymentIntents.retrieve(row.id);
+		if (!needsCustomer(pi)) {
+			applyPaymentIntentUpdate(pi);
+			return res
+				.status(409)
+				.json({ error: `Payment is ${pi.status}`, recovery: toRecoveryView(row, pi) });
+		}
+
+		pi = await stripe.paymentIntents.cancel(pi.id, {}, stripeOptions(req, "cancel"));
+		applyPaymentIntentUpdate(pi);
+		console.log("[billing] pending payment", pi.id, "canceled by", userId);
+		res.json({ ok: true, recovery: toRecoveryView(getPendingPayment(pi.id), pi) });
+	} catch (e) {
+		res.status(400).json({ error: e?.message || "Failed to cancel payment" });
+	}
+});
+
+/* ----------------- overdue payments (dunning) ----------------- */
+
+/**
+ * "Pay now": charge everything the dunning case has outstanding to the
+ * default card straight away, e.g. after saving a new card. Lifts a
+ * suspension once it's paid.
+ */
+router.post("/dunning/pay", canWrite, async (req, res) => {
+	try {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+		const account = getBillingAccount(userId);
+		const row = await payOverdue(account, {
+			idempotencyKey: stripeOptions(req, "dunning")?.idempotencyKey,
+		});
+		if (!row) return res.status(404).json({ error: "Nothing is overdue" });
+
+		const dunning = getDunningState(account);
+		if (!dunning) return res.json({ ok: true, dunning: null });
+		res.status(402).json({ error: dunning.lastError || "Payment failed", dunning });
+	} catch (e) {
+		res.status(400).json({ error: e?.message || "Failed to retry payment" });
+	}
+});
+
+/* ----------------- refunds ----------------- */
+
+const refundSchema = z.object({
+	paymentIntentId: z.string().startsWith("pi_"),
+	amountMinor: z.number().int().positive().optional(), // default: all that's left
+	reason: z.enum(REFUND_REASONS).optional(),
+	note: z.string().max(500).optional(),
+});
+
+/**
+ * Refund a payment, fully or partly, and issue a credit note against its
+ * invoice. Staff only: customers ask support, support asks an admin.
+ */
+router.post("/refunds", requireRole("admin"), async (req, res) => {
+	try {
+		const parsed = refundSchema.safeParse(req.body);
+		if (!parsed.success)
+			return res.status(400).json({ error: "Invalid refund request" });
+
+		const { paymentIntentId, amountMinor, reason, note } = parsed.data;
+		const inv = findInvoice((i) => i.stripePaymentIntentId === paymentIntentId);
+		if (!inv) return res.status(404).json({ error: "No invoice for that payment" });
+		if (inv.status !== "paid")
+			return res.status(409).json({ error: `Invoice is ${inv.status}` });
+
+		const { refund, creditNote } = await refundPayment(inv, {
+			amount: amountMinor,
+			reason,
+			note,
+			createdBy: req.user.id,
+		});
+		recordAuditEvent("billing.refund", {
+			userId: req.user.id,
+			ip: req.ip,
+			invoiceId: inv.id,
+			refundId: refund.id,
+			amount: refund.amount,
+			currency: refund.currency,
+		});
+
+		res.status(201).json({
+			refund: {
+				id: refund.id,
+				status: refund.status,
+				amountMinor: refund.amount,
+				currency: refund.currency,
+			},
+			creditNote,
+		});
+	} catch (e) {
+		if (e.code === "invalid_amount") return res.status(400).json({ error: e.message });
+		console.error("[billing] refund error:", e.message);
+		res.status(402).json({ error: e?.message || "Refund failed" });
+	}
+});
+
+// Credit notes issued to the caller's billing account
+router.get("/refunds", canRead, (req, res) => {
+	const userId = req.user?.id;
+	if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+	const account = getBillingAccount(userId);
+	const creditNotes = listCreditNotes((n) =>
+		account.orgId ? n.orgId === account.orgId : n.userId === account.userId
+	).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+	res.json({ creditNotes });
+});
+
+/* ----------------- metered usage ----------------- */
+
+// Usage not yet invoiced, priced at current rates (org usage for org managers)
+router.get("/usage", canRead, (req, res) => {
+	const userId = req.user?.id;
+	if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+	const account = getBillingAccount(userId);
+	res.json({ ...account, ...previewUsage(account) });
+});
+
+/* ----------------- prepaid wallet ----------------- */
+
+const topUpSchema = z.object({
+	amountMinor: z.number().int().min(MIN_TOP_UP).max(MAX_TOP_UP),
+	promoCode: promoCodeSchema.optional(),
+});
+
+const walletSettingsSchema = z.object({
+	lowBalanceThreshold: z.number().int().min(0).optional(),
+	autoRecharge: z
+		.object({
+			enabled: z.boolean().optional(),
+			amount: z.number().int().min(MIN_TOP_UP).max(MAX_TOP_UP).optional(),
+			threshold: z.number().int().min(0).optional(),
+		})
+		.optional(),
+});
+
+// Balance, settings and recent ledger entries (wallet is null until the first top-up)
+router.get("/wallet", canRead, (req, res) => {
+	const userId = req.user?.id;
+	if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+	const wallet = getWallet(getBillingAccount(userId));
+	res.json({
+		wallet: wallet ? toWalletView(wallet) : null,
+		ledger: wallet ? listLedger(wallet.id, { limit: 20 }) : [],
+	});
+});
+
+router.get("/wallet/ledger", canRead, (req, res) => {
+	const userId = req.user?.id;
+	if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+	const wallet = getWallet(getBillingAccount(userId));
+	const limit = Math.max(1, Math.min(500, parseInt(req.query.limit, 10) || 100));
+	res.json({ entries: wallet ? listLedger(wallet.id, { limit }) : [] });
+});
+
+// Buy credit with the default card; the first successful top-up switches the account to prepaid
+router.post("/wallet/top-up", canWrite, async (req, res) => {
+	try {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+		const parsed = topUpSchema.safeParse(req.body);
+		if (!parsed.success)
+			return res.status(400).json({
+				error: `amountMinor must be a whole number between ${MIN_TOP_UP} and ${MAX_TOP_UP}`,
+			});
+
+		const { paymentIntent, pending, wallet, entry, discount } = await topUp(
+			getBillingAccount(userId),
+			parsed.data.amountMinor,
+			{
+				requestedBy: userId,
+				promoCode: parsed.data.promoCode,
+				stripeOptions: stripeOptions(req, "top_up"),
+			}
+		);
+
+		res.status(entry ? 201 : 202).json({
+			wallet: wallet ? toWalletView(wallet) : null,
+			entry,
+			discount,
+			paymentIntentId: paymentIntent.id,
+			status: paymentIntent.status,
+			...(paymentIntent.status === "requires_action" && {
+				requiresAction: true,
+				clientSecret: paymentIntent.client_secret,
+			}),
+			...(pending && { recovery: toRecoveryView(pending, paymentIntent) }),
+		});
+	} catch (e) {
+		if (e.code === "no_payment_method")
+			return res.status(409).json({ error: e.message });
+		if (isPromotionError(e)) return res.status(400).json({ error: e.message, code: e.code });
+		console.error("[billing] wallet top-up error:", e.message);
+		res.status(402).json({ error: e?.message || "Top-up failed" });
+	}
+});
+
+router.put("/wallet/settings", canWrite, (req, res) => {
+	const userId = req.user?.id;
+	if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+	const parsed = walletSettingsSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ error: "Invalid wallet settings" });
+
+	const wallet = updateWalletSettings(getBillingAccount(userId), parsed.data);
+	if (!wallet)
+		return res
+			.status(404)
+			.json({ error: "No prepaid wallet yet. Make a first top-up." });
+	res.json({ wallet: toWalletView(wallet) });
+});
+
+/* ----------------- currency & VAT ----------------- */
+
+const taxDetailsSchema = z.object({
+	vatNumber: z.string().trim().max(20).nullable().optional(),
+	currency: z
+		.string()
+		.transform((c) => c.toLowerCase())
+		.refine(isSupportedCurrency, "Unsupported currency")
+		.optional(),
+});
+
+function taxDetailsResponse(account) {
+	return {
+		...getBillingProfile(account),
+		tax: taxTreatmentFor(account),
+		currencies: SUPPORTED_CURRENCIES,
+	};
+}
+
+// Billing currency, VAT number and the resulting tax treatment
+router.get("/tax-details", canRead, (req, res) => {
+	const userId = req.user?.id;
+	if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+	res.json(taxDetailsResponse(getBillingAccount(userId)));
+});
+
+/**
+ * Body: { vatNumber?: string|null, currency?: "gbp"|"eur"|"usd" }.
+ * Country/postcode come from the profile. The currency can't change while
+ * a subscription or a prepaid balance in another currency exists.
+ */
+router.put("/tax-details", canWrite, async (req, res) => {
+	try {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+		const parsed = taxDetailsSchema.safeParse(req.body);
+		if (!parsed.success)
+			return res.status(400).json({ error: parsed.error.issues[0].message });
+
+		const account = getBillingAccount(userId);
+		const current = getBillingProfile(account);
+		const patch = {};
+
+		if (parsed.data.vatNumber !== undefined) {
+			if (!parsed.data.vatNumber) {
+				patch.vatNumber = null;
+			} else {
+				const vat = parseVatNumber(parsed.data.vatNumber);
+				if (!vat)
+					return res.status(400).json({ error: "That doesn't look like a UK or EU VAT number" });
+				if (current.country && vat.country !== current.country)
+					return res.status(400).json({
+						error: `VAT number is for ${vat.country} but your billing country is ${current.country}`,
+					});
+				patch.vatNumber = vat.vatNumber;
+			}
+		}
+
+		const customerId = await getOrCreateStripeCustomerId(userId);
+		const { currency } = parsed.data;
+		if (currency && currency !== current.currency) {
+			const wallet = getWallet(account);
+			if (findLiveSubscription(customerId) || (wallet && wallet.currency !== currency))
+				return res.status(409).json({
+					error: "Currency can't change while you have a subscription or prepaid credit",
+				});
+			patch.currency = currency;
+		}
+
+		updateBillingProfile(account, patch);
+		await syncStripeCustomer(account, customerId);
+		res.json(taxDetailsResponse(account));
+	} catch (e) {
+		console.error("[billing] tax details error:", e.message);
+		res.status(400).json({ error: e?.message || "Failed to update tax details" });
+	}
+});
+
+/* ----------------- billing details ----------------- */
+
+// Name, company, email, address and VAT number invoices are made out to
+// (edited through the profile), and when Stripe last got a copy
+router.get("/details", canRead, (req, res) => {
+	const userId = req.user?.id;
+	if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+	const account = getBillingAccount(userId);
+	res.json({ ...getBillingDetails(account), stripe: stripeSyncStatus(account) });
+});
+
+// Push the details to the Stripe customer again (e.g. after a failed sync)
+router.post("/details/sync", canWrite, async (req, res) => {
+	try {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+		const account = getBillingAccount(userId);
+		const customerId = await getOrCreateStripeCustomerId(userId);
+		const synced = await syncStripeCustomer(account, customerId);
+		res
+			.status(synced ? 200 : 502)
+			.json({ ...getBillingDetails(account), stripe: stripeSyncStatus(account) });
+	} catch (e) {
+		res.status(400).json({ error: e?.message || "Failed to sync billing details" });
+	}
+});
+
+/* ----------------- promotion codes ----------------- */
+
+const validatePromotionSchema = z.object({
+	code: promoCodeSchema,
+	planId: z.string().min(1).optional(), // for a subscription to this plan
+	amountMinor: z.number().int().positive().optional(), // or a one-off charge of this (net) amount
+});
+
+/**
+ * Can the caller use a promotion code? With a plan or amount it's checked
+ * for that purchase and `preview` says how much comes off (before VAT).
+ * Unusable codes answer 400 with the reason in `code` (promo_invalid,
+ * promo_expired, promo_exhausted, promo_used, promo_not_applicable).
+ */
+router.post("/promotions/validate", canRead, (req, res) => {
+	const userId = req.user?.id;
+	if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+	const parsed = validatePromotionSchema.safeParse(req.body);
+	if (!parsed.success) return res.status(400).json({ error: "Invalid payload" });
+	const { code, planId, amountMinor } = parsed.data;
+	const plan = planId && getPlan(planId);
+	if (planId && !plan) return res.status(400).json({ error: "Unknown plan" });
+
+	const account = getBillingAccount(userId);
+	const currency = currencyFor(account);
+	try {
+		const promotion = checkPromotion(code, account, {
+			target: plan ? "subscription" : amountMinor ? "one_off" : null,
+			currency,
+		});
+		const net = plan ? planAmount(plan, currency) : amountMinor;
+		res.json({
+			valid: true,
+			promotion: toPromotionView(promotion),
+			preview: net
+				? { currency, amountMinor: net, discountMinor: discountFor(promotion, net).amount }
+				: null,
+		});
+	} catch (e) {
+		res.status(400).json({ valid: false, error: e.message, code: e.code });
+	}
+});
+
+/* ----------------- plans & subscriptions ----------------- */
+
+const planSchema = z.object({
+	planId: z.string().min(1),
+});
+
+const subscribeSchema = planSchema.extend({
+	promoCode: promoCodeSchema.optional(),
+});
+
+// Public catalogue (no auth, see index.js); ?currency=eur for other prices
+router.get("/plans", (req, res) => {
+	const { currency } = req.query;
+	if (currency && !isSupportedCurrency(currency))
+		return res.status(400).json({ error: "Unsupported currency" });
+	res.json({ plans: listPlans(currency && currency.toLowerCase()) });
+});
+
+/** Load :id from Stripe and make sure it belongs to the caller's customer */
+async function loadOwnSubscription(req, res) {
+	const customerId = await getOrCreateStripeCustomerId(req.user.id);
+	const sub = await stripe.subscriptions
+		.retrieve(req.params.id)
+		.catch(() => null);
+	if (!sub || sub.customer !== customerId) {
+		res.status(404).json({ error: "Subscription not found" });
+		return null;
+	}
+	return sub;
+}
+
+// Current subscription + history
+router.get("/subscriptions", canRead, async (req, res) => {
+	try {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+		const customerId = await getOrCreateStripeCustomerId(userId);
+		const current = findLiveSubscription(customerId);
+		res.json({
+			current: current ? toSubscriptionView(current) : null,
+			subscriptions: listSubscriptions(customerId).map(toSubscriptionView),
+		});
+	} catch (e) {
+		res.status(400).json({ error: e?.message || "Failed to load subscriptions" });
+	}
+});
+
+// Subscribe to a plan, charged to the default card
+router.post("/subscriptions", canWrite, async (req, res) => {
+	try {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+		const parsed = subscribeSchema.safeParse(req.body);
+		const plan = parsed.success && getPlan(parsed.data.planId);
+		if (!plan) return res.status(400).json({ error: "Unknown plan" });
+
+		const account = getBillingAccount(userId);
+		const currency = currencyFor(account);
+		const promotion = parsed.data.promoCode
+			? checkPromotion(parsed.data.promoCode, account, { target: "subscription", currency })
+			: null;
+
+		const customerId = await getOrCreateStripeCustomerId(userId);
+		if (findLiveSubscription(customerId)) {
+			return res.status(409).json({
+				error: "You already have a subscription. Change its plan instead.",
+			});
+		}
+
+		const pmId = await getDefaultPaymentMethodId(customerId);
+		if (!pmId) {
+			return res
+				.status(409)
+				.json({ error: "No payment method on file. Save a card first." });
+		}
+
+		// Billed in the account's currency, with its VAT rate (and any promotion) on its invoices
+		const taxRateId = await resolveTaxRateId(taxTreatmentFor(account));
+		const couponId = promotion && (await resolveCouponId(promotion));
+		const sub = await stripe.subscriptions.create(
+			{
+				customer: customerId,
+				items: [{ price: await resolvePriceId(plan, currency) }],
+				...(taxRateId && { default_tax_rates: [taxRateId] }),
+				...(couponId && { discounts: [{ coupon: couponId }] }),
+				default_payment_method: pmId,
+				payment_behavior: "allow_incomplete",
+				metadata: {
+					planId: plan.id,
+					appUserId: userId,
+					...(promotion && { promotionCode: promotion.code }),
+				},
+				expand: ["latest_invoice.payment_intent"],
+			},
+			stripeOptions(req, "subscription")
+		);
+
+		console.log("[billing] subscription created", sub.id, plan.id, sub.status);
+		if (promotion)
+			recordRedemption(promotion, account, {
+				target: "subscription",
+				currency,
+				subscriptionId: sub.id,
+				createdBy: userId,
+			});
+		await recordLatestInvoice(sub, userId);
+		res.status(201).json(subscriptionResponse(sub));
+	} catch (e) {
+		if (isPromotionError(e)) return res.status(400).json({ error: e.message, code: e.code });
+		console.error("[billing] create subscription error:", e);
+		res.status(400).json({ error: e?.message || "Failed to create subscription" });
+	}
+});
+
+/**
+ * Change plan. Upgrades are prorated and invoiced immediately; downgrades
+ * are prorated as a credit on the next invoice.
+ */
+router.patch("/subscriptions/:id", canWrite, async (req, res) => {
+	try {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+		const parsed = planSchema.safeParse(req.body);
+		const plan = parsed.success && getPlan(parsed.data.planId);
+		if (!plan) return res.status(400).json({ error: "Unknown plan" });
+
+		const sub = await loadOwnSubscription(req, res);
+		if (!sub) return;
+		if (sub.status === "canceled")
+			return res.status(409).json({ error: "Subscription has ended" });
+
+		const current = getPlan(syncSubscription(sub).planId);
+		if (current?.id === plan.id)
+			return res.status(409).json({ error: "Already on that plan" });
+
+		const upgrade = !current || monthlyAmount(plan) > monthlyAmount(current);
+		const prorationBehavior = upgrade ? "always_invoice" : "create_prorations";
+
+		// A retried upgrade must not invoice the proration twice
+		const updated = await stripe.subscriptions.update(
+			sub.id,
+			{
+				// A subscription keeps the currency it started in
+				items: [
+					{ id: sub.items.data[0].id, price: await resolvePriceId(plan, sub.currency) },
+				],
+				proration_behavior: prorationBehavior,
+				metadata: { ...sub.metadata, planId: plan.id },
+				expand: ["latest_invoice.payment_intent"],
+			},
+			stripeOptions(req, "plan_change")
+		);
+
+		await recordLatestInvoice(updated, userId);
+		console.log(
+			"[billing] subscription plan change",
+			sub.id,
+			current?.id,
+			"->",
+			plan.id
+		);
+		res.json(
+			subscriptionResponse(updated, {
+				change: upgrade ? "upgrade" : "downgrade",
+				prorationBehavior,
+			})
+		);
+	} catch (e) {
+		console.error("[billing] change plan error:", e);
+		res.status(400).json({ error: e?.message || "Failed to change plan" });
+	}
+});
+
+// Cancel at the end of the current period (access continues until then)
+router.post("/subscriptions/:id/cancel", canWrite, async (req, res) => {
+	try {
+		if (!req.user?.id) return res.status(401).json({ error: "Unauthorized" });
+
+		const sub = await loadOwnSubscription(req, res);
+		if (!sub) return;
+		if (sub.status === "canceled")
+			return res.status(409).json({ error: "Subscription has ended" });
+
+		const updated = await stripe.subscriptions.update(
+			sub.id,
+			{ cancel_at_period_end: true },
+			stripeOptions(req, "cancel")
+		);
+		res.json(subscriptionResponse(updated));
+	} catch (e) {
+		res.status(400).json({ error: e?.message || "Failed to cancel subscription" });
+	}
+});
+
+// Undo a scheduled cancellation before the period ends
+router.post("/subscriptions/:id/resume", canWrite, async (req, res) => {
+	try {
+		if (!req.user?.id) return res.status(401).json({ error: "Unauthorized" });
+
+		const sub = await loadOwnSubscription(req, res);
+		if (!sub) return;
+		if (sub.status === "canceled")
+			return res.status(409).json({
+				error: "Subscription has already ended. Start a new one instead.",
+			});
+		if (!sub.cancel_at_period_end)
+			return res.status(409).json({ error: "Subscription is not set to cancel" });
+
+		const updated = await stripe.subscriptions.update(
+			sub.id,
+			{ cancel_at_period_end: false },
+			stripeOptions(req, "resume")
+		);
+		res.json(subscriptionResponse(updated));
+	} catch (e) {
+		res.status(400).json({ error: e?.message || "Failed to resume subscription" });
+	}
+});
+
 module.exports = router;
@@ -0,0 +1,62 @@
+// routes/billingWebhook.js
+const express = require("express");
+const Stripe = require("stripe");
+const { processStripeEvent } = require("../services/stripeEvents");
+const { stripe } = require("../services/stripeClient");
+
+const router = express.Router();
+
+/**
+ * POST /api/billing/webhook
+ *
+ * Stripe calls this for asynchronous outcomes (failed payments, SCA,
+ * detached cards, disputes...). It's mounted in index.js BEFORE the JSON
+ * body parser and the auth middleware: signature verification needs the
+ * exact raw bytes, and Stripe authenticates with the signature, not a JWT.
+ *
+ * Local testing: `node scripts/stripe-webhook-fixture.mjs <fixture>` signs a
+ * fixture from scripts/fixtures/stripe with STRIPE_WEBHOOK_SECRET and posts it.
+ */
+const WEBHOOK_SECRET = (process.env.STRIPE_WEBHOOK_SECRET || "").trim();
+
+// The offline gateway hands its events over directly instead of POSTing them
+if (stripe.fake) {
+	stripe.fake.onEvent((event) => processStripeEvent(event));
+} else if (!WEBHOOK_SECRET) {
+	console.warn("[billing] STRIPE_WEBHOOK_SECRET not set – webhooks will be rejected");
+}
+
+router.post("/", express.raw({ type: "*/*", limit: "1mb" }), async (req, res) => {
+	if (!WEBHOOK_SECRET) {
+		return res.status(500).json({ error: "Webhook secret not configured" });
+	}
+
+	let event;
+	try {
+		event = Stripe.webhooks.constructEvent(
+			req.body,
+			req.headers["stripe-signature"],
+			WEBHOOK_SECRET
+		);
+	} catch (e) {
+		console.warn("[billing] webhook signature check failed:", e.message);
+		return res.status(400).json({ error: "Invalid signature" });
+	}
+
+	try {
+		const result = await processStripeEvent(event);
+		console.log(
+			"[billing] webhook:",
+			event.id,
+			event.type,
+			result.duplicate ? "duplicate" : result.status
+		);
+		res.json({ received: true, ...result });
+	} catch (e) {
+		console.error("[billing] webhook handler error:", event.id, event.type, e);
+		// Non-2xx makes Stripe retry the delivery later
+		res.status(500).json({ error: "Webhook handler failed" });
+	}
+});
+
+module.exports = router;
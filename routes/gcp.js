@@ -1,19 +1,25 @@
 const express = require('express');
 const { z } = require('zod');
-const { Storage } = require('@google-cloud/storage');
 const speech = require('@google-cloud/speech');
 const { Translate } = require('@google-cloud/translate').v2;
+const { requireRole, requireScope } = require('../middleware/auth');
+const { recordUsage } = require('../services/usage');
+const { requireCredit } = require('../middleware/wallet');
+const { requireGoodStanding } = require('../middleware/dunning');
+const {
+  storage,
+  STORAGE_BUCKET,
+  ARTIFACTS_BUCKET,
+  userPrefix,
+  userObjectName,
+  relativeName
+} = require('../services/userFiles');
 const router = express.Router();
 
-// Initialize Google Cloud clients
-const storage = new Storage();
+// Initialize Google Cloud clients (storage lives in services/userFiles.js)
 const speechClient = new speech.SpeechClient();
 const translate = new Translate();
 
-// Get bucket names from environment or use defaults
-const STORAGE_BUCKET = process.env.GCP_STORAGE_BUCKET || 'verblizr-storage';
-const ARTIFACTS_BUCKET = process.env.GCP_ARTIFACTS_BUCKET || 'verblizr-artifacts';
-
 // Validation schemas
 const uploadSchema = z.object({
   fileName: z.string().min(1),
@@ -68,14 +74,15 @@ let usageStats = {
  * POST /api/gcp/storage/upload
  * Upload files to Google Cloud Storage
  */
-router.post('/storage/upload', async (req, res) => {
+router.post('/storage/upload', requireScope('gcp:storage'), async (req, res) => {
   try {
     const validatedData = uploadSchema.parse(req.body);
     const { fileName, fileData, contentType, bucket: bucketType } = validatedData;
 
     const bucketName = bucketType === 'artifacts' ? ARTIFACTS_BUCKET : STORAGE_BUCKET;
     const bucket = storage.bucket(bucketName);
-    const file = bucket.file(fileName);
+    const objectName = userObjectName(req.user.id, fileName);
+    const file = bucket.file(objectName);
 
     // Convert base64 to buffer
     const buffer = Buffer.from(fileData, 'base64');
@@ -99,7 +106,7 @@ router.post('/storage/upload', async (req, res) => {
       bucket: bucketName,
       size: buffer.length,
       contentType: contentType,
-      gsUri: `gs://${bucketName}/${fileName}`,
+      gsUri: `gs://${bucketName}/${objectName}`,
       uploadedAt: new Date().toISOString()
     });
 
@@ -125,14 +132,15 @@ router.post('/storage/upload', async (req, res) => {
  * POST /api/gcp/storage/download
  * Download files from Google Cloud Storage
  */
-router.post('/storage/download', async (req, res) => {
+router.post('/storage/download', requireScope('gcp:storage'), async (req, res) => {
   try {
     const validatedData = downloadSchema.parse(req.body);
     const { fileName, bucket: bucketType } = validatedData;
 
     const bucketName = bucketType === 'artifacts' ? ARTIFACTS_BUCKET : STORAGE_BUCKET;
     const bucket = storage.bucket(bucketName);
-    const file = bucket.file(fileName);
+    const objectName = userObjectName(req.user.id, fileName);
+    const file = bucket.file(objectName);
 
     // Check if file exists
     const [exists] = await file.exists();
@@ -183,14 +191,15 @@ router.post('/storage/download', async (req, res) => {
  * DELETE /api/gcp/storage/delete
  * Delete files from Google Cloud Storage
  */
-router.delete('/storage/delete', async (req, res) => {
+router.delete('/storage/delete', requireScope('gcp:storage'), async (req, res) => {
   try {
     const validatedData = deleteSchema.parse(req.body);
     const { fileName, bucket: bucketType } = validatedData;
 
     const bucketName = bucketType === 'artifacts' ? ARTIFACTS_BUCKET : STORAGE_BUCKET;
     const bucket = storage.bucket(bucketName);
-    const file = bucket.file(fileName);
+    const objectName = userObjectName(req.user.id, fileName);
+    const file = bucket.file(objectName);
 
     // Check if file exists
     const [exists] = await file.exists();
@@ -237,7 +246,7 @@ router.delete('/storage/delete', async (req, res) => {
  * GET /api/gcp/storage/list
  * List files in Google Cloud Storage
  */
-router.get('/storage/list', async (req, res) => {
+router.get('/storage/list', requireScope('gcp:storage'), async (req, res) => {
   try {
     const validatedData = listSchema.parse(req.query);
     const { bucket: bucketType, prefix, maxResults } = validatedData;
@@ -246,13 +255,14 @@ router.get('/storage/list', async (req, res) => {
     const bucket = storage.bucket(bucketName);
 
     // List files
+    // Only ever list inside the caller's own namespace
     const [files] = await bucket.getFiles({
-      prefix: prefix,
+      prefix: userPrefix(req.user.id) + (prefix || ''),
       maxResults: maxResults
     });
 
     const fileList = files.map(file => ({
-      name: file.name,
+      name: relativeName(req.user.id, file.name),
       size: file.metadata.size,
       contentType: file.metadata.contentType,
       created: file.metadata.timeCreated,
@@ -295,7 +305,7 @@ router.get('/storage/list', async (req, res) => {
  * POST /api/gcp/speech-to-text
  * Speech recognition using Google Cloud Speech-to-Text
  */
-router.post('/speech-to-text', async (req, res) => {
+router.post('/speech-to-text', requireScope('gcp:speech'), requireGoodStanding, requireCredit, async (req, res) => {
   try {
     const validatedData = speechToTextSchema.parse(req.body);
     const { audioData, languageCode, sampleRateHertz, encoding, enableAutomaticPunctuation, model } = validatedData;
@@ -329,6 +339,12 @@ router.post('/speech-to-text', async (req, res) => {
     usageStats.speechMinutes += duration / 60;
     usageStats.requestsCount += 1;
     usageStats.costEstimate += (duration / 60) * 0.024; // $0.024 per minute
+    recordUsage(req.user?.id, {
+      service: 'gcp',
+      metric: 'speech_minutes',
+      quantity: duration / 60,
+      costEstimate: (duration / 60) * 0.024
+    });
 
     res.json({
       success: true,
@@ -364,7 +380,7 @@ router.post('/speech-to-text', async (req, res) => {
  * POST /api/gcp/translate
  * Text translation using Google Cloud Translation
  */
-router.post('/translate', async (req, res) => {
+router.post('/translate', requireScope('gcp:translate'), requireGoodStanding, requireCredit, async (req, res) => {
   try {
     const validatedData = gcpTranslateSchema.parse(req.body);
     const { text, target, source, format } = validatedData;
@@ -392,6 +408,12 @@ router.post('/translate', async (req, res) => {
     usageStats.translationCharacters += text.length;
     usageStats.requestsCount += 1;
     usageStats.costEstimate += (text.length / 1000000) * 20; // $20 per million characters
+    recordUsage(req.user?.id, {
+      service: 'gcp',
+      metric: 'translation_characters',
+      quantity: text.length,
+      costEstimate: (text.length / 1000000) * 20
+    });
 
     res.json({
       success: true,
@@ -424,7 +446,7 @@ router.post('/translate', async (req, res) => {
  * GET /api/gcp/test
  * Test GCP service connectivity
  */
-router.get('/test', async (req, res) => {
+router.get('/test', requireRole('support'), async (req, res) => {
   try {
     const testResults = {
       storage: false,
@@ -499,7 +521,7 @@ router.get('/test', async (req, res) => {
  * GET /api/gcp/usage
  * Get GCP usage statistics
  */
-router.get('/usage', (req, res) => {
+router.get('/usage', requireScope('usage:read'), (req, res) => {
   try {
     res.json({
       success: true,
@@ -521,8 +543,8 @@ router.get('/usage', (req, res) => {
   }
 });
 
-// Reset usage stats endpoint (for development/testing)
-router.post('/usage/reset', (req, res) => {
+// Reset usage stats endpoint (for development/testing, admin only)
+router.post('/usage/reset', requireRole('admin'), (req, res) => {
   usageStats = {
     storageOperations: 0,
     speechMinutes: 0,
@@ -3,46 +3,49 @@ const express = require("express");
 const router = express.Router();
 
 const {
-	format,
 	parseISO,
+	isValid,
 	isWithinInterval,
 	startOfDay,
 	endOfDay,
 } = require("date-fns");
-const PDFDocument = require("pdfkit");
 const archiver = require("archiver");
+const { getMembership } = require("../services/orgs");
+const { requireScope } = require("../middleware/auth");
+const { listInvoices, INVOICE_STATUSES } = require("../services/invoices");
+const { listCreditNotes, creditNotesFor } = require("../services/creditNotes");
+const { getBillingDetails } = require("../services/billingProfile");
+const { createInvoicePDF, writeInvoicePDF } = require("../services/invoicePdf");
+const { EXPORT_FORMATS, toExportDocument, toCsv } = require("../services/invoiceExport");
+
+// Drafts are still being put together (e.g. a renewal collecting usage)
+const issued = (p) => p.status !== "draft";
 
 /**
- * WHY demo data here:
- * - For now we're using in-memory demo payments so you can test the flows immediately.
- * - Later, replace with your real billing provider (Stripe, etc.) or your DB.
- * - We only return invoices for the authenticated user (req.user.id).
+ * Helper: invoice visibility. Org invoices (orgId set) are visible to the
+ * org's owners/admins; personal invoices only to their user.
  */
-const DEMO_PAYMENTS = [
-	{
-		id: "inv_1001",
-		userId: "u_1",
-		amount: 1499, // pennies
-		currency: "GBP",
-		status: "paid",
-		createdAt: "2025-08-01T10:12:00Z",
-		lineItems: [{ title: "Verblizr Pro — Monthly", qty: 1, unitAmount: 1499 }],
-	},
-	{
-		id: "inv_1002",
-		userId: "u_1",
-		amount: 1499,
-		currency: "GBP",
-		status: "paid",
-		createdAt: "2025-09-01T10:05:00Z",
-		lineItems: [{ title: "Verblizr Pro — Monthly", qty: 1, unitAmount: 1499 }],
-	},
-	// add more if you like
-];
-
-/** Helper: filter by current user and optional date range */
+function visibleTo(userId) {
+	const m = getMembership(userId);
+	const orgId = m && m.role !== "member" ? m.orgId : null;
+	return (p) => (p.orgId ? p.orgId === orgId : p.userId === userId);
+}
+
+/** Helper: a `from`/`to` query value is absent or a real YYYY-MM-DD date */
+function isDateParam(value) {
+	return (
+		value === undefined ||
+		(typeof value === "string" &&
+			/^\d{4}-\d{2}-\d{2}$/.test(value) &&
+			isValid(parseISO(value)))
+	);
+}
+
+const BAD_RANGE = { error: "from and to must be dates in the form YYYY-MM-DD" };
+
+/** Helper: filter by current user (or their org) and optional date range */
 function filterByUserAndDate(rows, userId, from, to) {
-	let filtered = rows.filter((p) => p.userId === userId);
+	let filtered = rows.filter(visibleTo(userId));
 
 	if (from || to) {
 		const fromDate = from ? startOfDay(parseISO(from)) : new Date("1970-01-01");
@@ -55,54 +58,34 @@ function filterByUserAndDate(rows, userId, from, to) {
 	return filtered.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)); // newest first
 }
 
-/** Helper: build one invoice PDF into a writable stream */
-function writeInvoicePDF(doc, inv, billedTo) {
-	// Header
-	doc.fontSize(20).text("Verblizr — Invoice", { align: "right" });
-	doc.moveDown(0.5);
-	doc.fontSize(10).text(`Invoice #: ${inv.id}`, { align: "right" });
-	doc.text(`Date: ${format(new Date(inv.createdAt), "yyyy-MM-dd")}`, {
-		align: "right",
-	});
-
-	// Billed to
-	doc.moveDown();
-	doc.fontSize(12).text("Billed To:");
-	if (billedTo?.name) doc.text(billedTo.name);
-	if (billedTo?.email) doc.text(billedTo.email);
-
-	// Lines
-	doc.moveDown();
-	doc.fontSize(12).text("Details:").moveDown(0.5);
-	inv.lineItems.forEach((li) => {
-		const lineTotal = li.qty * li.unitAmount;
-		doc.text(`${li.title} x ${li.qty}`);
-		doc.text(`£${(li.unitAmount / 100).toFixed(2)} each`, { align: "right" });
-		doc.text(`Line total: £${(lineTotal / 100).toFixed(2)}`, {
-			align: "right",
-		});
-		doc.moveDown(0.5);
-	});
-
-	// Total
-	doc.moveDown();
-	doc
-		.fontSize(14)
-		.text(`Total: £${(inv.amount / 100).toFixed(2)}`, { align: "right" });
-	doc.fontSize(10).text(`Status: ${inv.status}`, { align: "right" });
+/**
+ * Helper: who a document is made out to – the snapshot taken when it was
+ * numbered, or the account's current billing details for older rows
+ */
+function billedToFor(inv) {
+	if (inv.billedTo) return inv.billedTo;
+	return getBillingDetails(inv.orgId ? { orgId: inv.orgId } : { userId: inv.userId });
 }
 
 /**
  * GET /invoices
- * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&page=1&pageSize=20
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&status=paid&page=1&pageSize=20
  * Returns paginated list of invoices for the current user.
  */
-router.get("/invoices", (req, res) => {
-	const { from, to, page = 1, pageSize = 20 } = req.query;
+router.get("/invoices", requireScope("invoices:read"), (req, res) => {
+	const { from, to, status, page = 1, pageSize = 20 } = req.query;
 	const userId = req.user?.id;
 	if (!userId) return res.status(401).json({ message: "Unauthorized" });
+	if (status && (status === "draft" || !INVOICE_STATUSES.includes(status)))
+		return res.status(400).json({ error: "Unknown status" });
+	if (!isDateParam(from) || !isDateParam(to)) return res.status(400).json(BAD_RANGE);
 
-	const rows = filterByUserAndDate(DEMO_PAYMENTS, userId, from, to);
+	const rows = filterByUserAndDate(
+		listInvoices((p) => issued(p) && (!status || p.status === status)),
+		userId,
+		from,
+		to
+	);
 
 	const p = Math.max(1, parseInt(page, 10));
 	const ps = Math.max(1, Math.min(100, parseInt(pageSize, 10)));
@@ -111,10 +94,29 @@ router.get("/invoices", (req, res) => {
 
 	const items = rows.slice(start, end).map((x) => ({
 		id: x.id,
+		number: x.number,
+		subtotal: x.subtotal ?? x.amount,
+		discount: x.discount || null,
+		tax: x.tax?.amount ?? 0,
 		amount: x.amount,
 		currency: x.currency,
 		status: x.status,
+		source: x.source,
+		refundedAmount: x.refundedAmount,
+		refundStatus: !x.refundedAmount
+			? "none"
+			: x.refundedAmount < x.amount
+				? "partial"
+				: "full",
+		creditNotes: creditNotesFor(x.id).map((n) => ({
+			id: n.id,
+			number: n.number,
+			amount: n.amount,
+			status: n.status,
+			createdAt: n.createdAt,
+		})),
 		createdAt: x.createdAt,
+		paidAt: x.paidAt,
 	}));
 
 	res.json({
@@ -129,80 +131,129 @@ router.get("/invoices", (req, res) => {
  * GET /invoices/:id/pdf
  * Returns a single invoice as a PDF attachment.
  */
-router.get("/invoices/:id/pdf", (req, res) => {
+router.get("/invoices/:id/pdf", requireScope("invoices:read"), (req, res) => {
 	const userId = req.user?.id;
 	if (!userId) return res.status(401).json({ message: "Unauthorized" });
 
-	const inv = DEMO_PAYMENTS.find(
-		(p) => p.id === req.params.id && p.userId === userId
-	);
+	const canSee = visibleTo(userId);
+	const inv = listInvoices(
+		(p) => p.id === req.params.id && issued(p) && canSee(p)
+	)[0];
 	if (!inv) return res.status(404).json({ error: "Invoice not found" });
 
 	res.setHeader("Content-Type", "application/pdf");
-	res.setHeader("Content-Disposition", `attachment; filename=${inv.id}.pdf`);
+	res.setHeader("Content-Disposition", `attachment; filename=${inv.number || inv.id}.pdf`);
 
-	const doc = new PDFDocument({ size: "A4", margin: 50 });
+	const doc = createInvoicePDF();
 	doc.pipe(res);
 
-	const billedTo = {
-		name: req.user?.name || "Customer",
-		email: req.user?.email,
-	};
-	writeInvoicePDF(doc, inv, billedTo);
+	writeInvoicePDF(doc, inv, billedToFor(inv));
 
 	doc.end();
 });
 
 /**
- * GET /invoices/export?from=YYYY-MM-DD&to=YYYY-MM-DD
- * Streams a ZIP of PDFs for all invoices in the given range (or all).
+ * GET /invoices/credit-notes/:id/pdf
+ * Returns a credit note (refund against an invoice) as a PDF attachment.
  */
-router.get("/invoices/export", async (req, res) => {
-	const { from, to } = req.query;
-	const userId = req.user?.id;
-	if (!userId) return res.status(401).json({ message: "Unauthorized" });
+router.get(
+	"/invoices/credit-notes/:id/pdf",
+	requireScope("invoices:read"),
+	(req, res) => {
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ message: "Unauthorized" });
 
-	const all = filterByUserAndDate(DEMO_PAYMENTS, userId, from, to).sort(
-		(a, b) => new Date(a.createdAt) - new Date(b.createdAt) // oldest first in ZIP
-	);
+		const canSee = visibleTo(userId);
+		const cn = listCreditNotes((n) => n.id === req.params.id && canSee(n))[0];
+		if (!cn) return res.status(404).json({ error: "Credit note not found" });
 
-	if (!all.length)
-		return res.status(404).json({ error: "No invoices in that range" });
+		res.setHeader("Content-Type", "application/pdf");
+		res.setHeader("Content-Disposition", `attachment; filename=${cn.number}.pdf`);
 
-	res.setHeader("Content-Type", "application/zip");
-	res.setHeader(
-		"Content-Disposition",
-		`attachment; filename=invoices_${from || "all"}_${to || "all"}.zip`
-	);
+		const doc = createInvoicePDF();
+		doc.pipe(res);
+		writeInvoicePDF(doc, cn, billedToFor(cn));
+		doc.end();
+	}
+);
 
-	const archive = archiver("zip", { zlib: { level: 9 } });
-	archive.on("error", (err) => {
-		console.error("[invoices/export] archive error", err);
-		if (!res.headersSent) res.status(500).end("Archive error");
-	});
-	archive.pipe(res);
-
-	// Build each PDF and append to the ZIP
-	for (const inv of all) {
-		const pdfStream = new PDFDocument({ size: "A4", margin: 50 });
-		const chunks = [];
-		pdfStream.on("data", (chunk) => chunks.push(chunk));
-
-		await new Promise((resolve) => {
-			pdfStream.on("end", resolve);
-
-			const billedTo = {
-				name: req.user?.name || "Customer",
-				email: req.user?.email,
-			};
-			writeInvoicePDF(pdfStream, inv, billedTo);
-			pdfStream.end();
+/**
+ * GET /invoices/export?from=YYYY-MM-DD&to=YYYY-MM-DD&format=pdf|json|csv|xero|quickbooks
+ * All invoices (and credit notes) in the given range (or all): a ZIP of PDFs by
+ * default, or a JSON/CSV file for bookkeeping (see services/invoiceExport.js).
+ */
+router.get("/invoices/export", requireScope("invoices:read"), async (req, res) => {
+	try {
+		const { from, to, format = "pdf" } = req.query;
+		const userId = req.user?.id;
+		if (!userId) return res.status(401).json({ message: "Unauthorized" });
+		if (!EXPORT_FORMATS.includes(format))
+			return res.status(400).json({ error: "Unknown format" });
+		// Both end up in the Content-Disposition filename
+		if (!isDateParam(from) || !isDateParam(to)) return res.status(400).json(BAD_RANGE);
+
+		const all = [
+			...filterByUserAndDate(listInvoices(issued), userId, from, to),
+			...filterByUserAndDate(listCreditNotes(), userId, from, to),
+		].sort(
+			(a, b) => new Date(a.createdAt) - new Date(b.createdAt) // oldest first
+		);
+
+		if (!all.length)
+			return res.status(404).json({ error: "No invoices in that range" });
+
+		const filename = `invoices_${from || "all"}_${to || "all"}`;
+		if (format === "json") {
+			res.setHeader("Content-Disposition", `attachment; filename=${filename}.json`);
+			return res.json({
+				from: from || null,
+				to: to || null,
+				documents: all.map((doc) => toExportDocument({ ...doc, billedTo: billedToFor(doc) })),
+			});
+		}
+		if (format !== "pdf") {
+			const suffix = format === "csv" ? "" : `_${format}`;
+			res.setHeader("Content-Type", "text/csv; charset=utf-8");
+			res.setHeader("Content-Disposition", `attachment; filename=${filename}${suffix}.csv`);
+			// The BOM makes Excel read the file as UTF-8
+			return res.send(
+				"\ufeff" + toCsv(format, all.map((doc) => ({ ...doc, billedTo: billedToFor(doc) })))
+			);
+		}
+
+		res.setHeader("Content-Type", "application/zip");
+		res.setHeader("Content-Disposition", `attachment; filename=${filename}.zip`);
+
+		const archive = archiver("zip", { zlib: { level: 9 } });
+		archive.on("error", (err) => {
+			console.error("[invoices/export] archive error", err);
+			if (!res.headersSent) res.status(500).end("Archive error");
 		});
+		archive.pipe(res);
 
-		archive.append(Buffer.concat(chunks), { name: `${inv.id}.pdf` });
-	}
+		// Build each PDF and append to the ZIP
+		for (const inv of all) {
+			const pdfStream = createInvoicePDF();
+			const chunks = [];
+			pdfStream.on("data", (chunk) => chunks.push(chunk));
 
-	archive.finalize();
+			await new Promise((resolve) => {
+				pdfStream.on("end", resolve);
+
+				writeInvoicePDF(pdfStream, inv, billedToFor(inv));
+				pdfStream.end();
+			});
+
+			archive.append(Buffer.concat(chunks), { name: `${inv.number || inv.id}.pdf` });
+		}
+
+		archive.finalize();
+	} catch (e) {
+		console.error("[invoices/export] error:", e.message);
+		// Mid-ZIP there's no status left to send; cut the download short instead
+		if (res.headersSent) res.destroy(e);
+		else res.status(500).json({ error: "Export failed" });
+	}
 });
 
 module.exports = router;
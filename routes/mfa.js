@@ -0,0 +1,161 @@
+// routes/mfa.js
+const express = require("express");
+const { z } = require("zod");
+const {
+	findUserById,
+	setMfaState,
+	verifyPassword,
+} = require("../services/users");
+const {
+	generateSecret,
+	otpauthUri,
+	verifyTotp,
+	generateRecoveryCodes,
+	verifySecondFactor,
+} = require("../services/mfa");
+const { recordAuditEvent } = require("../services/audit");
+
+const router = express.Router();
+
+/**
+ * TOTP two-factor enrolment for the signed-in user.
+ * Mounted at /auth/mfa and /api/auth/mfa behind requireAuth().
+ *
+ * Flow: enroll (password) -> scan otpauth URI -> verify (code) -> recovery codes.
+ * The second login step itself lives next to loginHandler in index.js.
+ */
+
+const enrollSchema = z.object({
+	password: z.string().min(8),
+});
+
+const codeSchema = z.object({
+	code: z.string().min(6),
+});
+
+const disableSchema = z.object({
+	password: z.string().min(8),
+	code: z.string().min(6),
+});
+
+function loadUser(req, res) {
+	const user = findUserById(req.user.id);
+	if (!user) res.status(404).json({ message: "User not found" });
+	return user;
+}
+
+// GET /mfa – current status (never returns the secret)
+router.get("/", (req, res) => {
+	const user = loadUser(req, res);
+	if (!user) return;
+
+	res.json({
+		enabled: !!user.mfa?.enabled,
+		pending: !!user.mfa?.pendingSecret,
+		enabledAt: user.mfa?.enabledAt || null,
+		recoveryCodesRemaining: user.mfa?.recoveryCodeHashes?.length || 0,
+	});
+});
+
+// POST /mfa/enroll – start enrolment, returns the secret + otpauth:// URI
+router.post("/enroll", (req, res) => {
+	const parsed = enrollSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const user = loadUser(req, res);
+	if (!user) return;
+
+	if (!verifyPassword(user, parsed.data.password))
+		return res.status(400).json({ message: "Password is incorrect" });
+	if (user.mfa?.enabled)
+		return res
+			.status(409)
+			.json({ message: "Two-factor authentication is already enabled" });
+
+	const secret = generateSecret();
+	setMfaState(user.id, { enabled: false, pendingSecret: secret });
+
+	res.json({ secret, otpauthUri: otpauthUri(secret, user.email) });
+});
+
+// POST /mfa/verify – confirm the authenticator app, turns 2FA on
+router.post("/verify", (req, res) => {
+	const parsed = codeSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const user = loadUser(req, res);
+	if (!user) return;
+
+	const pending = user.mfa?.pendingSecret;
+	if (!pending)
+		return res.status(400).json({ message: "No enrolment in progress" });
+
+	const step = verifyTotp(pending, parsed.data.code);
+	if (step == null)
+		return res.status(400).json({ message: "Invalid verification code" });
+
+	const { codes, hashes } = generateRecoveryCodes();
+	setMfaState(user.id, {
+		enabled: true,
+		secret: pending,
+		pendingSecret: null,
+		recoveryCodeHashes: hashes,
+		lastUsedStep: step,
+		enabledAt: new Date().toISOString(),
+	});
+	recordAuditEvent("auth.mfa_enabled", { userId: user.id, ip: req.ip });
+
+	// Recovery codes are only ever shown here (and on regeneration)
+	res.json({ enabled: true, recoveryCodes: codes });
+});
+
+// POST /mfa/recovery-codes – replace recovery codes (needs a current code)
+router.post("/recovery-codes", (req, res) => {
+	const parsed = codeSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const user = loadUser(req, res);
+	if (!user) return;
+
+	const next = verifySecondFactor(user.mfa, parsed.data.code);
+	if (!next)
+		return res.status(400).json({ message: "Invalid verification code" });
+
+	const { codes, hashes } = generateRecoveryCodes();
+	setMfaState(user.id, { ...next, recoveryCodeHashes: hashes });
+	recordAuditEvent("auth.mfa_recovery_codes_regenerated", {
+		userId: user.id,
+		ip: req.ip,
+	});
+
+	res.json({ recoveryCodes: codes });
+});
+
+// POST /mfa/disable – needs both the password and a current code
+router.post("/disable", (req, res) => {
+	const parsed = disableSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const user = loadUser(req, res);
+	if (!user) return;
+
+	if (!user.mfa?.enabled)
+		return res
+			.status(400)
+			.json({ message: "Two-factor authentication is not enabled" });
+	if (!verifyPassword(user, parsed.data.password))
+		return res.status(400).json({ message: "Password is incorrect" });
+	if (!verifySecondFactor(user.mfa, parsed.data.code))
+		return res.status(400).json({ message: "Invalid verification code" });
+
+	setMfaState(user.id, { enabled: false });
+	recordAuditEvent("auth.mfa_disabled", { userId: user.id, ip: req.ip });
+
+	res.json({ enabled: false });
+});
+
+module.exports = router;
@@ -1,5 +1,9 @@
 const express = require('express');
 const { z } = require('zod');
+const { requireRole, requireScope } = require('../middleware/auth');
+const { recordUsage } = require('../services/usage');
+const { requireCredit } = require('../middleware/wallet');
+const { requireGoodStanding } = require('../middleware/dunning');
 const router = express.Router();
 
 const OpenAI = require('openai');
@@ -51,7 +55,7 @@ let usageStats = {
  * POST /api/openai/transcribe
  * Audio transcription using Whisper
  */
-router.post('/transcribe', async (req, res) => {
+router.post('/transcribe', requireScope('openai:transcribe'), requireGoodStanding, requireCredit, async (req, res) => {
   try {
     const validatedData = transcribeSchema.parse(req.body);
     const { audioData, language, model, prompt, response_format, temperature } = validatedData;
@@ -83,6 +87,12 @@ router.post('/transcribe', async (req, res) => {
     usageStats.transcriptionMinutes += estimatedDuration / 60;
     usageStats.requestsCount += 1;
     usageStats.costEstimate += (estimatedDuration / 60) * 0.006; // $0.006 per minute
+    recordUsage(req.user?.id, {
+      service: 'openai',
+      metric: 'whisper_minutes',
+      quantity: estimatedDuration / 60,
+      costEstimate: (estimatedDuration / 60) * 0.006
+    });
 
     res.json({
       success: true,
@@ -114,7 +124,7 @@ router.post('/transcribe', async (req, res) => {
  * POST /api/openai/translate
  * Text translation using GPT models
  */
-router.post('/translate', async (req, res) => {
+router.post('/translate', requireScope('openai:translate'), requireGoodStanding, requireCredit, async (req, res) => {
   try {
     const validatedData = translateSchema.parse(req.body);
     const { text, target_language, source_language, model } = validatedData;
@@ -148,6 +158,13 @@ router.post('/translate', async (req, res) => {
     usageStats.chatTokens += completion.usage.total_tokens;
     usageStats.requestsCount += 1;
     usageStats.costEstimate += completion.usage.total_tokens * 0.00002; // Approximate cost per token
+    // Billed by the tokens the model used, like the cost
+    recordUsage(req.user?.id, {
+      service: 'openai',
+      metric: 'translation_tokens',
+      quantity: completion.usage.total_tokens,
+      costEstimate: completion.usage.total_tokens * 0.00002
+    });
 
     res.json({
       success: true,
@@ -187,7 +204,7 @@ router.post('/translate', async (req, res) => {
  * POST /api/openai/chat
  * Chat completion using GPT models
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', requireScope('openai:chat'), requireGoodStanding, requireCredit, async (req, res) => {
   try {
     const validatedData = chatSchema.parse(req.body);
     const { messages, model, temperature, max_tokens, stream } = validatedData;
@@ -207,6 +224,7 @@ router.post('/chat', async (req, res) => {
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
       
+      let streamedTokens = 0;
       for await (const chunk of completion) {
         const data = JSON.stringify(chunk);
         res.write(`data: ${data}\n\n`);
@@ -214,6 +232,7 @@ router.post('/chat', async (req, res) => {
         // Update usage stats for streaming (approximate)
         if (chunk.choices[0]?.delta?.content) {
           usageStats.chatTokens += 1; // Rough estimate
+          streamedTokens += 1;
         }
       }
       
@@ -221,11 +240,23 @@ router.post('/chat', async (req, res) => {
       res.end();
       
       usageStats.requestsCount += 1;
+      recordUsage(req.user?.id, {
+        service: 'openai',
+        metric: 'chat_tokens',
+        quantity: streamedTokens,
+        costEstimate: streamedTokens * 0.00002
+      });
     } else {
       // Update usage stats
       usageStats.chatTokens += completion.usage.total_tokens;
       usageStats.requestsCount += 1;
       usageStats.costEstimate += completion.usage.total_tokens * 0.00002; // Approximate cost per token
+      recordUsage(req.user?.id, {
+        service: 'openai',
+        metric: 'chat_tokens',
+        quantity: completion.usage.total_tokens,
+        costEstimate: completion.usage.total_tokens * 0.00002
+      });
 
       res.json({
         success: true,
@@ -255,7 +286,7 @@ router.post('/chat', async (req, res) => {
  * GET /api/openai/test
  * Test OpenAI service connectivity
  */
-router.get('/test', async (req, res) => {
+router.get('/test', requireRole('support'), async (req, res) => {
   try {
     const testResults = {
       whisper: false,
@@ -321,7 +352,7 @@ router.get('/test', async (req, res) => {
  * GET /api/openai/usage
  * Get OpenAI usage statistics
  */
-router.get('/usage', (req, res) => {
+router.get('/usage', requireScope('usage:read'), (req, res) => {
   try {
     res.json({
       success: true,
@@ -343,8 +374,8 @@ router.get('/usage', (req, res) => {
   }
 });
 
-// Reset usage stats endpoint (for development/testing)
-router.post('/usage/reset', (req, res) => {
+// Reset usage stats endpoint (for development/testing, admin only)
+router.post('/usage/reset', requireRole('admin'), (req, res) => {
   usageStats = {
     transcriptionMinutes: 0,
     translationCharacters: 0,
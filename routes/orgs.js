@@ -0,0 +1,358 @@
+// routes/orgs.js
+const express = require("express");
+const { z } = require("zod");
+const {
+	getOrg,
+	updateOrg,
+	getMembership,
+	listMembers,
+	createOrg,
+	setMemberRole,
+	removeMember,
+	createInvitation,
+	listInvitations,
+	revokeInvitation,
+	acceptInvitation,
+} = require("../services/orgs");
+const {
+	findUserById,
+	findStripeCustomerId,
+	toPublicUser,
+} = require("../services/users");
+const { findLiveSubscription } = require("../services/subscriptions");
+const { summarizeUsage } = require("../services/usage");
+const { sendOrgInvitationEmail } = require("../services/mailer");
+const { recordAuditEvent } = require("../services/audit");
+const { syncStripeCustomer } = require("../services/billingProfile");
+const {
+	LOGO_MAX_BYTES,
+	getInvoiceBranding,
+	parseLogo,
+	setInvoiceBranding,
+	deleteInvoiceBranding,
+	toBrandingView,
+} = require("../services/invoicePdf");
+
+const router = express.Router();
+
+/**
+ * Organisation (agency) accounts. Mounted at /api/orgs behind requireAuth().
+ * Billing for members is resolved through the org – see
+ * getOrCreateStripeCustomerId in services/users.js.
+ */
+
+const createSchema = z.object({
+	name: z.string().min(1).max(120),
+});
+
+const inviteSchema = z.object({
+	email: z.string().email(),
+	role: z.enum(["member", "admin"]).optional().default("member"),
+});
+
+const memberRoleSchema = z.object({
+	role: z.enum(["member", "admin"]),
+});
+
+const acceptSchema = z.object({
+	token: z.string().min(1),
+});
+
+// null clears an override; the logo is a data: URL (PNG or JPEG)
+const brandingSchema = z
+	.object({
+		brandName: z.string().trim().min(1).max(80).nullable().optional(),
+		accentColor: z
+			.string()
+			.regex(/^#[0-9a-fA-F]{6}$/)
+			.nullable()
+			.optional(),
+		logo: z.string().max(400000).nullable().optional(),
+		footerNote: z.string().trim().min(1).max(300).nullable().optional(),
+	})
+	.strict();
+
+/**
+ * Resolve :orgId and make sure the caller belongs to it.
+ * `manage: true` additionally requires the owner/admin member role.
+ */
+function orgAccess({ manage = false } = {}) {
+	return (req, res, next) => {
+		const membership = getMembership(req.user.id);
+		if (!membership || membership.orgId !== req.params.orgId)
+			return res.status(404).json({ message: "Organisation not found" });
+		if (manage && membership.role === "member")
+			return res
+				.status(403)
+				.json({ message: "Only organisation owners and admins can do that" });
+
+		req.org = getOrg(membership.orgId);
+		req.membership = membership;
+		next();
+	};
+}
+
+function memberView(m) {
+	const u = findUserById(m.userId);
+	return {
+		userId: m.userId,
+		role: m.role,
+		joinedAt: m.joinedAt,
+		email: u?.email || null,
+		name: u ? toPublicUser(u).name : null,
+	};
+}
+
+/**
+ * Once in an org the user is billed through it, and /api/billing no longer
+ * reaches their own customer – a personal subscription would keep renewing
+ * with no way to manage it, so it has to end first.
+ */
+async function hasPersonalSubscription(userId) {
+	const customerId = await findStripeCustomerId(userId);
+	return !!customerId && !!findLiveSubscription(customerId);
+}
+
+const PERSONAL_SUBSCRIPTION_MESSAGE =
+	"Cancel your personal subscription before joining an organisation";
+
+// POST /api/orgs – create an org; the caller becomes its owner
+router.post("/", async (req, res) => {
+	try {
+		const parsed = createSchema.safeParse(req.body);
+		if (!parsed.success)
+			return res.status(400).json({ message: "Invalid payload" });
+
+		if (getMembership(req.user.id))
+			return res
+				.status(409)
+				.json({ message: "You already belong to an organisation" });
+		if (await hasPersonalSubscription(req.user.id))
+			return res.status(409).json({
+				message: PERSONAL_SUBSCRIPTION_MESSAGE,
+				code: "personal_subscription",
+			});
+
+		const org = createOrg({ name: parsed.data.name, ownerId: req.user.id });
+		res.status(201).json({ org, role: "owner" });
+	} catch (e) {
+		console.error("[orgs] create error:", e.message);
+		res.status(500).json({ message: "Failed to create organisation" });
+	}
+});
+
+// GET /api/orgs/current – the caller's org and their role in it
+router.get("/current", (req, res) => {
+	const membership = getMembership(req.user.id);
+	if (!membership) return res.json({ org: null, role: null });
+
+	res.json({ org: getOrg(membership.orgId), role: membership.role });
+});
+
+// POST /api/orgs/invitations/accept – join via an emailed invitation
+router.post("/invitations/accept", async (req, res) => {
+	try {
+		const parsed = acceptSchema.safeParse(req.body);
+		if (!parsed.success)
+			return res.status(400).json({ message: "Invalid payload" });
+
+		const user = findUserById(req.user.id);
+		if (!user) return res.status(404).json({ message: "User not found" });
+		if (!getMembership(user.id) && (await hasPersonalSubscription(user.id)))
+			return res.status(409).json({
+				message: PERSONAL_SUBSCRIPTION_MESSAGE,
+				code: "personal_subscription",
+			});
+
+		const result = acceptInvitation(parsed.data.token, user);
+		if (result.error === "already_member")
+			return res
+				.status(409)
+				.json({ message: "You already belong to an organisation" });
+		if (result.error === "email_mismatch")
+			return res.status(403).json({
+				message: "This invitation was sent to a different email address",
+			});
+		if (result.error)
+			return res
+				.status(400)
+				.json({ message: "Invitation is invalid or has expired" });
+
+		const org = getOrg(result.membership.orgId);
+		recordAuditEvent("org.member_joined", {
+			userId: user.id,
+			ip: req.ip,
+			orgId: org.id,
+			role: result.membership.role,
+		});
+		res.json({ org, role: result.membership.role });
+	} catch (e) {
+		console.error("[orgs] accept invitation error:", e.message);
+		res.status(500).json({ message: "Failed to accept invitation" });
+	}
+});
+
+// PATCH /api/orgs/:orgId – rename
+router.patch("/:orgId", orgAccess({ manage: true }), (req, res) => {
+	const parsed = createSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const org = updateOrg(req.org.id, { name: parsed.data.name });
+	// The org name is what its invoices are made out to
+	if (org.stripeCustomerId)
+		syncStripeCustomer({ orgId: org.id }, org.stripeCustomerId).catch((e) =>
+			console.error("[billing] billing details sync failed:", e.message)
+		);
+	res.json({ org });
+});
+
+// GET /api/orgs/:orgId/members
+router.get("/:orgId/members", orgAccess(), (req, res) => {
+	res.json({ members: listMembers(req.org.id).map(memberView) });
+});
+
+// PATCH /api/orgs/:orgId/members/:userId – promote/demote (owner can't change)
+router.patch(
+	"/:orgId/members/:userId",
+	orgAccess({ manage: true }),
+	(req, res) => {
+		const parsed = memberRoleSchema.safeParse(req.body);
+		if (!parsed.success)
+			return res.status(400).json({ message: "Invalid payload" });
+
+		const target = getMembership(req.params.userId);
+		if (!target || target.orgId !== req.org.id)
+			return res.status(404).json({ message: "Member not found" });
+		if (target.role === "owner")
+			return res
+				.status(400)
+				.json({ message: "The owner's role can't be changed" });
+
+		const updated = setMemberRole(req.org.id, target.userId, parsed.data.role);
+		res.json({ member: memberView(updated) });
+	}
+);
+
+// DELETE /api/orgs/:orgId/members/:userId – remove a member, or leave yourself
+router.delete("/:orgId/members/:userId", orgAccess(), (req, res) => {
+	const leaving = req.params.userId === req.user.id;
+	if (!leaving && req.membership.role === "member")
+		return res
+			.status(403)
+			.json({ message: "Only organisation owners and admins can do that" });
+
+	const target = getMembership(req.params.userId);
+	if (!target || target.orgId !== req.org.id)
+		return res.status(404).json({ message: "Member not found" });
+	if (target.role === "owner")
+		return res
+			.status(400)
+			.json({ message: "The owner can't leave or be removed" });
+
+	removeMember(req.org.id, target.userId);
+	recordAuditEvent("org.member_removed", {
+		userId: target.userId,
+		ip: req.ip,
+		orgId: req.org.id,
+		by: req.user.id,
+	});
+	res.json({ ok: true });
+});
+
+// GET /api/orgs/:orgId/invitations – open invitations
+router.get("/:orgId/invitations", orgAccess({ manage: true }), (req, res) => {
+	const items = listInvitations(req.org.id).map(({ tokenHash, ...inv }) => inv);
+	res.json({ invitations: items });
+});
+
+// POST /api/orgs/:orgId/invitations – invite by email
+router.post("/:orgId/invitations", orgAccess({ manage: true }), (req, res) => {
+	const parsed = inviteSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const { invitation, token } = createInvitation({
+		orgId: req.org.id,
+		email: parsed.data.email,
+		role: parsed.data.role,
+		invitedBy: req.user.id,
+	});
+
+	sendOrgInvitationEmail({
+		email: invitation.email,
+		org: req.org,
+		inviter: findUserById(req.user.id),
+		token,
+	}).catch((e) => console.error("[mail] invitation email failed:", e.message));
+
+	const { tokenHash, ...safe } = invitation;
+	res.status(201).json({ invitation: safe });
+});
+
+// DELETE /api/orgs/:orgId/invitations/:invitationId
+router.delete(
+	"/:orgId/invitations/:invitationId",
+	orgAccess({ manage: true }),
+	(req, res) => {
+		const revoked = revokeInvitation(req.org.id, req.params.invitationId);
+		if (!revoked)
+			return res.status(404).json({ message: "Invitation not found" });
+		res.json({ ok: true });
+	}
+);
+
+// GET /api/orgs/:orgId/usage?from=&to= – members' usage rolled up to the org
+router.get("/:orgId/usage", orgAccess({ manage: true }), (req, res) => {
+	const { from, to } = req.query;
+	res.json({
+		orgId: req.org.id,
+		...summarizeUsage({ orgId: req.org.id, from, to }),
+	});
+});
+
+// GET /api/orgs/:orgId/invoice-branding – overrides used on the org's invoice PDFs
+router.get("/:orgId/invoice-branding", orgAccess({ manage: true }), (req, res) => {
+	res.json({ branding: toBrandingView(getInvoiceBranding(req.org.id)) });
+});
+
+// PUT /api/orgs/:orgId/invoice-branding – set overrides (omitted fields are kept)
+router.put("/:orgId/invoice-branding", orgAccess({ manage: true }), (req, res) => {
+	const parsed = brandingSchema.safeParse(req.body);
+	if (!parsed.success)
+		return res.status(400).json({ message: "Invalid payload" });
+
+	const { logo, ...patch } = parsed.data;
+	if (logo === null) Object.assign(patch, { logo: null, logoType: null });
+	else if (logo !== undefined) {
+		const parsedLogo = parseLogo(logo);
+		if (!parsedLogo)
+			return res.status(400).json({
+				message: `The logo must be a PNG or JPEG data URL of at most ${LOGO_MAX_BYTES / 1024} KB`,
+			});
+		Object.assign(patch, parsedLogo);
+	}
+
+	const branding = setInvoiceBranding(req.org.id, patch);
+	recordAuditEvent("org.invoice_branding_updated", {
+		userId: req.user.id,
+		ip: req.ip,
+		orgId: req.org.id,
+		fields: Object.keys(parsed.data),
+	});
+	res.json({ branding: toBrandingView(branding) });
+});
+
+// DELETE /api/orgs/:orgId/invoice-branding – back to the default template
+router.delete("/:orgId/invoice-branding", orgAccess({ manage: true }), (req, res) => {
+	deleteInvoiceBranding(req.org.id);
+	recordAuditEvent("org.invoice_branding_updated", {
+		userId: req.user.id,
+		ip: req.ip,
+		orgId: req.org.id,
+		fields: ["reset"],
+	});
+	res.json({ ok: true });
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const { z } = require('zod');
 const textToSpeech = require('@google-cloud/text-to-speech');
+const { requireRole, requireScope } = require('../middleware/auth');
+const { recordUsage } = require('../services/usage');
+const { requireCredit } = require('../middleware/wallet');
+const { requireGoodStanding } = require('../middleware/dunning');
 const router = express.Router();
 
 // Initialize Google Cloud TTS client
@@ -32,7 +36,7 @@ let usageStats = {
  * POST /api/tts/synthesize
  * Synthesize speech using Google Cloud TTS
  */
-router.post('/synthesize', async (req, res) => {
+router.post('/synthesize', requireScope('tts:synthesize'), requireGoodStanding, requireCredit, async (req, res) => {
   try {
     const validatedData = synthesizeSchema.parse(req.body);
     const { text, languageCode, voiceName, speakingRate, pitch, audioEncoding } = validatedData;
@@ -62,6 +66,12 @@ router.post('/synthesize', async (req, res) => {
     usageStats.charactersUsed += text.length;
     usageStats.requestsCount += 1;
     usageStats.costEstimate += text.length * 0.000016; // Approximate cost per character
+    recordUsage(req.user?.id, {
+      service: 'tts',
+      metric: 'tts_characters',
+      quantity: text.length,
+      costEstimate: text.length * 0.000016
+    });
 
     // Convert audio content to base64
     const audioBase64 = Buffer.from(response.audioContent).toString('base64');
@@ -103,7 +113,7 @@ router.post('/synthesize', async (req, res) => {
  * GET /api/tts/voices
  * Get available voices for a language
  */
-router.get('/voices', async (req, res) => {
+router.get('/voices', requireScope('tts:read'), async (req, res) => {
   try {
     const { languageCode } = voicesSchema.parse(req.query);
 
@@ -149,7 +159,7 @@ router.get('/voices', async (req, res) => {
  * GET /api/tts/test
  * Test TTS service connectivity
  */
-router.get('/test', async (req, res) => {
+router.get('/test', requireRole('support'), async (req, res) => {
   try {
     // Test Google Cloud TTS with a simple request
     const testRequest = {
@@ -201,7 +211,7 @@ router.get('/test', async (req, res) => {
  * GET /api/tts/usage
  * Get TTS usage statistics
  */
-router.get('/usage', (req, res) => {
+router.get('/usage', requireScope('usage:read'), (req, res) => {
   try {
     res.json({
       success: true,
@@ -218,8 +228,8 @@ router.get('/usage', (req, res) => {
   }
 });
 
-// Reset usage stats endpoint (for development/testing)
-router.post('/usage/reset', (req, res) => {
+// Reset usage stats endpoint (for development/testing, admin only)
+router.post('/usage/reset', requireRole('admin'), (req, res) => {
   usageStats = {
     charactersUsed: 0,
     requestsCount: 0,
@@ -0,0 +1,51 @@
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Stripe from "stripe";
+
+/**
+ * Sign a fixture event with STRIPE_WEBHOOK_SECRET and POST it to the local
+ * webhook, the same way Stripe would.
+ *
+ *   node scripts/stripe-webhook-fixture.mjs payment_intent.succeeded
+ *   node scripts/stripe-webhook-fixture.mjs ./my-event.json --new-id
+ *
+ * Fixtures keep their event id, so sending one twice exercises the duplicate
+ * check; --new-id gives the event a fresh id instead.
+ */
+const here = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+const name = args.find((a) => !a.startsWith("--"));
+const newId = args.includes("--new-id");
+const url =
+	process.env.WEBHOOK_URL ||
+	`http://localhost:${process.env.PORT || 4000}/api/billing/webhook`;
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+async function main() {
+	if (!name) throw new Error("Usage: stripe-webhook-fixture.mjs <fixture|file.json> [--new-id]");
+	if (!secret) throw new Error("STRIPE_WEBHOOK_SECRET is not set");
+
+	const file = name.endsWith(".json")
+		? path.resolve(name)
+		: path.join(here, "fixtures", "stripe", `${name}.json`);
+	const event = JSON.parse(fs.readFileSync(file, "utf8"));
+	if (newId) event.id = `evt_local_${Date.now()}`;
+
+	const payload = JSON.stringify(event);
+	const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+	const res = await fetch(url, {
+		method: "POST",
+		headers: { "Content-Type": "application/json", "Stripe-Signature": signature },
+		body: payload,
+	});
+	console.log(`${event.type} (${event.id}) -> ${res.status}`, await res.text());
+	if (!res.ok) process.exitCode = 1;
+}
+
+main().catch((err) => {
+	console.error("❌ webhook fixture failed:", err?.message || err);
+	process.exit(1);
+});
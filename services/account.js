@@ -0,0 +1,153 @@
+// services/account.js
+const {
+	findStripeCustomerId,
+	detachPaymentMethods,
+	deleteUser,
+	toPublicUser,
+} = require("./users");
+const { getMembership, getOrg, listMembers, removeMember, deleteOrg } = require("./orgs");
+const { listInvoices, anonymizeUserInvoices } = require("./invoices");
+const { listCreditNotes, anonymizeUserCreditNotes } = require("./creditNotes");
+const { listUsage, anonymizeUsage } = require("./usage");
+const { listApiKeys, revokeApiKeysForUser } = require("./apiKeys");
+const { listAuditEvents, recordAuditEvent } = require("./audit");
+const { revokeAllForUser } = require("./tokens");
+const { deleteUserFiles } = require("./userFiles");
+const { deleteBillingProfile } = require("./billingProfile");
+const { deleteDunningCase } = require("./dunning");
+const { deleteInvoiceBranding } = require("./invoicePdf");
+const { listUserRedemptions, anonymizeUserRedemptions } = require("./promotions");
+const { getWallet, toWalletView, listLedger, closeUserWallet } = require("./wallet");
+const {
+	listUserPendingPayments,
+	anonymizeUserPendingPayments,
+} = require("./pendingPayments");
+const { LIVE_STATUSES, listSubscriptions, syncSubscription } = require("./subscriptions");
+const { stripe } = require("./stripeClient");
+
+/**
+ * GDPR: everything we hold about an account (export) and the erasure flow.
+ * The HTTP side lives in routes/account.js.
+ */
+
+/** JSON documents for the export ZIP (GCS files are streamed separately) */
+function collectAccountData(user) {
+	const membership = getMembership(user.id);
+	const org = membership ? getOrg(membership.orgId) : null;
+	const wallet = getWallet({ userId: user.id });
+
+	return {
+		"profile.json": {
+			...toPublicUser(user),
+			createdAt: user.createdAt,
+			updatedAt: user.updatedAt,
+			organisation: org
+				? { id: org.id, name: org.name, role: membership.role, joinedAt: membership.joinedAt }
+				: null,
+		},
+		"invoices.json": listInvoices((inv) => inv.userId === user.id),
+		"credit-notes.json": listCreditNotes((n) => n.userId === user.id),
+		"usage.json": listUsage({ userId: user.id }),
+		"wallet.json": wallet ? toWalletView(wallet) : null,
+		"wallet-ledger.json": wallet ? listLedger(wallet.id, { limit: Infinity }) : [],
+		"promotion-redemptions.json": listUserRedemptions(user.id),
+		"pending-payments.json": listUserPendingPayments(user.id),
+		"api-keys.json": listApiKeys({ userId: user.id }).filter(
+			(k) => k.userId === user.id
+		),
+		"security-events.json": listAuditEvents({ userId: user.id, limit: Infinity }),
+	};
+}
+
+/**
+ * Why an account can't be deleted right now, or null.
+ * An org owner has to remove the other members first; a sole owner takes
+ * the org down with them.
+ */
+function deletionBlocker(user) {
+	const m = getMembership(user.id);
+	if (m?.role === "owner" && listMembers(m.orgId).length > 1) return "org_owner";
+	return null;
+}
+
+/**
+ * End the customer's live subscriptions now, so nothing renews against a
+ * deleted account. One Stripe has already ended is just synced.
+ */
+async function cancelSubscriptions(customerId) {
+	let count = 0;
+	for (const sub of listSubscriptions(customerId)) {
+		if (!LIVE_STATUSES.includes(sub.status)) continue;
+		try {
+			syncSubscription(await stripe.subscriptions.cancel(sub.id));
+		} catch (e) {
+			const current = await stripe.subscriptions.retrieve(sub.id);
+			if (current.status !== "canceled") throw e;
+			syncSubscription(current);
+			continue;
+		}
+		count += 1;
+	}
+	return count;
+}
+
+/**
+ * Erase an account. External data goes first (Stripe subscriptions and cards,
+ * GCS objects) so
+ * a provider failure leaves the account intact and the request can simply
+ * be retried. Invoices, usage and the wallet ledger are kept for bookkeeping
+ * but anonymised.
+ */
+async function deleteAccount(user, { ip } = {}) {
+	const membership = getMembership(user.id);
+	const soleOwnerOrg =
+		membership?.role === "owner" ? getOrg(membership.orgId) : null;
+
+	// The user's own customer, and the org's when it goes with them
+	const customerIds = [
+		await findStripeCustomerId(user.id),
+		soleOwnerOrg?.stripeCustomerId,
+	].filter(Boolean);
+	let subscriptionsCanceled = 0;
+	let paymentMethodsDetached = 0;
+	for (const customerId of customerIds) {
+		subscriptionsCanceled += await cancelSubscriptions(customerId);
+		paymentMethodsDetached += await detachPaymentMethods(customerId);
+	}
+
+	const filesDeleted = await deleteUserFiles(user.id);
+
+	const summary = {
+		subscriptionsCanceled,
+		paymentMethodsDetached,
+		filesDeleted,
+		invoicesAnonymized: anonymizeUserInvoices(user.id),
+		creditNotesAnonymized: anonymizeUserCreditNotes(user.id),
+		usageRecordsAnonymized: anonymizeUsage(user.id),
+		promotionRedemptionsAnonymized: anonymizeUserRedemptions(user.id),
+		pendingPaymentsAnonymized: anonymizeUserPendingPayments(user.id),
+		walletClosed: !!closeUserWallet(user.id),
+		apiKeysRevoked: revokeApiKeysForUser(user.id),
+		orgDeleted: soleOwnerOrg?.id || null,
+	};
+
+	if (soleOwnerOrg) deleteOrg(soleOwnerOrg.id);
+	else if (membership) removeMember(membership.orgId, user.id);
+	deleteBillingProfile({ userId: user.id });
+	deleteDunningCase({ userId: user.id });
+	if (soleOwnerOrg) {
+		deleteBillingProfile({ orgId: soleOwnerOrg.id });
+		deleteDunningCase({ orgId: soleOwnerOrg.id });
+		deleteInvoiceBranding(soleOwnerOrg.id);
+	}
+
+	revokeAllForUser(user.id, "account_deleted");
+	deleteUser(user.id);
+
+	// Audit keeps the id only – no email or name
+	recordAuditEvent("account.deleted", { userId: user.id, ip, ...summary });
+	console.log(`[account] deleted ${user.id}`, summary);
+	return summary;
+}
+
+module.exports = { collectAccountData, deletionBlocker, deleteAccount };
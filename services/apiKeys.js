@@ -0,0 +1,167 @@
+// services/apiKeys.js
+const crypto = require("crypto");
+const { collection } = require("./store");
+
+/**
+ * API keys for server-to-server integrations (CRM, scheduling tools).
+ *
+ * Format: "vbz_<publicId>_<secret>". Only "vbz_<publicId>" (the prefix) and a
+ * SHA-256 of the secret are stored; the full key is shown once at creation.
+ * Keys are either user-scoped (act as their creator) or org-scoped (act for
+ * the org, and stop working if the creator is no longer an org owner/admin).
+ */
+const KEY_PREFIX = "vbz_";
+
+const SCOPES = [
+	"tts:synthesize",
+	"tts:read",
+	"openai:transcribe",
+	"openai:translate",
+	"openai:chat",
+	"gcp:storage",
+	"gcp:speech",
+	"gcp:translate",
+	"usage:read",
+	"invoices:read",
+	"billing:read",
+	"billing:write",
+];
+
+// Don't rewrite the store on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const keys = collection("api_keys"); // { id, prefix, keyHash, name, scopes, ownerType, userId, orgId, createdAt, lastUsedAt, lastUsedIp, revokedAt, rotatedTo }
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+function isApiKey(token) {
+	return typeof token === "string" && token.startsWith(KEY_PREFIX);
+}
+
+/** Public view: everything except the hash */
+function toPublicKey({ keyHash, ...rest }) {
+	return rest;
+}
+
+function mint() {
+	const id = crypto.randomBytes(6).toString("hex");
+	const secret = crypto.randomBytes(24).toString("hex");
+	return {
+		id,
+		prefix: `${KEY_PREFIX}${id}`,
+		key: `${KEY_PREFIX}${id}_${secret}`,
+		keyHash: sha256(secret),
+	};
+}
+
+/** Returns { apiKey, key }: `key` is the only copy of the secret */
+function createApiKey({ name, scopes, userId, orgId = null }) {
+	const bad = scopes.filter((s) => !SCOPES.includes(s));
+	if (bad.length) throw new Error(`Unknown scopes: ${bad.join(", ")}`);
+
+	const { id, prefix, key, keyHash } = mint();
+	const apiKey = keys.insert({
+		id,
+		prefix,
+		keyHash,
+		name,
+		scopes: [...new Set(scopes)],
+		ownerType: orgId ? "org" : "user",
+		userId,
+		orgId,
+		createdAt: new Date().toISOString(),
+		lastUsedAt: null,
+		lastUsedIp: null,
+		revokedAt: null,
+		rotatedTo: null,
+	});
+	return { apiKey: toPublicKey(apiKey), key };
+}
+
+function getApiKey(id) {
+	return keys.get(id);
+}
+
+/** Keys the caller created, plus their org's keys when `orgId` is given */
+function listApiKeys({ userId, orgId }) {
+	return keys
+		.list(
+			(k) =>
+				!k.revokedAt &&
+				(k.ownerType === "org" ? k.orgId === orgId : k.userId === userId)
+		)
+		.map(toPublicKey);
+}
+
+function revokeApiKey(id) {
+	const k = keys.get(id);
+	if (!k || k.revokedAt) return null;
+	return toPublicKey(keys.update(id, { revokedAt: new Date().toISOString() }));
+}
+
+/** Revoke every live key the user created (user- and org-owned); returns the count */
+function revokeApiKeysForUser(userId) {
+	const live = keys.list((k) => k.userId === userId && !k.revokedAt);
+	for (const k of live) keys.update(k.id, { revokedAt: new Date().toISOString() });
+	return live.length;
+}
+
+/** Issue a replacement with the same name/scopes/owner and revoke the old key */
+function rotateApiKey(id) {
+	const old = keys.get(id);
+	if (!old || old.revokedAt) return null;
+
+	const { apiKey, key } = createApiKey({
+		name: old.name,
+		scopes: old.scopes,
+		userId: old.userId,
+		orgId: old.orgId,
+	});
+	keys.update(id, {
+		revokedAt: new Date().toISOString(),
+		rotatedTo: apiKey.id,
+	});
+	return { apiKey, key };
+}
+
+/**
+ * Resolve a presented key to its stored record, or null.
+ * `isStillAllowed(record)` lets the caller veto keys whose owner lost access.
+ */
+function authenticateApiKey(token, { ip, isStillAllowed } = {}) {
+	const match = /^vbz_([0-9a-f]{12})_([0-9a-f]{48})$/.exec(token || "");
+	if (!match) return null;
+
+	const k = keys.get(match[1]);
+	if (!k || k.revokedAt) return null;
+
+	const a = Buffer.from(k.keyHash);
+	const b = Buffer.from(sha256(match[2]));
+	if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+	if (isStillAllowed && !isStillAllowed(k)) return null;
+
+	const now = Date.now();
+	if (
+		!k.lastUsedAt ||
+		now - new Date(k.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS ||
+		k.lastUsedIp !== ip
+	) {
+		keys.update(k.id, {
+			lastUsedAt: new Date(now).toISOString(),
+			lastUsedIp: ip || null,
+		});
+	}
+	return k;
+}
+
+module.exports = {
+	SCOPES,
+	isApiKey,
+	createApiKey,
+	getApiKey,
+	listApiKeys,
+	revokeApiKey,
+	revokeApiKeysForUser,
+	rotateApiKey,
+	authenticateApiKey,
+};
@@ -0,0 +1,34 @@
+// services/audit.js
+const { collection, newId } = require("./store");
+
+/**
+ * Append-only security/audit trail (lockouts, suspicious logins, admin actions).
+ * Events are persisted and echoed to the log so they show up in both places.
+ */
+const events = collection("audit_events"); // { id, type, userId, ip, details, createdAt }
+
+function recordAuditEvent(type, { userId = null, ip = null, ...details } = {}) {
+	const event = events.insert({
+		id: newId("evt"),
+		type,
+		userId,
+		ip,
+		details,
+		createdAt: new Date().toISOString(),
+	});
+	console.warn("[audit]", type, { userId, ip, ...details });
+	return event;
+}
+
+/** Newest first; optional filter by type and/or userId */
+function listAuditEvents({ type, userId, limit = 100 } = {}) {
+	return events
+		.list(
+			(e) =>
+				(!type || e.type === type) && (!userId || e.userId === userId)
+		)
+		.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+		.slice(0, limit);
+}
+
+module.exports = { recordAuditEvent, listAuditEvents };
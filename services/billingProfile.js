@@ -0,0 +1,194 @@
+// services/billingProfile.js
+const { collection } = require("./store");
+const { stripe } = require("./stripeClient");
+const {
+	findUserById,
+	findStripeCustomerId,
+	billingDetailsFor,
+	stripeCustomerFields,
+} = require("./users");
+const { getOrg, getUserOrg } = require("./orgs");
+const {
+	normalizeCountry,
+	taxTreatment,
+	taxAmount,
+	resolveTaxRateId,
+} = require("./tax");
+const { defaultCurrencyFor } = require("./currency");
+const { findLiveSubscription } = require("./subscriptions");
+
+/**
+ * Per billing account settings that decide what a charge looks like:
+ * currency and VAT number. Stored by account id (org_... / u_...).
+ *
+ * Country and postcode – like the name and address invoices are made out
+ * to – come from the profile of the user (for an org, its owner), so tax
+ * follows the address people already keep up to date. The Stripe customer
+ * gets a copy of all of it (syncStripeCustomer) whenever it changes.
+ */
+const profiles = collection("billing_profiles"); // { id, currency, vatNumber, stripeSyncedAt, stripeSyncError, updatedAt }
+
+const accountIdOf = (account) => account.orgId || account.userId;
+
+/** The user whose profile stands for the account */
+function contactFor(account) {
+	if (account.orgId) return findUserById(getOrg(account.orgId)?.ownerId);
+	return findUserById(account.userId);
+}
+
+/** { country, postalCode, vatNumber, currency, currencyChosen } for an account */
+function getBillingProfile(account) {
+	const stored = profiles.get(accountIdOf(account));
+	const contact = contactFor(account);
+	const country = normalizeCountry(contact?.country);
+	return {
+		country,
+		postalCode: contact?.postalCode || null,
+		vatNumber: stored?.vatNumber || null,
+		currency: stored?.currency || defaultCurrencyFor(country),
+		currencyChosen: !!stored?.currency,
+	};
+}
+
+function saveProfile(account, patch) {
+	const id = accountIdOf(account);
+	const row = { ...patch, updatedAt: new Date().toISOString() };
+	if (profiles.get(id)) return profiles.update(id, row);
+	return profiles.insert({
+		id,
+		currency: null,
+		vatNumber: null,
+		stripeSyncedAt: null,
+		stripeSyncError: null,
+		...row,
+	});
+}
+
+/** Set currency and/or VAT number (null clears it); callers validate */
+function updateBillingProfile(account, { currency, vatNumber }) {
+	const patch = {};
+	if (currency !== undefined) patch.currency = currency;
+	if (vatNumber !== undefined) patch.vatNumber = vatNumber;
+	saveProfile(account, patch);
+	return getBillingProfile(account);
+}
+
+/**
+ * Who the account's invoices are made out to: name, company, email and
+ * address from the profile (see billingDetailsFor) plus the VAT number.
+ */
+function getBillingDetails(account) {
+	return {
+		...billingDetailsFor(account),
+		vatNumber: getBillingProfile(account).vatNumber,
+	};
+}
+
+/**
+ * Bring the account's Stripe customer in line with its billing details:
+ * name, email and address, VAT exemption, the VAT number as a tax id, and
+ * the VAT rate of a live subscription. Best effort – our own charges and
+ * PDFs use the local details – so a Stripe error is logged and kept on the
+ * profile (stripeSyncError) instead of thrown. Returns true when in sync.
+ */
+async function syncStripeCustomer(account, customerId) {
+	const { vatNumber } = getBillingProfile(account);
+	const treatment = taxTreatmentFor(account);
+	try {
+		await stripe.customers.update(customerId, {
+			...stripeCustomerFields(billingDetailsFor(account)),
+			tax_exempt: treatment.reverseCharge ? "reverse" : "none",
+		});
+
+		const { data: taxIds } = await stripe.customers.listTaxIds(customerId, { limit: 10 });
+		for (const t of taxIds) {
+			if (t.value !== vatNumber) await stripe.customers.deleteTaxId(customerId, t.id);
+		}
+		if (vatNumber && !taxIds.some((t) => t.value === vatNumber)) {
+			await stripe.customers.createTaxId(customerId, {
+				type: vatNumber.startsWith("GB") ? "gb_vat" : "eu_vat",
+				value: vatNumber,
+			});
+		}
+
+		const live = findLiveSubscription(customerId);
+		if (live) {
+			const taxRateId = await resolveTaxRateId(treatment);
+			await stripe.subscriptions.update(live.id, {
+				default_tax_rates: taxRateId ? [taxRateId] : "",
+			});
+		}
+		saveProfile(account, { stripeSyncedAt: new Date().toISOString(), stripeSyncError: null });
+		return true;
+	} catch (e) {
+		console.warn("[billing] could not sync billing details to Stripe:", e.message);
+		saveProfile(account, { stripeSyncError: e.message });
+		return false;
+	}
+}
+
+/** { syncedAt, error } of the last syncStripeCustomer for the account */
+function stripeSyncStatus(account) {
+	const stored = profiles.get(accountIdOf(account));
+	return {
+		syncedAt: stored?.stripeSyncedAt || null,
+		error: stored?.stripeSyncError || null,
+	};
+}
+
+/**
+ * A user's profile changed: re-sync every Stripe customer whose details
+ * come from it – their own (if they have one) and the org they own.
+ * Never creates a customer.
+ */
+async function syncBillingDetailsForUser(userId) {
+	const customerId = await findStripeCustomerId(userId);
+	if (customerId) await syncStripeCustomer({ userId }, customerId);
+
+	const org = getUserOrg(userId);
+	if (org?.ownerId === userId && org.stripeCustomerId)
+		await syncStripeCustomer({ orgId: org.id }, org.stripeCustomerId);
+}
+
+/** VAT treatment for the account's current profile (see services/tax.js) */
+function taxTreatmentFor(account) {
+	return taxTreatment(getBillingProfile(account));
+}
+
+/**
+ * VAT on a one-off charge of `net` (minor units) to the account.
+ * Returns { net, gross, tax } – `tax` in the shape the invoice ledger keeps.
+ */
+function chargeTax(account, net) {
+	const profile = getBillingProfile(account);
+	const treatment = taxTreatment(profile);
+	const amount = taxAmount(net, treatment);
+	return {
+		net,
+		gross: net + amount,
+		tax: { ...treatment, amount, vatNumber: profile.vatNumber },
+	};
+}
+
+/** Drop the account's profile (account/org deletion) */
+function deleteBillingProfile(account) {
+	return profiles.remove(accountIdOf(account));
+}
+
+function currencyFor(account) {
+	return getBillingProfile(account).currency;
+}
+
+module.exports = {
+	contactFor,
+	getBillingProfile,
+	updateBillingProfile,
+	getBillingDetails,
+	syncStripeCustomer,
+	stripeSyncStatus,
+	syncBillingDetailsForUser,
+	taxTreatmentFor,
+	chargeTax,
+	currencyFor,
+	deleteBillingProfile,
+};
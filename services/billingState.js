@@ -0,0 +1,88 @@
+// services/billingState.js
+const { collection } = require("./store");
+
+/**
+ * What we've learned about each Stripe customer from webhooks, so the app
+ * doesn't have to ask Stripe (and so async outcomes aren't lost):
+ * saved cards, the default card, the last failed payment, any payment
+ * waiting on customer action (SCA) and which card expiries we've warned about.
+ *
+ * Keyed by Stripe customer id; see services/stripeEvents.js for the writers.
+ */
+const customers = collection("billing_customers"); // { id: "cus_...", defaultPaymentMethodId, paymentMethods: { [pmId]: {...} }, lastPaymentFailure, pendingAction, expiryWarnings: { [pmId]: "MM/YYYY" }, updatedAt }
+
+function getBillingState(customerId) {
+	return customers.get(customerId);
+}
+
+function listBillingStates() {
+	return customers.list();
+}
+
+function patchBillingState(customerId, patch) {
+	const now = new Date().toISOString();
+	if (!customers.get(customerId)) {
+		customers.insert({
+			id: customerId,
+			defaultPaymentMethodId: null,
+			paymentMethods: {},
+			lastPaymentFailure: null,
+			pendingAction: null,
+			expiryWarnings: {},
+			updatedAt: now,
+		});
+	}
+	return customers.update(customerId, { ...patch, updatedAt: now });
+}
+
+/** Local view of a Stripe PaymentMethod */
+function cardView(pm, status) {
+	return {
+		id: pm.id,
+		brand: pm.card?.brand || "card",
+		last4: pm.card?.last4 || "",
+		expMonth: pm.card?.exp_month || 0,
+		expYear: pm.card?.exp_year || 0,
+		status, // "attached" | "detached"
+		updatedAt: new Date().toISOString(),
+	};
+}
+
+function upsertPaymentMethod(customerId, pm) {
+	const state = getBillingState(customerId);
+	return patchBillingState(customerId, {
+		paymentMethods: {
+			...(state?.paymentMethods || {}),
+			[pm.id]: cardView(pm, "attached"),
+		},
+	});
+}
+
+/**
+ * Detach events no longer carry the customer, so fall back to whichever
+ * customer we last saw the card on.
+ */
+function markPaymentMethodDetached(pm, customerId) {
+	const owner =
+		(customerId && getBillingState(customerId)) ||
+		customers.findOne((c) => !!c.paymentMethods?.[pm.id]);
+	if (!owner) return null;
+
+	return patchBillingState(owner.id, {
+		paymentMethods: {
+			...owner.paymentMethods,
+			[pm.id]: cardView(pm, "detached"),
+		},
+		...(owner.defaultPaymentMethodId === pm.id && {
+			defaultPaymentMethodId: null,
+		}),
+	});
+}
+
+module.exports = {
+	getBillingState,
+	listBillingStates,
+	patchBillingState,
+	upsertPaymentMethod,
+	markPaymentMethodDetached,
+};
@@ -0,0 +1,222 @@
+// services/creditNotes.js
+const { collection, newId } = require("./store");
+const { stripe } = require("./stripeClient");
+const {
+	getInvoice,
+	findInvoice,
+	updateInvoice,
+	transitionInvoice,
+	nextDocumentNumber,
+} = require("./invoices");
+const { debitTopUpRefund } = require("./wallet");
+
+/**
+ * Credit notes: one per Stripe refund, referencing the invoice it reduces.
+ *
+ * Refunds made through POST /api/billing/refunds and ones made elsewhere
+ * (Stripe dashboard) both end up here – keyed by the Stripe refund id, so
+ * the API call and the charge.refunded webhook can't record one twice.
+ * An invoice's `refundedAmount` is the sum of its live credit notes; once it
+ * covers the invoice total the invoice is "refunded".
+ *
+ * Credit notes have the same shape as invoices (lines, subtotal, tax,
+ * amount, currency) so they render through the same PDF code. Amounts are
+ * positive minor units; the VAT share is refunded pro rata. A refunded
+ * wallet top-up also takes the credit back out of the wallet.
+ */
+const REFUND_REASONS = ["duplicate", "fraudulent", "requested_by_customer"];
+// Refund statuses that (still) count against the invoice
+const LIVE_STATUSES = ["pending", "requires_action", "succeeded"];
+
+const notes = collection("credit_notes"); // { id, kind: "credit_note", number, invoiceId, invoiceNumber, userId, orgId, billedTo, currency, lineItems, subtotal, tax, amount, reason, note, status, stripeRefundId, stripePaymentIntentId, createdBy, createdAt, updatedAt }
+
+function listCreditNotes(filter) {
+	return notes.list(filter);
+}
+
+function getCreditNote(id) {
+	return notes.get(id);
+}
+
+/** Credit notes of an invoice, oldest first */
+function creditNotesFor(invoiceId) {
+	return notes
+		.list((n) => n.invoiceId === invoiceId)
+		.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+const refundedTotal = (invoiceId) =>
+	creditNotesFor(invoiceId)
+		.filter((n) => LIVE_STATUSES.includes(n.status))
+		.reduce((sum, n) => sum + n.amount, 0);
+
+/** What's left to refund on an invoice */
+function refundableAmount(inv) {
+	return Math.max(0, inv.amount - refundedTotal(inv.id));
+}
+
+/** Bring the invoice's refundedAmount/status in line with its credit notes */
+function syncInvoiceRefunds(invoiceId) {
+	const inv = getInvoice(invoiceId);
+	if (!inv) return null;
+	const refundedAmount = refundedTotal(invoiceId);
+	if (refundedAmount >= inv.amount && inv.amount > 0)
+		return transitionInvoice(inv.id, "refunded", { refundedAmount });
+	if (inv.status === "refunded") return transitionInvoice(inv.id, "paid", { refundedAmount });
+	return updateInvoice(inv.id, { refundedAmount });
+}
+
+// Everything that follows from a credit note's (new) status
+function afterRefund(inv, cn) {
+	syncInvoiceRefunds(inv.id);
+	if (inv.source === "wallet_topup" && cn.status === "succeeded") {
+		const account = inv.orgId ? { orgId: inv.orgId } : { userId: inv.userId };
+		// A discounted top-up credited more than was paid; take back the same share
+		const amount = inv.discount
+			? Math.round((cn.subtotal * (inv.subtotal + inv.discount.amount)) / inv.subtotal)
+			: cn.subtotal;
+		debitTopUpRefund(account, { refundId: cn.stripeRefundId, amount });
+	}
+	return cn;
+}
+
+/**
+ * Record a Stripe refund against its invoice (once per refund id; later
+ * calls update the status). Returns the credit note.
+ */
+function recordRefund(inv, refund, { reason = null, note = null, createdBy = null } = {}) {
+	const existing = notes.findOne((n) => n.stripeRefundId && n.stripeRefundId === refund.id);
+	if (existing) {
+		const updated = notes.update(existing.id, {
+			status: refund.status,
+			updatedAt: new Date().toISOString(),
+		});
+		return afterRefund(inv, updated);
+	}
+
+	// Split the refund into net + VAT in the invoice's proportions
+	const taxPart = inv.tax?.amount
+		? Math.round((inv.tax.amount * refund.amount) / inv.amount)
+		: 0;
+	const net = refund.amount - taxPart;
+	const now = new Date().toISOString();
+	const cn = notes.insert({
+		id: newId("cn"),
+		kind: "credit_note",
+		number: nextDocumentNumber("CN"),
+		invoiceId: inv.id,
+		invoiceNumber: inv.number,
+		userId: inv.userId,
+		orgId: inv.orgId,
+		billedTo: inv.billedTo || null,
+		currency: inv.currency,
+		lineItems: [
+			{
+				title: `Refund against invoice ${inv.number || inv.id}`,
+				qty: 1,
+				unitAmount: net,
+			},
+		],
+		subtotal: net,
+		tax: inv.tax ? { ...inv.tax, amount: taxPart } : null,
+		amount: refund.amount,
+		reason: reason || refund.reason || null,
+		note,
+		status: refund.status,
+		stripeRefundId: refund.id,
+		stripePaymentIntentId: inv.stripePaymentIntentId,
+		createdBy,
+		createdAt: refund.created ? new Date(refund.created * 1000).toISOString() : now,
+		updatedAt: now,
+	});
+	console.log(
+		`[billing] credit note ${cn.number} for ${inv.number || inv.id}: ${cn.amount} ${cn.currency} (${cn.status})`
+	);
+	return afterRefund(inv, cn);
+}
+
+/**
+ * Refund (part of) a paid invoice through its PaymentIntent.
+ * `amount` defaults to everything still refundable. The Stripe idempotency
+ * key is derived from the invoice's refund state, so a retried request
+ * can't refund twice. Returns { refund, creditNote }.
+ */
+async function refundPayment(inv, { amount, reason = null, note = null, createdBy = null } = {}) {
+	const refundable = refundableAmount(inv);
+	const value = amount ?? refundable;
+	if (!Number.isInteger(value) || value < 1 || value > refundable) {
+		const err = new Error(
+			refundable
+				? `Refund must be between 1 and ${refundable}`
+				: "Nothing left to refund on this invoice"
+		);
+		err.code = "invalid_amount";
+		throw err;
+	}
+
+	const refund = await stripe.refunds.create(
+		{
+			payment_intent: inv.stripePaymentIntentId,
+			amount: value,
+			...(reason && { reason }),
+			metadata: { appInvoiceId: inv.id },
+		},
+		{ idempotencyKey: `refund_${inv.id}_${inv.amount - refundable}_${value}` }
+	);
+	return { refund, creditNote: recordRefund(inv, refund, { reason, note, createdBy }) };
+}
+
+/**
+ * Webhook: a charge was refunded (here or in the dashboard). Any refund we
+ * don't have a credit note for yet gets one.
+ */
+async function syncChargeRefunds(charge) {
+	const paymentIntentId =
+		typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent?.id;
+	const inv =
+		(charge.metadata?.appInvoiceId && getInvoice(charge.metadata.appInvoiceId)) ||
+		(paymentIntentId && findInvoice((i) => i.stripePaymentIntentId === paymentIntentId));
+	if (!inv) return null;
+
+	// Newer API versions don't embed the refunds list in the charge
+	const refunds = charge.refunds?.data?.length
+		? charge.refunds.data
+		: (await stripe.refunds.list({ charge: charge.id, limit: 100 })).data;
+	for (const refund of refunds) recordRefund(inv, refund);
+	return syncInvoiceRefunds(inv.id);
+}
+
+/** Webhook: a refund's status moved (e.g. pending -> failed) */
+function updateRefundStatus(refund) {
+	const cn = notes.findOne((n) => n.stripeRefundId === refund.id);
+	if (!cn) return null;
+	const inv = getInvoice(cn.invoiceId);
+	return inv ? recordRefund(inv, refund) : null;
+}
+
+/** Account deletion: keep credit notes for the books, drop the link to the person */
+function anonymizeUserCreditNotes(userId) {
+	const rows = notes.list((n) => n.userId === userId);
+	const now = new Date().toISOString();
+	for (const n of rows)
+		notes.update(n.id, {
+			userId: null,
+			billedTo: { name: "Deleted customer" },
+			anonymizedAt: now,
+			updatedAt: now,
+		});
+	return rows.length;
+}
+
+module.exports = {
+	REFUND_REASONS,
+	listCreditNotes,
+	getCreditNote,
+	creditNotesFor,
+	refundableAmount,
+	refundPayment,
+	recordRefund,
+	syncChargeRefunds,
+	updateRefundStatus,
+	anonymizeUserCreditNotes,
+};
@@ -0,0 +1,60 @@
+// services/currency.js
+
+/**
+ * Currencies we bill in and how amounts are shown.
+ *
+ * An account is billed in one currency (see services/billingProfile.js);
+ * by default the one of its country, else pounds. All amounts are minor
+ * units (pence / cents).
+ */
+const DEFAULT_CURRENCY = "gbp";
+const SUPPORTED_CURRENCIES = ["gbp", "eur", "usd"];
+
+const EUROZONE = [
+	"AT", "BE", "HR", "CY", "EE", "FI", "FR", "DE", "GR", "IE", "IT",
+	"LV", "LT", "LU", "MT", "NL", "PT", "SK", "SI", "ES",
+];
+
+// Number formatting per billing country; anything else gets en-GB
+const LOCALES = {
+	GB: "en-GB", IE: "en-IE", US: "en-US", DE: "de-DE", AT: "de-AT",
+	FR: "fr-FR", BE: "fr-BE", ES: "es-ES", IT: "it-IT", NL: "nl-NL",
+	PT: "pt-PT", PL: "pl-PL", SE: "sv-SE", DK: "da-DK", FI: "fi-FI",
+};
+
+function isSupportedCurrency(currency) {
+	return SUPPORTED_CURRENCIES.includes(String(currency || "").toLowerCase());
+}
+
+/** Currency for a country (ISO 3166 alpha-2) when the account hasn't chosen one */
+function defaultCurrencyFor(country) {
+	if (country === "US") return "usd";
+	if (EUROZONE.includes(country)) return "eur";
+	return DEFAULT_CURRENCY;
+}
+
+function localeFor(country) {
+	return LOCALES[country] || "en-GB";
+}
+
+/** "£14.99", "14,99 €", "$14.99" – minor units in, display string out */
+function formatMoney(minor, currency, locale = "en-GB") {
+	return (
+		new Intl.NumberFormat(locale, {
+			style: "currency",
+			currency: currency.toUpperCase(),
+		})
+			.format(minor / 100)
+			// Narrow no-break space (fr-FR) isn't in the standard PDF fonts
+			.replace(/\u202f/g, "\u00a0")
+	);
+}
+
+module.exports = {
+	DEFAULT_CURRENCY,
+	SUPPORTED_CURRENCIES,
+	isSupportedCurrency,
+	defaultCurrencyFor,
+	localeFor,
+	formatMoney,
+};
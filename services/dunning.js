@@ -0,0 +1,484 @@
+// services/dunning.js
+const { collection } = require("./store");
+const { stripe } = require("./stripeClient");
+const {
+	findAccountForCustomer,
+	getOrCreateAccountCustomerId,
+	getDefaultPaymentMethodId,
+} = require("./users");
+const { listInvoices, getInvoice, syncStripeInvoice } = require("./invoices");
+const { listBillingStates, patchBillingState } = require("./billingState");
+const { contactFor } = require("./billingProfile");
+const { applyPaymentIntentUpdate } = require("./stripeEvents");
+const { isPaymentPending } = require("./pendingPayments");
+const { recordAuditEvent } = require("./audit");
+const {
+	sendCardExpiringEmail,
+	sendPaymentOverdueEmail,
+	sendServiceSuspendedEmail,
+	sendServiceRestoredEmail,
+} = require("./mailer");
+
+/**
+ * Dunning: chasing payments that failed, and warning about cards before
+ * they expire. Driven by a scheduled job (startDunningJob, every
+ * DUNNING_JOB_INTERVAL_MINUTES) and by admins on demand.
+ *
+ * A billing account gets a case once it has an open ledger invoice whose
+ * payment failed and that it owes (subscription renewal, usage invoice –
+ * not one-off charges or top-ups, see isOwed).
+ * Days count from when the case opened:
+ *   retrying   the default card is charged again on each DUNNING_RETRY_DAYS day
+ *   past_due   retries used up; the customer has to pay in the app
+ *   suspended  still unpaid after DUNNING_GRACE_DAYS – cost-bearing routes
+ *              answer 402 (middleware/dunning.js) until it's paid
+ *   resolved   nothing outstanding any more (paid, voided ...)
+ * Reminder emails go out on each DUNNING_REMINDER_DAYS day, plus one on
+ * suspension and one when a suspended account is back in good standing.
+ *
+ * Cases are keyed by account id (org_... / u_...); a failure after a
+ * resolved case starts a fresh one.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "1,3,5" -> [1, 3, 5]; unset uses the default, "" means none
+function daysFromEnv(name, fallback) {
+	const raw = process.env[name];
+	if (raw === undefined) return fallback;
+	return raw
+		.split(",")
+		.filter((d) => d.trim() !== "")
+		.map(Number)
+		.filter((d) => Number.isFinite(d) && d >= 0)
+		.sort((a, b) => a - b);
+}
+
+const DUNNING_SCHEDULE = {
+	retryDays: daysFromEnv("DUNNING_RETRY_DAYS", [1, 3, 5]),
+	reminderDays: daysFromEnv("DUNNING_REMINDER_DAYS", [0, 3, 6]),
+	graceDays: Number(process.env.DUNNING_GRACE_DAYS || 7),
+	suspend: process.env.DUNNING_SUSPEND !== "false",
+};
+const CARD_EXPIRY_WARNING_DAYS = Number(process.env.CARD_EXPIRY_WARNING_DAYS || 30);
+const JOB_INTERVAL_MINUTES = Number(process.env.DUNNING_JOB_INTERVAL_MINUTES ?? 60);
+
+const cases = collection("dunning_cases"); // { id, userId, orgId, customerId, stage, invoiceIds, amountDue, currency, openedAt, attempts, lastAttemptAt, lastError, nextRetryAt, remindersSent: [day], graceEndsAt, suspendedAt, resolvedAt, updatedAt }
+
+const accountIdOf = (account) => account.orgId || account.userId;
+const accountOf = (row) => (row.orgId ? { orgId: row.orgId } : { userId: row.userId });
+const addDays = (iso, days) => new Date(Date.parse(iso) + days * DAY_MS).toISOString();
+
+/* ----------------- cards ----------------- */
+
+/**
+ * When a card stops working (after the last day of its expiry month) and
+ * whether that's within CARD_EXPIRY_WARNING_DAYS.
+ */
+function cardExpiry(expMonth, expYear, now = new Date()) {
+	if (!expMonth || !expYear) return { expiresAt: null, expired: false, expiringSoon: false };
+	const expiresAt = new Date(Date.UTC(expYear, expMonth, 1));
+	const left = expiresAt - now;
+	return {
+		expiresAt: expiresAt.toISOString(),
+		expired: left <= 0,
+		expiringSoon: left > 0 && left <= CARD_EXPIRY_WARNING_DAYS * DAY_MS,
+	};
+}
+
+/**
+ * Email each account about saved cards that expire soon (or already have),
+ * once per card and expiry date. Cards come from the webhook-fed billing
+ * state, so no Stripe calls for customers with nothing to warn about.
+ * Returns how many cards were warned about.
+ */
+async function warnExpiringCards(now = new Date()) {
+	let warned = 0;
+	for (const state of listBillingStates()) {
+		const seen = state.expiryWarnings || {};
+		const cards = Object.values(state.paymentMethods || {})
+			.filter((c) => c.status === "attached" && seen[c.id] !== `${c.expMonth}/${c.expYear}`)
+			.map((c) => ({ ...c, ...cardExpiry(c.expMonth, c.expYear, now) }))
+			.filter((c) => c.expired || c.expiringSoon);
+		if (!cards.length) continue;
+
+		const account = await findAccountForCustomer(state.id).catch(() => null);
+		const to = account && contactFor(account);
+		if (to)
+			sendCardExpiringEmail(to, cards).catch((e) =>
+				console.error("[mail] card expiry email failed:", e.message)
+			);
+		patchBillingState(state.id, {
+			expiryWarnings: {
+				...seen,
+				...Object.fromEntries(cards.map((c) => [c.id, `${c.expMonth}/${c.expYear}`])),
+			},
+		});
+		console.log(`[dunning] ${state.id}: warned about ${cards.length} expiring card(s)`);
+		warned += cards.length;
+	}
+	return warned;
+}
+
+/* ----------------- cases ----------------- */
+
+function notify(row, send, ...args) {
+	const to = contactFor(accountOf(row));
+	if (!to) return;
+	send(to, ...args).catch((e) => console.error("[mail] dunning email failed:", e.message));
+}
+
+const outstandingOf = (row) =>
+	row.invoiceIds
+		.map((id) => getInvoice(id))
+		.filter((inv) => inv?.status === "open" && isOwed(inv));
+
+const totalOf = (invs) => invs.reduce((sum, inv) => sum + inv.amount, 0);
+
+/**
+ * Money the account owes: subscription and usage invoices (anything billed
+ * through a Stripe invoice). One-off charges and top-ups that failed are
+ * simply not bought, and ones waiting for the customer to authenticate (see
+ * services/pendingPayments.js) are theirs to finish or cancel.
+ */
+function isOwed(inv) {
+	if (!inv.stripeInvoiceId && !["subscription", "usage"].includes(inv.source)) return false;
+	return !(inv.stripePaymentIntentId && isPaymentPending(inv.stripePaymentIntentId));
+}
+
+/** Open ledger invoices with a failed payment that's owed, grouped by account id */
+function failedInvoicesByAccount() {
+	const byAccount = new Map();
+	for (const inv of listInvoices(
+		(i) => i.status === "open" && i.paymentError && (i.orgId || i.userId) && isOwed(i)
+	)) {
+		const id = inv.orgId || inv.userId;
+		byAccount.set(id, [...(byAccount.get(id) || []), inv]);
+	}
+	return byAccount;
+}
+
+/** Start a case for an account's failed invoices, or add them to its open one */
+function openCase(invs) {
+	const first = invs[0];
+	const id = first.orgId || first.userId;
+	const existing = cases.get(id);
+	const now = new Date().toISOString();
+
+	if (existing && existing.stage !== "resolved") {
+		const added = invs.map((i) => i.id).filter((i) => !existing.invoiceIds.includes(i));
+		if (!added.length) return existing;
+		return cases.update(id, {
+			invoiceIds: [...existing.invoiceIds, ...added],
+			amountDue: totalOf(outstandingOf({ invoiceIds: [...existing.invoiceIds, ...added] })),
+			updatedAt: now,
+		});
+	}
+
+	const { retryDays, graceDays, suspend } = DUNNING_SCHEDULE;
+	const row = {
+		userId: first.orgId ? null : first.userId,
+		orgId: first.orgId || null,
+		customerId: first.customerId,
+		stage: retryDays.length ? "retrying" : "past_due",
+		invoiceIds: invs.map((i) => i.id),
+		amountDue: totalOf(invs),
+		currency: first.currency,
+		openedAt: now,
+		attempts: 0,
+		lastAttemptAt: null,
+		lastError: first.paymentError?.message || null,
+		nextRetryAt: retryDays.length ? addDays(now, retryDays[0]) : null,
+		remindersSent: [],
+		graceEndsAt: suspend ? addDays(now, graceDays) : null,
+		suspendedAt: null,
+		resolvedAt: null,
+		updatedAt: now,
+	};
+	console.log(`[dunning] ${id}: case opened for ${row.invoiceIds.join(", ")}`);
+	return existing ? cases.update(id, row) : cases.insert({ id, ...row });
+}
+
+function resolveCase(row) {
+	const now = new Date().toISOString();
+	const resolved = cases.update(row.id, {
+		stage: "resolved",
+		amountDue: 0,
+		nextRetryAt: null,
+		resolvedAt: now,
+		updatedAt: now,
+	});
+	console.log(`[dunning] ${row.id}: resolved`);
+	if (row.stage === "suspended") {
+		recordAuditEvent("billing.service_restored", {
+			userId: row.userId,
+			orgId: row.orgId,
+		});
+		notify(row, sendServiceRestoredEmail);
+	}
+	return resolved;
+}
+
+/** Resolve the case once none of its invoices is open; keeps amountDue current */
+function refreshCase(row) {
+	const outstanding = outstandingOf(row);
+	if (!outstanding.length) return resolveCase(row);
+	const amountDue = totalOf(outstanding);
+	return amountDue === row.amountDue
+		? row
+		: cases.update(row.id, { amountDue, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Charge one overdue invoice to `paymentMethodId` off-session: Stripe
+ * invoices through invoices.pay, one-off charges by confirming their
+ * PaymentIntent again. Anything Stripe already settled is just synced.
+ * Throws on a decline (the failure is recorded on the invoice first).
+ */
+async function retryInvoice(inv, paymentMethodId, stripeOptions) {
+	if (inv.stripeInvoiceId) {
+		const si = await stripe.invoices.retrieve(inv.stripeInvoiceId);
+		if (si.status !== "open") return syncStripeInvoice(si);
+		const paid = await stripe.invoices.pay(
+			si.id,
+			{ payment_method: paymentMethodId, off_session: true },
+			stripeOptions
+		);
+		return syncStripeInvoice(paid);
+	}
+
+	const pi = await stripe.paymentIntents.retrieve(inv.stripePaymentIntentId);
+	if (!["requires_payment_method", "requires_confirmation"].includes(pi.status))
+		return applyPaymentIntentUpdate(pi);
+	try {
+		const confirmed = await stripe.paymentIntents.confirm(
+			pi.id,
+			{ payment_method: paymentMethodId, off_session: true },
+			stripeOptions
+		);
+		return applyPaymentIntentUpdate(confirmed);
+	} catch (e) {
+		if (e.raw?.payment_intent) applyPaymentIntentUpdate(e.raw.payment_intent);
+		throw e;
+	}
+}
+
+/**
+ * Try every outstanding invoice of the case on the default card. With
+ * `keyPrefix` each Stripe call gets an idempotency key derived from it.
+ * Returns the last error message, or null.
+ */
+async function chargeOutstanding(row, keyPrefix = null) {
+	const customerId = row.customerId || (await getOrCreateAccountCustomerId(accountOf(row)));
+	const paymentMethodId = await getDefaultPaymentMethodId(customerId);
+	if (!paymentMethodId) return "No payment method on file";
+
+	let error = null;
+	for (const inv of outstandingOf(row)) {
+		try {
+			await retryInvoice(
+				inv,
+				paymentMethodId,
+				keyPrefix ? { idempotencyKey: `${keyPrefix}_${inv.id}` } : undefined
+			);
+		} catch (e) {
+			console.warn(`[dunning] ${row.id}: retry of ${inv.id} failed:`, e.message);
+			error = e.message;
+		}
+	}
+	return error;
+}
+
+/** One step of the schedule for an open case: retry, move stage, remind */
+async function advanceCase(row, now = new Date()) {
+	let current = refreshCase(row);
+	if (current.stage === "resolved") return current;
+	const { retryDays, reminderDays, suspend } = DUNNING_SCHEDULE;
+
+	if (current.nextRetryAt && now >= new Date(current.nextRetryAt)) {
+		const attempt = current.attempts + 1;
+		const error = await chargeOutstanding(
+			current,
+			`dunning_${current.id}_${Date.parse(current.openedAt)}_${attempt}`
+		);
+		current = refreshCase(
+			cases.update(current.id, {
+				attempts: attempt,
+				lastAttemptAt: now.toISOString(),
+				lastError: error || current.lastError,
+				nextRetryAt:
+					attempt < retryDays.length ? addDays(current.openedAt, retryDays[attempt]) : null,
+				updatedAt: new Date().toISOString(),
+			})
+		);
+		if (current.stage === "resolved") return current;
+	}
+
+	const stage =
+		current.stage === "suspended" ||
+		(suspend && current.graceEndsAt && now >= new Date(current.graceEndsAt))
+			? "suspended"
+			: current.nextRetryAt
+				? "retrying"
+				: "past_due";
+	if (stage !== current.stage) {
+		current = cases.update(current.id, {
+			stage,
+			...(stage === "suspended" && { suspendedAt: now.toISOString() }),
+			updatedAt: new Date().toISOString(),
+		});
+		console.log(`[dunning] ${current.id}: ${stage}`);
+		if (stage === "suspended") {
+			recordAuditEvent("billing.service_suspended", {
+				userId: current.userId,
+				orgId: current.orgId,
+				amountDue: current.amountDue,
+				currency: current.currency,
+			});
+			notify(current, sendServiceSuspendedEmail, toDunningView(current));
+		}
+	}
+
+	// Reminders that fell due together go out as one email
+	const due = reminderDays.filter(
+		(d) => !current.remindersSent.includes(d) && now >= new Date(addDays(current.openedAt, d))
+	);
+	if (due.length) {
+		current = cases.update(current.id, {
+			remindersSent: [...current.remindersSent, ...due],
+			updatedAt: new Date().toISOString(),
+		});
+		if (current.stage !== "suspended")
+			notify(current, sendPaymentOverdueEmail, toDunningView(current));
+	}
+	return current;
+}
+
+/* ----------------- job ----------------- */
+
+let running = null;
+
+/**
+ * One pass of the job: open cases for new failures, advance every open
+ * case, then warn about expiring cards. A failing case doesn't stop the
+ * others. Overlapping calls share the run in progress.
+ */
+function runDunning({ now = new Date() } = {}) {
+	if (running) return running;
+	running = (async () => {
+		for (const invs of failedInvoicesByAccount().values()) openCase(invs);
+
+		const results = [];
+		for (const row of cases.list((c) => c.stage !== "resolved")) {
+			try {
+				const next = await advanceCase(row, now);
+				results.push({ accountId: row.id, stage: next.stage, amountDue: next.amountDue });
+			} catch (e) {
+				console.error("[dunning] case failed:", row.id, e.message);
+				results.push({ accountId: row.id, error: e.message });
+			}
+		}
+		const cardWarnings = await warnExpiringCards(now);
+		return { ranAt: now.toISOString(), cases: results, cardWarnings };
+	})().finally(() => {
+		running = null;
+	});
+	return running;
+}
+
+/** Run the job every DUNNING_JOB_INTERVAL_MINUTES (0 turns it off) */
+function startDunningJob() {
+	if (!JOB_INTERVAL_MINUTES) {
+		console.log("[dunning] scheduled job disabled");
+		return null;
+	}
+	const timer = setInterval(() => {
+		runDunning().catch((e) => console.error("[dunning] run failed:", e.message));
+	}, JOB_INTERVAL_MINUTES * 60 * 1000);
+	timer.unref();
+	console.log(`[dunning] job runs every ${JOB_INTERVAL_MINUTES} min`);
+	return timer;
+}
+
+/* ----------------- API ----------------- */
+
+function toDunningView(row) {
+	return {
+		stage: row.stage,
+		suspended: row.stage === "suspended",
+		amountDue: row.amountDue,
+		currency: row.currency,
+		invoices: outstandingOf(row).map((inv) => ({
+			id: inv.id,
+			number: inv.number,
+			amount: inv.amount,
+			currency: inv.currency,
+			error: inv.paymentError?.message || null,
+		})),
+		openedAt: row.openedAt,
+		attempts: row.attempts,
+		maxAttempts: DUNNING_SCHEDULE.retryDays.length,
+		lastAttemptAt: row.lastAttemptAt,
+		lastError: row.lastError,
+		nextRetryAt: row.nextRetryAt,
+		graceEndsAt: row.graceEndsAt,
+		suspendedAt: row.suspendedAt,
+		resolvedAt: row.resolvedAt,
+	};
+}
+
+/** The account's open dunning case, or null when it's in good standing */
+function getDunningState(account) {
+	const row = cases.get(accountIdOf(account));
+	if (!row || row.stage === "resolved") return null;
+	const current = refreshCase(row);
+	return current.stage === "resolved" ? null : toDunningView(current);
+}
+
+/**
+ * "Pay now": charge the outstanding invoices to the default card straight
+ * away (e.g. after adding a new card). Doesn't count against the retries.
+ * Returns the case, or null when nothing is overdue.
+ */
+async function payOverdue(account, { idempotencyKey = null } = {}) {
+	const row = cases.get(accountIdOf(account));
+	if (!row || row.stage === "resolved") return null;
+	const error = await chargeOutstanding(
+		row,
+		idempotencyKey && `dunning_${row.id}_${idempotencyKey}`
+	);
+	const now = new Date().toISOString();
+	return refreshCase(
+		cases.update(row.id, {
+			lastAttemptAt: now,
+			lastError: error || row.lastError,
+			updatedAt: now,
+		})
+	);
+}
+
+/** Newest first, for support; optional filter by stage */
+function listDunningCases({ stage, limit = 100 } = {}) {
+	return cases
+		.list((c) => !stage || c.stage === stage)
+		.sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt))
+		.slice(0, limit)
+		.map((row) => ({ accountId: row.id, userId: row.userId, orgId: row.orgId, ...toDunningView(row) }));
+}
+
+/** Drop the account's case (account/org deletion) */
+function deleteDunningCase(account) {
+	return cases.remove(accountIdOf(account));
+}
+
+module.exports = {
+	DUNNING_SCHEDULE,
+	CARD_EXPIRY_WARNING_DAYS,
+	cardExpiry,
+	getDunningState,
+	toDunningView,
+	payOverdue,
+	runDunning,
+	startDunningJob,
+	listDunningCases,
+	deleteDunningCase,
+};
@@ -0,0 +1,1533 @@
+// services/fakeStripe.js
+const crypto = require("crypto");
+const Stripe = require("stripe");
+
+/**
+ * In-memory stand-in for the parts of the Stripe API we use, so billing
+ * runs without network (PAYMENT_GATEWAY=fake, see services/stripeClient.js).
+ *
+ * Objects have Stripe's shapes, id prefixes and statuses; lists can be
+ * awaited or iterated with `for await`, errors are the SDK's error classes
+ * (StripeCardError with `raw.payment_intent`, resource_missing, ...) and
+ * idempotency keys are honoured. Webhook events the real API would send are
+ * handed to onEvent() listeners instead. Nothing survives a restart.
+ *
+ * Cards behave like Stripe's test payment methods – attach one of these ids
+ * (e.g. POST /api/billing/payment-methods/pm_card_visa/default):
+ *   pm_card_visa, pm_card_mastercard              always succeed
+ *   pm_card_chargeDeclined                        card_declined
+ *   pm_card_chargeDeclinedInsufficientFunds       card_declined / insufficient_funds
+ *   pm_card_chargeDeclinedExpiredCard             expired_card
+ *   pm_card_authenticationRequired                3-D Secure on every charge: off-session
+ *                                                 charges fail with authentication_required,
+ *                                                 on-session ones stop in requires_action
+ *
+ * Test controls live on `stripe.fake`:
+ *   failNext("paymentIntents.create", "card_declined")  next call fails, whatever the card
+ *     (any code above, "authentication_required", or "api_error" / "rate_limit" for any method)
+ *   completeAuthentication(piId, { succeed })           the customer finishes (or fails) 3-D Secure
+ *   renewSubscription(subId)                            start the next period and charge it
+ *   setCardExpiry(pmId, { month, year })                the card's expiry changes (account updater)
+ *   advanceInvoices()                                   finalise and charge auto-advance drafts now
+ *   settle()                                            wait until all events are delivered
+ *   onEvent(listener), reset()
+ */
+const API_VERSION = "2024-06-20";
+// Stripe finalises auto_advance drafts after about an hour; we don't wait that long
+const AUTO_ADVANCE_MS = 1000;
+
+const TEST_CARDS = {
+	pm_card_visa: { brand: "visa", last4: "4242", outcome: "ok" },
+	pm_card_mastercard: { brand: "mastercard", last4: "4444", outcome: "ok" },
+	pm_card_chargeDeclined: { brand: "visa", last4: "0002", outcome: "card_declined" },
+	pm_card_chargeDeclinedInsufficientFunds: {
+		brand: "visa",
+		last4: "9995",
+		outcome: "insufficient_funds",
+	},
+	pm_card_chargeDeclinedExpiredCard: { brand: "visa", last4: "0069", outcome: "expired_card" },
+	pm_card_authenticationRequired: {
+		brand: "visa",
+		last4: "3184",
+		outcome: "authentication_required",
+	},
+};
+
+const DECLINES = {
+	card_declined: {
+		code: "card_declined",
+		decline_code: "generic_decline",
+		message: "Your card was declined.",
+	},
+	insufficient_funds: {
+		code: "card_declined",
+		decline_code: "insufficient_funds",
+		message: "Your card has insufficient funds.",
+	},
+	expired_card: {
+		code: "expired_card",
+		decline_code: "expired_card",
+		message: "Your card has expired.",
+	},
+	authentication_required: {
+		code: "authentication_required",
+		decline_code: "authentication_required",
+		message: "Your card was declined. This transaction requires authentication.",
+	},
+};
+const API_FAILURES = {
+	api_error: { type: "api_error", statusCode: 500, message: "An unknown error occurred" },
+	rate_limit: {
+		type: "rate_limit_error",
+		statusCode: 429,
+		code: "rate_limit",
+		message: "Too many requests hit the API too quickly.",
+	},
+};
+const THREE_D_SECURE = {
+	type: "use_stripe_sdk",
+	use_stripe_sdk: { type: "three_d_secure_redirect" },
+};
+const CANCELABLE = [
+	"requires_payment_method",
+	"requires_confirmation",
+	"requires_action",
+	"processing",
+];
+
+const nowUnix = () => Math.floor(Date.now() / 1000);
+const clone = (v) => (v == null ? v : structuredClone(v));
+const idOf = (ref) => (typeof ref === "string" ? ref : ref?.id || null);
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+function stripeError(raw) {
+	return Stripe.errors.StripeError.generate({ statusCode: 400, ...raw });
+}
+
+function invalidRequest(message, extra = {}) {
+	return stripeError({ type: "invalid_request_error", message, ...extra });
+}
+
+// Stripe unsets a metadata key that's sent as ""
+function mergeMetadata(current, patch) {
+	const next = { ...current };
+	for (const [k, v] of Object.entries(patch || {})) {
+		if (v === "" || v == null) delete next[k];
+		else next[k] = String(v);
+	}
+	return next;
+}
+
+function addInterval(unix, interval = "month", count = 1) {
+	const d = new Date(unix * 1000);
+	if (interval === "year") d.setUTCFullYear(d.getUTCFullYear() + count);
+	else if (interval === "week") d.setUTCDate(d.getUTCDate() + 7 * count);
+	else if (interval === "day") d.setUTCDate(d.getUTCDate() + count);
+	else d.setUTCMonth(d.getUTCMonth() + count);
+	return Math.floor(d.getTime() / 1000);
+}
+
+const asList = (data) => ({ object: "list", data, has_more: false, url: "" });
+
+function createFakeStripe() {
+	const db = {
+		customers: new Map(),
+		taxIds: new Map(),
+		paymentMethods: new Map(),
+		setupIntents: new Map(),
+		paymentIntents: new Map(),
+		charges: new Map(),
+		refunds: new Map(),
+		products: new Map(),
+		prices: new Map(),
+		taxRates: new Map(),
+		coupons: new Map(),
+		invoices: new Map(),
+		invoiceItems: new Map(),
+		subscriptions: new Map(),
+	};
+	const outcomes = new Map(); // payment method id -> TEST_CARDS outcome
+	const fromToken = new Map(); // "<customer>:<test card id>" -> payment method id
+	const failures = new Map(); // "resource.method" -> [code, ...]
+	const idempotency = new Map(); // "resource.method:<key>" -> { fingerprint, result | error }
+	const listeners = [];
+	let delivery = Promise.resolve();
+	let injected = null; // failure injected into the call in progress
+	let invoiceCount = 0; // for invoice numbers
+
+	function must(map, kind, id, param = "id") {
+		const row = map.get(idOf(id));
+		if (!row)
+			throw invalidRequest(`No such ${kind}: '${idOf(id)}'`, {
+				code: "resource_missing",
+				param,
+				statusCode: 404,
+			});
+		return row;
+	}
+
+	/* ---------------- events ---------------- */
+
+	function emit(type, object, previousAttributes = null) {
+		const event = {
+			id: newId("evt"),
+			object: "event",
+			api_version: API_VERSION,
+			type,
+			created: nowUnix(),
+			livemode: false,
+			data: {
+				object: clone(object),
+				...(previousAttributes && { previous_attributes: clone(previousAttributes) }),
+			},
+		};
+		delivery = delivery.then(() => deliver(event));
+	}
+
+	async function deliver(event) {
+		// Like a webhook: after the API call that caused it has returned
+		await new Promise((resolve) => setImmediate(resolve));
+		for (const listener of listeners) {
+			try {
+				await listener(clone(event));
+			} catch (e) {
+				console.warn("[fake-stripe] event listener failed:", event.type, e.message);
+			}
+		}
+	}
+
+	async function settle() {
+		let pending;
+		do {
+			pending = delivery;
+			await pending;
+		} while (pending !== delivery);
+	}
+
+	/* ---------------- customers ---------------- */
+
+	function createCustomer(params) {
+		const p = params || {};
+		const customer = {
+			id: newId("cus"),
+			object: "customer",
+			created: nowUnix(),
+			livemode: false,
+			name: p.name || null,
+			email: p.email || null,
+			phone: p.phone || null,
+			description: p.description || null,
+			address: p.address || null,
+			balance: 0,
+			currency: null,
+			tax_exempt: p.tax_exempt || "none",
+			invoice_settings: { default_payment_method: null },
+			metadata: mergeMetadata({}, p.metadata),
+		};
+		db.customers.set(customer.id, customer);
+		emit("customer.created", customer);
+		return customer;
+	}
+
+	function updateCustomer(id, params) {
+		const customer = must(db.customers, "customer", id);
+		const { metadata, invoice_settings: settings, ...rest } = params || {};
+		const previous = {};
+		for (const [k, v] of Object.entries(rest)) {
+			previous[k] = customer[k];
+			customer[k] = v === "" ? null : v; // "" unsets, as in Stripe
+		}
+		if (metadata) {
+			previous.metadata = customer.metadata;
+			customer.metadata = mergeMetadata(customer.metadata, metadata);
+		}
+		if (settings) {
+			previous.invoice_settings = clone(customer.invoice_settings);
+			const { default_payment_method: pm, ...other } = settings;
+			Object.assign(customer.invoice_settings, other);
+			if (pm !== undefined)
+				customer.invoice_settings.default_payment_method = pm
+					? attachedCard(pm, customer.id).id
+					: null;
+		}
+		emit("customer.updated", customer, previous);
+		return customer;
+	}
+
+	// Supports the metadata['key']:'value' and email:'value' clauses we use
+	function searchCustomers(params) {
+		const { query = "", limit = 10 } = params || {};
+		const clauses = [
+			...[...query.matchAll(/metadata\['([^']+)'\]:'([^']*)'/g)].map(
+				([, k, v]) => (c) => c.metadata[k] === v
+			),
+			...[...query.matchAll(/email:'([^']*)'/g)].map(([, v]) => (c) => c.email === v),
+		];
+		if (!clauses.length) throw invalidRequest(`Unsupported search query: ${query}`);
+		const data = [...db.customers.values()].filter((c) => clauses.every((f) => f(c)));
+		return { object: "search_result", data: data.slice(0, limit), has_more: false };
+	}
+
+	function createTaxId(customerId, params) {
+		const customer = must(db.customers, "customer", customerId);
+		const taxId = {
+			id: newId("txi"),
+			object: "tax_id",
+			customer: customer.id,
+			type: params?.type,
+			value: params?.value,
+			country: String(params?.value || "").slice(0, 2) || null,
+			created: nowUnix(),
+			verification: { status: "unverified", verified_name: null, verified_address: null },
+		};
+		db.taxIds.set(taxId.id, taxId);
+		return taxId;
+	}
+
+	function deleteTaxId(customerId, id) {
+		const taxId = must(db.taxIds, "tax_id", id);
+		if (taxId.customer !== customerId) throw invalidRequest(`No such tax_id: '${id}'`);
+		db.taxIds.delete(taxId.id);
+		return { id: taxId.id, object: "tax_id", deleted: true };
+	}
+
+	const taxIdsOf = (customerId) =>
+		[...db.taxIds.values()].filter((t) => t.customer === customerId);
+
+	/* ---------------- payment methods ---------------- */
+
+	function cardFromTestId(testId) {
+		const card = TEST_CARDS[testId];
+		const pm = {
+			id: newId("pm"),
+			object: "payment_method",
+			type: "card",
+			created: nowUnix(),
+			livemode: false,
+			customer: null,
+			billing_details: { address: null, email: null, name: null, phone: null },
+			card: {
+				brand: card.brand,
+				last4: card.last4,
+				exp_month: 12,
+				exp_year: new Date().getUTCFullYear() + 3,
+				funding: "credit",
+				country: "US",
+			},
+			metadata: {},
+		};
+		db.paymentMethods.set(pm.id, pm);
+		outcomes.set(pm.id, card.outcome);
+		return pm;
+	}
+
+	/** A payment method by id; test card ids resolve to the customer's copy */
+	function resolveCard(ref, customerId = null) {
+		const id = idOf(ref);
+		if (db.paymentMethods.has(id)) return db.paymentMethods.get(id);
+		if (TEST_CARDS[id]) {
+			const known = customerId && fromToken.get(`${customerId}:${id}`);
+			return known ? db.paymentMethods.get(known) : cardFromTestId(id);
+		}
+		return must(db.paymentMethods, "PaymentMethod", id, "payment_method");
+	}
+
+	function attachedCard(ref, customerId) {
+		const pm = resolveCard(ref, customerId);
+		if (pm.customer !== customerId)
+			throw invalidRequest(
+				`The customer does not have a payment method with the ID ${idOf(ref)}. The payment method must be attached to the customer.`,
+				{ code: "resource_missing", param: "payment_method" }
+			);
+		return pm;
+	}
+
+	function attachCard(ref, params) {
+		const customer = must(db.customers, "customer", params?.customer, "customer");
+		const pm = resolveCard(ref, customer.id);
+		if (pm.customer && pm.customer !== customer.id)
+			throw invalidRequest(
+				"The payment method you provided has already been attached to a customer."
+			);
+		if (pm.customer === customer.id) return pm;
+		pm.customer = customer.id;
+		if (TEST_CARDS[idOf(ref)]) fromToken.set(`${customer.id}:${idOf(ref)}`, pm.id);
+		emit("payment_method.attached", pm);
+		return pm;
+	}
+
+	function detachCard(id) {
+		const pm = must(db.paymentMethods, "PaymentMethod", id);
+		if (!pm.customer)
+			throw invalidRequest(
+				"The payment method you provided is not attached to a customer so detachment is impossible."
+			);
+		const customer = db.customers.get(pm.customer);
+		if (customer?.invoice_settings.default_payment_method === pm.id)
+			customer.invoice_settings.default_payment_method = null;
+		for (const [k, v] of fromToken) if (v === pm.id) fromToken.delete(k);
+		const previous = { customer: pm.customer };
+		pm.customer = null;
+		emit("payment_method.detached", pm, previous);
+		return pm;
+	}
+
+	function listCards(params) {
+		const { customer, type = "card", limit = 10 } = params || {};
+		if (!customer)
+			throw invalidRequest("Missing required param: customer.", { param: "customer" });
+		const data = [...db.paymentMethods.values()]
+			.filter((pm) => pm.customer === customer && pm.type === type)
+			.reverse();
+		return asList(data.slice(0, limit));
+	}
+
+	/* ---------------- setup intents ---------------- */
+
+	function createSetupIntent(params) {
+		const p = params || {};
+		const id = newId("seti");
+		const si = {
+			id,
+			object: "setup_intent",
+			client_secret: `${id}_secret_${crypto.randomBytes(12).toString("hex")}`,
+			created: nowUnix(),
+			livemode: false,
+			customer: p.customer ? must(db.customers, "customer", p.customer, "customer").id : null,
+			payment_method: null,
+			payment_method_types: p.payment_method_types || ["card"],
+			status: "requires_payment_method",
+			usage: p.usage || "off_session",
+			last_setup_error: null,
+			metadata: mergeMetadata({}, p.metadata),
+		};
+		if (p.payment_method) {
+			si.payment_method = resolveCard(p.payment_method, si.customer).id;
+			si.status = "requires_confirmation";
+		}
+		db.setupIntents.set(id, si);
+		if (p.confirm) return confirmSetupIntent(id, {});
+		return si;
+	}
+
+	// Saving a card completes 3-D Secure on the spot; only declines fail here
+	function confirmSetupIntent(id, params) {
+		const si = must(db.setupIntents, "setup_intent", id);
+		if (!["requires_payment_method", "requires_confirmation"].includes(si.status))
+			throw invalidRequest(
+				`You cannot confirm this SetupIntent because it has a status of ${si.status}.`,
+				{ code: "setup_intent_unexpected_state" }
+			);
+		if (params?.payment_method)
+			si.payment_method = resolveCard(params.payment_method, si.customer).id;
+		if (!si.payment_method)
+			throw invalidRequest(
+				"You cannot confirm this SetupIntent because it's missing a payment method."
+			);
+
+		const outcome = takeOutcome(si.payment_method);
+		if (outcome !== "ok" && outcome !== "authentication_required") {
+			const d = DECLINES[outcome];
+			si.status = "requires_payment_method";
+			si.last_setup_error = { type: "card_error", ...d };
+			emit("setup_intent.setup_failed", si);
+			throw stripeError({ type: "card_error", statusCode: 402, ...d, setup_intent: clone(si) });
+		}
+		if (si.customer) attachCard(si.payment_method, { customer: si.customer });
+		si.status = "succeeded";
+		si.last_setup_error = null;
+		emit("setup_intent.succeeded", si);
+		return si;
+	}
+
+	/* ---------------- payment intents ---------------- */
+
+	// An injected failure beats the card's own behaviour (once)
+	function takeOutcome(pmId) {
+		const forced = injected;
+		injected = null;
+		return forced || outcomes.get(pmId) || "ok";
+	}
+
+	function createPaymentIntent(params) {
+		const p = params || {};
+		if (!Number.isInteger(p.amount) || p.amount < 1)
+			throw invalidRequest("Invalid positive integer", { param: "amount" });
+		if (!p.currency)
+			throw invalidRequest("Missing required param: currency.", { param: "currency" });
+		const id = newId("pi");
+		const pi = {
+			id,
+			object: "payment_intent",
+			amount: p.amount,
+			amount_received: 0,
+			currency: p.currency.toLowerCase(),
+			customer: p.customer ? must(db.customers, "customer", p.customer, "customer").id : null,
+			description: p.description || null,
+			invoice: p.invoice || null,
+			payment_method: null,
+			payment_method_types: p.payment_method_types || ["card"],
+			status: "requires_payment_method",
+			client_secret: `${id}_secret_${crypto.randomBytes(12).toString("hex")}`,
+			next_action: null,
+			last_payment_error: null,
+			latest_charge: null,
+			canceled_at: null,
+			cancellation_reason: null,
+			created: nowUnix(),
+			livemode: false,
+			metadata: mergeMetadata({}, p.metadata),
+		};
+		if (p.payment_method) {
+			pi.payment_method = resolveCard(p.payment_method, pi.customer).id;
+			pi.status = "requires_confirmation";
+		}
+		db.paymentIntents.set(id, pi);
+		emit("payment_intent.created", pi);
+		return p.confirm ? confirmIntent(pi, { offSession: !!p.off_session }) : pi;
+	}
+
+	function confirmIntent(pi, { offSession = false, paymentMethod = null, raise = true } = {}) {
+		if (!["requires_payment_method", "requires_confirmation"].includes(pi.status))
+			throw invalidRequest(
+				`You cannot confirm this PaymentIntent because it has a status of ${pi.status}.`,
+				{ code: "payment_intent_unexpected_state", payment_intent: clone(pi) }
+			);
+		if (paymentMethod) pi.payment_method = resolveCard(paymentMethod, pi.customer).id;
+		if (!pi.payment_method)
+			throw invalidRequest(
+				"You cannot confirm this PaymentIntent because it's missing a payment method.",
+				{ code: "payment_intent_unexpected_state" }
+			);
+		const pm = db.paymentMethods.get(pi.payment_method);
+		if (pi.customer && pm.customer && pm.customer !== pi.customer)
+			throw invalidRequest(
+				`The provided PaymentMethod ${pm.id} belongs to a different customer.`,
+				{ param: "payment_method" }
+			);
+
+		const outcome = takeOutcome(pm.id);
+		if (outcome === "ok") return succeedIntent(pi);
+		if (outcome === "authentication_required" && !offSession) {
+			pi.status = "requires_action";
+			pi.last_payment_error = null;
+			pi.next_action = THREE_D_SECURE;
+			emit("payment_intent.requires_action", pi);
+			return pi;
+		}
+		return failIntent(pi, DECLINES[outcome], { raise });
+	}
+
+	function succeedIntent(pi) {
+		const charge = {
+			id: newId("ch"),
+			object: "charge",
+			amount: pi.amount,
+			amount_captured: pi.amount,
+			amount_refunded: 0,
+			currency: pi.currency,
+			customer: pi.customer,
+			description: pi.description,
+			invoice: pi.invoice,
+			payment_intent: pi.id,
+			payment_method: pi.payment_method,
+			paid: true,
+			captured: true,
+			refunded: false,
+			status: "succeeded",
+			created: nowUnix(),
+			livemode: false,
+			metadata: { ...pi.metadata },
+			refunds: asList([]),
+		};
+		db.charges.set(charge.id, charge);
+		Object.assign(pi, {
+			status: "succeeded",
+			amount_received: pi.amount,
+			latest_charge: charge.id,
+			last_payment_error: null,
+			next_action: null,
+		});
+		emit("charge.succeeded", charge);
+		emit("payment_intent.succeeded", pi);
+		if (pi.invoice) invoicePaid(db.invoices.get(pi.invoice));
+		return pi;
+	}
+
+	function failIntent(pi, decline, { raise = true } = {}) {
+		const pm = db.paymentMethods.get(pi.payment_method);
+		Object.assign(pi, {
+			status: "requires_payment_method",
+			next_action: null,
+			last_payment_error: { type: "card_error", ...decline, payment_method: clone(pm) },
+		});
+		emit("payment_intent.payment_failed", pi);
+		if (pi.invoice) invoiceFailed(db.invoices.get(pi.invoice));
+		if (!raise) return pi;
+		throw stripeError({
+			type: "card_error",
+			statusCode: 402,
+			...decline,
+			payment_intent: clone(pi),
+			payment_method: clone(pm),
+		});
+	}
+
+	function cancelIntent(id, params) {
+		const pi = must(db.paymentIntents, "payment_intent", id);
+		if (pi.invoice)
+			throw invalidRequest(
+				"You cannot cancel this PaymentIntent because it has an associated invoice. Void the invoice instead."
+			);
+		if (!CANCELABLE.includes(pi.status))
+			throw invalidRequest(
+				`You cannot cancel this PaymentIntent because it has a status of ${pi.status}.`,
+				{ code: "payment_intent_unexpected_state", payment_intent: clone(pi) }
+			);
+		Object.assign(pi, {
+			status: "canceled",
+			canceled_at: nowUnix(),
+			cancellation_reason: params?.cancellation_reason || null,
+			next_action: null,
+		});
+		emit("payment_intent.canceled", pi);
+		return pi;
+	}
+
+	/* ---------------- refunds ---------------- */
+
+	function createRefund(params) {
+		const p = params || {};
+		const pi = p.payment_intent && must(db.paymentIntents, "payment_intent", p.payment_intent);
+		const charge = p.charge
+			? must(db.charges, "charge", p.charge, "charge")
+			: pi?.latest_charge && db.charges.get(pi.latest_charge);
+		if (!charge)
+			throw invalidRequest("This PaymentIntent does not have a successful charge to refund.", {
+				code: "charge_not_refundable",
+			});
+		const left = charge.amount - charge.amount_refunded;
+		const amount = p.amount ?? left;
+		if (amount > left)
+			throw invalidRequest(
+				`Refund amount (${amount}) is greater than unrefunded amount on charge (${left})`,
+				{ code: "amount_too_large", param: "amount" }
+			);
+		if (!left)
+			throw invalidRequest(`Charge ${charge.id} has already been refunded.`, {
+				code: "charge_already_refunded",
+			});
+
+		const refund = {
+			id: newId("re"),
+			object: "refund",
+			amount,
+			charge: charge.id,
+			payment_intent: charge.payment_intent,
+			currency: charge.currency,
+			reason: p.reason || null,
+			status: "succeeded",
+			created: nowUnix(),
+			metadata: mergeMetadata({}, p.metadata),
+		};
+		db.refunds.set(refund.id, refund);
+		charge.amount_refunded += amount;
+		charge.refunded = charge.amount_refunded >= charge.amount;
+		charge.refunds.data.unshift(clone(refund));
+		emit("refund.created", refund);
+		emit("charge.refunded", charge);
+		return refund;
+	}
+
+	function listRefunds(params) {
+		const { charge, payment_intent: pi, limit = 10 } = params || {};
+		const data = [...db.refunds.values()]
+			.filter((r) => (!charge || r.charge === charge) && (!pi || r.payment_intent === pi))
+			.reverse();
+		return asList(data.slice(0, limit));
+	}
+
+	/* ---------------- prices & tax rates ---------------- */
+
+	function createPrice(params) {
+		const p = params || {};
+		if (p.lookup_key && !p.transfer_lookup_key) {
+			const taken = [...db.prices.values()].find(
+				(x) => x.active && x.lookup_key === p.lookup_key
+			);
+			if (taken)
+				throw invalidRequest(`A price (\`${taken.id}\`) already uses that lookup key.`, {
+					param: "lookup_key",
+				});
+		}
+		let product = p.product && must(db.products, "product", p.product, "product");
+		if (!product) {
+			product = { id: newId("prod"), object: "product", name: p.product_data?.name || "Product" };
+			db.products.set(product.id, product);
+		}
+		const price = {
+			id: newId("price"),
+			object: "price",
+			active: true,
+			currency: String(p.currency).toLowerCase(),
+			unit_amount: p.unit_amount,
+			type: p.recurring ? "recurring" : "one_time",
+			recurring: p.recurring
+				? { interval: p.recurring.interval, interval_count: p.recurring.interval_count || 1 }
+				: null,
+			lookup_key: p.lookup_key || null,
+			product: product.id,
+			nickname: p.nickname || null,
+			created: nowUnix(),
+			livemode: false,
+			metadata: mergeMetadata({}, p.metadata),
+		};
+		db.prices.set(price.id, price);
+		return price;
+	}
+
+	function listPrices(params) {
+		const { lookup_keys: keys, active, limit = 10 } = params || {};
+		const data = [...db.prices.values()].filter(
+			(p) =>
+				(!keys || keys.includes(p.lookup_key)) && (active === undefined || p.active === active)
+		);
+		return asList(data.slice(0, limit));
+	}
+
+	function createTaxRate(params) {
+		const p = params || {};
+		const rate = {
+			id: newId("txr"),
+			object: "tax_rate",
+			active: true,
+			display_name: p.display_name,
+			percentage: p.percentage,
+			inclusive: !!p.inclusive,
+			country: p.country || null,
+			jurisdiction: p.jurisdiction || null,
+			created: nowUnix(),
+			livemode: false,
+			metadata: mergeMetadata({}, p.metadata),
+		};
+		db.taxRates.set(rate.id, rate);
+		return rate;
+	}
+
+	function listTaxRates(params) {
+		const { active, limit = 10 } = params || {};
+		const data = [...db.taxRates.values()].filter(
+			(r) => active === undefined || r.active === active
+		);
+		return asList(data.slice(0, limit));
+	}
+
+	const taxRatesFrom = (refs) =>
+		Array.isArray(refs) ? refs.map((r) => clone(must(db.taxRates, "tax_rate", r))) : [];
+
+	/* ---------------- coupons & discounts ---------------- */
+
+	function createCoupon(params) {
+		const p = params || {};
+		if (p.percent_off == null && p.amount_off == null)
+			throw invalidRequest("Must provide either `percent_off` or `amount_off`.");
+		if (p.amount_off != null && !p.currency)
+			throw invalidRequest("You must pass currency when passing amount_off.", {
+				param: "currency",
+			});
+		if (p.duration === "repeating" && !p.duration_in_months)
+			throw invalidRequest("Missing required param: duration_in_months.", {
+				param: "duration_in_months",
+			});
+		const coupon = {
+			id: p.id || crypto.randomBytes(4).toString("hex").toUpperCase(),
+			object: "coupon",
+			name: p.name || null,
+			percent_off: p.percent_off ?? null,
+			amount_off: p.amount_off ?? null,
+			currency: p.currency ? String(p.currency).toLowerCase() : null,
+			duration: p.duration || "once",
+			duration_in_months: p.duration === "repeating" ? p.duration_in_months : null,
+			max_redemptions: p.max_redemptions ?? null,
+			redeem_by: p.redeem_by ?? null,
+			times_redeemed: 0,
+			valid: true,
+			created: nowUnix(),
+			livemode: false,
+			metadata: mergeMetadata({}, p.metadata),
+		};
+		db.coupons.set(coupon.id, coupon);
+		return coupon;
+	}
+
+	// A coupon applied to a subscription, as Stripe's Discount object
+	function newDiscount(couponId, sub) {
+		const coupon = must(db.coupons, "coupon", couponId, "discounts[0][coupon]");
+		if (coupon.amount_off != null && coupon.currency !== sub.currency)
+			throw invalidRequest(
+				`The coupon currency (${coupon.currency}) must match the subscription currency (${sub.currency}).`,
+				{ param: "discounts[0][coupon]" }
+			);
+		coupon.times_redeemed += 1;
+		const start = nowUnix();
+		return {
+			id: newId("di"),
+			object: "discount",
+			coupon: clone(coupon),
+			customer: sub.customer,
+			subscription: sub.id,
+			promotion_code: null,
+			start,
+			end:
+				coupon.duration === "repeating"
+					? addInterval(start, "month", coupon.duration_in_months)
+					: null,
+		};
+	}
+
+	function removeDiscount(sub) {
+		const previous = { discount: sub.discount, discounts: sub.discounts };
+		Object.assign(sub, { discount: null, discounts: [] });
+		emit("customer.subscription.updated", sub, previous);
+	}
+
+	// The subscription's discount if it still applies ("repeating" ones run out)
+	function activeDiscount(sub) {
+		if (sub?.discount?.end && nowUnix() >= sub.discount.end) removeDiscount(sub);
+		return sub?.discount || null;
+	}
+
+	function discountAmount(coupon, subtotal) {
+		if (subtotal <= 0) return 0;
+		return coupon.percent_off != null
+			? Math.round((subtotal * coupon.percent_off) / 100)
+			: Math.min(coupon.amount_off, subtotal);
+	}
+
+	/* ---------------- invoices ---------------- */
+
+	function newInvoice({
+		customer: customerId,
+		subscription = null,
+		currency,
+		billingReason,
+		taxRates = [],
+		description = null,
+		metadata = {},
+		autoAdvance = true,
+		periodStart = nowUnix(),
+		periodEnd = nowUnix(),
+	}) {
+		const customer = must(db.customers, "customer", customerId, "customer");
+		const discount = activeDiscount(subscription && db.subscriptions.get(subscription));
+		const invoice = {
+			id: newId("in"),
+			object: "invoice",
+			customer: customer.id,
+			subscription,
+			status: "draft",
+			number: null,
+			currency: String(currency || "gbp").toLowerCase(),
+			billing_reason: billingReason,
+			collection_method: "charge_automatically",
+			auto_advance: autoAdvance,
+			description,
+			default_tax_rates: taxRates,
+			customer_address: clone(customer.address),
+			customer_tax_exempt: customer.tax_exempt,
+			customer_tax_ids: taxIdsOf(customer.id).map((t) => ({ type: t.type, value: t.value })),
+			lines: asList([]),
+			discount: clone(discount),
+			discounts: discount ? [discount.id] : [],
+			total_discount_amounts: [],
+			subtotal: 0,
+			total_excluding_tax: 0,
+			tax: 0,
+			total: 0,
+			amount_due: 0,
+			amount_paid: 0,
+			amount_remaining: 0,
+			paid: false,
+			attempt_count: 0,
+			payment_intent: null,
+			period_start: periodStart,
+			period_end: periodEnd,
+			status_transitions: { finalized_at: null, paid_at: null, voided_at: null },
+			created: nowUnix(),
+			livemode: false,
+			metadata: mergeMetadata({}, metadata),
+		};
+		db.invoices.set(invoice.id, invoice);
+		return invoice;
+	}
+
+	// Exclusive tax rates, worked out per line like Stripe does (after the discount)
+	function recalculate(invoice) {
+		const percentage = invoice.default_tax_rates
+			.filter((r) => !r.inclusive)
+			.reduce((sum, r) => sum + r.percentage, 0);
+		invoice.subtotal = invoice.lines.data.reduce((sum, l) => sum + l.amount, 0);
+		const off = invoice.discount ? discountAmount(invoice.discount.coupon, invoice.subtotal) : 0;
+		const share = off ? (invoice.subtotal - off) / invoice.subtotal : 1;
+		invoice.tax = invoice.lines.data.reduce(
+			(sum, l) => sum + Math.round((l.amount * share * percentage) / 100),
+			0
+		);
+		invoice.total_discount_amounts = off
+			? [{ amount: off, discount: invoice.discount.id }]
+			: [];
+		invoice.total_excluding_tax = invoice.subtotal - off;
+		invoice.total = invoice.total_excluding_tax + invoice.tax;
+		invoice.amount_due = Math.max(0, invoice.total);
+		invoice.amount_remaining = Math.max(0, invoice.amount_due - invoice.amount_paid);
+	}
+
+	function addLine(invoice, item) {
+		invoice.lines.data.push({
+			id: newId("il"),
+			object: "line_item",
+			amount: item.amount,
+			currency: invoice.currency,
+			description: item.description || null,
+			quantity: item.quantity || 1,
+			price: item.price || null,
+			proration: !!item.proration,
+			period: item.period || { start: invoice.period_start, end: invoice.period_end },
+			metadata: { ...item.metadata },
+		});
+		recalculate(invoice);
+	}
+
+	// Invoice items not yet on an invoice go on the customer's next one
+	function takePendingItems(invoice) {
+		for (const item of db.invoiceItems.values()) {
+			if (item.customer !== invoice.customer || item.invoice) continue;
+			item.invoice = invoice.id;
+			addLine(invoice, item);
+		}
+	}
+
+	function createInvoice(params) {
+		const p = params || {};
+		const customer = must(db.customers, "customer", p.customer, "customer");
+		const invoice = newInvoice({
+			customer: customer.id,
+			subscription: p.subscription || null,
+			currency: p.currency || customer.currency || "gbp",
+			billingReason: "manual",
+			taxRates: taxRatesFrom(p.default_tax_rates),
+			description: p.description,
+			metadata: p.metadata,
+			autoAdvance: p.auto_advance ?? p.collection_method !== "send_invoice",
+		});
+		if (p.pending_invoice_items_behavior !== "exclude") takePendingItems(invoice);
+		emit("invoice.created", invoice);
+		if (invoice.auto_advance) {
+			const timer = setTimeout(() => advanceInvoice(invoice.id), AUTO_ADVANCE_MS);
+			timer.unref();
+		}
+		return invoice;
+	}
+
+	function createInvoiceItem(params) {
+		const p = params || {};
+		const customer = must(db.customers, "customer", p.customer, "customer");
+		const invoice = p.invoice && must(db.invoices, "invoice", p.invoice, "invoice");
+		if (invoice && invoice.status !== "draft")
+			throw invalidRequest("You can only add invoice items to draft invoices.", {
+				param: "invoice",
+			});
+		const quantity = p.quantity || 1;
+		const item = {
+			id: newId("ii"),
+			object: "invoiceitem",
+			customer: customer.id,
+			invoice: invoice?.id || null,
+			amount: p.amount ?? (p.unit_amount || 0) * quantity,
+			currency: String(p.currency || invoice?.currency || "gbp").toLowerCase(),
+			description: p.description || null,
+			quantity,
+			proration: false,
+			date: nowUnix(),
+			metadata: mergeMetadata({}, p.metadata),
+		};
+		db.invoiceItems.set(item.id, item);
+		if (invoice) addLine(invoice, item);
+		return item;
+	}
+
+	function finalizeInvoice(id) {
+		const invoice = must(db.invoices, "invoice", id);
+		if (invoice.status !== "draft")
+			throw invalidRequest(
+				"This invoice is already finalized, you can't re-finalize a non-draft invoice."
+			);
+		invoiceCount += 1;
+		invoice.status = "open";
+		invoice.number = `FAKE-${String(invoiceCount).padStart(4, "0")}`;
+		invoice.status_transitions.finalized_at = nowUnix();
+		emit("invoice.finalized", invoice);
+		// A "once" coupon is used up by the first invoice it discounts
+		const sub = invoice.subscription && db.subscriptions.get(invoice.subscription);
+		if (
+			invoice.total_discount_amounts.length &&
+			invoice.discount.coupon.duration === "once" &&
+			sub?.discount?.id === invoice.discount.id
+		)
+			removeDiscount(sub);
+		if (invoice.amount_due === 0) {
+			// Credit (negative total) goes to the customer's balance
+			if (invoice.total < 0) db.customers.get(invoice.customer).balance += invoice.total;
+			invoicePaid(invoice);
+		}
+		return invoice;
+	}
+
+	/**
+	 * Charge an open invoice to `paymentMethod`, else the subscription's or
+	 * customer's default card. With `raise` a decline throws, as invoices.pay does.
+	 */
+	function chargeInvoice(invoice, { offSession = true, paymentMethod = null, raise = false } = {}) {
+		if (invoice.status !== "open") return invoice;
+		invoice.attempt_count += 1;
+		const customer = db.customers.get(invoice.customer);
+		const sub = invoice.subscription && db.subscriptions.get(invoice.subscription);
+		const pmId =
+			(paymentMethod && resolveCard(paymentMethod, customer.id).id) ||
+			sub?.default_payment_method ||
+			customer.invoice_settings.default_payment_method ||
+			listCards({ customer: customer.id, limit: 1 }).data[0]?.id ||
+			null;
+
+		let pi = invoice.payment_intent && db.paymentIntents.get(invoice.payment_intent);
+		if (!pi) {
+			pi = createPaymentIntent({
+				amount: invoice.amount_remaining,
+				currency: invoice.currency,
+				customer: customer.id,
+				invoice: invoice.id,
+				description: invoice.description || `Invoice ${invoice.number}`,
+			});
+			invoice.payment_intent = pi.id;
+		}
+		if (!pmId) {
+			invoiceFailed(invoice);
+			if (raise)
+				throw invalidRequest(
+					"This customer has no attached payment source or default payment method.",
+					{ code: "resource_missing" }
+				);
+			return invoice;
+		}
+
+		// Invoices ask for 3-D Secure even off-session (invoice.payment_action_required)
+		const needsAuth = injected
+			? injected === "authentication_required"
+			: outcomes.get(pmId) === "authentication_required";
+		if (needsAuth) {
+			injected = null;
+			Object.assign(pi, {
+				payment_method: pmId,
+				status: "requires_action",
+				next_action: THREE_D_SECURE,
+			});
+			emit("payment_intent.requires_action", pi);
+			emit("invoice.payment_action_required", invoice);
+			if (sub?.status === "active") setSubscriptionStatus(sub, "past_due");
+			return invoice;
+		}
+		confirmIntent(pi, { offSession, paymentMethod: pmId, raise });
+		return invoice;
+	}
+
+	function invoicePaid(invoice) {
+		if (!invoice || invoice.status === "paid") return;
+		Object.assign(invoice, {
+			status: "paid",
+			paid: true,
+			amount_paid: invoice.amount_due,
+			amount_remaining: 0,
+		});
+		invoice.status_transitions.paid_at = nowUnix();
+		emit("invoice.paid", invoice);
+		emit("invoice.payment_succeeded", invoice);
+		const sub = invoice.subscription && db.subscriptions.get(invoice.subscription);
+		if (sub && ["incomplete", "past_due"].includes(sub.status))
+			setSubscriptionStatus(sub, "active");
+	}
+
+	function invoiceFailed(invoice) {
+		if (!invoice) return invoice;
+		emit("invoice.payment_failed", invoice);
+		const sub = invoice.subscription && db.subscriptions.get(invoice.subscription);
+		if (sub?.status === "active" && invoice.billing_reason !== "subscription_create")
+			setSubscriptionStatus(sub, "past_due");
+		return invoice;
+	}
+
+	function advanceInvoice(id) {
+		const invoice = db.invoices.get(id);
+		if (!invoice || invoice.status !== "draft" || !invoice.auto_advance) return false;
+		finalizeInvoice(id);
+		chargeInvoice(invoice);
+		return true;
+	}
+
+	function payInvoice(id, params = {}) {
+		const invoice = must(db.invoices, "invoice", id);
+		if (invoice.status === "draft") finalizeInvoice(id);
+		if (invoice.status !== "open")
+			throw invalidRequest(`Invoice is already ${invoice.status}`, { code: "invoice_not_open" });
+		return chargeInvoice(invoice, {
+			offSession: params.off_session ?? true,
+			paymentMethod: params.payment_method,
+			raise: true,
+		});
+	}
+
+	/* ---------------- subscriptions ---------------- */
+
+	function setSubscriptionStatus(sub, status) {
+		const previous = { status: sub.status };
+		sub.status = status;
+		emit("customer.subscription.updated", sub, previous);
+	}
+
+	function expandSubscription(sub, expand = []) {
+		const out = clone(sub);
+		const wantInvoice = expand.some((e) => e.startsWith("latest_invoice"));
+		if (wantInvoice && sub.latest_invoice) {
+			out.latest_invoice = clone(db.invoices.get(sub.latest_invoice));
+			const piId = out.latest_invoice.payment_intent;
+			if (expand.includes("latest_invoice.payment_intent") && piId)
+				out.latest_invoice.payment_intent = clone(db.paymentIntents.get(piId));
+		}
+		return out;
+	}
+
+	const productName = (price) => db.products.get(price.product)?.name || "Subscription";
+
+	function subscriptionLines(invoice, sub, start, end) {
+		for (const item of sub.items.data) {
+			addLine(invoice, {
+				amount: item.price.unit_amount * item.quantity,
+				quantity: item.quantity,
+				description: `${item.quantity} × ${productName(item.price)}`,
+				price: clone(item.price),
+				period: { start, end },
+			});
+		}
+	}
+
+	function createSubscription(params) {
+		const p = params || {};
+		const customer = must(db.customers, "customer", p.customer, "customer");
+		if (!p.items?.length)
+			throw invalidRequest("Missing required param: items.", { param: "items" });
+		const items = p.items.map((i) => ({
+			id: newId("si"),
+			object: "subscription_item",
+			price: clone(must(db.prices, "price", i.price, "items[0][price]")),
+			quantity: i.quantity || 1,
+		}));
+		const interval = items[0].price.recurring?.interval || "month";
+		const start = nowUnix();
+		const end = addInterval(start, interval);
+		const sub = {
+			id: newId("sub"),
+			object: "subscription",
+			customer: customer.id,
+			status: "incomplete",
+			currency: items[0].price.currency,
+			items: asList(items),
+			default_payment_method: p.default_payment_method
+				? attachedCard(p.default_payment_method, customer.id).id
+				: null,
+			default_tax_rates: taxRatesFrom(p.default_tax_rates),
+			collection_method: "charge_automatically",
+			cancel_at_period_end: false,
+			canceled_at: null,
+			ended_at: null,
+			current_period_start: start,
+			current_period_end: end,
+			latest_invoice: null,
+			discount: null,
+			discounts: [],
+			created: start,
+			livemode: false,
+			metadata: mergeMetadata({}, p.metadata),
+		};
+		// `coupon` is the older spelling of `discounts`
+		const couponId = p.discounts?.[0]?.coupon || p.coupon;
+		if (couponId) {
+			sub.discount = newDiscount(couponId, sub);
+			sub.discounts = [sub.discount.id];
+		}
+		db.subscriptions.set(sub.id, sub);
+		emit("customer.subscription.created", sub);
+
+		const invoice = newInvoice({
+			customer: customer.id,
+			subscription: sub.id,
+			currency: sub.currency,
+			billingReason: "subscription_create",
+			taxRates: clone(sub.default_tax_rates),
+			periodStart: start,
+			periodEnd: start,
+		});
+		subscriptionLines(invoice, sub, start, end);
+		sub.latest_invoice = invoice.id;
+		emit("invoice.created", invoice);
+		finalizeInvoice(invoice.id);
+		chargeInvoice(invoice, { offSession: false });
+
+		if (invoice.status !== "paid" && p.payment_behavior === "error_if_incomplete") {
+			const pi = db.paymentIntents.get(invoice.payment_intent);
+			throw stripeError({
+				type: "card_error",
+				statusCode: 402,
+				...(pi?.last_payment_error || DECLINES.authentication_required),
+				payment_intent: clone(pi),
+			});
+		}
+		return expandSubscription(sub, p.expand);
+	}
+
+	function updateSubscription(id, params) {
+		const p = params || {};
+		const sub = must(db.subscriptions, "subscription", id);
+		if (sub.status === "canceled")
+			throw invalidRequest(
+				"A canceled subscription can only update its cancellation_details and metadata."
+			);
+		const previous = {};
+		if (p.metadata) {
+			previous.metadata = sub.metadata;
+			sub.metadata = mergeMetadata(sub.metadata, p.metadata);
+		}
+		if (p.cancel_at_period_end !== undefined) {
+			previous.cancel_at_period_end = sub.cancel_at_period_end;
+			sub.cancel_at_period_end = !!p.cancel_at_period_end;
+		}
+		if (p.default_tax_rates !== undefined) {
+			previous.default_tax_rates = sub.default_tax_rates;
+			sub.default_tax_rates = taxRatesFrom(p.default_tax_rates);
+		}
+		if (p.default_payment_method !== undefined)
+			sub.default_payment_method = p.default_payment_method
+				? attachedCard(p.default_payment_method, sub.customer).id
+				: null;
+
+		const prorations = [];
+		const now = nowUnix();
+		const left =
+			(sub.current_period_end - now) / (sub.current_period_end - sub.current_period_start);
+		for (const change of p.items || []) {
+			const item = sub.items.data.find((i) => i.id === change.id);
+			if (!item)
+				throw invalidRequest(`No such subscription item: '${change.id}'`, {
+					code: "resource_missing",
+				});
+			if (!change.price || change.price === item.price.id) continue;
+			const price = must(db.prices, "price", change.price, "items[0][price]");
+			previous.items = previous.items || clone(sub.items);
+			if (p.proration_behavior !== "none" && left > 0) {
+				const period = { start: now, end: sub.current_period_end };
+				prorations.push(
+					{
+						amount: -Math.round(item.price.unit_amount * item.quantity * left),
+						description: `Unused time on ${item.quantity} × ${productName(item.price)}`,
+						proration: true,
+						period,
+					},
+					{
+						amount: Math.round(price.unit_amount * item.quantity * left),
+						description: `Remaining time on ${item.quantity} × ${productName(price)}`,
+						proration: true,
+						period,
+					}
+				);
+			}
+			item.price = clone(price);
+		}
+
+		if (prorations.length && p.proration_behavior === "always_invoice") {
+			const invoice = newInvoice({
+				customer: sub.customer,
+				subscription: sub.id,
+				currency: sub.currency,
+				billingReason: "subscription_update",
+				taxRates: clone(sub.default_tax_rates),
+				periodStart: now,
+				periodEnd: now,
+			});
+			for (const line of prorations) addLine(invoice, line);
+			sub.latest_invoice = invoice.id;
+			emit("invoice.created", invoice);
+			finalizeInvoice(invoice.id);
+			chargeInvoice(invoice, { offSession: false });
+		} else {
+			// create_prorations: settled on the next renewal invoice
+			for (const line of prorations) {
+				const item = {
+					id: newId("ii"),
+					object: "invoiceitem",
+					customer: sub.customer,
+					invoice: null,
+					currency: sub.currency,
+					quantity: 1,
+					metadata: {},
+					...line,
+				};
+				db.invoiceItems.set(item.id, item);
+			}
+		}
+
+		emit("customer.subscription.updated", sub, previous);
+		return expandSubscription(sub, p.expand);
+	}
+
+	function retrieveSubscription(id, params) {
+		return expandSubscription(must(db.subscriptions, "subscription", id), params?.expand);
+	}
+
+	function cancelSubscription(id) {
+		const sub = must(db.subscriptions, "subscription", id);
+		if (sub.status === "canceled") return sub;
+		Object.assign(sub, { status: "canceled", canceled_at: nowUnix(), ended_at: nowUnix() });
+		emit("customer.subscription.deleted", sub);
+		return sub;
+	}
+
+	/* ---------------- API surface ---------------- */
+
+	/**
+	 * One SDK method: `arity` leading arguments, then the request options.
+	 * Honours idempotency keys and failures injected with failNext().
+	 */
+	function api(name, arity, impl) {
+		return (...args) => {
+			const promise = (async () => call(name, impl, args.slice(0, arity), args[arity]))();
+			// Auto-pagination, as in `for await (const pm of stripe.paymentMethods.list(...))`
+			promise[Symbol.asyncIterator] = async function* () {
+				yield* (await promise).data;
+			};
+			return promise;
+		};
+	}
+
+	function call(name, impl, params, options) {
+		const key = options?.idempotencyKey && `${name}:${options.idempotencyKey}`;
+		const fingerprint = key && JSON.stringify(params);
+		if (key && idempotency.has(key)) {
+			const prior = idempotency.get(key);
+			if (prior.fingerprint !== fingerprint)
+				throw stripeError({
+					type: "idempotency_error",
+					message: `Keys for idempotent requests can only be used with the same parameters they were first used with. Try using a key other than '${options.idempotencyKey}' if you meant to execute a different request.`,
+				});
+			if (prior.error) throw prior.error;
+			return clone(prior.result);
+		}
+
+		const failure = failures.get(name)?.shift();
+		if (API_FAILURES[failure]) throw stripeError(API_FAILURES[failure]);
+		injected = failure || null;
+		try {
+			const result = clone(impl(...params));
+			if (key) idempotency.set(key, { fingerprint, result });
+			return result;
+		} catch (e) {
+			if (key && e.type === "StripeCardError") idempotency.set(key, { fingerprint, error: e });
+			throw e;
+		} finally {
+			injected = null;
+		}
+	}
+
+	const get = (map, kind) => (id) => must(map, kind, id);
+
+	const client = {
+		customers: {
+			create: api("customers.create", 1, createCustomer),
+			retrieve: api("customers.retrieve", 1, get(db.customers, "customer")),
+			update: api("customers.update", 2, updateCustomer),
+			search: api("customers.search", 1, searchCustomers),
+			listTaxIds: api("customers.listTaxIds", 2, (id) => {
+				must(db.customers, "customer", id);
+				return asList(taxIdsOf(id));
+			}),
+			createTaxId: api("customers.createTaxId", 2, createTaxId),
+			deleteTaxId: api("customers.deleteTaxId", 2, deleteTaxId),
+		},
+		paymentMethods: {
+			attach: api("paymentMethods.attach", 2, attachCard),
+			detach: api("paymentMethods.detach", 1, detachCard),
+			list: api("paymentMethods.list", 1, listCards),
+			retrieve: api("paymentMethods.retrieve", 1, (id) => resolveCard(id)),
+		},
+		setupIntents: {
+			create: api("setupIntents.create", 1, createSetupIntent),
+			retrieve: api("setupIntents.retrieve", 1, get(db.setupIntents, "setup_intent")),
+			confirm: api("setupIntents.confirm", 2, confirmSetupIntent),
+		},
+		paymentIntents: {
+			create: api("paymentIntents.create", 1, createPaymentIntent),
+			retrieve: api("paymentIntents.retrieve", 1, get(db.paymentIntents, "payment_intent")),
+			confirm: api("paymentIntents.confirm", 2, (id, params) =>
+				confirmIntent(must(db.paymentIntents, "payment_intent", id), {
+					offSession: !!params?.off_session,
+					paymentMethod: params?.payment_method,
+				})
+			),
+			cancel: api("paymentIntents.cancel", 2, cancelIntent),
+		},
+		refunds: {
+			create: api("refunds.create", 1, createRefund),
+			list: api("refunds.list", 1, listRefunds),
+		},
+		prices: {
+			create: api("prices.create", 1, createPrice),
+			list: api("prices.list", 1, listPrices),
+		},
+		taxRates: {
+			create: api("taxRates.create", 1, createTaxRate),
+			list: api("taxRates.list", 1, listTaxRates),
+		},
+		coupons: {
+			create: api("coupons.create", 1, createCoupon),
+			retrieve: api("coupons.retrieve", 1, get(db.coupons, "coupon")),
+		},
+		invoices: {
+			create: api("invoices.create", 1, createInvoice),
+			retrieve: api("invoices.retrieve", 1, get(db.invoices, "invoice")),
+			finalizeInvoice: api("invoices.finalizeInvoice", 1, finalizeInvoice),
+			pay: api("invoices.pay", 2, payInvoice),
+		},
+		invoiceItems: {
+			create: api("invoiceItems.create", 1, createInvoiceItem),
+		},
+		subscriptions: {
+			create: api("subscriptions.create", 1, createSubscription),
+			retrieve: api("subscriptions.retrieve", 2, retrieveSubscription),
+			update: api("subscriptions.update", 2, updateSubscription),
+			cancel: api("subscriptions.cancel", 1, cancelSubscription),
+		},
+	};
+
+	/* ---------------- test controls ---------------- */
+
+	client.fake = {
+		/** Receive the events Stripe would POST to the webhook */
+		onEvent(listener) {
+			listeners.push(listener);
+		},
+
+		/** Make the next call to `method` ("resource.method") fail with `code` */
+		failNext(method, code) {
+			if (!DECLINES[code] && !API_FAILURES[code])
+				throw new Error(`fake Stripe: unknown failure "${code}"`);
+			failures.set(method, [...(failures.get(method) || []), code]);
+		},
+
+		/** The customer finishes 3-D Secure (or fails it) for a PaymentIntent in requires_action */
+		async completeAuthentication(paymentIntentId, { succeed = true } = {}) {
+			const pi = must(db.paymentIntents, "payment_intent", paymentIntentId);
+			if (pi.status !== "requires_action")
+				throw new Error(`fake Stripe: ${pi.id} is ${pi.status}, not requires_action`);
+			if (succeed) succeedIntent(pi);
+			else
+				failIntent(
+					pi,
+					{
+						code: "payment_intent_authentication_failure",
+						message:
+							"The provided PaymentMethod has failed authentication. You can provide payment_method_data or a new PaymentMethod to attempt to fulfill this PaymentIntent again.",
+					},
+					{ raise: false }
+				);
+			await settle();
+			return clone(pi);
+		},
+
+		/**
+		 * Start the subscription's next period: a draft renewal invoice is
+		 * announced (invoice.created – our handler adds usage lines), then
+		 * finalised and charged off-session. Ends it instead if it's set to
+		 * cancel at period end. Returns the invoice (or null).
+		 */
+		async renewSubscription(subscriptionId) {
+			const sub = must(db.subscriptions, "subscription", subscriptionId);
+			if (sub.status === "canceled") throw new Error(`fake Stripe: ${sub.id} is canceled`);
+			if (sub.cancel_at_period_end) {
+				cancelSubscription(sub.id);
+				await settle();
+				return null;
+			}
+			const start = sub.current_period_end;
+			const end = addInterval(start, sub.items.data[0].price.recurring?.interval);
+			const invoice = newInvoice({
+				customer: sub.customer,
+				subscription: sub.id,
+				currency: sub.currency,
+				billingReason: "subscription_cycle",
+				taxRates: clone(sub.default_tax_rates),
+				periodStart: sub.current_period_start,
+				periodEnd: start,
+			});
+			takePendingItems(invoice);
+			subscriptionLines(invoice, sub, start, end);
+			const previous = {
+				current_period_start: sub.current_period_start,
+				current_period_end: sub.current_period_end,
+			};
+			Object.assign(sub, {
+				current_period_start: start,
+				current_period_end: end,
+				latest_invoice: invoice.id,
+			});
+			emit("customer.subscription.updated", sub, previous);
+			emit("invoice.created", invoice);
+			await settle();
+
+			finalizeInvoice(invoice.id);
+			chargeInvoice(invoice);
+			await settle();
+			return clone(db.invoices.get(invoice.id));
+		},
+
+		/**
+		 * Change a saved card's expiry date, as the card network's account
+		 * updater would (payment_method.automatically_updated).
+		 */
+		async setCardExpiry(paymentMethodId, { month, year }) {
+			const pm = must(db.paymentMethods, "payment_method", paymentMethodId);
+			pm.card.exp_month = month;
+			pm.card.exp_year = year;
+			if (pm.customer) emit("payment_method.automatically_updated", pm);
+			await settle();
+			return clone(pm);
+		},
+
+		/** Finalise and charge every auto-advance draft now; returns how many */
+		async advanceInvoices() {
+			let count = 0;
+			for (const id of [...db.invoices.keys()]) if (advanceInvoice(id)) count += 1;
+			await settle();
+			return count;
+		},
+
+		settle,
+
+		/** Forget everything (listeners stay) */
+		reset() {
+			for (const map of Object.values(db)) map.clear();
+			for (const map of [outcomes, fromToken, failures, idempotency]) map.clear();
+			invoiceCount = 0;
+		},
+	};
+
+	return client;
+}
+
+module.exports = { createFakeStripe, TEST_CARDS };
@@ -0,0 +1,102 @@
+// services/idempotency.js
+const crypto = require("crypto");
+const { collection } = require("./store");
+
+/**
+ * Stored responses for requests sent with an `Idempotency-Key` header.
+ *
+ * A key belongs to the caller and to one request (method, URL and body) for
+ * IDEMPOTENCY_KEY_TTL_HOURS. The first response is kept and replayed to
+ * retries; a different request with the same key is refused. 5xx responses
+ * aren't kept, so the retry runs again – the Stripe calls it makes reuse the
+ * keys derived from the same header (stripeKey), so Stripe still does the
+ * work only once.
+ */
+const TTL_MS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const keys = collection("idempotency_keys"); // { id: sha256(userId:key), userId, method, url, fingerprint, state: "in_progress" | "done", statusCode, body, createdAt, completedAt, expiresAt }
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+/** 1-255 printable ASCII characters (a UUID is typical) */
+function isValidKey(key) {
+	return (
+		typeof key === "string" &&
+		key.length > 0 &&
+		key.length <= MAX_KEY_LENGTH &&
+		/^[\x21-\x7e]+$/.test(key)
+	);
+}
+
+function pruneExpired() {
+	const now = new Date().toISOString();
+	for (const k of keys.list((k) => k.expiresAt < now)) keys.remove(k.id);
+}
+
+/**
+ * Claim `key` for a request. Returns { id } when the request should run,
+ * { replay: { statusCode, body } } when it already ran, or
+ * { conflict: "in_progress" | "mismatch" }.
+ */
+function claimKey(userId, key, { method, url, body }) {
+	const id = sha256(`${userId}:${key}`);
+	const fingerprint = sha256(JSON.stringify([method, url, body ?? null]));
+
+	let row = keys.get(id);
+	if (row && new Date(row.expiresAt) < new Date()) {
+		keys.remove(id);
+		row = null;
+	}
+	if (row) {
+		if (row.fingerprint !== fingerprint) return { conflict: "mismatch" };
+		if (row.state !== "done") return { conflict: "in_progress" };
+		return { replay: { statusCode: row.statusCode, body: row.body } };
+	}
+
+	pruneExpired();
+	const now = new Date();
+	keys.insert({
+		id,
+		userId,
+		method,
+		url,
+		fingerprint,
+		state: "in_progress",
+		statusCode: null,
+		body: null,
+		createdAt: now.toISOString(),
+		completedAt: null,
+		expiresAt: new Date(now.getTime() + TTL_MS).toISOString(),
+	});
+	return { id };
+}
+
+/** Keep the response for replays (server errors release the key instead) */
+function saveResponse(id, statusCode, body) {
+	if (statusCode >= 500) return releaseKey(id);
+	return keys.update(id, {
+		state: "done",
+		statusCode,
+		body: body ?? null,
+		completedAt: new Date().toISOString(),
+	});
+}
+
+/** Forget a claim that never produced a response, so a retry can run */
+function releaseKey(id) {
+	return keys.remove(id);
+}
+
+/** Stripe idempotency key for one Stripe call (`step`) made by a keyed request */
+function stripeKey(id, step) {
+	return `req_${id}_${step}`;
+}
+
+module.exports = {
+	isValidKey,
+	claimKey,
+	saveResponse,
+	releaseKey,
+	stripeKey,
+};
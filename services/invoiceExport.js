@@ -0,0 +1,220 @@
+// services/invoiceExport.js
+const { format } = require("date-fns");
+
+/**
+ * Invoice exports for bookkeeping (GET /api/invoices/export?format=).
+ *
+ * - "pdf": ZIP of the PDFs (built in routes/invoices.js)
+ * - "json": every document with its line items, in minor units
+ * - "csv": one row per line item, amounts in major units
+ * - "xero" / "quickbooks": the same rows in the columns of Xero's and
+ *   QuickBooks Online's sales invoice import
+ *
+ * Credit notes are exported next to the invoices with negative amounts (Xero
+ * imports a negative invoice as a credit note). A discount is a line of its
+ * own, and the document's VAT is spread over its lines by their net amount,
+ * so the line columns add up to the totals.
+ *
+ * "json" and "csv" have every issued document with its status. The
+ * accounting imports have no status column, so they only get settled ones:
+ * paid (or since refunded) invoices and succeeded refunds – not void or
+ * still unpaid invoices.
+ */
+const EXPORT_FORMATS = ["pdf", "json", "csv", "xero", "quickbooks"];
+
+// Account/item the sales are booked to in the accounting imports
+const XERO_ACCOUNT_CODE = process.env.EXPORT_XERO_ACCOUNT_CODE || "200";
+const QUICKBOOKS_ITEM = process.env.EXPORT_QUICKBOOKS_ITEM || "Services";
+
+const isCreditNote = (doc) => doc.kind === "credit_note";
+
+// Layouts for accounting imports: settled documents only (see isSettled)
+const ACCOUNTING_LAYOUTS = ["xero", "quickbooks"];
+
+/** Money that actually changed hands: paid/refunded invoices, succeeded refunds */
+function isSettled(doc) {
+	return isCreditNote(doc)
+		? doc.status === "succeeded"
+		: ["paid", "refunded"].includes(doc.status);
+}
+
+const issueDate = (doc) => new Date(doc.issuedAt || doc.createdAt);
+
+/**
+ * A document's lines as exported: { description, quantity, unitAmount,
+ * netAmount, taxAmount } in minor units, the discount as a negative line.
+ * Each line gets its share of the tax; rounding leftovers go on the
+ * largest line.
+ */
+function exportLines(doc) {
+	const lines = doc.lineItems.map((li) => ({
+		description: li.title,
+		quantity: li.qty,
+		unitAmount: li.unitAmount,
+		netAmount: li.qty * li.unitAmount,
+	}));
+	if (doc.discount?.amount)
+		lines.push({
+			description: `Discount${doc.discount.code ? ` (${doc.discount.code})` : ""}: ${doc.discount.label}`,
+			quantity: 1,
+			unitAmount: -doc.discount.amount,
+			netAmount: -doc.discount.amount,
+		});
+
+	const tax = doc.tax?.amount || 0;
+	const net = lines.reduce((sum, l) => sum + l.netAmount, 0);
+	for (const l of lines) l.taxAmount = net ? Math.round((l.netAmount * tax) / net) : 0;
+	const leftover = tax - lines.reduce((sum, l) => sum + l.taxAmount, 0);
+	if (leftover && lines.length) {
+		const largest = lines.reduce((a, b) => (b.netAmount > a.netAmount ? b : a));
+		largest.taxAmount += leftover;
+	}
+	return lines;
+}
+
+/** JSON export entry; `doc.billedTo` is who it's made out to */
+function toExportDocument(doc) {
+	const sign = isCreditNote(doc) ? -1 : 1;
+	return {
+		type: isCreditNote(doc) ? "credit_note" : "invoice",
+		id: doc.id,
+		number: doc.number,
+		invoiceNumber: isCreditNote(doc) ? doc.invoiceNumber : null,
+		status: doc.status,
+		date: format(issueDate(doc), "yyyy-MM-dd"),
+		currency: doc.currency.toUpperCase(),
+		billedTo: doc.billedTo || null,
+		lineItems: exportLines(doc).map((l) => ({
+			...l,
+			unitAmount: sign * l.unitAmount,
+			netAmount: sign * l.netAmount,
+			taxAmount: sign * l.taxAmount,
+		})),
+		subtotal: sign * (doc.subtotal ?? doc.amount),
+		tax: doc.tax
+			? {
+					rate: doc.tax.rate,
+					label: doc.tax.label,
+					amount: sign * doc.tax.amount,
+					country: doc.tax.country || null,
+					reverseCharge: Boolean(doc.tax.reverseCharge),
+					vatNumber: doc.tax.vatNumber || null,
+				}
+			: null,
+		amount: sign * doc.amount,
+		refundedAmount: isCreditNote(doc) ? null : doc.refundedAmount || 0,
+		paidAt: doc.paidAt || null,
+	};
+}
+
+/* ---------------- CSV layouts ---------------- */
+
+// 1234 -> "12.34"; every currency we bill in has two decimals
+const decimal = (minor) => (minor / 100).toFixed(2);
+
+const customerName = (doc) => doc.billedTo?.company || doc.billedTo?.name || "Customer";
+
+// Xero / QuickBooks tax codes follow their UK defaults
+const xeroTaxType = (doc) =>
+	doc.tax?.rate ? `${doc.tax.rate}% (VAT on Income)` : "No VAT";
+const quickbooksTaxCode = (doc) =>
+	doc.tax?.rate ? `${doc.tax.rate.toFixed(1)}% S` : "No VAT";
+
+// [header, value(doc, line, sign)] per column
+const LAYOUTS = {
+	csv: [
+		["Type", (doc) => (isCreditNote(doc) ? "Credit note" : "Invoice")],
+		["Number", (doc) => doc.number || doc.id],
+		["Original invoice", (doc) => (isCreditNote(doc) ? doc.invoiceNumber : "")],
+		["Date", (doc) => format(issueDate(doc), "yyyy-MM-dd")],
+		["Status", (doc) => doc.status],
+		["Customer", customerName],
+		["Customer email", (doc) => doc.billedTo?.email || ""],
+		["Customer VAT number", (doc) => doc.tax?.vatNumber || doc.billedTo?.vatNumber || ""],
+		["Country", (doc) => doc.tax?.country || doc.billedTo?.address?.country || ""],
+		["Currency", (doc) => doc.currency.toUpperCase()],
+		["Description", (doc, l) => l.description],
+		["Quantity", (doc, l) => l.quantity],
+		["Unit price", (doc, l, sign) => decimal(sign * l.unitAmount)],
+		["Net", (doc, l, sign) => decimal(sign * l.netAmount)],
+		["Tax rate", (doc) => (doc.tax ? `${doc.tax.rate}%` : "")],
+		["Tax", (doc, l, sign) => decimal(sign * l.taxAmount)],
+		["Total", (doc, l, sign) => decimal(sign * (l.netAmount + l.taxAmount))],
+		["Reverse charge", (doc) => (doc.tax?.reverseCharge ? "yes" : "no")],
+		["Document total", (doc, l, sign) => decimal(sign * doc.amount)],
+	],
+	xero: [
+		["*ContactName", customerName],
+		["EmailAddress", (doc) => doc.billedTo?.email || ""],
+		["POAddressLine1", (doc) => doc.billedTo?.address?.line1 || ""],
+		["POCity", (doc) => doc.billedTo?.address?.city || ""],
+		["PORegion", (doc) => doc.billedTo?.address?.state || ""],
+		["POPostalCode", (doc) => doc.billedTo?.address?.postalCode || ""],
+		["POCountry", (doc) => doc.billedTo?.address?.country || ""],
+		["*InvoiceNumber", (doc) => doc.number || doc.id],
+		["Reference", (doc) => (isCreditNote(doc) ? doc.invoiceNumber : "")],
+		["*InvoiceDate", (doc) => format(issueDate(doc), "dd/MM/yyyy")],
+		// Charged when issued, so due the same day
+		["*DueDate", (doc) => format(issueDate(doc), "dd/MM/yyyy")],
+		["*Description", (doc, l) => l.description],
+		["*Quantity", (doc, l) => l.quantity],
+		["*UnitAmount", (doc, l, sign) => decimal(sign * l.unitAmount)],
+		["*AccountCode", () => XERO_ACCOUNT_CODE],
+		["*TaxType", xeroTaxType],
+		["TaxAmount", (doc, l, sign) => decimal(sign * l.taxAmount)],
+		["Currency", (doc) => doc.currency.toUpperCase()],
+	],
+	quickbooks: [
+		["InvoiceNo", (doc) => doc.number || doc.id],
+		["Customer", customerName],
+		["InvoiceDate", (doc) => format(issueDate(doc), "MM/dd/yyyy")],
+		["DueDate", (doc) => format(issueDate(doc), "MM/dd/yyyy")],
+		["Memo", (doc) =>
+			isCreditNote(doc) ? `Credit note for ${doc.invoiceNumber}` : doc.description || ""],
+		["Item(Product/Service)", () => QUICKBOOKS_ITEM],
+		["ItemDescription", (doc, l) => l.description],
+		["ItemQuantity", (doc, l) => l.quantity],
+		["ItemRate", (doc, l, sign) => decimal(sign * l.unitAmount)],
+		["ItemAmount", (doc, l, sign) => decimal(sign * l.netAmount)],
+		["ItemTaxCode", quickbooksTaxCode],
+		["ItemTaxAmount", (doc, l, sign) => decimal(sign * l.taxAmount)],
+		["Currency", (doc) => doc.currency.toUpperCase()],
+	],
+};
+
+/**
+ * Quote a CSV field when needed; text starting with = + - @ gets a leading
+ * ' so spreadsheets don't run it as a formula (numbers are left alone)
+ */
+function csvField(value) {
+	let s = value == null ? "" : String(value);
+	if (typeof value === "string" && /^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s))
+		s = `'${s}`;
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV ("csv" | "xero" | "quickbooks") of the documents, one row per line;
+ * `doc.billedTo` is who each is made out to. The accounting layouts skip
+ * documents that aren't settled.
+ */
+function toCsv(layoutName, docs) {
+	const layout = LAYOUTS[layoutName];
+	if (!layout) throw new Error(`Unknown CSV layout: ${layoutName}`);
+
+	const rows = [layout.map(([header]) => header)];
+	const exported = ACCOUNTING_LAYOUTS.includes(layoutName) ? docs.filter(isSettled) : docs;
+	for (const doc of exported) {
+		const sign = isCreditNote(doc) ? -1 : 1;
+		for (const line of exportLines(doc))
+			rows.push(layout.map(([, value]) => value(doc, line, sign)));
+	}
+	return rows.map((r) => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+	EXPORT_FORMATS,
+	exportLines,
+	toExportDocument,
+	toCsv,
+};
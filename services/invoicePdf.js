@@ -0,0 +1,461 @@
+// services/invoicePdf.js
+const fs = require("fs");
+const { format } = require("date-fns");
+const PDFDocument = require("pdfkit");
+const { collection } = require("./store");
+const { formatMoney, localeFor } = require("./currency");
+
+/**
+ * Invoice and credit note PDFs.
+ *
+ * Every document is drawn from a template: the brand (logo or name, accent
+ * colour), the seller's legal details and the footer (payment terms, a
+ * note, page numbers). The defaults come from the INVOICE_* env vars; an
+ * organisation can override the brand and footer note for the documents
+ * made out to it (see PUT /api/orgs/:orgId/invoice-branding). The seller
+ * details can't be overridden – they're what makes it a valid VAT invoice.
+ *
+ * Line items go in a table that continues on the next page (header row
+ * repeated) when it doesn't fit. Pages are buffered so the footer can say
+ * "Page 1 of 3"; the PDF is still piped out by PDFKit when it ends.
+ */
+const LOGO_MAX_BYTES = 256 * 1024;
+const FOOTER_HEIGHT = 56;
+
+// Logos have to be PNG or JPEG – the formats PDFKit can embed
+const LOGO_TYPES = {
+	"image/png": (b) => b.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])),
+	"image/jpeg": (b) => b.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+};
+
+const lines = (value) =>
+	String(value || "")
+		.split(";")
+		.map((l) => l.trim())
+		.filter(Boolean);
+
+function readLogo(file) {
+	if (!file) return null;
+	try {
+		return fs.readFileSync(file);
+	} catch (e) {
+		console.warn("[invoices] can't read INVOICE_LOGO:", e.message);
+		return null;
+	}
+}
+
+const DEFAULT_TEMPLATE = {
+	brandName: process.env.INVOICE_BRAND_NAME || "Verblizr",
+	logo: readLogo(process.env.INVOICE_LOGO),
+	accentColor: process.env.INVOICE_ACCENT_COLOR || "#1d4ed8",
+	seller: {
+		name: process.env.INVOICE_SELLER_NAME || "Verblizr Ltd",
+		address: lines(process.env.INVOICE_SELLER_ADDRESS), // "1 High St; London; EC1A 1AA"
+		email: process.env.INVOICE_SELLER_EMAIL || null,
+		companyNumber: process.env.INVOICE_SELLER_COMPANY_NUMBER || null,
+		vatNumber: process.env.INVOICE_SELLER_VAT_NUMBER || null,
+	},
+	paymentTerms:
+		process.env.INVOICE_PAYMENT_TERMS ||
+		"Charged to the card on file when issued. Unpaid invoices are retried automatically.",
+	footerNote: null,
+};
+
+const branding = collection("invoice_branding"); // { id: orgId, brandName, accentColor, logo (base64), logoType, footerNote, updatedAt }
+
+function getInvoiceBranding(orgId) {
+	return branding.get(orgId);
+}
+
+/**
+ * A data: URL for a logo -> { logo (base64), logoType }, or null when it
+ * isn't a PNG/JPEG of at most LOGO_MAX_BYTES.
+ */
+function parseLogo(dataUrl) {
+	const m = /^data:(image\/(?:png|jpeg));base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl || "");
+	if (!m) return null;
+	const bytes = Buffer.from(m[2], "base64");
+	if (!bytes.length || bytes.length > LOGO_MAX_BYTES || !LOGO_TYPES[m[1]](bytes)) return null;
+	return { logo: m[2], logoType: m[1] };
+}
+
+/** Patch an org's overrides (null clears one); callers validate */
+function setInvoiceBranding(orgId, patch) {
+	const row = { ...patch, updatedAt: new Date().toISOString() };
+	if (branding.get(orgId)) return branding.update(orgId, row);
+	return branding.insert({
+		id: orgId,
+		brandName: null,
+		accentColor: null,
+		logo: null,
+		logoType: null,
+		footerNote: null,
+		...row,
+	});
+}
+
+function deleteInvoiceBranding(orgId) {
+	return branding.remove(orgId);
+}
+
+/** API shape; the logo as a data: URL */
+function toBrandingView(row) {
+	return {
+		brandName: row?.brandName || null,
+		accentColor: row?.accentColor || null,
+		logo: row?.logo ? `data:${row.logoType};base64,${row.logo}` : null,
+		footerNote: row?.footerNote || null,
+		updatedAt: row?.updatedAt || null,
+	};
+}
+
+/** The default template with the owning org's overrides, if any */
+function invoiceTemplateFor(inv) {
+	const own = inv.orgId ? getInvoiceBranding(inv.orgId) : null;
+	if (!own) return DEFAULT_TEMPLATE;
+	return {
+		...DEFAULT_TEMPLATE,
+		brandName: own.brandName || DEFAULT_TEMPLATE.brandName,
+		// An org's brand name without its own logo shouldn't sit under ours
+		logo: own.logo
+			? Buffer.from(own.logo, "base64")
+			: own.brandName
+				? null
+				: DEFAULT_TEMPLATE.logo,
+		accentColor: own.accentColor || DEFAULT_TEMPLATE.accentColor,
+		footerNote: own.footerNote || DEFAULT_TEMPLATE.footerNote,
+	};
+}
+
+/** A4 document set up for writeInvoicePDF */
+function createInvoicePDF() {
+	return new PDFDocument({ size: "A4", margin: 50, bufferPages: true });
+}
+
+/* ---------------- drawing ---------------- */
+
+const GREY = "#6b7280";
+const RULE = "#d1d5db";
+
+// Left edge and usable width of the page
+const frame = (doc) => ({
+	left: doc.page.margins.left,
+	width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+});
+
+// Lowest y content may reach before the footer
+const contentBottom = (doc) => doc.page.height - doc.page.margins.bottom - FOOTER_HEIGHT;
+
+/** Start a new page unless `height` more points fit on this one; true if it did */
+function ensureSpace(doc, height) {
+	if (doc.y + height <= contentBottom(doc)) return false;
+	doc.addPage();
+	return true;
+}
+
+function drawHeader(doc, inv, template) {
+	const creditNote = inv.kind === "credit_note";
+	const { left, width } = frame(doc);
+	const top = doc.page.margins.top;
+
+	if (template.logo) {
+		try {
+			doc.image(template.logo, left, top, { fit: [160, 56] });
+		} catch (e) {
+			console.warn("[invoices] logo can't be drawn:", e.message);
+			template = { ...template, logo: null };
+		}
+	}
+	if (!template.logo)
+		doc
+			.font("Helvetica-Bold")
+			.fontSize(20)
+			.fillColor(template.accentColor)
+			.text(template.brandName, left, top, { width: width / 2 });
+
+	const metaX = left + width / 2;
+	const metaWidth = width / 2;
+	doc
+		.font("Helvetica-Bold")
+		.fontSize(18)
+		.fillColor(template.accentColor)
+		.text(creditNote ? "CREDIT NOTE" : "INVOICE", metaX, top, {
+			width: metaWidth,
+			align: "right",
+		});
+	doc.font("Helvetica").fontSize(10).fillColor("black");
+	const meta = [
+		`${creditNote ? "Credit note" : "Invoice"} no.: ${inv.number || inv.id}`,
+		creditNote && `Original invoice: ${inv.invoiceNumber || inv.invoiceId}`,
+		`Date: ${format(new Date(inv.issuedAt || inv.createdAt), "yyyy-MM-dd")}`,
+		`${creditNote ? "Refund status" : "Status"}: ${inv.status}`,
+	].filter(Boolean);
+	for (const line of meta) doc.text(line, metaX, doc.y, { width: metaWidth, align: "right" });
+
+	doc.y = Math.max(doc.y, top + 56) + 24;
+}
+
+// One labelled block of lines ("FROM", "BILLED TO") at x; returns where it ended
+function drawParty(doc, label, partyLines, x, y, width) {
+	doc.font("Helvetica-Bold").fontSize(8).fillColor(GREY).text(label, x, y, { width });
+	doc.moveDown(0.3).font("Helvetica").fontSize(10).fillColor("black");
+	partyLines.filter(Boolean).forEach((line, i) => {
+		doc.font(i === 0 ? "Helvetica-Bold" : "Helvetica").text(line, x, doc.y, { width });
+	});
+	return doc.y;
+}
+
+function drawParties(doc, inv, billedTo, template) {
+	const { left, width } = frame(doc);
+	const column = width / 2 - 12;
+	const top = doc.y;
+	const { seller } = template;
+
+	const fromEnd = drawParty(
+		doc,
+		"FROM",
+		[
+			seller.name,
+			...seller.address,
+			seller.email,
+			seller.companyNumber && `Company no. ${seller.companyNumber}`,
+			seller.vatNumber && `VAT no. ${seller.vatNumber}`,
+		],
+		left,
+		top,
+		column
+	);
+
+	const address = billedTo?.address;
+	// The VAT number the tax was worked out with
+	const vatNumber = inv.tax?.vatNumber || billedTo?.vatNumber;
+	const toEnd = drawParty(
+		doc,
+		"BILLED TO",
+		[
+			billedTo?.company || billedTo?.name || "Customer",
+			billedTo?.company && billedTo?.name,
+			address?.line1,
+			[address?.city, address?.state, address?.postalCode].filter(Boolean).join(" "),
+			address?.country,
+			billedTo?.email,
+			vatNumber && `VAT no. ${vatNumber}`,
+		],
+		left + width / 2 + 12,
+		top,
+		column
+	);
+
+	doc.x = left;
+	doc.y = Math.max(fromEnd, toEnd) + 24;
+}
+
+// Description | Qty | Unit price | Amount
+function tableColumns(doc) {
+	const { left, width } = frame(doc);
+	const amount = 90;
+	const unit = 90;
+	const qty = 50;
+	const description = width - amount - unit - qty;
+	return [
+		{ key: "description", label: "Description", x: left, width: description, align: "left" },
+		{ key: "qty", label: "Qty", x: left + description, width: qty, align: "right" },
+		{ key: "unit", label: "Unit price", x: left + description + qty, width: unit, align: "right" },
+		{ key: "amount", label: "Amount", x: left + width - amount, width: amount, align: "right" },
+	];
+}
+
+const CELL_PADDING = 6;
+
+function drawTableHeader(doc, columns, template) {
+	const { left, width } = frame(doc);
+	const y = doc.y;
+	doc.rect(left, y, width, 20).fill(template.accentColor);
+	doc.font("Helvetica-Bold").fontSize(9).fillColor("white");
+	for (const c of columns)
+		doc.text(c.label, c.x + CELL_PADDING, y + 6, {
+			width: c.width - 2 * CELL_PADDING,
+			align: c.align,
+		});
+	doc.fillColor("black");
+	doc.y = y + 20;
+}
+
+function drawTableRow(doc, columns, cells, template) {
+	doc.font("Helvetica").fontSize(10);
+	const descriptionWidth = columns[0].width - 2 * CELL_PADDING;
+	const height = doc.heightOfString(cells.description, { width: descriptionWidth }) + 2 * CELL_PADDING;
+	if (ensureSpace(doc, height)) drawTableHeader(doc, columns, template);
+
+	const y = doc.y;
+	doc.font("Helvetica").fontSize(10).fillColor("black");
+	for (const c of columns)
+		doc.text(cells[c.key] ?? "", c.x + CELL_PADDING, y + CELL_PADDING, {
+			width: c.width - 2 * CELL_PADDING,
+			align: c.align,
+		});
+	const { left, width } = frame(doc);
+	doc
+		.moveTo(left, y + height)
+		.lineTo(left + width, y + height)
+		.lineWidth(0.5)
+		.strokeColor(RULE)
+		.stroke();
+	doc.y = y + height;
+}
+
+function drawLineItems(doc, inv, money, template) {
+	const columns = tableColumns(doc);
+	ensureSpace(doc, 20 + 30);
+	drawTableHeader(doc, columns, template);
+	for (const li of inv.lineItems)
+		drawTableRow(
+			doc,
+			columns,
+			{
+				description: li.title,
+				qty: String(li.qty),
+				unit: money(li.unitAmount),
+				amount: money(li.qty * li.unitAmount),
+			},
+			template
+		);
+	if (inv.discount) {
+		const code = inv.discount.code ? ` (${inv.discount.code})` : "";
+		drawTableRow(
+			doc,
+			columns,
+			{
+				description: `Discount${code}: ${inv.discount.label}`,
+				amount: `-${money(inv.discount.amount)}`,
+			},
+			template
+		);
+	}
+	doc.moveDown(1);
+}
+
+function drawTotals(doc, inv, money, template) {
+	const creditNote = inv.kind === "credit_note";
+	const { left, width } = frame(doc);
+	const boxWidth = 240;
+	const x = left + width - boxWidth;
+
+	const rows = [
+		(inv.tax || inv.discount) && ["Net", money(inv.subtotal)],
+		inv.tax && [inv.tax.label, money(inv.tax.amount)],
+	].filter(Boolean);
+	ensureSpace(doc, rows.length * 16 + 60);
+
+	doc.font("Helvetica").fontSize(10).fillColor("black");
+	for (const [label, value] of rows) {
+		const y = doc.y;
+		doc.text(label, x, y, { width: boxWidth / 2 });
+		doc.text(value, x + boxWidth / 2, y, { width: boxWidth / 2, align: "right" });
+		doc.y = y + 16;
+	}
+
+	const y = doc.y + 4;
+	doc.moveTo(x, y).lineTo(x + boxWidth, y).lineWidth(1).strokeColor(template.accentColor).stroke();
+	doc.font("Helvetica-Bold").fontSize(12);
+	doc.text(creditNote ? "Total credited" : "Total", x, y + 8, { width: boxWidth / 2 });
+	doc.text(money(inv.amount), x + boxWidth / 2, y + 8, { width: boxWidth / 2, align: "right" });
+	doc.font("Helvetica").fontSize(10);
+
+	if (inv.refundedAmount > 0 && inv.status !== "refunded") {
+		const ry = doc.y + 4;
+		doc.text("Refunded", x, ry, { width: boxWidth / 2 });
+		doc.text(`-${money(inv.refundedAmount)}`, x + boxWidth / 2, ry, {
+			width: boxWidth / 2,
+			align: "right",
+		});
+	}
+
+	// Notes under the totals, full width
+	const notes = [
+		inv.tax?.note,
+		creditNote && inv.reason && `Reason: ${inv.reason.replace(/_/g, " ")}`,
+	].filter(Boolean);
+	if (notes.length) {
+		doc.x = left;
+		doc.moveDown(1.5);
+		for (const note of notes) {
+			ensureSpace(doc, 14);
+			doc.fontSize(9).fillColor(GREY).text(note, left, doc.y, { width });
+		}
+		doc.fillColor("black");
+	}
+}
+
+// Payment terms, note and legal line at the bottom of every page
+function drawFooters(doc, inv, template) {
+	const { seller } = template;
+	const legal = [
+		seller.name,
+		seller.companyNumber && `Company no. ${seller.companyNumber}`,
+		seller.vatNumber && `VAT no. ${seller.vatNumber}`,
+	]
+		.filter(Boolean)
+		.join(" · ");
+	const text = [
+		inv.kind === "credit_note" ? null : template.paymentTerms,
+		template.footerNote,
+		legal,
+	]
+		.filter(Boolean)
+		.join("\n");
+
+	const range = doc.bufferedPageRange();
+	for (let i = range.start; i < range.start + range.count; i++) {
+		doc.switchToPage(i);
+		const { left, width } = frame(doc);
+		const top = contentBottom(doc) + 10;
+		// Writing into the bottom margin would start another page
+		const bottomMargin = doc.page.margins.bottom;
+		doc.page.margins.bottom = 0;
+		doc.moveTo(left, top - 4).lineTo(left + width, top - 4).lineWidth(0.5).strokeColor(RULE).stroke();
+		doc.font("Helvetica").fontSize(8).fillColor(GREY);
+		doc.text(text, left, top, {
+			width: width - 70,
+			height: FOOTER_HEIGHT - 10,
+			ellipsis: true,
+		});
+		doc.text(`Page ${i - range.start + 1} of ${range.count}`, left + width - 70, top, {
+			width: 70,
+			align: "right",
+		});
+		doc.page.margins.bottom = bottomMargin;
+	}
+	doc.fillColor("black");
+}
+
+/**
+ * Draw one invoice (or credit note) into a document from createInvoicePDF.
+ * `billedTo` is who it's made out to (name, company, address, email,
+ * vatNumber); `template` defaults to invoiceTemplateFor(inv). The caller
+ * pipes the document and ends it.
+ */
+function writeInvoicePDF(doc, inv, billedTo, template = invoiceTemplateFor(inv)) {
+	// Amounts in the invoice's currency, formatted for the customer's country
+	const locale = localeFor(inv.tax?.country);
+	const money = (minor) => formatMoney(minor, inv.currency, locale);
+
+	drawHeader(doc, inv, template);
+	drawParties(doc, inv, billedTo, template);
+	drawLineItems(doc, inv, money, template);
+	drawTotals(doc, inv, money, template);
+	drawFooters(doc, inv, template);
+}
+
+module.exports = {
+	LOGO_MAX_BYTES,
+	DEFAULT_TEMPLATE,
+	getInvoiceBranding,
+	parseLogo,
+	setInvoiceBranding,
+	deleteInvoiceBranding,
+	toBrandingView,
+	invoiceTemplateFor,
+	createInvoicePDF,
+	writeInvoicePDF,
+};
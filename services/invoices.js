@@ -0,0 +1,362 @@
+// services/invoices.js
+const { collection, newId } = require("./store");
+const { findAccountForCustomer, DEMO_USER_ID } = require("./users");
+const { getBillingDetails } = require("./billingProfile");
+
+/**
+ * Invoice ledger: what the customer sees under /invoices and gets as PDFs.
+ *
+ * Rows come from real charges:
+ * - one-off PaymentIntents (test charges, wallet top-ups) – recorded when the
+ *   charge is made, settled by the payment_intent.* webhooks
+ * - Stripe invoices (subscriptions, metered usage) – mirrored from the
+ *   invoice.* webhooks and from the subscription endpoints
+ *
+ * Statuses: draft -> open -> paid -> refunded, and draft/open -> void
+ * (a refund that fails afterwards moves a refunded invoice back to paid).
+ * Webhooks can arrive out of order, so a move the table doesn't allow
+ * (e.g. paid -> open) is ignored rather than applied.
+ *
+ * Numbers ("VBZ-2025-000042") are given out when an invoice leaves draft,
+ * from a gap-free sequence per calendar year, together with a snapshot of
+ * who it's made out to (`billedTo`, see getBillingDetails) so later profile
+ * edits don't rewrite issued invoices. Amounts are minor units:
+ * lines and `subtotal` are net, `amount` is gross (subtotal + tax.amount).
+ * A promotion's `discount` comes off the lines before tax, so `subtotal`
+ * is the lines' total less the discount.
+ */
+const INVOICE_STATUSES = ["draft", "open", "paid", "void", "refunded"];
+const TRANSITIONS = {
+	draft: ["open", "paid", "void"],
+	open: ["paid", "void"],
+	paid: ["refunded"],
+	void: [],
+	refunded: ["paid"],
+};
+const NUMBER_PREFIX = (process.env.INVOICE_NUMBER_PREFIX || "VBZ").trim();
+
+const invoices = collection("invoices"); // { id, number, status, userId, orgId, customerId, source, description, currency, amount, lineItems: [{ title, qty, unitAmount }], subtotal, discount: { code, label, amount } | null, tax: { rate, amount, label, country, reverseCharge, note, vatNumber } | null, billedTo: { name, company, email, address, vatNumber } | null, stripeInvoiceId, stripePaymentIntentId, paymentError, refundedAmount, dispute, uncollectible, issuedAt, paidAt, voidedAt, refundedAt, createdAt, updatedAt }
+const sequences = collection("invoice_sequences"); // { id: "<prefix>-<year>", last }
+
+/** Next number in this year's sequence for a document type ("" = invoices, "CN" = credit notes) */
+function nextDocumentNumber(type = "", date = new Date()) {
+	const id = [NUMBER_PREFIX, type, date.getUTCFullYear()].filter(Boolean).join("-");
+	const seq = sequences.get(id);
+	const last = (seq?.last || 0) + 1;
+	if (seq) sequences.update(id, { last });
+	else sequences.insert({ id, last });
+	return `${id}-${String(last).padStart(6, "0")}`;
+}
+
+// Timestamp (and number) that go with entering a status
+function statusFields(inv, status, now) {
+	const fields = { status };
+	if (status !== "draft" && !inv.number) {
+		fields.number = nextDocumentNumber("", new Date(now));
+		fields.issuedAt = now;
+		if (!inv.billedTo)
+			fields.billedTo = getBillingDetails(
+				inv.orgId ? { orgId: inv.orgId } : { userId: inv.userId }
+			);
+	}
+	if (status === "paid") fields.paidAt = inv.paidAt || now;
+	if (status === "void") fields.voidedAt = now;
+	if (status === "refunded") fields.refundedAt = now;
+	return fields;
+}
+
+const totalOf = (lineItems) =>
+	lineItems.reduce((sum, li) => sum + li.qty * li.unitAmount, 0);
+
+function listInvoices(filter) {
+	return invoices.list(filter);
+}
+
+function findInvoice(predicate) {
+	return invoices.findOne(predicate);
+}
+
+function getInvoice(id) {
+	return invoices.get(id);
+}
+
+/** Patch an invoice by id (not its status – see transitionInvoice) */
+function updateInvoice(id, patch) {
+	const { status, ...rest } = patch;
+	return invoices.update(id, { ...rest, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Create a ledger invoice for a billing account ({ orgId } or { userId }).
+ * `subtotal` defaults to the sum of the lines less the discount, `amount`
+ * to subtotal + tax.
+ */
+function createInvoice({
+	account,
+	customerId = null,
+	source,
+	description = null,
+	currency,
+	lineItems,
+	discount = null,
+	subtotal = totalOf(lineItems) - (discount?.amount || 0),
+	tax = null,
+	amount = subtotal + (tax?.amount || 0),
+	status = "draft",
+	stripeInvoiceId = null,
+	stripePaymentIntentId = null,
+	createdAt = new Date().toISOString(),
+	id = newId("inv"),
+}) {
+	if (!INVOICE_STATUSES.includes(status)) throw new Error(`Unknown invoice status: ${status}`);
+
+	const now = new Date().toISOString();
+	const base = {
+		id,
+		number: null,
+		userId: account.orgId ? null : account.userId,
+		orgId: account.orgId || null,
+		customerId,
+		source,
+		description,
+		currency: currency.toUpperCase(),
+		subtotal,
+		discount,
+		tax,
+		amount,
+		lineItems,
+		stripeInvoiceId,
+		stripePaymentIntentId,
+		paymentError: null,
+		refundedAmount: 0,
+		dispute: null,
+		uncollectible: false,
+		issuedAt: null,
+		paidAt: null,
+		voidedAt: null,
+		refundedAt: null,
+		createdAt,
+		updatedAt: now,
+	};
+	const inv = invoices.insert({ ...base, ...statusFields(base, status, createdAt) });
+	console.log(`[billing] invoice ${inv.id} (${inv.number || "draft"}) ${source} ${inv.status}`);
+	return inv;
+}
+
+/**
+ * Move an invoice to `status` (plus an optional patch). Moves the status table
+ * doesn't allow are ignored and the invoice is returned unchanged.
+ */
+function transitionInvoice(id, status, patch = {}) {
+	const inv = invoices.get(id);
+	if (!inv) return null;
+	if (inv.status === status) return updateInvoice(id, patch);
+	if (!TRANSITIONS[inv.status]?.includes(status)) {
+		console.warn(`[billing] invoice ${id}: ignoring ${inv.status} -> ${status}`);
+		return Object.keys(patch).length ? updateInvoice(id, patch) : inv;
+	}
+
+	const now = new Date().toISOString();
+	console.log(`[billing] invoice ${id}: ${inv.status} -> ${status}`);
+	return invoices.update(id, { ...patch, ...statusFields(inv, status, now), updatedAt: now });
+}
+
+/* ---------------- one-off charges ---------------- */
+
+const PI_STATUS = { succeeded: "paid", canceled: "void" };
+
+/**
+ * Record the invoice for a one-off PaymentIntent we just created (once per
+ * PaymentIntent). Unsettled payments (e.g. waiting for SCA) stay open until
+ * the payment_intent.* webhooks settle them. With `tax` (see chargeTax in
+ * services/billingProfile.js) the PaymentIntent amount is gross; with a
+ * `discount` (see discountFor in services/promotions.js) the line shows
+ * the price before it.
+ */
+function recordPaymentIntentInvoice(pi, { account, source, title, tax = null, discount = null }) {
+	const existing = findInvoice((i) => i.stripePaymentIntentId === pi.id);
+	const status = PI_STATUS[pi.status] || "open";
+	if (existing) return transitionInvoice(existing.id, status);
+
+	return createInvoice({
+		account,
+		customerId: typeof pi.customer === "string" ? pi.customer : pi.customer?.id || null,
+		source,
+		description: pi.description || null,
+		currency: pi.currency,
+		lineItems: [
+			{ title, qty: 1, unitAmount: pi.amount - (tax?.amount || 0) + (discount?.amount || 0) },
+		],
+		discount,
+		tax,
+		status,
+		stripePaymentIntentId: pi.id,
+	});
+}
+
+/* ---------------- Stripe invoices ---------------- */
+
+// Stripe's "uncollectible" is still owed as far as we're concerned
+const STRIPE_STATUS = {
+	draft: "draft",
+	open: "open",
+	paid: "paid",
+	void: "void",
+	uncollectible: "open",
+};
+
+function linesOf(si) {
+	return (si.lines?.data || []).map((l) => {
+		const qty = l.quantity || 1;
+		// Keep qty x unitAmount exact; prorations etc. don't divide evenly
+		return l.amount % qty === 0
+			? { title: l.description || "Item", qty, unitAmount: l.amount / qty }
+			: { title: l.description || "Item", qty: 1, unitAmount: l.amount };
+	});
+}
+
+const discountTotalOf = (si) =>
+	(si.total_discount_amounts || []).reduce((sum, d) => sum + d.amount, 0);
+
+// Net after discounts – what the tax rates applied to
+const netOf = (si) => si.total_excluding_tax ?? si.subtotal - discountTotalOf(si);
+
+// The subscription's coupon (see resolveCouponId in services/promotions.js)
+function discountOf(si) {
+	const amount = discountTotalOf(si);
+	if (!amount) return null;
+	const coupon = si.discount?.coupon;
+	return {
+		code: coupon?.metadata?.appPromotionCode || null,
+		label: coupon?.metadata?.appPromotionLabel || coupon?.name || "Discount",
+		amount,
+	};
+}
+
+// VAT as Stripe worked it out from the invoice's tax rates
+function taxOf(si) {
+	const amount = si.tax || 0;
+	const reverseCharge = si.customer_tax_exempt === "reverse";
+	if (!amount && !reverseCharge) return null;
+	const net = netOf(si);
+	const rate = net ? Math.round((amount / net) * 1000) / 10 : 0;
+	return {
+		rate,
+		amount,
+		label: rate ? `VAT ${rate}%` : "VAT",
+		country: si.customer_address?.country || null,
+		reverseCharge,
+		note: reverseCharge ? "Reverse charge: VAT to be accounted for by the recipient" : null,
+		vatNumber: si.customer_tax_ids?.[0]?.value || null,
+	};
+}
+
+function sourceOf(si) {
+	if (si.subscription) return "subscription";
+	if (si.metadata?.kind === "usage") return "usage";
+	return "stripe_invoice";
+}
+
+/**
+ * Mirror a Stripe invoice into the ledger (create or update). Lines are
+ * refreshed while it's a draft; after that only the status moves.
+ * `account` skips the customer lookup when the caller already knows it.
+ * Returns null for customers that aren't ours.
+ */
+async function syncStripeInvoice(si, { account = null } = {}) {
+	const customerId = typeof si.customer === "string" ? si.customer : si.customer?.id;
+	const paymentIntentId =
+		typeof si.payment_intent === "string" ? si.payment_intent : si.payment_intent?.id || null;
+	const status = STRIPE_STATUS[si.status] || "open";
+	const fromStripe = {
+		description: si.description || null,
+		currency: (si.currency || "gbp").toUpperCase(),
+		subtotal: si.subtotal != null ? netOf(si) : si.total,
+		discount: discountOf(si),
+		tax: taxOf(si),
+		amount: si.total ?? si.amount_due,
+		lineItems: linesOf(si),
+	};
+
+	const existing = findInvoice(
+		(i) =>
+			i.stripeInvoiceId === si.id ||
+			(si.metadata?.appInvoiceId && i.id === si.metadata.appInvoiceId)
+	);
+	if (existing) {
+		const patch = {
+			stripeInvoiceId: si.id,
+			uncollectible: si.status === "uncollectible",
+			...(paymentIntentId && { stripePaymentIntentId: paymentIntentId }),
+			...(existing.status === "draft" && fromStripe),
+		};
+		return transitionInvoice(existing.id, status, patch);
+	}
+
+	const owner = account || (customerId && (await findAccountForCustomer(customerId)));
+	if (!owner) {
+		console.warn(`[billing] Stripe invoice ${si.id}: customer ${customerId} isn't ours`);
+		return null;
+	}
+	const inv = createInvoice({
+		account: owner,
+		customerId,
+		source: sourceOf(si),
+		...fromStripe,
+		status,
+		stripeInvoiceId: si.id,
+		stripePaymentIntentId: paymentIntentId,
+		createdAt: si.created ? new Date(si.created * 1000).toISOString() : undefined,
+	});
+	return si.status === "uncollectible" ? updateInvoice(inv.id, { uncollectible: true }) : inv;
+}
+
+/**
+ * Account deletion: invoices are kept for bookkeeping, but no longer point
+ * at the person. Returns how many were anonymised.
+ */
+function anonymizeUserInvoices(userId) {
+	const rows = invoices.list((inv) => inv.userId === userId);
+	const now = new Date().toISOString();
+	for (const inv of rows) {
+		invoices.update(inv.id, {
+			userId: null,
+			billedTo: { name: "Deleted customer" },
+			anonymizedAt: now,
+			updatedAt: now,
+		});
+	}
+	return rows.length;
+}
+
+// Dev: the demo login gets a couple of paid invoices to look at
+if (process.env.NODE_ENV !== "production" && !findInvoice((i) => i.source === "demo")) {
+	for (const [id, createdAt] of [
+		["inv_1001", "2025-08-01T10:12:00Z"],
+		["inv_1002", "2025-09-01T10:05:00Z"],
+	]) {
+		createInvoice({
+			id,
+			account: { userId: DEMO_USER_ID },
+			source: "demo",
+			currency: "GBP",
+			lineItems: [{ title: "Verblizr Pro — Monthly", qty: 1, unitAmount: 1499 }],
+			status: "paid",
+			createdAt,
+		});
+	}
+}
+
+module.exports = {
+	INVOICE_STATUSES,
+	listInvoices,
+	findInvoice,
+	getInvoice,
+	updateInvoice,
+	createInvoice,
+	transitionInvoice,
+	nextDocumentNumber,
+	recordPaymentIntentInvoice,
+	syncStripeInvoice,
+	anonymizeUserInvoices,
+};
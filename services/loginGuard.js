@@ -0,0 +1,144 @@
+// services/loginGuard.js
+const { collection } = require("./store");
+const { recordAuditEvent } = require("./audit");
+
+/**
+ * Brute-force protection for password logins.
+ *
+ * Failures are counted per account (email) and per client IP. Once a counter
+ * passes its free-attempt threshold every further failure locks that key for
+ * BASE * 2^(extra failures) seconds, capped at LOGIN_LOCKOUT_MAX_SECONDS.
+ * Counters reset after a quiet window with no failures, and the account
+ * counter resets on a successful login (the IP counter does not, so a valid
+ * account can't be used to launder password spraying).
+ * Each lock is audited when it starts and on its first blocked attempt only.
+ */
+const ACCOUNT_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const IP_MAX_ATTEMPTS = Number(process.env.LOGIN_IP_MAX_ATTEMPTS || 20);
+const BASE_LOCKOUT_SECONDS = Number(
+	process.env.LOGIN_LOCKOUT_BASE_SECONDS || 30
+);
+const MAX_LOCKOUT_SECONDS = Number(
+	process.env.LOGIN_LOCKOUT_MAX_SECONDS || 60 * 60
+);
+const FAILURE_WINDOW_MS =
+	Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15) * 60 * 1000;
+
+const counters = collection("login_failures"); // { id: "acct:<email>" | "ip:<ip>", count, lastFailedAt, lockedUntil, blockAudited }
+
+const accountKey = (email) => `acct:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+/** Counter for key, or null once it has gone quiet (and isn't locked) */
+function liveCounter(key, now = Date.now()) {
+	const c = counters.get(key);
+	if (!c) return null;
+	const locked = c.lockedUntil && new Date(c.lockedUntil).getTime() > now;
+	const stale = now - new Date(c.lastFailedAt).getTime() > FAILURE_WINDOW_MS;
+	if (stale && !locked) {
+		counters.remove(key);
+		return null;
+	}
+	return c;
+}
+
+function secondsLeft(counter, now = Date.now()) {
+	if (!counter?.lockedUntil) return 0;
+	return Math.max(
+		0,
+		Math.ceil((new Date(counter.lockedUntil).getTime() - now) / 1000)
+	);
+}
+
+/**
+ * Is this login attempt allowed right now?
+ * Returns { locked: false } or { locked: true, retryAfterSeconds, scope }.
+ */
+function checkLogin(email, ip) {
+	const now = Date.now();
+	for (const [scope, key] of [
+		["account", accountKey(email)],
+		["ip", ipKey(ip)],
+	]) {
+		const c = liveCounter(key, now);
+		const wait = secondsLeft(c, now);
+		if (wait > 0) {
+			// Once per lock: attempts during a lockout mustn't flood the audit log
+			if (!c.blockAudited) {
+				counters.update(key, { blockAudited: true });
+				recordAuditEvent("auth.login_blocked", {
+					ip,
+					email,
+					scope,
+					retryAfterSeconds: wait,
+				});
+			}
+			return { locked: true, retryAfterSeconds: wait, scope };
+		}
+	}
+	return { locked: false };
+}
+
+function bump(key, threshold, now) {
+	const c = liveCounter(key, now);
+	const count = (c?.count || 0) + 1;
+	const extra = count - threshold;
+	const lockSeconds =
+		extra > 0
+			? Math.min(BASE_LOCKOUT_SECONDS * 2 ** (extra - 1), MAX_LOCKOUT_SECONDS)
+			: 0;
+
+	const row = {
+		count,
+		lastFailedAt: new Date(now).toISOString(),
+		lockedUntil: lockSeconds
+			? new Date(now + lockSeconds * 1000).toISOString()
+			: null,
+		blockAudited: false,
+	};
+	if (c) counters.update(key, row);
+	else counters.insert({ id: key, ...row });
+	return { count, lockSeconds };
+}
+
+/** Record a failed attempt; returns the resulting lock (0 when none) */
+function recordLoginFailure(email, ip, userId = null) {
+	const now = Date.now();
+	const acct = bump(accountKey(email), ACCOUNT_MAX_ATTEMPTS, now);
+	const byIp = bump(ipKey(ip), IP_MAX_ATTEMPTS, now);
+
+	if (acct.lockSeconds) {
+		recordAuditEvent("auth.account_locked", {
+			userId,
+			ip,
+			email,
+			failures: acct.count,
+			lockSeconds: acct.lockSeconds,
+		});
+	}
+	if (byIp.lockSeconds) {
+		recordAuditEvent("auth.ip_locked", {
+			ip,
+			failures: byIp.count,
+			lockSeconds: byIp.lockSeconds,
+		});
+	}
+
+	return { retryAfterSeconds: Math.max(acct.lockSeconds, byIp.lockSeconds) };
+}
+
+/** Successful login clears the account counter */
+function recordLoginSuccess(email, ip, userId) {
+	const c = liveCounter(accountKey(email));
+	if (!c) return;
+	if (c.count >= 3) {
+		recordAuditEvent("auth.login_after_failures", {
+			userId,
+			ip,
+			failures: c.count,
+		});
+	}
+	counters.remove(c.id);
+}
+
+module.exports = { checkLogin, recordLoginFailure, recordLoginSuccess };
@@ -0,0 +1,263 @@
+// services/mailer.js
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR } = require("./store");
+const { formatMoney } = require("./currency");
+
+/**
+ * Outgoing mail behind a swappable transport (MAIL_TRANSPORT).
+ * - "outbox"  (default outside production) writes each message as JSON into
+ *             MAIL_OUTBOX_DIR so flows can be exercised offline (open the
+ *             file, copy the link)
+ * - "console" logs the message instead
+ * - "module"  a real provider (SMTP, SES, Postmark, ...): MAIL_TRANSPORT_MODULE
+ *             is a file exporting an async send({ from, to, subject, text })
+ * Neither dev transport delivers anything, so production refuses to start
+ * without "module". Tests can swap the transport with setTransport().
+ */
+const MAIL_FROM = process.env.MAIL_FROM || "Verblizr <no-reply@verblizr.com>";
+const MAIL_OUTBOX_DIR = path.resolve(
+	process.env.MAIL_OUTBOX_DIR || path.join(DATA_DIR, "outbox")
+);
+// Links to this server (verify-email) vs. to the app, which has the pages
+// that finish a password reset or an invitation by calling the API
+const API_URL = (
+	process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`
+).replace(/\/$/, "");
+if (!process.env.APP_URL && process.env.NODE_ENV === "production")
+	throw new Error("APP_URL must be set in production (the app's base URL for emailed links)");
+const APP_URL = (process.env.APP_URL || "http://localhost:8081").replace(/\/$/, "");
+
+const transports = {
+	outbox: {
+		async send(message) {
+			fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+			const slug = message.to.replace(/[^a-z0-9]+/gi, "_");
+			const file = path.join(MAIL_OUTBOX_DIR, `${Date.now()}_${slug}.json`);
+			fs.writeFileSync(file, JSON.stringify(message, null, 2));
+			console.log("[mail] wrote", file);
+		},
+	},
+	console: {
+		async send(message) {
+			console.log("[mail]", message);
+		},
+	},
+};
+
+function loadTransport(name) {
+	if (name === "module") {
+		const file = process.env.MAIL_TRANSPORT_MODULE;
+		if (!file) throw new Error("MAIL_TRANSPORT=module needs MAIL_TRANSPORT_MODULE");
+		const custom = require(path.resolve(file));
+		if (typeof custom.send !== "function")
+			throw new Error(`MAIL_TRANSPORT_MODULE ${file} doesn't export send()`);
+		return custom;
+	}
+	if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+	if (process.env.NODE_ENV === "production")
+		throw new Error(
+			`MAIL_TRANSPORT "${name}" doesn't deliver mail – use MAIL_TRANSPORT=module in production`
+		);
+	return transports[name];
+}
+
+let transport = loadTransport(
+	(
+		process.env.MAIL_TRANSPORT ||
+		(process.env.NODE_ENV === "production" ? "module" : "outbox")
+	).toLowerCase()
+);
+
+/** Replace the transport; it only needs an async send({ from, to, subject, text }) */
+function setTransport(custom) {
+	transport = custom;
+}
+
+async function sendMail({ to, subject, text }) {
+	const message = {
+		from: MAIL_FROM,
+		to,
+		subject,
+		text,
+		sentAt: new Date().toISOString(),
+	};
+	await transport.send(message);
+	return message;
+}
+
+/* ----------------- account emails ----------------- */
+
+function sendVerificationEmail(user, token) {
+	const link = `${API_URL}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+	return sendMail({
+		to: user.email,
+		subject: "Verify your Verblizr email address",
+		text: [
+			`Hi ${user.firstName || "there"},`,
+			"",
+			"Please confirm your email address by opening the link below:",
+			link,
+			"",
+			"If you did not create a Verblizr account you can ignore this email.",
+		].join("\n"),
+	});
+}
+
+function sendPasswordResetEmail(user, token) {
+	const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+	return sendMail({
+		to: user.email,
+		subject: "Reset your Verblizr password",
+		text: [
+			`Hi ${user.firstName || "there"},`,
+			"",
+			"Someone (hopefully you) asked to reset your Verblizr password.",
+			"Open the link below to choose a new one. It can be used once and expires soon:",
+			link,
+			"",
+			"If you did not ask for this, no action is needed.",
+		].join("\n"),
+	});
+}
+
+function sendOrgInvitationEmail({ email, org, inviter, token }) {
+	const link = `${APP_URL}/accept-invite?token=${encodeURIComponent(token)}`;
+	return sendMail({
+		to: email,
+		subject: `You've been invited to join ${org.name} on Verblizr`,
+		text: [
+			"Hi,",
+			"",
+			`${inviter?.firstName || "A colleague"} has invited you to join ${org.name} on Verblizr.`,
+			"Sign in (or create an account with this email address) and open the link below to accept:",
+			link,
+			"",
+			"If you weren't expecting this invitation you can ignore this email.",
+		].join("\n"),
+	});
+}
+
+function sendLowBalanceEmail(user, wallet) {
+	return sendMail({
+		to: user.email,
+		subject: "Your Verblizr credit is running low",
+		text: [
+			`Hi ${user.firstName || "there"},`,
+			"",
+			`Your prepaid Verblizr balance is down to ${formatMoney(wallet.balance, wallet.currency)}.`,
+			"Top up in the app (or turn on automatic top-ups) so interpreting isn't interrupted.",
+		].join("\n"),
+	});
+}
+
+/* ----------------- billing emails ----------------- */
+
+const longDate = (iso) =>
+	new Date(iso).toLocaleDateString("en-GB", {
+		day: "numeric",
+		month: "long",
+		year: "numeric",
+		timeZone: "UTC",
+	});
+
+/** Cards ({ brand, last4, expMonth, expYear, expired }) that expire soon or already have */
+function sendCardExpiringEmail(user, cards) {
+	return sendMail({
+		to: user.email,
+		subject:
+			cards.length === 1
+				? "Your card on file with Verblizr is about to expire"
+				: "Cards on file with Verblizr are about to expire",
+		text: [
+			`Hi ${user.firstName || "there"},`,
+			"",
+			cards.length === 1 ? "This saved card needs replacing:" : "These saved cards need replacing:",
+			...cards.map(
+				(c) =>
+					`- ${c.brand} ending ${c.last4}, ${c.expired ? "expired" : "expires"} ${String(c.expMonth).padStart(2, "0")}/${c.expYear}`
+			),
+			"",
+			"Add a new card in the app before then so your subscription and top-ups keep working.",
+		].join("\n"),
+	});
+}
+
+/** Reminder while a dunning case is open (see services/dunning.js) */
+function sendPaymentOverdueEmail(user, dunning) {
+	const due = formatMoney(dunning.amountDue, dunning.currency);
+	return sendMail({
+		to: user.email,
+		subject: `Your Verblizr payment of ${due} failed`,
+		text: [
+			`Hi ${user.firstName || "there"},`,
+			"",
+			`We couldn't take your payment of ${due}${dunning.lastError ? ` (${dunning.lastError})` : ""}.`,
+			dunning.nextRetryAt
+				? `We'll try your card again on ${longDate(dunning.nextRetryAt)}.`
+				: "We won't retry the card again automatically.",
+			dunning.graceEndsAt
+				? `If it's still unpaid on ${longDate(dunning.graceEndsAt)}, your account will be suspended.`
+				: null,
+			"",
+			"Update your card in the app and choose \"Pay now\" to settle it straight away.",
+		]
+			.filter((line) => line !== null)
+			.join("\n"),
+	});
+}
+
+function sendServiceSuspendedEmail(user, dunning) {
+	const due = formatMoney(dunning.amountDue, dunning.currency);
+	return sendMail({
+		to: user.email,
+		subject: "Your Verblizr account has been suspended",
+		text: [
+			`Hi ${user.firstName || "there"},`,
+			"",
+			`We still haven't been able to collect ${due}, so interpreting, transcription and translation are paused.`,
+			"Your data and settings are safe. Update your card in the app and choose \"Pay now\" – the service comes back as soon as the payment goes through.",
+		].join("\n"),
+	});
+}
+
+function sendServiceRestoredEmail(user) {
+	return sendMail({
+		to: user.email,
+		subject: "Your Verblizr account is active again",
+		text: [
+			`Hi ${user.firstName || "there"},`,
+			"",
+			"Thanks – we've received your payment and your account is fully active again.",
+		].join("\n"),
+	});
+}
+
+function sendAccountDeletedEmail(user) {
+	return sendMail({
+		to: user.email,
+		subject: "Your Verblizr account has been deleted",
+		text: [
+			`Hi ${user.firstName || "there"},`,
+			"",
+			"As requested, your Verblizr account and the data linked to it have been deleted.",
+			"Invoices we must keep for accounting have been anonymised.",
+			"",
+			"If you did not ask for this, please contact support straight away.",
+		].join("\n"),
+	});
+}
+
+module.exports = {
+	sendMail,
+	setTransport,
+	sendVerificationEmail,
+	sendPasswordResetEmail,
+	sendOrgInvitationEmail,
+	sendLowBalanceEmail,
+	sendCardExpiringEmail,
+	sendPaymentOverdueEmail,
+	sendServiceSuspendedEmail,
+	sendServiceRestoredEmail,
+	sendAccountDeletedEmail,
+};
@@ -0,0 +1,214 @@
+// services/meteredBilling.js
+const crypto = require("crypto");
+const { collection } = require("./store");
+const { stripe } = require("./stripeClient");
+const {
+	getOrCreateAccountCustomerId,
+	findAccountForCustomer,
+} = require("./users");
+const {
+	listUnbilledUsage,
+	listUnbilledAccounts,
+	markUsageBilled,
+} = require("./usage");
+const { findLiveSubscription } = require("./subscriptions");
+const { RATES, priceFor } = require("./pricing");
+const { currencyFor, taxTreatmentFor } = require("./billingProfile");
+const { taxAmount, resolveTaxRateId } = require("./tax");
+
+/**
+ * Metered billing: turns usage records (services/usage.js) into Stripe
+ * invoice items, one line per metric per billing period.
+ *
+ * - Subscribers: on the `invoice.created` webhook for a renewal, the period's
+ *   usage is added to that draft invoice, so it's paid with the plan.
+ * - Everyone else: an admin-triggered run (POST /api/admin/usage-billing/run)
+ *   bills usage up to a cut-off on a usage-only invoice.
+ *
+ * Records are marked billed only after Stripe accepted the line. The run id
+ * (and so every Stripe idempotency key) is derived from the records being
+ * billed, so retrying after a crash replays the same Stripe calls.
+ */
+const runs = collection("usage_billing_runs"); // { id, account, customerId, until, invoiceId, lines, createdAt }
+
+/** Price unbilled records: one line per metric with a non-zero amount */
+function priceUsage(records) {
+	const byMetric = {};
+	for (const r of records) {
+		if (!RATES[r.metric]) continue;
+		const m = (byMetric[r.metric] ||= { quantity: 0, recordIds: [] });
+		m.quantity += r.quantity;
+		m.recordIds.push(r.id);
+	}
+
+	return Object.entries(byMetric).map(([metric, { quantity, recordIds }]) => {
+		const rate = RATES[metric];
+		const q = Math.round(quantity * 100) / 100;
+		return {
+			metric,
+			description: `${rate.label} — ${q.toLocaleString("en-GB")} ${rate.unit}`,
+			quantity: q,
+			unitAmountPence: rate.pence,
+			amount: Math.round(priceFor(metric, quantity)),
+			recordIds,
+		};
+	});
+}
+
+/** Current unbilled usage for an account, priced (no Stripe calls); totals are net */
+function previewUsage(account) {
+	const lines = priceUsage(listUnbilledUsage(account));
+	const estimatedTotal = lines.reduce((sum, l) => sum + l.amount, 0);
+	const treatment = taxTreatmentFor(account);
+	return {
+		currency: currencyFor(account),
+		lines: lines.map(({ recordIds, ...line }) => line),
+		estimatedTotal,
+		tax: {
+			rate: treatment.rate,
+			label: treatment.label,
+			reverseCharge: treatment.reverseCharge,
+		},
+		estimatedTax: taxAmount(estimatedTotal, treatment),
+	};
+}
+
+function runIdFor(lines, invoiceId) {
+	const ids = lines.flatMap((l) => l.recordIds).sort();
+	const hash = crypto
+		.createHash("sha256")
+		.update(`${invoiceId || ""}|${ids.join(",")}`)
+		.digest("hex");
+	return `ubr_${hash.slice(0, 16)}`;
+}
+
+/**
+ * Bill an account's usage recorded before `until`.
+ * With `invoiceId` (+ its `customerId` and `currency`) the lines go onto that
+ * draft invoice; otherwise a new usage invoice is created, with the account's
+ * VAT rate, in its currency and left for Stripe to finalise and charge. Lines that round to 0p stay unbilled and roll into the next
+ * period. Returns the run, or null when there was nothing to bill.
+ */
+async function billAccountUsage(
+	account,
+	{ until = new Date(), invoiceId = null, customerId = null, currency = null } = {}
+) {
+	const lines = priceUsage(
+		listUnbilledUsage({ ...account, before: until })
+	).filter((l) => l.amount > 0);
+	if (!lines.length) return null;
+
+	const runId = runIdFor(lines, invoiceId);
+	const customer = customerId || (await getOrCreateAccountCustomerId(account));
+	const lineCurrency = currency || currencyFor(account);
+	let targetInvoice = invoiceId;
+
+	if (!targetInvoice) {
+		const taxRateId = await resolveTaxRateId(taxTreatmentFor(account));
+		const invoice = await stripe.invoices.create(
+			{
+				customer,
+				collection_method: "charge_automatically",
+				auto_advance: true,
+				pending_invoice_items_behavior: "exclude",
+				currency: lineCurrency,
+				...(taxRateId && { default_tax_rates: [taxRateId] }),
+				description: "Verblizr usage",
+				metadata: { kind: "usage", usageBillingRunId: runId },
+			},
+			{ idempotencyKey: `${runId}_invoice` }
+		);
+		targetInvoice = invoice.id;
+	}
+
+	for (const line of lines) {
+		await stripe.invoiceItems.create(
+			{
+				customer,
+				invoice: targetInvoice,
+				currency: lineCurrency,
+				amount: line.amount,
+				description: line.description,
+				metadata: {
+					metric: line.metric,
+					quantity: String(line.quantity),
+					usageBillingRunId: runId,
+				},
+			},
+			{ idempotencyKey: `${runId}_${line.metric}` }
+		);
+		markUsageBilled(line.recordIds, runId);
+	}
+
+	const run = runs.insert({
+		id: runId,
+		account,
+		customerId: customer,
+		until: new Date(until).toISOString(),
+		invoiceId: targetInvoice,
+		lines: lines.map(({ recordIds, ...line }) => ({
+			...line,
+			records: recordIds.length,
+		})),
+		createdAt: new Date().toISOString(),
+	});
+	console.log(
+		`[billing] usage run ${runId}: ${lines.length} line(s) on ${targetInvoice}`
+	);
+	return run;
+}
+
+/**
+ * Webhook hook: a subscription renewal invoice was just drafted, add the
+ * period's usage to it before Stripe finalises it (~1 hour later).
+ */
+async function addUsageToRenewalInvoice(stripeInvoice) {
+	if (stripeInvoice.status !== "draft") return null;
+	if (stripeInvoice.billing_reason !== "subscription_cycle") return null;
+
+	const account = await findAccountForCustomer(stripeInvoice.customer);
+	if (!account) return null;
+
+	return billAccountUsage(account, {
+		until: new Date(stripeInvoice.period_end * 1000),
+		invoiceId: stripeInvoice.id,
+		customerId: stripeInvoice.customer,
+		currency: stripeInvoice.currency,
+	});
+}
+
+/**
+ * Bill every account without a live subscription (subscribers are billed on
+ * renewal). Failures are collected per account so one bad card doesn't stop
+ * the run.
+ */
+async function runUsageBilling({ until = new Date() } = {}) {
+	const results = [];
+	for (const account of listUnbilledAccounts({ before: until })) {
+		try {
+			const customerId = await getOrCreateAccountCustomerId(account);
+			if (findLiveSubscription(customerId)) continue;
+			const run = await billAccountUsage(account, { until });
+			if (run) results.push({ account, runId: run.id, invoiceId: run.invoiceId });
+		} catch (e) {
+			console.error("[billing] usage run failed for", account, e.message);
+			results.push({ account, error: e.message });
+		}
+	}
+	return results;
+}
+
+function listUsageBillingRuns({ limit = 100 } = {}) {
+	return runs
+		.list()
+		.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+		.slice(0, limit);
+}
+
+module.exports = {
+	previewUsage,
+	billAccountUsage,
+	addUsageToRenewalInvoice,
+	runUsageBilling,
+	listUsageBillingRuns,
+};
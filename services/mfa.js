@@ -0,0 +1,149 @@
+// services/mfa.js
+const crypto = require("crypto");
+
+/**
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30s steps) and recovery codes.
+ * Pure helpers – the per-user state lives on the account record
+ * (see setMfaState in services/users.js):
+ *   { enabled, secret, pendingSecret, recoveryCodeHashes, lastUsedStep, enabledAt }
+ */
+const ISSUER = process.env.MFA_ISSUER || "Verblizr";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+	let bits = 0;
+	let value = 0;
+	let out = "";
+	for (const byte of buf) {
+		value = (value << 8) | byte;
+		bits += 8;
+		while (bits >= 5) {
+			out += BASE32[(value >>> (bits - 5)) & 31];
+			bits -= 5;
+		}
+	}
+	if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+	return out;
+}
+
+function base32Decode(str) {
+	const clean = str.toUpperCase().replace(/=+$/, "").replace(/\s+/g, "");
+	let bits = 0;
+	let value = 0;
+	const out = [];
+	for (const ch of clean) {
+		const idx = BASE32.indexOf(ch);
+		if (idx === -1) throw new Error("Invalid base32 secret");
+		value = (value << 5) | idx;
+		bits += 5;
+		if (bits >= 8) {
+			out.push((value >>> (bits - 8)) & 255);
+			bits -= 8;
+		}
+	}
+	return Buffer.from(out);
+}
+
+function generateSecret() {
+	return base32Encode(crypto.randomBytes(20));
+}
+
+function otpauthUri(secret, accountName) {
+	const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer: ISSUER,
+		algorithm: "SHA1",
+		digits: String(DIGITS),
+		period: String(STEP_SECONDS),
+	});
+	return `otpauth://totp/${label}?${params}`;
+}
+
+function hotp(secret, counter) {
+	const msg = Buffer.alloc(8);
+	msg.writeBigUInt64BE(BigInt(counter));
+	const hmac = crypto
+		.createHmac("sha1", base32Decode(secret))
+		.update(msg)
+		.digest();
+	const offset = hmac[hmac.length - 1] & 0xf;
+	const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+	return String(code).padStart(DIGITS, "0");
+}
+
+const currentStep = (now = Date.now()) =>
+	Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Check a 6-digit code, allowing one step of clock drift either way.
+ * Returns the matched time step (so callers can refuse replays), or null.
+ */
+function verifyTotp(secret, code, { lastUsedStep = null, now } = {}) {
+	const wanted = String(code || "").replace(/\s+/g, "");
+	if (!/^\d{6}$/.test(wanted)) return null;
+
+	const step = currentStep(now);
+	for (const s of [step - 1, step, step + 1]) {
+		if (lastUsedStep != null && s <= lastUsedStep) continue;
+		const expected = hotp(secret, s);
+		if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(wanted)))
+			return s;
+	}
+	return null;
+}
+
+/* ----------------- recovery codes ----------------- */
+
+const hashRecoveryCode = (code) =>
+	crypto
+		.createHash("sha256")
+		.update(code.toLowerCase().replace(/[^a-z0-9]/g, ""))
+		.digest("hex");
+
+/** Returns { codes, hashes }: show codes once, store only hashes */
+function generateRecoveryCodes() {
+	const codes = [];
+	for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+		const raw = crypto.randomBytes(5).toString("hex");
+		codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+	}
+	return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/** Returns the remaining hashes when `code` matched one, else null */
+function useRecoveryCode(hashes, code) {
+	const h = hashRecoveryCode(String(code || ""));
+	if (!hashes?.includes(h)) return null;
+	return hashes.filter((x) => x !== h);
+}
+
+/**
+ * Verify either a TOTP code or a recovery code against the user's MFA state.
+ * Returns the MFA state patch to persist on success, or null.
+ */
+function verifySecondFactor(mfa, code) {
+	if (!mfa?.enabled) return null;
+
+	const step = verifyTotp(mfa.secret, code, {
+		lastUsedStep: mfa.lastUsedStep,
+	});
+	if (step != null) return { ...mfa, lastUsedStep: step };
+
+	const remaining = useRecoveryCode(mfa.recoveryCodeHashes, code);
+	if (remaining) return { ...mfa, recoveryCodeHashes: remaining };
+
+	return null;
+}
+
+module.exports = {
+	generateSecret,
+	otpauthUri,
+	verifyTotp,
+	generateRecoveryCodes,
+	verifySecondFactor,
+};
@@ -0,0 +1,190 @@
+// services/orgs.js
+const crypto = require("crypto");
+const { collection, newId } = require("./store");
+
+/**
+ * Organisations (interpreting agencies) own billing for their members:
+ * the Stripe customer, saved cards and invoices hang off the org, and
+ * usage recorded by members is tagged with the org so it rolls up.
+ *
+ * A user belongs to at most one org. Member roles:
+ * - owner  exactly one, created the org, can't be removed
+ * - admin  manages members, invitations and billing
+ * - member uses the service; billed to the org, can't see org billing
+ */
+const ORG_ROLES = ["member", "admin", "owner"];
+const INVITE_TTL_DAYS = Number(process.env.ORG_INVITE_TTL_DAYS || 7);
+
+const orgs = collection("orgs"); // { id, name, ownerId, stripeCustomerId, createdAt }
+const members = collection("org_members"); // { id: "<orgId>:<userId>", orgId, userId, role, joinedAt }
+const invitations = collection("org_invitations"); // { id, orgId, email, role, tokenHash, invitedBy, expiresAt, acceptedAt, revokedAt }
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+const memberId = (orgId, userId) => `${orgId}:${userId}`;
+
+function getOrg(orgId) {
+	return orgs.get(orgId);
+}
+
+function updateOrg(orgId, patch) {
+	return orgs.update(orgId, patch);
+}
+
+/** The caller's membership row (with orgId + role), or null */
+function getMembership(userId) {
+	return members.findOne((m) => m.userId === userId);
+}
+
+function getUserOrg(userId) {
+	const m = getMembership(userId);
+	return m ? orgs.get(m.orgId) : null;
+}
+
+function listMembers(orgId) {
+	return members.list((m) => m.orgId === orgId);
+}
+
+/** Who pays for this user's activity: { orgId } for org members, else { userId } */
+function getBillingAccount(userId) {
+	const m = getMembership(userId);
+	return m ? { orgId: m.orgId } : { userId };
+}
+
+/** Org owners/admins manage billing; users outside any org manage their own */
+function canManageBilling(userId) {
+	const m = getMembership(userId);
+	return !m || m.role === "owner" || m.role === "admin";
+}
+
+function createOrg({ name, ownerId }) {
+	if (getMembership(ownerId))
+		throw new Error("User already belongs to an organisation");
+
+	const now = new Date().toISOString();
+	const org = orgs.insert({
+		id: newId("org"),
+		name,
+		ownerId,
+		stripeCustomerId: null,
+		createdAt: now,
+	});
+	members.insert({
+		id: memberId(org.id, ownerId),
+		orgId: org.id,
+		userId: ownerId,
+		role: "owner",
+		joinedAt: now,
+	});
+	return org;
+}
+
+function setMemberRole(orgId, userId, role) {
+	if (!ORG_ROLES.includes(role) || role === "owner")
+		throw new Error(`Invalid member role "${role}"`);
+	return members.update(memberId(orgId, userId), { role });
+}
+
+function removeMember(orgId, userId) {
+	return members.remove(memberId(orgId, userId));
+}
+
+/** Remove an org with its memberships and invitations */
+function deleteOrg(orgId) {
+	for (const m of listMembers(orgId)) members.remove(m.id);
+	for (const inv of invitations.list((i) => i.orgId === orgId))
+		invitations.remove(inv.id);
+	return orgs.remove(orgId);
+}
+
+/* ----------------- invitations ----------------- */
+
+/** Returns { invitation, token }; the raw token only exists in the email */
+function createInvitation({ orgId, email, role = "member", invitedBy }) {
+	if (!["member", "admin"].includes(role))
+		throw new Error(`Invalid member role "${role}"`);
+
+	const wanted = String(email).trim().toLowerCase();
+	// Re-inviting replaces any open invitation for the same address
+	for (const inv of invitations.list(
+		(i) => i.orgId === orgId && i.email === wanted && !i.acceptedAt
+	)) {
+		invitations.update(inv.id, { revokedAt: new Date().toISOString() });
+	}
+
+	const id = newId("oinv");
+	const secret = crypto.randomBytes(24).toString("base64url");
+	const invitation = invitations.insert({
+		id,
+		orgId,
+		email: wanted,
+		role,
+		tokenHash: sha256(secret),
+		invitedBy,
+		createdAt: new Date().toISOString(),
+		expiresAt: new Date(
+			Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000
+		).toISOString(),
+		acceptedAt: null,
+		revokedAt: null,
+	});
+	return { invitation, token: `${id}.${secret}` };
+}
+
+function listInvitations(orgId) {
+	return invitations.list(
+		(i) => i.orgId === orgId && !i.acceptedAt && !i.revokedAt
+	);
+}
+
+function revokeInvitation(orgId, invitationId) {
+	const inv = invitations.get(invitationId);
+	if (!inv || inv.orgId !== orgId || inv.acceptedAt) return null;
+	return invitations.update(invitationId, {
+		revokedAt: new Date().toISOString(),
+	});
+}
+
+/**
+ * Accept an invitation for `user` ({ id, email }).
+ * Returns { membership } or { error: "invalid" | "expired" | "email_mismatch" | "already_member" }.
+ */
+function acceptInvitation(rawToken, user) {
+	const [id, secret] = String(rawToken || "").split(".");
+	const inv = id && secret ? invitations.get(id) : null;
+	if (!inv || inv.tokenHash !== sha256(secret)) return { error: "invalid" };
+	if (inv.revokedAt || inv.acceptedAt) return { error: "invalid" };
+	if (new Date(inv.expiresAt) < new Date()) return { error: "expired" };
+	if (inv.email !== String(user.email).toLowerCase())
+		return { error: "email_mismatch" };
+	if (getMembership(user.id)) return { error: "already_member" };
+	if (!orgs.get(inv.orgId)) return { error: "invalid" };
+
+	const membership = members.insert({
+		id: memberId(inv.orgId, user.id),
+		orgId: inv.orgId,
+		userId: user.id,
+		role: inv.role,
+		joinedAt: new Date().toISOString(),
+	});
+	invitations.update(inv.id, { acceptedAt: new Date().toISOString() });
+	return { membership };
+}
+
+module.exports = {
+	ORG_ROLES,
+	getOrg,
+	updateOrg,
+	getMembership,
+	getUserOrg,
+	listMembers,
+	getBillingAccount,
+	canManageBilling,
+	createOrg,
+	setMemberRole,
+	removeMember,
+	deleteOrg,
+	createInvitation,
+	listInvitations,
+	revokeInvitation,
+	acceptInvitation,
+};
@@ -0,0 +1,165 @@
+// services/pendingPayments.js
+const { collection } = require("./store");
+
+/**
+ * Off-session charges that need the customer (SCA / 3-D Secure).
+ *
+ * When Stripe declines an off-session charge with `authentication_required`
+ * (or leaves it in requires_action) we keep the PaymentIntent here, keyed by
+ * its id, so the app can bring the customer back and finish it in-app:
+ *
+ *   requires_payment_method  confirm it on-session with the card
+ *                            (POST /api/billing/pending-payments/:id/complete)
+ *   requires_action          run Stripe.js handleNextAction(clientSecret),
+ *                            then call complete again
+ *   succeeded / canceled     done – settled by complete/cancel or the webhooks
+ *
+ * Client secrets aren't stored; they're read from the PaymentIntent on demand.
+ */
+const OPEN_STATES = [
+	"requires_payment_method",
+	"requires_confirmation",
+	"requires_action",
+	"processing",
+];
+
+const pending = collection("pending_payments"); // { id: "pi_...", kind, userId, orgId, customerId, amount, currency, paymentMethodId, state, lastError, createdBy, createdAt, updatedAt, resolvedAt }
+
+/**
+ * The PaymentIntent behind an `authentication_required` card error, or null
+ * for any other error.
+ */
+function authenticationRequiredIntent(err) {
+	const code = err?.code || err?.raw?.code;
+	return code === "authentication_required" ? err.raw?.payment_intent || null : null;
+}
+
+/** Does this PaymentIntent still need the customer? */
+function needsCustomer(pi) {
+	return ["requires_payment_method", "requires_confirmation", "requires_action"].includes(
+		pi.status
+	);
+}
+
+/** Remember a PaymentIntent that needs the customer (upsert by id) */
+function trackPendingPayment(pi, { account, kind, createdBy = null, error = null }) {
+	const now = new Date().toISOString();
+	const row = {
+		state: pi.status,
+		lastError: error || pi.last_payment_error?.message || null,
+		updatedAt: now,
+	};
+	if (pending.get(pi.id)) return pending.update(pi.id, row);
+
+	console.log(`[billing] payment ${pi.id} (${kind}) needs the customer: ${pi.status}`);
+	return pending.insert({
+		id: pi.id,
+		kind,
+		userId: account.orgId ? null : account.userId,
+		orgId: account.orgId || null,
+		customerId: typeof pi.customer === "string" ? pi.customer : pi.customer?.id || null,
+		amount: pi.amount,
+		currency: pi.currency,
+		paymentMethodId:
+			typeof pi.payment_method === "string" ? pi.payment_method : pi.payment_method?.id || null,
+		createdBy,
+		createdAt: now,
+		resolvedAt: null,
+		...row,
+	});
+}
+
+function getPendingPayment(id) {
+	return pending.get(id);
+}
+
+/** Whether the PaymentIntent is a tracked payment still waiting for the customer */
+function isPaymentPending(id) {
+	return OPEN_STATES.includes(pending.get(id)?.state);
+}
+
+/** Still-open pending payments of a billing account, newest first */
+function listPendingPayments(account) {
+	return pending
+		.list(
+			(p) =>
+				OPEN_STATES.includes(p.state) &&
+				(account.orgId ? p.orgId === account.orgId : p.userId === account.userId)
+		)
+		.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/** Follow the PaymentIntent's status; no-op for payments we don't track */
+function updatePendingPayment(pi, { error } = {}) {
+	const row = pending.get(pi.id);
+	if (!row) return null;
+	const now = new Date().toISOString();
+	return pending.update(pi.id, {
+		state: pi.status,
+		lastError:
+			error !== undefined
+				? error
+				: pi.status === "succeeded"
+					? null
+					: pi.last_payment_error?.message || row.lastError,
+		updatedAt: now,
+		resolvedAt: OPEN_STATES.includes(pi.status) ? null : now,
+	});
+}
+
+/**
+ * What the app needs to recover the payment. `pi` (fresh from Stripe)
+ * supplies the client secret while the customer still has something to do.
+ */
+function toRecoveryView(row, pi = null) {
+	const state = pi?.status || row.state;
+	const nextStep =
+		state === "requires_action"
+			? "handle_next_action"
+			: state === "requires_payment_method" || state === "requires_confirmation"
+				? "confirm"
+				: null;
+	return {
+		id: row.id,
+		kind: row.kind,
+		state,
+		nextStep,
+		amountMinor: row.amount,
+		currency: row.currency,
+		paymentMethodId: row.paymentMethodId,
+		clientSecret: nextStep && pi ? pi.client_secret : null,
+		error: row.lastError,
+		createdAt: row.createdAt,
+		resolvedAt: row.resolvedAt,
+	};
+}
+
+const involves = (userId) => (p) => p.userId === userId || p.createdBy === userId;
+
+/** Every payment the user owes or started, open or not (GDPR export) */
+function listUserPendingPayments(userId) {
+	return pending.list(involves(userId));
+}
+
+function anonymizeUserPendingPayments(userId) {
+	const rows = pending.list(involves(userId));
+	for (const p of rows)
+		pending.update(p.id, {
+			userId: p.userId === userId ? null : p.userId,
+			createdBy: p.createdBy === userId ? null : p.createdBy,
+		});
+	return rows.length;
+}
+
+module.exports = {
+	authenticationRequiredIntent,
+	needsCustomer,
+	trackPendingPayment,
+	getPendingPayment,
+	isPaymentPending,
+	listPendingPayments,
+	updatePendingPayment,
+	toRecoveryView,
+	listUserPendingPayments,
+	anonymizeUserPendingPayments,
+};
@@ -0,0 +1,92 @@
+// services/plans.js
+
+/**
+ * Subscription plans catalogue.
+ *
+ * Each plan maps to a Stripe Price by `lookupKey`, so the same catalogue works
+ * in test and live mode without copying price ids around. Outside production
+ * missing prices are created on first use (see resolvePriceId in
+ * routes/billing.js); in production they must exist in the Stripe dashboard.
+ *
+ * Each plan has a price per supported currency (services/currency.js);
+ * `amount`/`currency` are the pounds price. Stripe prices for other
+ * currencies use the lookup key plus "_<currency>".
+ *
+ * Amounts are minor units (pennies / cents).
+ */
+const PLANS = [
+	{
+		id: "starter_monthly",
+		name: "Verblizr Starter — Monthly",
+		tier: "starter",
+		interval: "month",
+		amount: 499,
+		currency: "gbp",
+		prices: { gbp: 499, eur: 599, usd: 649 },
+		lookupKey: "verblizr_starter_monthly",
+		features: ["Live interpretation", "Up to 5 hours/month"],
+	},
+	{
+		id: "pro_monthly",
+		name: "Verblizr Pro — Monthly",
+		tier: "pro",
+		interval: "month",
+		amount: 1499,
+		currency: "gbp",
+		prices: { gbp: 1499, eur: 1699, usd: 1899 },
+		lookupKey: "verblizr_pro_monthly",
+		features: ["Live interpretation", "Unlimited hours", "Invoices & exports"],
+	},
+	{
+		id: "pro_yearly",
+		name: "Verblizr Pro — Yearly",
+		tier: "pro",
+		interval: "year",
+		amount: 14990,
+		currency: "gbp",
+		prices: { gbp: 14990, eur: 16990, usd: 18990 },
+		lookupKey: "verblizr_pro_yearly",
+		features: ["Live interpretation", "Unlimited hours", "Invoices & exports"],
+	},
+];
+
+/** The catalogue, with `amount`/`currency` in the given currency when set */
+function listPlans(currency) {
+	return PLANS.map((p) =>
+		currency ? { ...p, amount: planAmount(p, currency), currency } : { ...p }
+	);
+}
+
+function planAmount(plan, currency = plan.currency) {
+	return plan.prices[currency] ?? null;
+}
+
+function lookupKeyFor(plan, currency = plan.currency) {
+	return currency === plan.currency ? plan.lookupKey : `${plan.lookupKey}_${currency}`;
+}
+
+function getPlan(id) {
+	return PLANS.find((p) => p.id === id) || null;
+}
+
+function getPlanByLookupKey(lookupKey) {
+	return (
+		PLANS.find((p) =>
+			Object.keys(p.prices).some((c) => lookupKeyFor(p, c) === lookupKey)
+		) || null
+	);
+}
+
+/** Price normalised to a month, to tell upgrades from downgrades */
+function monthlyAmount(plan) {
+	return plan.interval === "year" ? plan.amount / 12 : plan.amount;
+}
+
+module.exports = {
+	listPlans,
+	getPlan,
+	getPlanByLookupKey,
+	planAmount,
+	lookupKeyFor,
+	monthlyAmount,
+};
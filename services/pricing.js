@@ -0,0 +1,23 @@
+// services/pricing.js
+
+/**
+ * What we charge per unit of usage, in pence (fractions allowed).
+ * Used by metered billing (invoice lines) and the prepaid wallet (debits).
+ * Accounts billed in euros or dollars pay the same figures in cents.
+ */
+const RATES = {
+	tts_characters: { label: "Text-to-speech", unit: "characters", pence: 0.0016 },
+	whisper_minutes: { label: "Transcription (Whisper)", unit: "minutes", pence: 0.6 },
+	speech_minutes: { label: "Speech recognition", unit: "minutes", pence: 2 },
+	translation_characters: { label: "Translation", unit: "characters", pence: 0.002 },
+	translation_tokens: { label: "AI translation", unit: "tokens", pence: 0.0002 },
+	chat_tokens: { label: "AI assistant", unit: "tokens", pence: 0.0002 },
+};
+
+/** Exact (unrounded) price in pence; 0 for metrics we don't charge for */
+function priceFor(metric, quantity) {
+	const rate = RATES[metric];
+	return rate ? quantity * rate.pence : 0;
+}
+
+module.exports = { RATES, priceFor };
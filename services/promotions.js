@@ -0,0 +1,270 @@
+// services/promotions.js
+const { collection, newId } = require("./store");
+const { stripe } = require("./stripeClient");
+const { formatMoney } = require("./currency");
+
+/**
+ * Promotion codes (e.g. for interpreter associations).
+ *
+ * A promotion takes a percentage or a fixed amount (in one currency) off
+ * what it `appliesTo`:
+ * - "subscription": the subscription gets a Stripe coupon (created on first
+ *   use), so Stripe discounts its first invoice ("once"), the first
+ *   `durationInMonths` ("repeating") or every invoice ("forever")
+ * - "one_off": wallet top-ups and test charges are discounted here, before
+ *   VAT; a discounted top-up still credits the full amount
+ *
+ * Codes are case-insensitive. A code stops working when it's deactivated,
+ * at `expiresAt`, after `maxRedemptions` uses in total and – with
+ * `oncePerAccount` – after one use per billing account. Every use is kept
+ * as a redemption; the counts come from those.
+ */
+const PROMOTION_TARGETS = ["subscription", "one_off"];
+const DURATIONS = ["once", "repeating", "forever"];
+
+const promotions = collection("promotions"); // { id, code, description, percentOff, amountOff, currency, duration, durationInMonths, appliesTo: ["subscription", "one_off"], maxRedemptions, oncePerAccount, expiresAt, active, stripeCouponId, createdBy, createdAt, updatedAt }
+const redemptions = collection("promotion_redemptions"); // { id, promotionId, code, userId, orgId, target, amount, currency, paymentIntentId, subscriptionId, createdBy, createdAt }
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+function promotionError(code, message) {
+	const err = new Error(message);
+	err.code = code;
+	return err;
+}
+
+/** Thrown by checkPromotion (and the charges that use it) for a code that can't be used */
+function isPromotionError(err) {
+	return typeof err?.code === "string" && err.code.startsWith("promo_");
+}
+
+function getPromotion(id) {
+	return promotions.get(id);
+}
+
+function findPromotionByCode(code) {
+	const wanted = normalizeCode(code);
+	return wanted ? promotions.findOne((p) => p.code === wanted) : null;
+}
+
+function listPromotions({ active } = {}) {
+	return promotions
+		.list((p) => active === undefined || p.active === active)
+		.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+const redemptionsOf = (promotionId) => redemptions.list((r) => r.promotionId === promotionId);
+
+/** New promotion; callers validate the shape. Codes are unique, whatever the case. */
+function createPromotion(input, { createdBy = null } = {}) {
+	const code = normalizeCode(input.code);
+	if (findPromotionByCode(code))
+		throw promotionError("promo_code_taken", `Promotion code ${code} already exists`);
+
+	const now = new Date().toISOString();
+	const promotion = promotions.insert({
+		id: newId("promo"),
+		code,
+		description: input.description || null,
+		percentOff: input.percentOff ?? null,
+		amountOff: input.amountOff ?? null,
+		currency: input.amountOff != null ? input.currency.toLowerCase() : null,
+		duration: input.duration || "once",
+		durationInMonths: input.duration === "repeating" ? input.durationInMonths : null,
+		appliesTo: input.appliesTo || PROMOTION_TARGETS,
+		maxRedemptions: input.maxRedemptions ?? null,
+		oncePerAccount: input.oncePerAccount ?? true,
+		expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+		active: true,
+		stripeCouponId: null,
+		createdBy,
+		createdAt: now,
+		updatedAt: now,
+	});
+	console.log(`[billing] promotion ${promotion.code} created (${promotion.id})`);
+	return promotion;
+}
+
+/** Stop new redemptions; subscriptions that already have the discount keep it */
+function deactivatePromotion(id) {
+	if (!promotions.get(id)) return null;
+	return promotions.update(id, { active: false, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * The promotion behind `code` if the account can use it on `target`
+ * ("subscription" | "one_off") in `currency`; throws a promo_* error
+ * otherwise.
+ */
+function checkPromotion(code, account, { target, currency }) {
+	const promotion = findPromotionByCode(code);
+	if (!promotion?.active)
+		throw promotionError("promo_invalid", "That promotion code isn't valid");
+	if (promotion.expiresAt && new Date(promotion.expiresAt) <= new Date())
+		throw promotionError("promo_expired", "That promotion code has expired");
+	if (target && !promotion.appliesTo.includes(target))
+		throw promotionError(
+			"promo_not_applicable",
+			target === "subscription"
+				? "That promotion code can't be used on subscriptions"
+				: "That promotion code only works on subscriptions"
+		);
+	if (promotion.currency && currency && promotion.currency !== currency.toLowerCase())
+		throw promotionError(
+			"promo_not_applicable",
+			`That promotion code is for payments in ${promotion.currency.toUpperCase()}`
+		);
+
+	const used = redemptionsOf(promotion.id);
+	if (promotion.maxRedemptions != null && used.length >= promotion.maxRedemptions)
+		throw promotionError("promo_exhausted", "That promotion code has been used up");
+	const accountUsed = used.some((r) =>
+		account.orgId ? r.orgId === account.orgId : r.userId === account.userId
+	);
+	if (promotion.oncePerAccount && accountUsed)
+		throw promotionError("promo_used", "You've already used that promotion code");
+	return promotion;
+}
+
+/** "20% off", "£5.00 off" */
+function describeDiscount(promotion) {
+	return promotion.percentOff != null
+		? `${promotion.percentOff}% off`
+		: `${formatMoney(promotion.amountOff, promotion.currency)} off`;
+}
+
+/**
+ * The discount on a one-off `net` amount (minor units), never more than
+ * `net`: { code, label, amount } as invoices keep it.
+ */
+function discountFor(promotion, net) {
+	const off =
+		promotion.percentOff != null
+			? Math.round((net * promotion.percentOff) / 100)
+			: promotion.amountOff;
+	return {
+		code: promotion.code,
+		label: promotion.description || describeDiscount(promotion),
+		amount: Math.min(net, off),
+	};
+}
+
+/** Count a use of the promotion against the account */
+function recordRedemption(
+	promotion,
+	account,
+	{
+		target,
+		amount = null,
+		currency = null,
+		paymentIntentId = null,
+		subscriptionId = null,
+		createdBy = null,
+	}
+) {
+	console.log(
+		`[billing] promotion ${promotion.code} redeemed by ${account.orgId || account.userId} (${target})`
+	);
+	return redemptions.insert({
+		id: newId("redeem"),
+		promotionId: promotion.id,
+		code: promotion.code,
+		userId: account.orgId ? null : account.userId,
+		orgId: account.orgId || null,
+		target,
+		amount,
+		currency,
+		paymentIntentId,
+		subscriptionId,
+		createdBy,
+		createdAt: new Date().toISOString(),
+	});
+}
+
+/**
+ * Stripe coupon for a promotion (created on first use), for subscriptions.
+ * Redemption limits and expiry are checked here rather than on the coupon.
+ */
+async function resolveCouponId(promotion) {
+	if (promotion.stripeCouponId) return promotion.stripeCouponId;
+
+	const label = promotion.description || describeDiscount(promotion);
+	const coupon = await stripe.coupons.create({
+		name: `${promotion.code} – ${label}`.slice(0, 40), // Stripe's limit
+		...(promotion.percentOff != null
+			? { percent_off: promotion.percentOff }
+			: { amount_off: promotion.amountOff, currency: promotion.currency }),
+		duration: promotion.duration,
+		...(promotion.duration === "repeating" && {
+			duration_in_months: promotion.durationInMonths,
+		}),
+		metadata: {
+			appPromotionId: promotion.id,
+			appPromotionCode: promotion.code,
+			appPromotionLabel: label,
+		},
+	});
+	console.log("[billing] created coupon", coupon.id, "for promotion", promotion.code);
+	promotions.update(promotion.id, {
+		stripeCouponId: coupon.id,
+		updatedAt: new Date().toISOString(),
+	});
+	return coupon.id;
+}
+
+/** What a customer may see about a code */
+function toPromotionView(p) {
+	return {
+		code: p.code,
+		description: p.description || describeDiscount(p),
+		percentOff: p.percentOff,
+		amountOff: p.amountOff,
+		currency: p.currency,
+		duration: p.duration,
+		durationInMonths: p.durationInMonths,
+		appliesTo: p.appliesTo,
+		expiresAt: p.expiresAt,
+	};
+}
+
+/** Back-office view: everything, plus how often it was used */
+function toAdminPromotionView(p) {
+	return { ...p, timesRedeemed: redemptionsOf(p.id).length };
+}
+
+/** Account deletion: keep the redemption counts, drop the link to the person */
+const redeemedBy = (userId) => (r) => r.userId === userId || r.createdBy === userId;
+
+/** Redemptions on the user's account or made by them (GDPR export) */
+function listUserRedemptions(userId) {
+	return redemptions.list(redeemedBy(userId));
+}
+
+function anonymizeUserRedemptions(userId) {
+	const rows = redemptions.list(redeemedBy(userId));
+	for (const r of rows)
+		redemptions.update(r.id, {
+			userId: r.userId === userId ? null : r.userId,
+			createdBy: r.createdBy === userId ? null : r.createdBy,
+		});
+	return rows.length;
+}
+
+module.exports = {
+	PROMOTION_TARGETS,
+	DURATIONS,
+	isPromotionError,
+	getPromotion,
+	findPromotionByCode,
+	listPromotions,
+	createPromotion,
+	deactivatePromotion,
+	checkPromotion,
+	discountFor,
+	recordRedemption,
+	resolveCouponId,
+	toPromotionView,
+	toAdminPromotionView,
+	listUserRedemptions,
+	anonymizeUserRedemptions,
+};
@@ -0,0 +1,152 @@
+// services/store.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Tiny persistence layer shared by the services.
+ *
+ * Every service asks for a named collection and gets back the same small
+ * synchronous API (list / get / findOne / insert / update / remove), no matter
+ * which driver sits underneath:
+ * - "file"   (default) JSON file per collection under DATA_DIR, survives restarts
+ * - "memory" process-local Map, handy for throwaway dev servers and scripts
+ *
+ * Swapping in SQLite/Postgres later only means adding another driver here.
+ *
+ * Hot collections written on every request (usage records, the wallet ledger)
+ * ask for `{ deferWrites: true }`: the file driver then coalesces their
+ * changes and writes them at most every FLUSH_DELAY_MS, and once more on exit,
+ * instead of rewriting the whole file per change.
+ */
+const DATA_DIR = path.resolve(
+	process.env.DATA_DIR || path.join(__dirname, "..", "data")
+);
+const DRIVER = (process.env.DATA_STORE || "file").toLowerCase();
+
+const FLUSH_DELAY_MS = 1000;
+
+const clone = (v) => (v == null ? v : structuredClone(v));
+
+/** Generate ids in the same "<prefix>_<hex>" shape as the demo data */
+function newId(prefix) {
+	return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function createCollection(rows, persist) {
+	return {
+		list(filter) {
+			const all = [...rows.values()];
+			return clone(filter ? all.filter(filter) : all);
+		},
+
+		get(id) {
+			return clone(rows.get(id) || null);
+		},
+
+		findOne(predicate) {
+			for (const row of rows.values()) if (predicate(row)) return clone(row);
+			return null;
+		},
+
+		insert(row) {
+			if (!row?.id) throw new Error("store: row.id is required");
+			if (rows.has(row.id)) throw new Error(`store: duplicate id ${row.id}`);
+			rows.set(row.id, clone(row));
+			persist();
+			return clone(row);
+		},
+
+		update(id, patch) {
+			const current = rows.get(id);
+			if (!current) return null;
+			const next = { ...current, ...clone(patch), id };
+			rows.set(id, next);
+			persist();
+			return clone(next);
+		},
+
+		remove(id) {
+			const existed = rows.delete(id);
+			if (existed) persist();
+			return existed;
+		},
+	};
+}
+
+function createMemoryCollection() {
+	return createCollection(new Map(), () => {});
+}
+
+// Writers of deferred collections with unsaved changes
+const dirty = new Set();
+let flushTimer = null;
+
+/** Write every deferred collection with pending changes now */
+function flush() {
+	clearTimeout(flushTimer);
+	flushTimer = null;
+	for (const write of dirty) write();
+	dirty.clear();
+}
+
+let exitHooked = false;
+function flushOnExit() {
+	if (exitHooked) return;
+	exitHooked = true;
+	process.on("exit", flush);
+	// Flush, then let the signal end the process as it would have
+	for (const signal of ["SIGINT", "SIGTERM"])
+		process.once(signal, () => {
+			flush();
+			process.kill(process.pid, signal);
+		});
+}
+
+function scheduleWrite(write) {
+	dirty.add(write);
+	if (flushTimer) return;
+	flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+	flushTimer.unref();
+}
+
+function createFileCollection(name, { deferWrites = false } = {}) {
+	const file = path.join(DATA_DIR, `${name}.json`);
+	const rows = new Map();
+
+	if (fs.existsSync(file)) {
+		const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+		for (const row of parsed) rows.set(row.id, row);
+	}
+
+	// Write to a temp file and rename so a crash never leaves half a JSON file
+	const write = () => {
+		fs.mkdirSync(DATA_DIR, { recursive: true });
+		const tmp = `${file}.tmp`;
+		fs.writeFileSync(tmp, JSON.stringify([...rows.values()], null, 2));
+		fs.renameSync(tmp, file);
+	};
+
+	if (!deferWrites) return createCollection(rows, write);
+	flushOnExit();
+	return createCollection(rows, () => scheduleWrite(write));
+}
+
+const collections = new Map();
+
+/**
+ * Get (or lazily open) a named collection using the configured driver.
+ * `options` ({ deferWrites }) apply when the collection is first opened.
+ */
+function collection(name, options) {
+	if (!collections.has(name)) {
+		const c =
+			DRIVER === "memory"
+				? createMemoryCollection()
+				: createFileCollection(name, options);
+		collections.set(name, c);
+	}
+	return collections.get(name);
+}
+
+module.exports = { collection, flush, newId, DATA_DIR, DRIVER };
@@ -0,0 +1,34 @@
+// services/stripeClient.js
+const Stripe = require("stripe");
+const { createFakeStripe } = require("./fakeStripe");
+
+/**
+ * The one payment gateway client shared by routes and services.
+ *
+ * Callers use the Stripe SDK's interface (resources and methods as called in
+ * this codebase); PAYMENT_GATEWAY picks what sits behind it:
+ * - "stripe" (default) the Stripe API, keyed by STRIPE_SECRET_KEY
+ * - "fake"   in-memory stand-in for offline development and tests
+ *            (services/fakeStripe.js, test controls on `stripe.fake`)
+ *
+ * The env var is sanitised because quoted values in .env are a common slip.
+ */
+const GATEWAY = (process.env.PAYMENT_GATEWAY || "stripe").toLowerCase();
+const rawKey = process.env.STRIPE_SECRET_KEY || "";
+const STRIPE_KEY = rawKey.replace(/^['"]*|['"]*$/g, "").trim();
+
+function createGateway() {
+	if (GATEWAY === "fake") {
+		if (process.env.NODE_ENV === "production")
+			throw new Error("PAYMENT_GATEWAY=fake can't be used in production");
+		console.log("[billing] payment gateway: in-memory fake (no Stripe calls)");
+		return createFakeStripe();
+	}
+	if (GATEWAY !== "stripe")
+		throw new Error(`Unknown PAYMENT_GATEWAY "${GATEWAY}" (use "stripe" or "fake")`);
+	return new Stripe(STRIPE_KEY, { apiVersion: "2024-06-20" });
+}
+
+const stripe = createGateway();
+
+module.exports = { stripe, STRIPE_KEY, GATEWAY };
@@ -0,0 +1,272 @@
+// services/stripeEvents.js
+const { collection } = require("./store");
+const {
+	findInvoice,
+	updateInvoice,
+	transitionInvoice,
+	syncStripeInvoice,
+} = require("./invoices");
+const {
+	getBillingState,
+	patchBillingState,
+	upsertPaymentMethod,
+	markPaymentMethodDetached,
+} = require("./billingState");
+const { syncSubscription } = require("./subscriptions");
+const { addUsageToRenewalInvoice } = require("./meteredBilling");
+const { creditTopUp } = require("./wallet");
+const { syncChargeRefunds, updateRefundStatus } = require("./creditNotes");
+const { updatePendingPayment } = require("./pendingPayments");
+
+/**
+ * Stripe webhook processing.
+ *
+ * Every event is stored by its Stripe id before it is handled, so a redelivery
+ * of something we already processed is acknowledged without running the
+ * handler again. Failed events are kept with their error and retried on the
+ * next delivery. Unknown event types are stored as "ignored".
+ */
+const events = collection("stripe_events"); // { id, type, livemode, createdAt, receivedAt, status, attempts, error, processedAt }
+
+// Expanded objects or plain ids – Stripe sends either
+const idOf = (ref) => (typeof ref === "string" ? ref : ref?.id || null);
+
+/** The local invoice a Stripe object refers to (metadata first, then ids) */
+function localInvoiceFor({ metadata, invoiceId, paymentIntentId }) {
+	return findInvoice(
+		(inv) =>
+			(metadata?.appInvoiceId && inv.id === metadata.appInvoiceId) ||
+			(invoiceId && inv.stripeInvoiceId === invoiceId) ||
+			(paymentIntentId && inv.stripePaymentIntentId === paymentIntentId)
+	);
+}
+
+/** Patch the local invoice; with `status`, move it through the ledger's transitions */
+function setInvoiceState(ref, { status, ...patch }) {
+	const inv = localInvoiceFor(ref);
+	if (!inv) return null;
+	console.log(
+		`[billing] webhook: invoice ${inv.id} ->`,
+		status || Object.keys(patch).join(", ")
+	);
+	return status ? transitionInvoice(inv.id, status, patch) : updateInvoice(inv.id, patch);
+}
+
+/** Drop the pending SCA action if it belongs to this PaymentIntent */
+function clearPendingAction(customerId, paymentIntentId) {
+	const state = getBillingState(customerId);
+	return state?.pendingAction?.paymentIntentId === paymentIntentId
+		? { pendingAction: null }
+		: {};
+}
+
+function paymentFailure(pi) {
+	const err = pi.last_payment_error || {};
+	return {
+		paymentIntentId: pi.id,
+		amount: pi.amount,
+		currency: pi.currency,
+		code: err.code || null,
+		declineCode: err.decline_code || null,
+		message: err.message || "Payment failed",
+		at: new Date().toISOString(),
+	};
+}
+
+/**
+ * Local bookkeeping for a PaymentIntent's current status: ledger invoice,
+ * wallet credit, customer billing state and SCA recovery. Shared by the
+ * payment_intent.* webhooks and the in-app recovery endpoints, so it must
+ * be safe to apply the same status more than once.
+ */
+function applyPaymentIntentUpdate(pi) {
+	const customerId = idOf(pi.customer);
+	const ref = { metadata: pi.metadata, paymentIntentId: pi.id };
+	updatePendingPayment(pi);
+
+	if (pi.status === "succeeded") {
+		// Top-ups that needed SCA are only credited here
+		if (pi.metadata?.kind === "wallet_topup") creditTopUp(pi);
+		setInvoiceState(ref, {
+			status: "paid",
+			paymentError: null,
+			stripePaymentIntentId: pi.id,
+		});
+		if (customerId)
+			patchBillingState(customerId, {
+				lastPaymentFailure: null,
+				...clearPendingAction(customerId, pi.id),
+			});
+	} else if (pi.status === "requires_action") {
+		if (customerId)
+			patchBillingState(customerId, {
+				pendingAction: {
+					paymentIntentId: pi.id,
+					amount: pi.amount,
+					currency: pi.currency,
+					since: new Date().toISOString(),
+				},
+			});
+	} else if (pi.status === "canceled") {
+		// Stripe invoices void themselves (invoice.voided); one-off charges end here
+		const inv = localInvoiceFor(ref);
+		if (inv && !inv.stripeInvoiceId) transitionInvoice(inv.id, "void");
+		if (customerId) patchBillingState(customerId, clearPendingAction(customerId, pi.id));
+	} else if (pi.last_payment_error) {
+		// requires_payment_method after a decline
+		const failure = paymentFailure(pi);
+		setInvoiceState(ref, { paymentError: failure, stripePaymentIntentId: pi.id });
+		if (customerId)
+			patchBillingState(customerId, {
+				lastPaymentFailure: failure,
+				...clearPendingAction(customerId, pi.id),
+			});
+	}
+}
+
+const HANDLERS = {
+	/* ---- cards ---- */
+	"payment_method.attached": (pm) => {
+		if (pm.customer) upsertPaymentMethod(idOf(pm.customer), pm);
+	},
+	"payment_method.updated": (pm) => {
+		if (pm.customer) upsertPaymentMethod(idOf(pm.customer), pm);
+	},
+	"payment_method.automatically_updated": (pm) => {
+		if (pm.customer) upsertPaymentMethod(idOf(pm.customer), pm);
+	},
+	"payment_method.detached": (pm, event) => {
+		markPaymentMethodDetached(pm, idOf(event.data.previous_attributes?.customer));
+	},
+	"customer.updated": (customer) => {
+		patchBillingState(customer.id, {
+			defaultPaymentMethodId: idOf(
+				customer.invoice_settings?.default_payment_method
+			),
+		});
+	},
+
+	/* ---- one-off payments ---- */
+	"payment_intent.succeeded": (pi) => applyPaymentIntentUpdate(pi),
+	"payment_intent.payment_failed": (pi) => applyPaymentIntentUpdate(pi),
+	"payment_intent.requires_action": (pi) => applyPaymentIntentUpdate(pi),
+	"payment_intent.canceled": (pi) => applyPaymentIntentUpdate(pi),
+
+	/* ---- subscriptions ---- */
+	"customer.subscription.created": (sub) => syncSubscription(sub),
+	"customer.subscription.updated": (sub) => syncSubscription(sub),
+	"customer.subscription.deleted": (sub) => syncSubscription(sub),
+
+	/* ---- Stripe invoices (subscriptions, usage) -> ledger ---- */
+	// Renewal drafts also pick up the period's metered usage
+	"invoice.created": async (si) => {
+		await syncStripeInvoice(si);
+		await addUsageToRenewalInvoice(si);
+	},
+	"invoice.finalized": (si) => syncStripeInvoice(si),
+	"invoice.paid": async (si) => {
+		const inv = await syncStripeInvoice(si);
+		if (inv) updateInvoice(inv.id, { paymentError: null });
+	},
+	"invoice.payment_failed": async (si) => {
+		const inv = await syncStripeInvoice(si);
+		if (!inv) return;
+		updateInvoice(inv.id, {
+			paymentError: {
+				message: "Invoice payment failed",
+				attemptCount: si.attempt_count,
+				nextAttemptAt: si.next_payment_attempt
+					? new Date(si.next_payment_attempt * 1000).toISOString()
+					: null,
+				at: new Date().toISOString(),
+			},
+		});
+	},
+	"invoice.voided": (si) => syncStripeInvoice(si),
+	"invoice.marked_uncollectible": (si) => syncStripeInvoice(si),
+
+	/* ---- refunds & disputes ---- */
+	// Every refund (ours or from the dashboard) becomes a credit note
+	"charge.refunded": (charge) => syncChargeRefunds(charge),
+	"charge.refund.updated": (refund) => updateRefundStatus(refund),
+	"charge.dispute.created": (dispute) => recordDispute(dispute),
+	"charge.dispute.updated": (dispute) => recordDispute(dispute),
+	"charge.dispute.closed": (dispute) => recordDispute(dispute),
+};
+
+function recordDispute(dispute) {
+	console.warn(
+		`[billing] webhook: dispute ${dispute.id} ${dispute.status} (${dispute.reason})`
+	);
+	setInvoiceState(
+		{ paymentIntentId: idOf(dispute.payment_intent) },
+		{
+			dispute: {
+				id: dispute.id,
+				status: dispute.status,
+				reason: dispute.reason,
+				amount: dispute.amount,
+				currency: dispute.currency,
+			},
+		}
+	);
+}
+
+/**
+ * Store and handle a verified event.
+ * Returns { duplicate: true } when it was already processed, otherwise
+ * { status: "processed" | "ignored" }. Throws if the handler fails (the
+ * webhook route then answers 500 so Stripe redelivers).
+ */
+async function processStripeEvent(event) {
+	// "failed" (and "processing" left behind by a crash) are handled again
+	const seen = events.get(event.id);
+	if (seen && (seen.status === "processed" || seen.status === "ignored"))
+		return { duplicate: true, status: seen.status };
+
+	const handler = HANDLERS[event.type];
+	const base = {
+		status: "processing",
+		attempts: (seen?.attempts || 0) + 1,
+		error: null,
+	};
+	if (seen) events.update(event.id, base);
+	else
+		events.insert({
+			id: event.id,
+			type: event.type,
+			livemode: !!event.livemode,
+			createdAt: new Date((event.created || 0) * 1000).toISOString(),
+			receivedAt: new Date().toISOString(),
+			processedAt: null,
+			...base,
+		});
+
+	if (!handler) {
+		events.update(event.id, { status: "ignored", processedAt: new Date().toISOString() });
+		return { status: "ignored" };
+	}
+
+	try {
+		await handler(event.data.object, event);
+	} catch (e) {
+		events.update(event.id, { status: "failed", error: e.message });
+		throw e;
+	}
+	events.update(event.id, { status: "processed", processedAt: new Date().toISOString() });
+	return { status: "processed" };
+}
+
+function listStripeEvents({ status, limit = 100 } = {}) {
+	return events
+		.list((e) => !status || e.status === status)
+		.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt))
+		.slice(0, limit);
+}
+
+module.exports = {
+	HANDLED_EVENT_TYPES: Object.keys(HANDLERS),
+	processStripeEvent,
+	applyPaymentIntentUpdate,
+	listStripeEvents,
+};
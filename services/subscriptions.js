@@ -0,0 +1,103 @@
+// services/subscriptions.js
+const { collection } = require("./store");
+const { getPlan, getPlanByLookupKey, planAmount } = require("./plans");
+
+/**
+ * Local mirror of Stripe subscriptions, keyed by the Stripe subscription id.
+ * Written when the API changes a subscription and again by the
+ * customer.subscription.* webhooks, so it catches changes made elsewhere
+ * (dashboard, failed renewals).
+ */
+const subs = collection("subscriptions"); // { id, customerId, planId, currency, status, currentPeriodStart, currentPeriodEnd, cancelAtPeriodEnd, canceledAt, discount: { code, label, percentOff, amountOff, duration, endsAt } | null, createdAt, updatedAt }
+
+// Statuses that still count as "has a subscription"
+const LIVE_STATUSES = ["trialing", "active", "past_due", "incomplete", "unpaid"];
+
+const isoFromUnix = (s) => (s ? new Date(s * 1000).toISOString() : null);
+
+/** Which of our plans a Stripe subscription is on */
+function planIdOf(stripeSub) {
+	const price = stripeSub.items?.data?.[0]?.price;
+	return (
+		getPlanByLookupKey(price?.lookup_key)?.id ||
+		(getPlan(stripeSub.metadata?.planId) && stripeSub.metadata.planId) ||
+		null
+	);
+}
+
+// The promotion's coupon while it still applies (see services/promotions.js)
+function discountOf(stripeSub) {
+	const d = stripeSub.discount;
+	if (!d?.coupon) return null;
+	return {
+		code: d.coupon.metadata?.appPromotionCode || null,
+		label: d.coupon.metadata?.appPromotionLabel || d.coupon.name || null,
+		percentOff: d.coupon.percent_off ?? null,
+		amountOff: d.coupon.amount_off ?? null,
+		duration: d.coupon.duration,
+		endsAt: isoFromUnix(d.end),
+	};
+}
+
+/** Upsert the local copy from a Stripe Subscription object */
+function syncSubscription(stripeSub) {
+	const row = {
+		customerId:
+			typeof stripeSub.customer === "string"
+				? stripeSub.customer
+				: stripeSub.customer?.id,
+		planId: planIdOf(stripeSub),
+		currency: stripeSub.currency || null,
+		status: stripeSub.status,
+		currentPeriodStart: isoFromUnix(stripeSub.current_period_start),
+		currentPeriodEnd: isoFromUnix(stripeSub.current_period_end),
+		cancelAtPeriodEnd: !!stripeSub.cancel_at_period_end,
+		canceledAt: isoFromUnix(stripeSub.canceled_at),
+		discount: discountOf(stripeSub),
+		updatedAt: new Date().toISOString(),
+	};
+	if (subs.get(stripeSub.id)) return subs.update(stripeSub.id, row);
+	return subs.insert({
+		id: stripeSub.id,
+		createdAt: isoFromUnix(stripeSub.created) || row.updatedAt,
+		...row,
+	});
+}
+
+function getSubscription(id) {
+	return subs.get(id);
+}
+
+/** The customer's current (not yet ended) subscription, or null */
+function findLiveSubscription(customerId) {
+	return subs.findOne(
+		(s) => s.customerId === customerId && LIVE_STATUSES.includes(s.status)
+	);
+}
+
+function listSubscriptions(customerId) {
+	return subs
+		.list((s) => s.customerId === customerId)
+		.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/** API shape: the local row plus the plan's display fields */
+function toSubscriptionView(sub) {
+	const plan = getPlan(sub.planId);
+	return {
+		...sub,
+		planName: plan?.name || null,
+		amount: plan ? planAmount(plan, sub.currency || plan.currency) : null,
+		currency: sub.currency || plan?.currency || null,
+		interval: plan?.interval || null,
+	};
+}
+
+module.exports = {
+	LIVE_STATUSES,
+	syncSubscription,
+	getSubscription,
+	findLiveSubscription,
+	listSubscriptions,
+	toSubscriptionView,
+};
@@ -0,0 +1,192 @@
+// services/tax.js
+const { stripe } = require("./stripeClient");
+
+/**
+ * VAT on what we sell (digital services, supplied from the UK).
+ *
+ * Where the customer is decides the treatment:
+ * - UK (and anywhere we can't place)  UK VAT at 20%
+ * - EU consumer                       VAT at the customer's country rate
+ * - EU business with a VAT number     reverse charge, no VAT on the invoice
+ * - everywhere else                   outside the scope of UK VAT
+ * Some postcodes sit outside the UK/EU VAT area (Channel Islands, Canary
+ * Islands, ...) and are treated like "everywhere else".
+ *
+ * VAT numbers are format-checked only; they aren't looked up in VIES/HMRC.
+ */
+const SELLER_COUNTRY = "GB";
+
+// Standard rates (%) as of 2026 – review when they change
+const VAT_RATES = {
+	GB: 20,
+	AT: 20, BE: 21, BG: 20, HR: 25, CY: 19, CZ: 21, DK: 25, EE: 24, FI: 25.5,
+	FR: 20, DE: 19, GR: 24, HU: 27, IE: 23, IT: 22, LV: 21, LT: 21, LU: 17,
+	MT: 18, NL: 21, PL: 23, PT: 23, RO: 21, SK: 23, SI: 22, ES: 21, SE: 25,
+};
+const EU_COUNTRIES = Object.keys(VAT_RATES).filter((c) => c !== "GB");
+
+// Postcodes outside the VAT area of their country (spaces removed, upper case)
+const OUTSIDE_VAT_AREA = {
+	GB: [/^(JE|GY)\d/], // Jersey, Guernsey
+	ES: [/^(35|38)\d{3}$/], // Canary Islands
+	DE: [/^27498$/, /^78266$/], // Heligoland, Büsingen
+	IT: [/^23041$/, /^22061$/], // Livigno, Campione d'Italia
+};
+
+// Free-text profile countries we see in practice
+const COUNTRY_ALIASES = {
+	UK: "GB", "UNITED KINGDOM": "GB", "GREAT BRITAIN": "GB", ENGLAND: "GB",
+	SCOTLAND: "GB", WALES: "GB", "NORTHERN IRELAND": "GB",
+	USA: "US", "UNITED STATES": "US", "UNITED STATES OF AMERICA": "US",
+	IRELAND: "IE", FRANCE: "FR", GERMANY: "DE", DEUTSCHLAND: "DE", SPAIN: "ES",
+	ITALY: "IT", NETHERLANDS: "NL", BELGIUM: "BE", AUSTRIA: "AT", PORTUGAL: "PT",
+	POLAND: "PL", SWEDEN: "SE", DENMARK: "DK", FINLAND: "FI", GREECE: "GR",
+	EL: "GR",
+};
+
+// VAT number formats by prefix (Greece uses EL)
+const VAT_NUMBER_FORMATS = {
+	GB: /^GB(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+	AT: /^ATU\d{8}$/,
+	BE: /^BE[01]\d{9}$/,
+	BG: /^BG\d{9,10}$/,
+	HR: /^HR\d{11}$/,
+	CY: /^CY\d{8}[A-Z]$/,
+	CZ: /^CZ\d{8,10}$/,
+	DK: /^DK\d{8}$/,
+	EE: /^EE\d{9}$/,
+	FI: /^FI\d{8}$/,
+	FR: /^FR[A-HJ-NP-Z0-9]{2}\d{9}$/,
+	DE: /^DE\d{9}$/,
+	GR: /^EL\d{9}$/,
+	HU: /^HU\d{8}$/,
+	IE: /^IE(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+	IT: /^IT\d{11}$/,
+	LV: /^LV\d{11}$/,
+	LT: /^LT(\d{9}|\d{12})$/,
+	LU: /^LU\d{8}$/,
+	MT: /^MT\d{8}$/,
+	NL: /^NL\d{9}B\d{2}$/,
+	PL: /^PL\d{10}$/,
+	PT: /^PT\d{9}$/,
+	RO: /^RO\d{2,10}$/,
+	SK: /^SK\d{10}$/,
+	SI: /^SI\d{8}$/,
+	ES: /^ES[A-Z0-9]\d{7}[A-Z0-9]$/,
+	SE: /^SE\d{12}$/,
+};
+
+/** ISO 3166 alpha-2 code from a profile's country field, or null */
+function normalizeCountry(country) {
+	const c = String(country || "").trim().toUpperCase();
+	if (!c) return null;
+	if (COUNTRY_ALIASES[c]) return COUNTRY_ALIASES[c];
+	return /^[A-Z]{2}$/.test(c) ? c : null;
+}
+
+function normalizeVatNumber(vatNumber) {
+	return String(vatNumber || "").toUpperCase().replace(/[\s.\-]/g, "");
+}
+
+/**
+ * Check a VAT number's format. Returns { vatNumber, country } (normalised)
+ * or null when it doesn't look like a UK/EU VAT number.
+ */
+function parseVatNumber(vatNumber) {
+	const v = normalizeVatNumber(vatNumber);
+	const country = normalizeCountry(v.slice(0, 2));
+	const format = country && VAT_NUMBER_FORMATS[country];
+	return format && format.test(v) ? { vatNumber: v, country } : null;
+}
+
+function outsideVatArea(country, postalCode) {
+	const pc = String(postalCode || "").toUpperCase().replace(/\s/g, "");
+	return !!pc && (OUTSIDE_VAT_AREA[country] || []).some((re) => re.test(pc));
+}
+
+/**
+ * Tax treatment for a customer ({ country, postalCode, vatNumber }).
+ * Returns { country, rate, label, reverseCharge, note }; `rate` is a percentage.
+ */
+function taxTreatment({ country, postalCode, vatNumber } = {}) {
+	const c = normalizeCountry(country);
+	const none = (note) => ({ country: c, rate: 0, label: "VAT", reverseCharge: false, note });
+
+	if (c && outsideVatArea(c, postalCode)) return none("Outside the scope of UK VAT");
+
+	if (!c || c === SELLER_COUNTRY) {
+		return {
+			country: c || SELLER_COUNTRY,
+			rate: VAT_RATES[SELLER_COUNTRY],
+			label: `VAT ${VAT_RATES[SELLER_COUNTRY]}%`,
+			reverseCharge: false,
+			note: null,
+		};
+	}
+
+	if (EU_COUNTRIES.includes(c)) {
+		if (vatNumber && parseVatNumber(vatNumber)?.country === c) {
+			return {
+				country: c,
+				rate: 0,
+				label: "VAT",
+				reverseCharge: true,
+				note: "Reverse charge: VAT to be accounted for by the recipient",
+			};
+		}
+		return {
+			country: c,
+			rate: VAT_RATES[c],
+			label: `VAT ${VAT_RATES[c]}% (${c})`,
+			reverseCharge: false,
+			note: null,
+		};
+	}
+
+	return none("Outside the scope of UK VAT");
+}
+
+/** Tax on a net amount (minor units), rounded to the nearest unit */
+function taxAmount(net, treatment) {
+	return Math.round((net * (treatment?.rate || 0)) / 100);
+}
+
+// "<country>:<rate>" -> Stripe tax rate id, resolved once per process
+const TAX_RATE_IDS = new Map();
+
+/**
+ * Stripe TaxRate for a treatment (created on first use), for Stripe-built
+ * invoices (subscriptions, usage). Null when no VAT is charged.
+ */
+async function resolveTaxRateId(treatment) {
+	if (!treatment?.rate) return null;
+	const key = `${treatment.country}:${treatment.rate}`;
+	if (TAX_RATE_IDS.has(key)) return TAX_RATE_IDS.get(key);
+
+	const { data } = await stripe.taxRates.list({ active: true, limit: 100 });
+	let rate = data.find((r) => r.metadata?.appTaxKey === key);
+	if (!rate) {
+		rate = await stripe.taxRates.create({
+			display_name: "VAT",
+			percentage: treatment.rate,
+			inclusive: false,
+			country: treatment.country,
+			jurisdiction: treatment.country,
+			metadata: { appTaxKey: key },
+		});
+		console.log("[billing] created tax rate", rate.id, "for", key);
+	}
+
+	TAX_RATE_IDS.set(key, rate.id);
+	return rate.id;
+}
+
+module.exports = {
+	SELLER_COUNTRY,
+	VAT_RATES,
+	normalizeCountry,
+	parseVatNumber,
+	taxTreatment,
+	taxAmount,
+	resolveTaxRateId,
+};
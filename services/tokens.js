@@ -0,0 +1,262 @@
+// services/tokens.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { collection, newId } = require("./store");
+
+/**
+ * Session tokens:
+ * - access token  = short-lived JWT (sub, email, role, jti, fam) checked on every request
+ * - refresh token = opaque "<id>.<secret>" string, stored hashed, single use
+ *
+ * Every login starts a token *family*. Each refresh rotates the refresh token
+ * inside that family; presenting an already-rotated refresh token means it was
+ * copied somewhere, so the whole family (and its access tokens) is revoked.
+ */
+const JWT_SECRET = process.env.JWT_SECRET || "dev-secret";
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const families = collection("token_families"); // { id, userId, createdAt, revokedAt, reason }
+const refreshTokens = collection("refresh_tokens"); // { id, familyId, userId, tokenHash, expiresAt, usedAt, replacedBy }
+const revokedAccess = collection("revoked_access_tokens"); // { id: jti, userId, expiresAt }
+const actionTokens = collection("action_tokens"); // { id: jti, userId, purpose, expiresAt, usedAt }
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+function safeEqual(a, b) {
+	const ba = Buffer.from(a);
+	const bb = Buffer.from(b);
+	return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/** Drop revocation entries whose access token would have expired anyway */
+function pruneRevokedAccess() {
+	const now = Date.now();
+	for (const r of revokedAccess.list((r) => r.expiresAt * 1000 < now)) {
+		revokedAccess.remove(r.id);
+	}
+}
+
+function signAccessToken(user, familyId) {
+	return jwt.sign(
+		{
+			sub: user.id,
+			email: user.email,
+			role: user.role || "user",
+			fam: familyId,
+		},
+		JWT_SECRET,
+		{ expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+	);
+}
+
+function issueRefreshToken(userId, familyId) {
+	const id = newId("rt");
+	const secret = crypto.randomBytes(32).toString("base64url");
+	refreshTokens.insert({
+		id,
+		familyId,
+		userId,
+		tokenHash: sha256(secret),
+		createdAt: new Date().toISOString(),
+		expiresAt: new Date(
+			Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+		).toISOString(),
+		usedAt: null,
+		replacedBy: null,
+	});
+	return { id, token: `${id}.${secret}` };
+}
+
+function sessionPayload(user, familyId) {
+	const token = signAccessToken(user, familyId);
+	const refresh = issueRefreshToken(user.id, familyId);
+	return {
+		token,
+		refreshToken: refresh.token,
+		expiresIn: ACCESS_TOKEN_TTL,
+		_refreshId: refresh.id,
+	};
+}
+
+/** Start a new token family (login / register) */
+function createSession(user) {
+	const familyId = newId("fam");
+	families.insert({
+		id: familyId,
+		userId: user.id,
+		createdAt: new Date().toISOString(),
+		revokedAt: null,
+		reason: null,
+	});
+	const { _refreshId, ...session } = sessionPayload(user, familyId);
+	return session;
+}
+
+function revokeFamily(familyId, reason) {
+	const fam = families.get(familyId);
+	if (!fam || fam.revokedAt) return;
+	families.update(familyId, { revokedAt: new Date().toISOString(), reason });
+	for (const rt of refreshTokens.list((t) => t.familyId === familyId)) {
+		refreshTokens.remove(rt.id);
+	}
+}
+
+/**
+ * Revoke every session a user has (password reset, account deletion, ...),
+ * or every other one when `exceptFamilyId` is the session to keep
+ */
+function revokeAllForUser(userId, reason = "revoked", { exceptFamilyId = null } = {}) {
+	for (const fam of families.list(
+		(f) => f.userId === userId && !f.revokedAt && f.id !== exceptFamilyId
+	)) {
+		revokeFamily(fam.id, reason);
+	}
+}
+
+function isFamilyRevoked(familyId) {
+	if (!familyId) return false;
+	const fam = families.get(familyId);
+	return !fam || !!fam.revokedAt;
+}
+
+/**
+ * Rotate a refresh token.
+ * Returns { session } on success, { error: "invalid" | "expired" | "reused" } otherwise.
+ * `loadUser(userId)` lets the caller supply the current account record.
+ */
+function rotateRefreshToken(rawToken, loadUser) {
+	const [id, secret] = String(rawToken || "").split(".");
+	if (!id || !secret) return { error: "invalid" };
+
+	const stored = refreshTokens.get(id);
+	if (!stored || !safeEqual(stored.tokenHash, sha256(secret)))
+		return { error: "invalid" };
+
+	if (stored.usedAt || isFamilyRevoked(stored.familyId)) {
+		console.warn("[auth] refresh token reuse detected", {
+			userId: stored.userId,
+			familyId: stored.familyId,
+		});
+		revokeFamily(stored.familyId, "refresh_token_reuse");
+		return { error: "reused" };
+	}
+
+	if (new Date(stored.expiresAt) < new Date()) {
+		revokeFamily(stored.familyId, "expired");
+		return { error: "expired" };
+	}
+
+	const user = loadUser(stored.userId);
+	if (!user) {
+		revokeFamily(stored.familyId, "user_missing");
+		return { error: "invalid" };
+	}
+
+	const { _refreshId, ...session } = sessionPayload(user, stored.familyId);
+	refreshTokens.update(id, {
+		usedAt: new Date().toISOString(),
+		replacedBy: _refreshId,
+	});
+	return { session };
+}
+
+/** Verify an access token; null when invalid, expired or revoked */
+function verifyAccessToken(token) {
+	let decoded;
+	try {
+		decoded = jwt.verify(token, JWT_SECRET);
+	} catch (_e) {
+		return null;
+	}
+	if (decoded.purpose) return null; // emailed action tokens are not sessions
+	if (decoded.jti && revokedAccess.get(decoded.jti)) return null;
+	if (isFamilyRevoked(decoded.fam)) return null;
+	return decoded;
+}
+
+/** Revoke one access token (by its decoded claims) until it expires */
+function revokeAccessToken(claims) {
+	if (!claims?.jti || revokedAccess.get(claims.jti)) return;
+	pruneRevokedAccess();
+	revokedAccess.insert({
+		id: claims.jti,
+		userId: claims.sub,
+		expiresAt: claims.exp,
+	});
+}
+
+/** Logout: revoke the presented refresh token's family */
+function revokeRefreshToken(rawToken, reason = "logout") {
+	const [id, secret] = String(rawToken || "").split(".");
+	const stored = id && secret && refreshTokens.get(id);
+	if (stored && safeEqual(stored.tokenHash, sha256(secret)))
+		revokeFamily(stored.familyId, reason);
+}
+
+/* ----------------- one-off action tokens ----------------- */
+
+/**
+ * Signed, expiring, single-use tokens for links we email out
+ * (purpose: "verify_email" | "reset_password") and the MFA login step
+ * ("mfa_challenge").
+ * Issuing a new token for the same purpose invalidates older unused ones.
+ */
+function issueActionToken(userId, purpose, ttlMinutes, data = {}) {
+	for (const t of actionTokens.list(
+		(t) => t.userId === userId && t.purpose === purpose && !t.usedAt
+	)) {
+		actionTokens.remove(t.id);
+	}
+
+	const jti = crypto.randomUUID();
+	const token = jwt.sign({ sub: userId, purpose, ...data }, JWT_SECRET, {
+		expiresIn: `${ttlMinutes}m`,
+		jwtid: jti,
+	});
+	actionTokens.insert({
+		id: jti,
+		userId,
+		purpose,
+		createdAt: new Date().toISOString(),
+		expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString(),
+		usedAt: null,
+	});
+	return token;
+}
+
+/** Token claims if still usable; null when invalid, expired, wrong purpose or used */
+function verifyActionToken(token, purpose) {
+	let decoded;
+	try {
+		decoded = jwt.verify(token, JWT_SECRET);
+	} catch (_e) {
+		return null;
+	}
+	if (decoded.purpose !== purpose || !decoded.jti) return null;
+
+	const stored = actionTokens.get(decoded.jti);
+	if (!stored || stored.usedAt || stored.userId !== decoded.sub) return null;
+	return decoded;
+}
+
+/** Like verifyActionToken, but marks the token used so it only works once */
+function consumeActionToken(token, purpose) {
+	const decoded = verifyActionToken(token, purpose);
+	if (decoded)
+		actionTokens.update(decoded.jti, { usedAt: new Date().toISOString() });
+	return decoded;
+}
+
+module.exports = {
+	JWT_SECRET,
+	createSession,
+	rotateRefreshToken,
+	verifyAccessToken,
+	revokeAccessToken,
+	revokeRefreshToken,
+	revokeAllForUser,
+	issueActionToken,
+	verifyActionToken,
+	consumeActionToken,
+};
@@ -0,0 +1,131 @@
+// services/usage.js
+const { collection, newId } = require("./store");
+const { getMembership } = require("./orgs");
+const { debitUsage } = require("./wallet");
+
+/**
+ * Per-account usage records for cost-bearing calls (TTS, STT, translation,
+ * chat). Each record is tagged with the caller's org at the time of use so
+ * agency usage rolls up even if the interpreter later leaves.
+ *
+ * Metrics: tts_characters, whisper_minutes, speech_minutes,
+ *          translation_characters (Google), translation_tokens (OpenAI),
+ *          chat_tokens
+ *
+ * Records are charged either from a prepaid wallet as they're written
+ * (services/wallet.js) or later on an invoice (services/meteredBilling.js).
+ */
+// Written on every cost-bearing call, so file writes are batched (see store.js)
+const records = collection("usage_records", { deferWrites: true }); // { id, userId, orgId, service, metric, quantity, costEstimate, createdAt, billedAt, billingRunId, walletEntryId }
+
+function recordUsage(userId, { service, metric, quantity, costEstimate = 0 }) {
+	if (!userId || !quantity) return null;
+	const record = records.insert({
+		id: newId("use"),
+		userId,
+		orgId: getMembership(userId)?.orgId || null,
+		service,
+		metric,
+		quantity,
+		costEstimate,
+		createdAt: new Date().toISOString(),
+		billedAt: null,
+		billingRunId: null,
+		walletEntryId: null,
+	});
+
+	// Prepaid accounts pay as they go, so metered billing must skip the record
+	const debit = debitUsage(record);
+	if (!debit) return record;
+	return records.update(record.id, {
+		billedAt: debit.createdAt,
+		walletEntryId: debit.id,
+	});
+}
+
+/** Raw records for a user or an org, optionally within [from, to) */
+function listUsage({ userId, orgId, from, to } = {}) {
+	const start = from ? new Date(from).getTime() : -Infinity;
+	const end = to ? new Date(to).getTime() : Infinity;
+	return records.list((r) => {
+		if (userId && r.userId !== userId) return false;
+		if (orgId && r.orgId !== orgId) return false;
+		const t = new Date(r.createdAt).getTime();
+		return t >= start && t < end;
+	});
+}
+
+/**
+ * Records not yet charged for, for one billing account: an org, or a user's
+ * personal usage (recorded while they were in no org). `before` is exclusive.
+ */
+function listUnbilledUsage({ orgId, userId, before } = {}) {
+	const end = before ? new Date(before).getTime() : Infinity;
+	return records.list(
+		(r) =>
+			!r.billedAt &&
+			(orgId ? r.orgId === orgId : !r.orgId && r.userId === userId) &&
+			new Date(r.createdAt).getTime() < end
+	);
+}
+
+/** Billing accounts ({ orgId } or { userId }) with anything left to charge */
+function listUnbilledAccounts({ before } = {}) {
+	const end = before ? new Date(before).getTime() : Infinity;
+	const seen = new Map();
+	for (const r of records.list((r) => !r.billedAt)) {
+		if (new Date(r.createdAt).getTime() >= end) continue;
+		if (r.orgId) seen.set(`org:${r.orgId}`, { orgId: r.orgId });
+		else if (r.userId) seen.set(`user:${r.userId}`, { userId: r.userId });
+	}
+	return [...seen.values()];
+}
+
+function markUsageBilled(ids, billingRunId) {
+	const at = new Date().toISOString();
+	for (const id of ids) records.update(id, { billedAt: at, billingRunId });
+}
+
+function addTo(bucket, r) {
+	const m = (bucket[r.metric] ||= { quantity: 0, costEstimate: 0, requests: 0 });
+	m.quantity += r.quantity;
+	m.costEstimate += r.costEstimate;
+	m.requests += 1;
+}
+
+/** Totals per metric, plus a per-member breakdown when summarising an org */
+function summarizeUsage(filter = {}) {
+	const rows = listUsage(filter);
+	const totals = {};
+	const byUser = {};
+	for (const r of rows) {
+		addTo(totals, r);
+		addTo((byUser[r.userId] ||= {}), r);
+	}
+	return {
+		totals,
+		costEstimate: rows.reduce((sum, r) => sum + r.costEstimate, 0),
+		...(filter.orgId && { byMember: byUser }),
+	};
+}
+
+/**
+ * Account deletion: keep the records (org roll-ups and billing totals still
+ * need them) but drop the link to the person. Returns how many were touched.
+ */
+function anonymizeUsage(userId) {
+	const rows = records.list((r) => r.userId === userId);
+	const at = new Date().toISOString();
+	for (const r of rows) records.update(r.id, { userId: null, anonymizedAt: at });
+	return rows.length;
+}
+
+module.exports = {
+	recordUsage,
+	listUsage,
+	summarizeUsage,
+	anonymizeUsage,
+	listUnbilledUsage,
+	listUnbilledAccounts,
+	markUsageBilled,
+};
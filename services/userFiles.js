@@ -0,0 +1,67 @@
+// services/userFiles.js
+const { Storage } = require("@google-cloud/storage");
+
+/**
+ * Per-user namespace in our GCS buckets. Everything a user uploads through
+ * /api/gcp/storage lives under "users/<userId>/" so it can be listed,
+ * exported and erased with the account.
+ */
+const storage = new Storage();
+
+const STORAGE_BUCKET = process.env.GCP_STORAGE_BUCKET || "verblizr-storage";
+const ARTIFACTS_BUCKET = process.env.GCP_ARTIFACTS_BUCKET || "verblizr-artifacts";
+const BUCKETS = { storage: STORAGE_BUCKET, artifacts: ARTIFACTS_BUCKET };
+
+function userPrefix(userId) {
+	return `users/${userId}/`;
+}
+
+/** Full object name for a client-supplied name; strips leading slashes and ".." segments */
+function userObjectName(userId, fileName) {
+	const clean = String(fileName)
+		.split("/")
+		.filter((seg) => seg && seg !== "." && seg !== "..")
+		.join("/");
+	return userPrefix(userId) + clean;
+}
+
+/** Client-facing name: the object name without the user prefix */
+function relativeName(userId, objectName) {
+	const prefix = userPrefix(userId);
+	return objectName.startsWith(prefix) ? objectName.slice(prefix.length) : objectName;
+}
+
+/** [{ bucket, file }] for every object the user owns, across both buckets */
+async function listUserFiles(userId) {
+	const out = [];
+	for (const bucketName of Object.values(BUCKETS)) {
+		const [files] = await storage
+			.bucket(bucketName)
+			.getFiles({ prefix: userPrefix(userId) });
+		for (const file of files) out.push({ bucket: bucketName, file });
+	}
+	return out;
+}
+
+/** Remove every object under the user's prefix; returns how many were deleted */
+async function deleteUserFiles(userId) {
+	let count = 0;
+	for (const bucketName of Object.values(BUCKETS)) {
+		const bucket = storage.bucket(bucketName);
+		const [files] = await bucket.getFiles({ prefix: userPrefix(userId) });
+		await bucket.deleteFiles({ prefix: userPrefix(userId), force: true });
+		count += files.length;
+	}
+	return count;
+}
+
+module.exports = {
+	storage,
+	STORAGE_BUCKET,
+	ARTIFACTS_BUCKET,
+	userPrefix,
+	userObjectName,
+	relativeName,
+	listUserFiles,
+	deleteUserFiles,
+};
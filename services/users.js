@@ -1,18 +1,19 @@
 // services/users.js
-const Stripe = require("stripe");
-const rawKey = process.env.STRIPE_SECRET_KEY || "";
-const STRIPE_KEY = rawKey.replace(/^['"]|['"]$/g, "").trim();
-const stripe = new Stripe(STRIPE_KEY, { apiVersion: "2024-06-20" });
+const bcrypt = require("bcryptjs");
+const { collection, newId } = require("./store");
+const { getOrg, getUserOrg, updateOrg } = require("./orgs");
+const { stripe } = require("./stripeClient");
+const { normalizeCountry } = require("./tax");
 
 // In-memory cache for dev; still used, but we'll also SEARCH Stripe so restarts reuse the same customer.
 const USERS = new Map(); // userId -> { id, stripeCustomerId }
 
-/** Try to find an existing Stripe customer by our metadata tag */
-async function findCustomerByAppUserId(userId) {
+/** Try to find an existing Stripe customer by one of our metadata tags */
+async function findCustomerByMetadata(key, value) {
 	try {
 		// Requires Stripe's Search API (enabled by default in test mode)
 		const result = await stripe.customers.search({
-			query: `metadata['appUserId']:'${userId}'`,
+			query: `metadata['${key}']:'${value}'`,
 			limit: 1,
 		});
 		return result.data[0] || null;
@@ -22,7 +23,94 @@ async function findCustomerByAppUserId(userId) {
 	}
 }
 
+async function findCustomerByAppUserId(userId) {
+	return findCustomerByMetadata("appUserId", userId);
+}
+
+/**
+ * Who a billing account's invoices are addressed to, from the profile: the
+ * user (and their company), or for an org its name with the owner's email
+ * and address. { name, company, email, address: { line1, city, state,
+ * postalCode, country } | null }; empty fields are null.
+ */
+function billingDetailsFor(account) {
+	const org = account.orgId ? getOrg(account.orgId) : null;
+	const contact = findUserById(org ? org.ownerId : account.userId);
+	const person = [contact?.firstName, contact?.lastName].filter(Boolean).join(" ");
+	const address = {
+		line1: contact?.address || null,
+		city: contact?.city || null,
+		state: contact?.state || null,
+		postalCode: contact?.postalCode || null,
+		country: normalizeCountry(contact?.country),
+	};
+	return {
+		name: org?.name || person || null,
+		company: org ? null : contact?.company || null,
+		email: contact?.email || null,
+		address: Object.values(address).some(Boolean) ? address : null,
+	};
+}
+
+/**
+ * The same details as Stripe customer fields (receipts, Stripe's own
+ * invoices). "" unsets a field on update.
+ */
+function stripeCustomerFields(details) {
+	const a = details.address;
+	return {
+		name: details.company || details.name || "",
+		email: details.email || "",
+		address: a
+			? {
+					line1: a.line1 || "",
+					city: a.city || "",
+					state: a.state || "",
+					postal_code: a.postalCode || "",
+					country: a.country || "",
+				}
+			: "",
+	};
+}
+
+// New customers just leave out what the profile doesn't have
+const withoutBlanks = (fields) =>
+	Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== ""));
+
+/** Org-owned customer: stored on the org record, else Stripe search, else create */
+async function getOrCreateOrgCustomerId(org) {
+	if (org.stripeCustomerId) return org.stripeCustomerId;
+
+	const existing = await findCustomerByMetadata("appOrgId", org.id);
+	const customer =
+		existing ||
+		(await stripe.customers.create({
+			...withoutBlanks(stripeCustomerFields(billingDetailsFor({ orgId: org.id }))),
+			metadata: { appOrgId: org.id },
+		}));
+
+	updateOrg(org.id, { stripeCustomerId: customer.id });
+	return customer.id;
+}
+
+/**
+ * The Stripe customer that pays for this user's activity: their
+ * organisation's when they belong to one, otherwise their own.
+ */
 async function getOrCreateStripeCustomerId(userId) {
+	const org = getUserOrg(userId);
+	if (org) return getOrCreateOrgCustomerId(org);
+	return getOrCreateUserCustomerId(userId);
+}
+
+/** Customer for a billing account ({ orgId } or { userId }, see getBillingAccount) */
+async function getOrCreateAccountCustomerId(account) {
+	if (account.orgId) return getOrCreateOrgCustomerId(getOrg(account.orgId));
+	return getOrCreateUserCustomerId(account.userId);
+}
+
+/** The user's personal customer, regardless of org membership */
+async function getOrCreateUserCustomerId(userId) {
 	let u = USERS.get(userId);
 	if (u?.stripeCustomerId) return u.stripeCustomerId;
 
@@ -36,12 +124,251 @@ async function getOrCreateStripeCustomerId(userId) {
 
 	// 2) Otherwise, create a new one and tag it with our app user id
 	const customer = await stripe.customers.create({
+		...withoutBlanks(stripeCustomerFields(billingDetailsFor({ userId }))),
 		metadata: { appUserId: userId },
-		// email: 'dev@example.com', // add if you have it to enable Stripe receipts
 	});
 
 	USERS.set(userId, { id: userId, stripeCustomerId: customer.id });
 	return customer.id;
 }
 
-module.exports = { getOrCreateStripeCustomerId };
+/**
+ * The user's own Stripe customer, if one exists – never creates one and
+ * ignores org billing (used when erasing an account).
+ */
+async function findStripeCustomerId(userId) {
+	const cached = USERS.get(userId);
+	if (cached?.stripeCustomerId) return cached.stripeCustomerId;
+	const existing = await findCustomerByAppUserId(userId);
+	return existing?.id || null;
+}
+
+/**
+ * Which billing account ({ orgId } or { userId }) a Stripe customer belongs
+ * to, from the metadata we tag customers with. Null for unknown customers.
+ */
+async function findAccountForCustomer(customerId) {
+	const customer = await stripe.customers.retrieve(customerId);
+	if (customer.deleted) return null;
+	if (customer.metadata?.appOrgId) return { orgId: customer.metadata.appOrgId };
+	if (customer.metadata?.appUserId) return { userId: customer.metadata.appUserId };
+	return null;
+}
+
+function extractDefaultPmId(customer) {
+	const invDefault = customer?.invoice_settings?.default_payment_method;
+	return typeof invDefault === "string" ? invDefault : invDefault?.id || null;
+}
+
+/** The card to charge: the invoice default, else the first saved card */
+async function getDefaultPaymentMethodId(customerId) {
+	const customer = await stripe.customers.retrieve(customerId);
+	const invoiceDefault = extractDefaultPmId(customer);
+	if (invoiceDefault) return invoiceDefault;
+
+	const { data } = await stripe.paymentMethods.list({
+		customer: customerId,
+		type: "card",
+		limit: 1,
+	});
+	return data[0]?.id || null;
+}
+
+/** Detach every saved card from a customer; returns how many were removed */
+async function detachPaymentMethods(customerId) {
+	let count = 0;
+	for await (const pm of stripe.paymentMethods.list({
+		customer: customerId,
+		limit: 100,
+	})) {
+		await stripe.paymentMethods.detach(pm.id);
+		count += 1;
+	}
+	return count;
+}
+
+/* ----------------- account repository ----------------- */
+const users = collection("users");
+
+const PROFILE_FIELDS = [
+	"title",
+	"address",
+	"city",
+	"state",
+	"postalCode",
+	"country",
+	"company",
+	"about",
+	"phone",
+];
+
+const DEMO_USER_ID = "u_1";
+
+// Ordered lowest -> highest; a higher role can do everything a lower one can
+const ROLES = ["user", "support", "admin"];
+
+// Comma-separated emails that are always admins (bootstrap the first admin)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+	.split(",")
+	.map((e) => e.trim().toLowerCase())
+	.filter(Boolean);
+
+function normalizeEmail(email) {
+	return String(email || "").trim().toLowerCase();
+}
+
+function findUserById(id) {
+	return users.get(id);
+}
+
+function findUserByEmail(email) {
+	const wanted = normalizeEmail(email);
+	return users.findOne((u) => u.email === wanted);
+}
+
+/** Create an account; caller is expected to have checked the email is free */
+function createUser({ email, password, firstName, lastName, ...profile }) {
+	if (findUserByEmail(email)) throw new Error("Email already in use");
+
+	const now = new Date().toISOString();
+	const user = {
+		id: newId("u"),
+		email: normalizeEmail(email),
+		firstName,
+		lastName,
+		passwordHash: bcrypt.hashSync(password, 10),
+		role: ADMIN_EMAILS.includes(normalizeEmail(email)) ? "admin" : "user",
+		emailVerified: false,
+		createdAt: now,
+		updatedAt: now,
+	};
+	for (const f of PROFILE_FIELDS) user[f] = profile[f] ?? "";
+
+	return users.insert(user);
+}
+
+/** Patch name/email/profile fields; unknown keys are ignored */
+function updateUser(id, patch) {
+	const next = { updatedAt: new Date().toISOString() };
+	for (const f of ["firstName", "lastName", ...PROFILE_FIELDS]) {
+		if (patch[f] !== undefined) next[f] = patch[f];
+	}
+	if (patch.email !== undefined) {
+		next.email = normalizeEmail(patch.email);
+		// A new address has to be verified again
+		if (next.email !== users.get(id)?.email) next.emailVerified = false;
+	}
+	return users.update(id, next);
+}
+
+function markEmailVerified(id) {
+	return users.update(id, {
+		emailVerified: true,
+		updatedAt: new Date().toISOString(),
+	});
+}
+
+function setPassword(id, password) {
+	return users.update(id, {
+		passwordHash: bcrypt.hashSync(password, 10),
+		updatedAt: new Date().toISOString(),
+	});
+}
+
+function setUserRole(id, role) {
+	if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}"`);
+	return users.update(id, { role, updatedAt: new Date().toISOString() });
+}
+
+function listUsers() {
+	return users.list();
+}
+
+/** Replace the account's TOTP/recovery-code state (see services/mfa.js) */
+function setMfaState(id, mfa) {
+	return users.update(id, { mfa, updatedAt: new Date().toISOString() });
+}
+
+/** Hard-delete the account record (see services/account.js for the full flow) */
+function deleteUser(id) {
+	USERS.delete(id);
+	return users.remove(id);
+}
+
+function verifyPassword(user, password) {
+	return !!user?.passwordHash && bcrypt.compareSync(password, user.passwordHash);
+}
+
+/** Shape returned to the app – never includes secrets */
+function toPublicUser(u) {
+	const out = {
+		id: u.id,
+		email: u.email,
+		name: `${u.firstName} ${u.lastName}`,
+		firstName: u.firstName,
+		lastName: u.lastName,
+		role: u.role || "user",
+		emailVerified: !!u.emailVerified,
+		mfaEnabled: !!u.mfa?.enabled,
+	};
+	for (const f of PROFILE_FIELDS) out[f] = u[f] ?? "";
+	return out;
+}
+
+// Keep the well-known demo login working in dev (curl, the RN app's defaults)
+if (process.env.NODE_ENV !== "production" && !findUserById(DEMO_USER_ID)) {
+	const now = new Date().toISOString();
+	users.insert({
+		id: DEMO_USER_ID,
+		email: "demo@verblizr.com",
+		firstName: "Demo",
+		lastName: "User",
+		title: "Mr",
+		address: "123 Main St",
+		city: "Demo City",
+		state: "DC",
+		postalCode: "12345",
+		country: "USA",
+		company: "Verblizr Inc.",
+		about: "Loves live translation and good coffee.",
+		phone: "+1 (555) 123-4567",
+		passwordHash: bcrypt.hashSync("Password123!", 10),
+		role: "user",
+		emailVerified: true,
+		createdAt: now,
+		updatedAt: now,
+	});
+}
+
+for (const email of ADMIN_EMAILS) {
+	const u = findUserByEmail(email);
+	if (u && u.role !== "admin") setUserRole(u.id, "admin");
+}
+
+module.exports = {
+	getOrCreateStripeCustomerId,
+	getOrCreateUserCustomerId,
+	getOrCreateOrgCustomerId,
+	getOrCreateAccountCustomerId,
+	findStripeCustomerId,
+	findAccountForCustomer,
+	billingDetailsFor,
+	stripeCustomerFields,
+	extractDefaultPmId,
+	getDefaultPaymentMethodId,
+	detachPaymentMethods,
+	DEMO_USER_ID,
+	ROLES,
+	findUserById,
+	findUserByEmail,
+	createUser,
+	updateUser,
+	markEmailVerified,
+	setPassword,
+	setMfaState,
+	setUserRole,
+	listUsers,
+	deleteUser,
+	verifyPassword,
+	toPublicUser,
+};
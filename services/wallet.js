@@ -0,0 +1,417 @@
+// services/wallet.js
+const { collection, newId } = require("./store");
+const { stripe } = require("./stripeClient");
+const { getOrg } = require("./orgs");
+const {
+	findUserById,
+	getOrCreateAccountCustomerId,
+	getDefaultPaymentMethodId,
+} = require("./users");
+const { RATES, priceFor } = require("./pricing");
+const { currencyFor, chargeTax } = require("./billingProfile");
+const { formatMoney } = require("./currency");
+const { sendLowBalanceEmail } = require("./mailer");
+const { recordPaymentIntentInvoice } = require("./invoices");
+const { checkPromotion, discountFor, recordRedemption } = require("./promotions");
+const {
+	authenticationRequiredIntent,
+	needsCustomer,
+	trackPendingPayment,
+} = require("./pendingPayments");
+
+/**
+ * Prepaid credit (pay-as-you-go) for a billing account – a user, or an org
+ * for all its members. The wallet id is the account's id (u_... / org_...).
+ *
+ * An account opts in with its first successful top-up. From then on each
+ * usage record is debited from the wallet as it happens (instead of being
+ * invoiced by services/meteredBilling.js), and cost-bearing routes answer 402
+ * once the balance is used up (see middleware/wallet.js). A call may take the
+ * balance slightly below zero since its cost is only known afterwards.
+ *
+ * Balances and ledger amounts are minor units of the wallet's currency (fixed
+ * by the first top-up); debits can be fractions of a penny. Top-ups are
+ * charged with VAT on top and credit the net amount.
+ */
+const MIN_TOP_UP = 500;
+const MAX_TOP_UP = 50000;
+const AUTO_RECHARGE_RETRY_MINUTES = 15;
+// How long a started auto-recharge keeps others off; outlives a crashed process
+const AUTO_RECHARGE_LEASE_MINUTES = 5;
+
+// Debited with the ledger on every prepaid call: batched like it (see store.js)
+const wallets = collection("wallets", { deferWrites: true }); // { id, ownerType, currency, balance, lowBalanceThreshold, lowBalanceNotifiedAt, autoRecharge: { enabled, amount, threshold }, autoRechargeLeaseUntil, lastAutoRechargeAt, lastAutoRechargeError, createdAt, updatedAt }
+const ledger = collection("wallet_ledger", { deferWrites: true }); // { id, walletId, type: "top_up"|"debit"|"refund", amount, balanceAfter, description, paymentIntentId, usageRecordId, refundId, metric, quantity, createdAt }
+
+// Keep float noise out of fractional-penny balances
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+const walletIdOf = (account) => account.orgId || account.userId;
+const accountOf = (walletId, ownerType) =>
+	ownerType === "org" ? { orgId: walletId } : { userId: walletId };
+
+function getWallet(account) {
+	return wallets.get(walletIdOf(account));
+}
+
+function getOrCreateWallet(account, currency) {
+	const existing = getWallet(account);
+	if (existing) return existing;
+
+	const now = new Date().toISOString();
+	return wallets.insert({
+		id: walletIdOf(account),
+		ownerType: account.orgId ? "org" : "user",
+		currency,
+		balance: 0,
+		lowBalanceThreshold: 500,
+		lowBalanceNotifiedAt: null,
+		autoRecharge: { enabled: false, amount: 2000, threshold: 200 },
+		autoRechargeLeaseUntil: null,
+		lastAutoRechargeAt: null,
+		lastAutoRechargeError: null,
+		createdAt: now,
+		updatedAt: now,
+	});
+}
+
+/** API shape; `balance` rounded to whole minor units */
+function toWalletView(w) {
+	return {
+		id: w.id,
+		ownerType: w.ownerType,
+		currency: w.currency,
+		balance: Math.round(w.balance),
+		lowBalanceThreshold: w.lowBalanceThreshold,
+		lowBalance: w.balance < w.lowBalanceThreshold,
+		autoRecharge: w.autoRecharge,
+		lastAutoRechargeAt: w.lastAutoRechargeAt,
+		lastAutoRechargeError: w.lastAutoRechargeError,
+	};
+}
+
+function listLedger(walletId, { limit = 50 } = {}) {
+	return ledger
+		.list((e) => e.walletId === walletId)
+		.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+		.slice(0, limit);
+}
+
+/** True unless the account is on prepaid credit and has none left */
+function hasCredit(account) {
+	const w = getWallet(account);
+	return !w || w.balance > 0;
+}
+
+function applyEntry(wallet, entry) {
+	const balanceAfter = round6(wallet.balance + entry.amount);
+	const saved = ledger.insert({
+		id: newId("wle"),
+		walletId: wallet.id,
+		balanceAfter,
+		createdAt: new Date().toISOString(),
+		paymentIntentId: null,
+		usageRecordId: null,
+		refundId: null,
+		...entry,
+	});
+	const patch = { balance: balanceAfter, updatedAt: saved.createdAt };
+	// Re-arm the low-balance email once the balance is back above the line
+	if (balanceAfter >= wallet.lowBalanceThreshold) patch.lowBalanceNotifiedAt = null;
+	return { entry: saved, wallet: wallets.update(wallet.id, patch) };
+}
+
+/** Who hears about the wallet: the user, or the org's owner */
+function walletContact(wallet) {
+	if (wallet.ownerType === "org") return findUserById(getOrg(wallet.id)?.ownerId);
+	return findUserById(wallet.id);
+}
+
+function afterDebit(wallet) {
+	if (wallet.balance < wallet.lowBalanceThreshold && !wallet.lowBalanceNotifiedAt) {
+		wallets.update(wallet.id, { lowBalanceNotifiedAt: new Date().toISOString() });
+		const to = walletContact(wallet);
+		if (to)
+			sendLowBalanceEmail(to, toWalletView(wallet)).catch((e) =>
+				console.error("[mail] low balance email failed:", e.message)
+			);
+	}
+
+	const { enabled, threshold } = wallet.autoRecharge || {};
+	if (enabled && wallet.balance < threshold && !autoRechargeRunning(wallet)) {
+		autoRecharge(wallet).catch((e) =>
+			console.error("[wallet] auto-recharge error:", wallet.id, e.message)
+		);
+	}
+}
+
+/**
+ * Debit a just-recorded usage record from its account's wallet.
+ * Returns the ledger entry, or null when the account isn't on prepaid credit.
+ */
+function debitUsage(record) {
+	const account = record.orgId ? { orgId: record.orgId } : { userId: record.userId };
+	const wallet = getWallet(account);
+	if (!wallet) return null;
+
+	const amount = round6(priceFor(record.metric, record.quantity));
+	const rate = RATES[record.metric];
+	const { entry, wallet: updated } = applyEntry(wallet, {
+		type: "debit",
+		amount: -amount,
+		description: rate
+			? `${rate.label} — ${record.quantity.toLocaleString("en-GB")} ${rate.unit}`
+			: record.metric,
+		usageRecordId: record.id,
+		metric: record.metric,
+		quantity: record.quantity,
+	});
+	afterDebit(updated);
+	return entry;
+}
+
+/** Credit a succeeded top-up PaymentIntent; safe to call more than once */
+function creditTopUp(pi) {
+	const { walletId, walletOwner } = pi.metadata || {};
+	if (!walletId) return null;
+	const wallet = getOrCreateWallet(accountOf(walletId, walletOwner), pi.currency);
+
+	const existing = ledger.findOne((e) => e.paymentIntentId === pi.id);
+	if (existing) return { entry: existing, wallet };
+
+	// Older top-ups were charged without VAT
+	const amount = Number(pi.metadata?.netAmount) || pi.amount;
+	console.log(`[wallet] top-up ${pi.id}: +${amount} to ${walletId}`);
+	return applyEntry(wallet, {
+		type: "top_up",
+		amount,
+		description:
+			pi.metadata?.auto === "true" ? "Automatic top-up" : "Credit top-up",
+		paymentIntentId: pi.id,
+	});
+}
+
+/**
+ * A top-up was refunded: take the refunded (net) credit back out of the
+ * wallet, once per Stripe refund. The balance may go negative if the credit
+ * was already spent.
+ */
+function debitTopUpRefund(account, { refundId, amount }) {
+	const wallet = getWallet(account);
+	if (!wallet) return null;
+	const existing = ledger.findOne((e) => e.refundId === refundId);
+	if (existing) return { entry: existing, wallet };
+
+	console.log(`[wallet] refund ${refundId}: -${amount} from ${wallet.id}`);
+	return applyEntry(wallet, {
+		type: "refund",
+		amount: -amount,
+		description: "Top-up refunded",
+		refundId,
+	});
+}
+
+/**
+ * Charge the account's default card (`amount` plus VAT) and credit `amount`
+ * to the wallet when the payment
+ * succeeds (immediately, or later via the payment_intent.succeeded webhook
+ * if the customer has to complete SCA first). A payment that needs the
+ * customer is kept as a pending payment (services/pendingPayments.js).
+ * A `promoCode` (services/promotions.js) takes its discount off the price,
+ * not off the credit; an unusable code throws a promo_* error.
+ * `stripeOptions` (e.g. an idempotency key) goes with the PaymentIntent call.
+ * Returns { paymentIntent, pending, wallet, entry, discount }.
+ */
+async function topUp(
+	account,
+	amount,
+	{ offSession = false, requestedBy = null, promoCode = null, stripeOptions } = {}
+) {
+	// The wallet itself only appears once a payment succeeds
+	const wallet = getWallet(account);
+	const currency = wallet?.currency || currencyFor(account);
+	if (!Number.isInteger(amount) || amount < MIN_TOP_UP || amount > MAX_TOP_UP)
+		throw new Error(
+			`Top-ups must be between ${formatMoney(MIN_TOP_UP, currency)} and ${formatMoney(MAX_TOP_UP, currency)}`
+		);
+	const promotion = promoCode
+		? checkPromotion(promoCode, account, { target: "one_off", currency })
+		: null;
+	const discount = promotion ? discountFor(promotion, amount) : null;
+	if (discount?.amount === amount) {
+		const err = new Error("Promotion codes can't make a top-up free");
+		err.code = "promo_not_applicable";
+		throw err;
+	}
+	const customerId = await getOrCreateAccountCustomerId(account);
+	const pmId = await getDefaultPaymentMethodId(customerId);
+	if (!pmId) {
+		const err = new Error("No payment method on file. Save a card first.");
+		err.code = "no_payment_method";
+		throw err;
+	}
+
+	const { gross, tax } = chargeTax(account, amount - (discount?.amount || 0));
+	let paymentIntent;
+	let authError = null;
+	try {
+		paymentIntent = await stripe.paymentIntents.create(
+			{
+				amount: gross,
+				currency,
+				customer: customerId,
+				payment_method: pmId,
+				confirm: true,
+				off_session: offSession,
+				payment_method_types: ["card"],
+				description: offSession
+					? "Verblizr automatic credit top-up"
+					: "Verblizr credit top-up",
+				metadata: {
+					kind: "wallet_topup",
+					walletId: walletIdOf(account),
+					walletOwner: account.orgId ? "org" : "user",
+					auto: String(offSession),
+					netAmount: String(amount),
+					taxAmount: String(tax.amount),
+					...(discount && {
+						discountAmount: String(discount.amount),
+						promotionCode: discount.code,
+					}),
+					...(requestedBy && { appUserId: requestedBy }),
+				},
+			},
+			stripeOptions
+		);
+	} catch (e) {
+		// Off-session and the bank wants 3-D Secure: keep it for in-app recovery
+		paymentIntent = authenticationRequiredIntent(e);
+		if (!paymentIntent) throw e;
+		authError = e.message;
+	}
+
+	recordPaymentIntentInvoice(paymentIntent, {
+		account,
+		source: "wallet_topup",
+		title: offSession ? "Prepaid credit — automatic top-up" : "Prepaid credit top-up",
+		tax,
+		discount,
+	});
+	if (promotion)
+		recordRedemption(promotion, account, {
+			target: "one_off",
+			amount: discount.amount,
+			currency,
+			paymentIntentId: paymentIntent.id,
+			createdBy: requestedBy,
+		});
+	const credited =
+		paymentIntent.status === "succeeded" ? creditTopUp(paymentIntent) : null;
+	const pending = needsCustomer(paymentIntent)
+		? trackPendingPayment(paymentIntent, {
+				account,
+				kind: "wallet_topup",
+				createdBy: requestedBy,
+				error: authError,
+			})
+		: null;
+	return {
+		paymentIntent,
+		pending,
+		wallet: credited?.wallet || wallet || null,
+		entry: credited?.entry || null,
+		discount,
+	};
+}
+
+/** An auto-recharge started and its lease hasn't run out */
+function autoRechargeRunning(wallet) {
+	return (
+		!!wallet.autoRechargeLeaseUntil && new Date(wallet.autoRechargeLeaseUntil) > new Date()
+	);
+}
+
+async function autoRecharge(wallet) {
+	const last = wallet.lastAutoRechargeAt && new Date(wallet.lastAutoRechargeAt);
+	if (
+		wallet.lastAutoRechargeError &&
+		last &&
+		Date.now() - last.getTime() < AUTO_RECHARGE_RETRY_MINUTES * 60 * 1000
+	)
+		return; // back off after a failure
+
+	const now = new Date();
+	wallets.update(wallet.id, {
+		autoRechargeLeaseUntil: new Date(
+			now.getTime() + AUTO_RECHARGE_LEASE_MINUTES * 60 * 1000
+		).toISOString(),
+		lastAutoRechargeAt: now.toISOString(),
+	});
+	try {
+		const account = accountOf(wallet.id, wallet.ownerType);
+		const { paymentIntent, pending } = await topUp(account, wallet.autoRecharge.amount, {
+			offSession: true,
+		});
+		wallets.update(wallet.id, {
+			lastAutoRechargeError:
+				paymentIntent.status === "succeeded"
+					? null
+					: pending
+						? "Payment needs authentication in the app"
+						: `Payment ${paymentIntent.status}`,
+		});
+	} catch (e) {
+		console.warn("[wallet] auto-recharge failed:", wallet.id, e.message);
+		wallets.update(wallet.id, { lastAutoRechargeError: e.message });
+	} finally {
+		wallets.update(wallet.id, { autoRechargeLeaseUntil: null });
+	}
+}
+
+/**
+ * Low-balance threshold and auto-recharge settings (all minor units; the caller
+ * validates ranges). Returns null when the account has no wallet yet.
+ */
+function updateWalletSettings(account, { lowBalanceThreshold, autoRecharge: ar }) {
+	const wallet = getWallet(account);
+	if (!wallet) return null;
+
+	const patch = { updatedAt: new Date().toISOString() };
+	if (lowBalanceThreshold !== undefined) patch.lowBalanceThreshold = lowBalanceThreshold;
+	if (ar) {
+		patch.autoRecharge = { ...wallet.autoRecharge, ...ar };
+		if (patch.autoRecharge.enabled) patch.lastAutoRechargeError = null;
+	}
+	return wallets.update(wallet.id, patch);
+}
+
+/**
+ * Account deletion: drop the user's own wallet (any remaining balance is
+ * forfeited) and keep its ledger for bookkeeping, detached from the user.
+ * Returns the closed wallet, or null if they never had one.
+ */
+function closeUserWallet(userId) {
+	const wallet = wallets.get(userId);
+	if (!wallet || wallet.ownerType !== "user") return null;
+
+	const at = new Date().toISOString();
+	for (const e of ledger.list((e) => e.walletId === userId))
+		ledger.update(e.id, { walletId: null, anonymizedAt: at });
+	wallets.remove(userId);
+	return wallet;
+}
+
+module.exports = {
+	MIN_TOP_UP,
+	MAX_TOP_UP,
+	getWallet,
+	toWalletView,
+	listLedger,
+	hasCredit,
+	debitUsage,
+	creditTopUp,
+	debitTopUpRefund,
+	topUp,
+	updateWalletSettings,
+	closeUserWallet,
+};
@@ -0,0 +1,93 @@
+// test/account.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { stripe, DEMO_USER_ID, startApp } = require("./helpers");
+const billingRoutes = require("../routes/billing");
+const { createUser, findUserById } = require("../services/users");
+const { collection } = require("../services/store");
+const { storage } = require("../services/userFiles");
+const { createPromotion } = require("../services/promotions");
+const { getWallet } = require("../services/wallet");
+const { collectAccountData, deleteAccount } = require("../services/account");
+
+// No GCS here
+storage.bucket = () => ({ getFiles: async () => [[]], deleteFiles: async () => {} });
+
+let app;
+before(async () => {
+	app = await startApp(billingRoutes);
+	await app.request("POST", "/payment-methods/pm_card_visa/default");
+});
+after(() => app.close());
+
+test("the export holds the wallet, promotions and pending payments; deletion detaches them", async () => {
+	const user = createUser({
+		email: "wallet-owner@example.com",
+		password: "password123",
+		firstName: "Wallet",
+		lastName: "Owner",
+	});
+	const own = await startApp(billingRoutes, { user: { id: user.id, role: "user" } });
+	try {
+		createPromotion({ code: "GDPR10", percentOff: 10 });
+		await own.request("POST", "/payment-methods/pm_card_visa/default");
+		const paid = await own.request("POST", "/wallet/top-up", { amountMinor: 1000, promoCode: "GDPR10" });
+		assert.equal(paid.status, 201, JSON.stringify(paid.body));
+		await own.request("POST", "/payment-methods/pm_card_authenticationRequired/default");
+		const sca = await own.request("POST", "/wallet/top-up", { amountMinor: 500 });
+		assert.equal(sca.status, 202, JSON.stringify(sca.body));
+	} finally {
+		await own.close();
+	}
+
+	const data = collectAccountData(user);
+	assert.deepEqual(Object.keys(data).sort(), [
+		"api-keys.json",
+		"credit-notes.json",
+		"invoices.json",
+		"pending-payments.json",
+		"profile.json",
+		"promotion-redemptions.json",
+		"security-events.json",
+		"usage.json",
+		"wallet-ledger.json",
+		"wallet.json",
+	]);
+	assert.equal(data["profile.json"].email, user.email);
+	assert.deepEqual(data["invoices.json"].map((inv) => inv.status).sort(), ["open", "paid"]);
+	assert.equal(data["wallet.json"].id, user.id);
+	assert.equal(data["wallet.json"].balance, 1000);
+	assert.equal(data["wallet-ledger.json"].length, 1);
+	assert.equal(data["promotion-redemptions.json"].length, 1);
+	assert.equal(data["promotion-redemptions.json"][0].code, "GDPR10");
+	assert.equal(data["pending-payments.json"].length, 1);
+	assert.equal(data["pending-payments.json"][0].state, "requires_action");
+
+	const summary = await deleteAccount(user);
+	assert.equal(summary.walletClosed, true);
+	assert.equal(summary.promotionRedemptionsAnonymized, 1);
+	assert.equal(summary.pendingPaymentsAnonymized, 1);
+	assert.equal(getWallet({ userId: user.id }), null);
+
+	const [entry] = data["wallet-ledger.json"];
+	assert.equal(collection("wallet_ledger").get(entry.id).walletId, null);
+	for (const name of ["promotion_redemptions", "pending_payments"])
+		assert.deepEqual(
+			collection(name).list((r) => r.userId === user.id || r.createdBy === user.id),
+			[],
+			name
+		);
+});
+
+test("deleting the account cancels its live subscriptions", async () => {
+	const created = await app.request("POST", "/subscriptions", { planId: "starter_monthly" });
+	assert.equal(created.status, 201, JSON.stringify(created.body));
+	const sub = created.body.subscription;
+	await stripe.fake.settle();
+
+	const summary = await deleteAccount(findUserById(DEMO_USER_ID));
+	assert.equal(summary.subscriptionsCanceled, 1);
+	const current = await stripe.subscriptions.retrieve(sub.id);
+	assert.equal(current.status, "canceled");
+	assert.equal(findUserById(DEMO_USER_ID), null);
+});
@@ -0,0 +1,75 @@
+// test/apiKeys.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const ADMIN = "keys-admin@example.com";
+
+let server;
+let session; // the admin's own JWT
+before(async () => {
+	server = await startServer({ AUTH_MODE: "strict", ADMIN_EMAILS: ADMIN });
+	const registered = await server.request("POST", "/api/auth/register", {
+		firstName: "Key",
+		lastName: "Admin",
+		email: ADMIN,
+		password: "Password123!",
+	});
+	assert.equal(registered.status, 200, JSON.stringify(registered.body));
+	assert.equal(registered.body.user.role, "admin");
+	session = { authorization: `Bearer ${registered.body.token}` };
+});
+after(() => server.close());
+
+async function createKey(scopes) {
+	const res = await server.request("POST", "/api/auth/api-keys", { name: "CRM", scopes }, session);
+	assert.equal(res.status, 201, JSON.stringify(res.body));
+	return res.body;
+}
+
+test("a key only reaches routes its scopes cover", async () => {
+	const { key } = await createKey(["billing:read"]);
+	const headers = { "x-api-key": key };
+
+	assert.equal((await server.request("GET", "/api/billing/wallet", undefined, headers)).status, 200);
+
+	const topUp = await server.request("POST", "/api/billing/wallet/top-up", { amount: 1000 }, headers);
+	assert.equal(topUp.status, 403);
+	assert.equal(topUp.body.requiredScope, "billing:write");
+
+	const invoices = await server.request("GET", "/api/invoices", undefined, headers);
+	assert.equal(invoices.status, 403);
+	assert.equal(invoices.body.requiredScope, "invoices:read");
+});
+
+test("a key never carries its creator's admin role", async () => {
+	const { key } = await createKey(["billing:read", "billing:write"]);
+	const bearer = { authorization: `Bearer ${key}` };
+
+	// Routers that refuse keys outright
+	for (const path of ["/api/admin/users", "/api/auth/me", "/api/auth/api-keys"])
+		assert.equal((await server.request("GET", path, undefined, bearer)).status, 403, path);
+
+	// Admin-only routes on a router that does take keys
+	const debug = await server.request("GET", "/api/billing/debug-key", undefined, bearer);
+	assert.equal(debug.status, 403);
+	assert.equal(debug.body.requiredRole, "admin");
+	assert.equal((await server.request("GET", "/api/billing/debug-key", undefined, session)).status, 200);
+});
+
+test("revoked and rotated keys stop working", async () => {
+	const revoked = await createKey(["billing:read"]);
+	const del = await server.request("DELETE", `/api/auth/api-keys/${revoked.apiKey.id}`, undefined, session);
+	assert.equal(del.status, 200);
+	const afterRevoke = await server.request("GET", "/api/billing/wallet", undefined, {
+		"x-api-key": revoked.key,
+	});
+	assert.equal(afterRevoke.status, 401);
+
+	const old = await createKey(["billing:read"]);
+	const rotated = await server.request("POST", `/api/auth/api-keys/${old.apiKey.id}/rotate`, {}, session);
+	assert.equal(rotated.status, 200);
+	const read = (key) => server.request("GET", "/api/billing/wallet", undefined, { "x-api-key": key });
+	assert.equal((await read(old.key)).status, 401);
+	assert.equal((await read(rotated.body.key)).status, 200);
+});
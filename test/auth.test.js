@@ -0,0 +1,85 @@
+// test/auth.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startServer } = require("./helpers");
+
+// The auth routes live in index.js, so these run against the whole server
+let server;
+before(async () => {
+	server = await startServer({ AUTH_MODE: "strict" });
+});
+after(() => server.close());
+
+const request = (method, path, body, token) =>
+	server.request(method, `/api/auth${path}`, body, token && { authorization: `Bearer ${token}` });
+
+const login = (email, password) => request("POST", "/login", { email, password });
+
+async function register(email) {
+	const res = await request("POST", "/register", {
+		firstName: "Ada",
+		lastName: "Lovelace",
+		email,
+		password: "password123",
+	});
+	assert.equal(res.status, 200, JSON.stringify(res.body));
+	return res.body;
+}
+
+// The authenticator app's side of RFC 6238 (SHA-1, 6 digits, 30s steps)
+function totp(secret) {
+	let bits = "";
+	for (const ch of secret)
+		bits += "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567".indexOf(ch).toString(2).padStart(5, "0");
+	const key = Buffer.from(bits.match(/.{8}/g).map((b) => parseInt(b, 2)));
+	const msg = Buffer.alloc(8);
+	msg.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000)));
+	const hmac = crypto.createHmac("sha1", key).update(msg).digest();
+	const code = (hmac.readUInt32BE(hmac[hmac.length - 1] & 0xf) & 0x7fffffff) % 1e6;
+	return String(code).padStart(6, "0");
+}
+
+test("changing the password signs out the account's other sessions", async () => {
+	const email = "change@example.com";
+	await register(email);
+
+	const current = (await login(email, "password123")).body;
+	const other = (await login(email, "password123")).body;
+	const changed = await request(
+		"PUT",
+		"/change-password",
+		{ currentPassword: "password123", newPassword: "password456" },
+		current.token
+	);
+	assert.equal(changed.status, 200, JSON.stringify(changed.body));
+
+	const stale = await request("POST", "/refresh", { refreshToken: other.refreshToken });
+	assert.equal(stale.status, 401);
+	assert.equal((await request("GET", "/me", undefined, other.token)).status, 401);
+
+	const kept = await request("POST", "/refresh", { refreshToken: current.refreshToken });
+	assert.equal(kept.status, 200, JSON.stringify(kept.body));
+});
+
+test("a correct password doesn't reset the lockout before the MFA code is checked", async () => {
+	const email = "mfa@example.com";
+	const { token } = await register(email);
+	const { secret } = (
+		await request("POST", "/mfa/enroll", { password: "password123" }, token)
+	).body;
+	const enabled = await request("POST", "/mfa/verify", { code: totp(secret) }, token);
+	assert.equal(enabled.status, 200, JSON.stringify(enabled.body));
+
+	const guessCodes = async (count) => {
+		const { mfaToken } = (await login(email, "password123")).body;
+		for (let i = 0; i < count; i++) {
+			const res = await request("POST", "/login/mfa", { mfaToken, code: "000000" });
+			assert.equal(res.status, 401);
+		}
+	};
+	// Five free attempts; a fresh challenge mustn't start the count again
+	await guessCodes(4);
+	await guessCodes(2);
+	assert.equal((await login(email, "password123")).status, 429);
+});
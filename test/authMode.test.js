@@ -0,0 +1,70 @@
+// test/authMode.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const path = require("path");
+const { DEMO_USER_ID, startServer } = require("./helpers");
+
+let strict;
+let dev;
+before(async () => {
+	strict = await startServer({ AUTH_MODE: "strict" });
+	dev = await startServer({ AUTH_MODE: "dev" });
+});
+after(() => Promise.all([strict.close(), dev.close()]));
+
+test("strict mode answers 401 on protected routes without a token", async () => {
+	for (const [method, path] of [
+		["GET", "/api/auth/me"],
+		["GET", "/api/billing/customer"],
+		["POST", "/api/billing/test-charge"],
+		["GET", "/api/invoices"],
+		["GET", "/api/orgs"],
+		["GET", "/api/admin/users"],
+		["POST", "/api/tts/synthesize"],
+	]) {
+		const res = await strict.request(method, path, method === "POST" ? {} : undefined);
+		assert.equal(res.status, 401, `${method} ${path}`);
+	}
+});
+
+test("a bad token is no better than none", async () => {
+	const res = await strict.request("GET", "/api/auth/me", undefined, {
+		authorization: "Bearer not-a-jwt",
+	});
+	assert.equal(res.status, 401);
+});
+
+test("the public allowlist still answers in strict mode", async () => {
+	assert.equal((await strict.request("GET", "/api/billing/health")).status, 200);
+	const plans = await strict.request("GET", "/api/billing/plans");
+	assert.equal(plans.status, 200);
+	assert.ok(plans.body.plans.length > 0);
+	// Only the listed method is public
+	assert.equal((await strict.request("POST", "/api/billing/plans", {})).status, 401);
+});
+
+test("dev mode acts as the demo user, strict mode doesn't", async () => {
+	const me = await dev.request("GET", "/api/auth/me");
+	assert.equal(me.status, 200);
+	assert.equal(me.body.user.id, DEMO_USER_ID);
+	assert.equal((await strict.request("GET", "/api/auth/me")).status, 401);
+});
+
+test("an unknown AUTH_MODE refuses to start", () => {
+	const { status, stderr } = spawnSync(
+		process.execPath,
+		["-e", `require(${JSON.stringify(path.join(__dirname, "../middleware/auth.js"))})`],
+		{
+			env: {
+				PATH: process.env.PATH,
+				AUTH_MODE: "jwt",
+				DATA_STORE: "memory",
+				PAYMENT_GATEWAY: "fake",
+			},
+			encoding: "utf8",
+		}
+	);
+	assert.notEqual(status, 0);
+	assert.match(stderr, /AUTH_MODE must be "dev" or "strict"/);
+});
@@ -0,0 +1,91 @@
+// test/billingDetails.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { stripe, startApp } = require("./helpers");
+const billingRoutes = require("../routes/billing");
+const { createUser, updateUser, findStripeCustomerId } = require("../services/users");
+const { syncBillingDetailsForUser } = require("../services/billingProfile");
+
+const user = createUser({
+	email: "details@example.com",
+	password: "password123",
+	firstName: "Jean",
+	lastName: "Dupont",
+});
+updateUser(user.id, {
+	company: "Dupont Traduction",
+	address: "12 Rue de Rivoli",
+	city: "Paris",
+	postalCode: "75001",
+	country: "FR",
+});
+
+let app;
+let customerId;
+before(async () => {
+	app = await startApp(billingRoutes, { user: { id: user.id, role: "user" } });
+	const synced = await app.request("POST", "/details/sync");
+	assert.equal(synced.status, 200, JSON.stringify(synced.body));
+	customerId = await findStripeCustomerId(user.id);
+});
+after(() => app.close());
+
+const taxIds = async () =>
+	(await stripe.customers.listTaxIds(customerId)).data.map((t) => `${t.type}:${t.value}`);
+
+test("the Stripe customer gets the profile's name, email and address", async () => {
+	const customer = await stripe.customers.retrieve(customerId);
+	assert.equal(customer.name, "Dupont Traduction");
+	assert.equal(customer.email, "details@example.com");
+	assert.equal(customer.address.line1, "12 Rue de Rivoli");
+	assert.equal(customer.address.city, "Paris");
+	assert.equal(customer.address.postal_code, "75001");
+	assert.equal(customer.address.country, "FR");
+	assert.equal(customer.tax_exempt, "none");
+
+	const details = await app.request("GET", "/details");
+	assert.equal(details.body.stripe.error, null);
+	assert.ok(details.body.stripe.syncedAt);
+});
+
+test("a VAT number becomes the customer's only tax id and makes it reverse charged", async () => {
+	const first = await app.request("PUT", "/tax-details", { vatNumber: "FR40303265045" });
+	assert.equal(first.status, 200, JSON.stringify(first.body));
+	assert.deepEqual(await taxIds(), ["eu_vat:FR40303265045"]);
+	assert.equal((await stripe.customers.retrieve(customerId)).tax_exempt, "reverse");
+
+	await app.request("PUT", "/tax-details", { vatNumber: "FR83404833048" });
+	assert.deepEqual(await taxIds(), ["eu_vat:FR83404833048"]);
+
+	await app.request("PUT", "/tax-details", { vatNumber: null });
+	assert.deepEqual(await taxIds(), []);
+	assert.equal((await stripe.customers.retrieve(customerId)).tax_exempt, "none");
+});
+
+test("profile edits reach Stripe, and a user without a customer doesn't get one", async () => {
+	updateUser(user.id, { city: "Lyon", postalCode: "69001" });
+	await syncBillingDetailsForUser(user.id);
+	const customer = await stripe.customers.retrieve(customerId);
+	assert.equal(customer.address.city, "Lyon");
+	assert.equal(customer.address.postal_code, "69001");
+
+	const other = createUser({
+		email: "no-customer@example.com",
+		password: "password123",
+		firstName: "No",
+		lastName: "Customer",
+	});
+	await syncBillingDetailsForUser(other.id);
+	assert.equal(await findStripeCustomerId(other.id), null);
+});
+
+test("a failed sync is reported and can be retried", async () => {
+	stripe.fake.failNext("customers.update", "api_error");
+	const failed = await app.request("POST", "/details/sync");
+	assert.equal(failed.status, 502);
+	assert.match(failed.body.stripe.error, /unknown error/);
+
+	const retried = await app.request("POST", "/details/sync");
+	assert.equal(retried.status, 200);
+	assert.equal(retried.body.stripe.error, null);
+});
@@ -0,0 +1,83 @@
+// test/billingWebhook.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const Stripe = require("stripe");
+const { startServer } = require("./helpers");
+
+const SECRET = "whsec_test_secret";
+const ADMIN = "webhooks-admin@example.com";
+const fixture = (name) => require(path.join(__dirname, "../scripts/fixtures/stripe", `${name}.json`));
+
+let server;
+let admin;
+before(async () => {
+	server = await startServer({ STRIPE_WEBHOOK_SECRET: SECRET, ADMIN_EMAILS: ADMIN });
+	const registered = await server.request("POST", "/api/auth/register", {
+		firstName: "Hook",
+		lastName: "Admin",
+		email: ADMIN,
+		password: "Password123!",
+	});
+	admin = { authorization: `Bearer ${registered.body.token}` };
+});
+after(() => server.close());
+
+// Signed the way scripts/stripe-webhook-fixture.mjs (and Stripe) does it
+function deliver(event, secret = SECRET) {
+	const signature = Stripe.webhooks.generateTestHeaderString({
+		payload: JSON.stringify(event),
+		secret,
+	});
+	return server.request("POST", "/api/billing/webhook", event, { "stripe-signature": signature });
+}
+
+async function storedEvent(id) {
+	const res = await server.request("GET", "/api/admin/stripe-events", undefined, admin);
+	return res.body.events.find((e) => e.id === id);
+}
+
+test("a bad or missing signature is refused with 400", async () => {
+	const event = fixture("payment_intent.succeeded");
+	assert.equal((await deliver(event, "whsec_someone_else")).status, 400);
+	assert.equal((await server.request("POST", "/api/billing/webhook", event)).status, 400);
+
+	// Signed, then tampered with
+	const signature = Stripe.webhooks.generateTestHeaderString({
+		payload: JSON.stringify(event),
+		secret: SECRET,
+	});
+	const tampered = await server.request(
+		"POST",
+		"/api/billing/webhook",
+		{ ...event, type: "charge.refunded" },
+		{ "stripe-signature": signature }
+	);
+	assert.equal(tampered.status, 400);
+	assert.equal(await storedEvent(event.id), undefined);
+});
+
+test("a redelivered event is acknowledged without being applied again", async () => {
+	const event = fixture("payment_method.attached");
+	const first = await deliver(event);
+	assert.equal(first.status, 200);
+	assert.equal(first.body.status, "processed");
+	assert.equal(first.body.duplicate, undefined);
+
+	const again = await deliver(event);
+	assert.equal(again.status, 200);
+	assert.deepEqual(again.body, { received: true, duplicate: true, status: "processed" });
+	assert.equal((await storedEvent(event.id)).attempts, 1);
+});
+
+test("an event type without a handler is stored as ignored", async () => {
+	const event = { ...fixture("payment_method.attached"), id: "evt_fixture_unhandled", type: "customer.created" };
+	const res = await deliver(event);
+	assert.equal(res.status, 200);
+	assert.equal(res.body.status, "ignored");
+
+	const stored = await storedEvent(event.id);
+	assert.equal(stored.status, "ignored");
+	assert.equal(stored.type, "customer.created");
+	assert.equal((await deliver(event)).body.duplicate, true);
+});
@@ -0,0 +1,63 @@
+// test/dunning.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { stripe, DEMO_USER_ID, startApp } = require("./helpers");
+const billingRoutes = require("../routes/billing");
+const { runDunning, getDunningState } = require("../services/dunning");
+const { getInvoice } = require("../services/invoices");
+
+let app;
+before(async () => {
+	app = await startApp(billingRoutes);
+});
+after(() => app.close());
+
+const account = { userId: DEMO_USER_ID };
+
+test("a test charge waiting for 3-D Secure doesn't open a dunning case", async () => {
+	await app.request("POST", "/payment-methods/pm_card_authenticationRequired/default");
+	const charge = await app.request("POST", "/test-charge", { amountMinor: 500 });
+	assert.equal(charge.status, 402);
+	assert.equal(charge.body.requiresAction, true);
+	await stripe.fake.settle();
+
+	const inv = getInvoice(charge.body.invoiceId);
+	assert.equal(inv.status, "open");
+	await runDunning();
+	assert.equal(getDunningState(account), null);
+});
+
+test("a failed one-off charge doesn't open a dunning case", async () => {
+	await app.request("POST", "/payment-methods/pm_card_chargeDeclined/default");
+	const charge = await app.request("POST", "/test-charge", { amountMinor: 500 });
+	assert.notEqual(charge.status, 200);
+	await stripe.fake.settle();
+
+	await runDunning();
+	assert.equal(getDunningState(account), null);
+});
+
+test("a failed subscription renewal opens a case; the pending charge isn't part of it", async () => {
+	await app.request("POST", "/payment-methods/pm_card_visa/default");
+	const sub = await app.request("POST", "/subscriptions", { planId: "pro_monthly" });
+	assert.equal(sub.status, 201, JSON.stringify(sub.body));
+	await stripe.fake.settle();
+
+	// The card on the subscription starts declining
+	await app.request("POST", "/payment-methods/pm_card_chargeDeclined/default");
+	const customer = await stripe.customers.retrieve(sub.body.subscription.customerId);
+	await stripe.subscriptions.update(sub.body.subscription.id, {
+		default_payment_method: customer.invoice_settings.default_payment_method,
+	});
+	const renewal = await stripe.fake.renewSubscription(sub.body.subscription.id);
+	assert.equal(renewal.status, "open");
+
+	await runDunning();
+	const state = getDunningState(account);
+	assert.equal(state.stage, "retrying");
+	assert.equal(state.amountDue, renewal.amount_due);
+	assert.deepEqual(
+		state.invoices.map((i) => getInvoice(i.id).source),
+		["subscription"]
+	);
+});
@@ -0,0 +1,100 @@
+// test/emailFlows.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let server;
+before(async () => {
+	server = await startServer({ AUTH_MODE: "strict" });
+});
+after(() => server.close());
+
+const request = (method, path, body, token) =>
+	server.request(method, `/api/auth${path}`, body, token && { authorization: `Bearer ${token}` });
+
+// The token in the last link emailed to `to` about `subject`
+function emailedToken(to, subject) {
+	const mail = server
+		.outbox()
+		.filter((m) => m.to === to && subject.test(m.subject))
+		.at(-1);
+	assert.ok(mail, `no "${subject}" email to ${to}`);
+	return decodeURIComponent(mail.text.match(/token=(\S+)/)[1]);
+}
+
+// Emails are sent after the response
+const settle = () => new Promise((resolve) => setTimeout(resolve, 100));
+
+async function register(email) {
+	const res = await request("POST", "/register", {
+		firstName: "Ada",
+		lastName: "Lovelace",
+		email,
+		password: "password123",
+	});
+	assert.equal(res.status, 200, JSON.stringify(res.body));
+	await settle();
+	return res.body;
+}
+
+test("the emailed verification link verifies the address once", async () => {
+	const { token } = await register("verify@example.com");
+	assert.equal((await request("GET", "/me", undefined, token)).body.user.emailVerified, false);
+
+	const link = emailedToken("verify@example.com", /Verify/);
+	const first = await request("GET", `/verify-email?token=${encodeURIComponent(link)}`);
+	assert.equal(first.status, 200, JSON.stringify(first.body));
+	assert.equal((await request("GET", "/me", undefined, token)).body.user.emailVerified, true);
+
+	const again = await request("POST", "/verify-email", { token: link });
+	assert.equal(again.status, 400);
+});
+
+test("a verification link for an address the account no longer uses is refused", async () => {
+	const { token } = await register("old@example.com");
+	const link = emailedToken("old@example.com", /Verify/);
+	const profile = { firstName: "Ada", lastName: "Lovelace", email: "new@example.com" };
+	const moved = await request("PUT", "/profile", profile, token);
+	assert.equal(moved.status, 200, JSON.stringify(moved.body));
+
+	assert.equal((await request("POST", "/verify-email", { token: link })).status, 400);
+});
+
+test("forgot-password answers the same for unknown addresses and sends nothing", async () => {
+	const sent = server.outbox().length;
+	const res = await request("POST", "/forgot-password", { email: "nobody@example.com" });
+	assert.equal(res.status, 200);
+	await settle();
+	assert.equal(server.outbox().length, sent);
+});
+
+test("a reset link sets the password once and signs out every session", async () => {
+	const email = "reset@example.com";
+	const { refreshToken } = await register(email);
+	const verifyLink = emailedToken(email, /Verify/);
+
+	const forgot = await request("POST", "/forgot-password", { email: "RESET@example.com" });
+	assert.equal(forgot.status, 200);
+	await settle();
+	const link = emailedToken(email, /Reset/);
+
+	// A verification token isn't a reset token
+	const wrongPurpose = await request("POST", "/reset-password", {
+		token: verifyLink,
+		newPassword: "hijacked123",
+	});
+	assert.equal(wrongPurpose.status, 400);
+
+	const resetTo = (newPassword) => request("POST", "/reset-password", { token: link, newPassword });
+	const reset = await resetTo("password456");
+	assert.equal(reset.status, 200, JSON.stringify(reset.body));
+	const reused = await resetTo("password789");
+	assert.equal(reused.status, 400);
+
+	assert.equal((await request("POST", "/refresh", { refreshToken })).status, 401);
+	assert.equal((await request("POST", "/login", { email, password: "password123" })).status, 401);
+	const login = await request("POST", "/login", { email, password: "password456" });
+	assert.equal(login.status, 200);
+	// Getting the email proves the address
+	assert.equal(login.body.user.emailVerified, true);
+});
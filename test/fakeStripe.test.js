@@ -0,0 +1,116 @@
+// test/fakeStripe.test.js
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Stripe = require("stripe");
+const { createFakeStripe } = require("../services/fakeStripe");
+
+// A gateway of its own, so the app's webhook handling stays out of it
+const stripe = createFakeStripe();
+const events = [];
+stripe.fake.onEvent((event) => {
+	events.push(event);
+});
+beforeEach(() => {
+	events.length = 0;
+});
+
+async function customerWith(card) {
+	const customer = await stripe.customers.create({ email: "fake@example.com" });
+	const pm = await stripe.paymentMethods.attach(card, { customer: customer.id });
+	return { customer: customer.id, pm: pm.id };
+}
+
+const charge = ({ customer, pm }, extra = {}, options) =>
+	stripe.paymentIntents.create(
+		{
+			amount: 1000,
+			currency: "gbp",
+			customer,
+			payment_method: pm,
+			confirm: true,
+			off_session: true,
+			...extra,
+		},
+		options
+	);
+
+const types = () => events.map((e) => e.type);
+
+test("a good card settles, and settle() waits for its webhooks", async () => {
+	const card = await customerWith("pm_card_visa");
+	const pi = await charge(card);
+	assert.equal(pi.status, "succeeded");
+	assert.equal(pi.amount_received, 1000);
+
+	await stripe.fake.settle();
+	assert.ok(types().includes("payment_intent.succeeded"));
+	const succeeded = events.find((e) => e.type === "payment_intent.succeeded");
+	assert.equal(succeeded.data.object.id, pi.id);
+	assert.match(succeeded.id, /^evt_/);
+});
+
+test("declining cards fail like Stripe's test cards", async () => {
+	for (const [card, code, declineCode] of [
+		["pm_card_chargeDeclined", "card_declined", "generic_decline"],
+		["pm_card_chargeDeclinedInsufficientFunds", "card_declined", "insufficient_funds"],
+		["pm_card_chargeDeclinedExpiredCard", "expired_card", undefined],
+	]) {
+		const err = await charge(await customerWith(card)).then(
+			() => assert.fail(`${card} was charged`),
+			(e) => e
+		);
+		assert.ok(err instanceof Stripe.errors.StripeCardError, card);
+		assert.equal(err.code, code, card);
+		if (declineCode) assert.equal(err.decline_code, declineCode, card);
+		assert.equal(err.raw.payment_intent.status, "requires_payment_method", card);
+	}
+	await stripe.fake.settle();
+	assert.equal(types().filter((t) => t === "payment_intent.payment_failed").length, 3);
+	assert.ok(!types().includes("payment_intent.succeeded"));
+});
+
+test("failNext fails the next call only, whatever the card", async () => {
+	const card = await customerWith("pm_card_visa");
+	stripe.fake.failNext("paymentIntents.create", "card_declined");
+	await assert.rejects(charge(card), Stripe.errors.StripeCardError);
+	assert.equal((await charge(card)).status, "succeeded");
+
+	stripe.fake.failNext("paymentIntents.create", "api_error");
+	await assert.rejects(
+		charge(card),
+		(e) => e instanceof Stripe.errors.StripeAPIError && e.statusCode === 500
+	);
+	assert.throws(
+		() => stripe.fake.failNext("paymentIntents.create", "no_such_failure"),
+		/unknown failure/
+	);
+});
+
+test("3-D Secure fails off-session and waits for the customer on-session", async () => {
+	const card = await customerWith("pm_card_authenticationRequired");
+	const offSession = await charge(card).then(assert.fail, (e) => e);
+	assert.equal(offSession.code, "authentication_required");
+	assert.equal(offSession.raw.payment_intent.status, "requires_payment_method");
+
+	const onSession = await charge(card, { off_session: false });
+	assert.equal(onSession.status, "requires_action");
+	const failed = await stripe.fake.completeAuthentication(onSession.id, { succeed: false });
+	assert.equal(failed.status, "requires_payment_method");
+	assert.equal(failed.last_payment_error.code, "payment_intent_authentication_failure");
+
+	const retried = await charge(card, { off_session: false });
+	const done = await stripe.fake.completeAuthentication(retried.id);
+	assert.equal(done.status, "succeeded");
+	await assert.rejects(stripe.fake.completeAuthentication(done.id), /not requires_action/);
+});
+
+test("idempotency keys return the first result and refuse other parameters", async () => {
+	const card = await customerWith("pm_card_visa");
+	const options = { idempotencyKey: "fake-key-1" };
+	const first = await charge(card, {}, options);
+	const again = await charge(card, {}, options);
+	assert.equal(again.id, first.id);
+
+	const other = await charge(card, { amount: 2000 }, options).then(assert.fail, (e) => e);
+	assert.ok(other instanceof Stripe.errors.StripeIdempotencyError);
+});
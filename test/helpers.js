@@ -0,0 +1,144 @@
+// test/helpers.js
+/**
+ * Shared setup for the tests (run with `npm test`, one process per file).
+ * Everything runs offline: the in-memory store and the fake payment
+ * gateway, whose webhook events are handled as in development.
+ *
+ * Require this before any service – the env vars are read on load.
+ */
+Object.assign(process.env, {
+	NODE_ENV: "test",
+	PAYMENT_GATEWAY: "fake",
+	DATA_STORE: "memory",
+	MAIL_TRANSPORT: "console",
+	DUNNING_JOB_INTERVAL_MINUTES: "0",
+	JWT_SECRET: process.env.JWT_SECRET || "test-secret",
+});
+
+// Keep test output to the test results
+for (const level of ["log", "info", "warn"]) console[level] = () => {};
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { stripe } = require("../services/stripeClient");
+require("../routes/billingWebhook"); // hands the fake gateway's events to processStripeEvent
+
+// The seeded demo account (see services/users.js)
+const DEMO_USER_ID = "u_1";
+
+/**
+ * Serve `router` at `mountPath` as `user` (what requireAuth would set) on
+ * a random port. Returns { request(method, path, body, headers), url, close };
+ * `url` is the base for requests `request` can't make (e.g. aborted ones).
+ */
+async function startApp(router, { mountPath = "/", user = { id: DEMO_USER_ID, role: "user" } } = {}) {
+	const app = express();
+	app.use(express.json());
+	app.use((req, _res, next) => {
+		req.user = user;
+		next();
+	});
+	app.use(mountPath, router);
+	const server = await new Promise((resolve) => {
+		const s = app.listen(0, () => resolve(s));
+	});
+	const base = `http://127.0.0.1:${server.address().port}${mountPath === "/" ? "" : mountPath}`;
+
+	async function request(method, path, body, headers = {}) {
+		const res = await fetch(base + path, {
+			method,
+			headers: { "content-type": "application/json", ...headers },
+			body: body === undefined ? undefined : JSON.stringify(body),
+		});
+		const text = await res.text();
+		let json = null;
+		try {
+			json = JSON.parse(text);
+		} catch {
+			// CSV, PDF ...
+		}
+		return { status: res.status, headers: res.headers, body: json, text };
+	}
+
+	return { request, url: base, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+const freePort = () =>
+	new Promise((resolve) => {
+		const s = net.createServer().listen(0, () => {
+			const { port } = s.address();
+			s.close(() => resolve(port));
+		});
+	});
+
+/**
+ * Run the whole server (index.js) in a child process with `env` on top of
+ * the offline test setup – for what only exists there (auth routes,
+ * requireAuth, ...). Mail goes to a fresh outbox.
+ * Returns { request(method, path, body, headers), outbox(), close }.
+ */
+async function startServer(env = {}) {
+	const port = await freePort();
+	const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+	const child = spawn(process.execPath, [path.join(__dirname, "../index.js")], {
+		env: {
+			PATH: process.env.PATH,
+			NODE_ENV: "test",
+			PORT: String(port),
+			PAYMENT_GATEWAY: "fake",
+			DATA_STORE: "memory",
+			MAIL_TRANSPORT: "outbox",
+			MAIL_OUTBOX_DIR: outboxDir,
+			DUNNING_JOB_INTERVAL_MINUTES: "0",
+			JWT_SECRET: "test-secret",
+			OPENAI_API_KEY: "sk-test",
+			...env,
+		},
+		stdio: ["ignore", "pipe", "inherit"],
+	});
+	await new Promise((resolve, reject) => {
+		child.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+		child.stdout.on("data", (chunk) => {
+			if (String(chunk).includes("Server running on")) resolve();
+		});
+	});
+	child.stdout.resume();
+
+	async function request(method, path, body, headers = {}) {
+		const res = await fetch(`http://127.0.0.1:${port}${path}`, {
+			method,
+			headers: { "content-type": "application/json", ...headers },
+			body: body === undefined ? undefined : JSON.stringify(body),
+		});
+		const text = await res.text();
+		let json = null;
+		try {
+			json = JSON.parse(text);
+		} catch {
+			// ZIP, PDF ...
+		}
+		return { status: res.status, headers: res.headers, body: json, text };
+	}
+
+	// Messages sent so far, oldest first
+	const outbox = () =>
+		fs
+			.readdirSync(outboxDir)
+			.sort()
+			.map((f) => JSON.parse(fs.readFileSync(path.join(outboxDir, f), "utf8")));
+
+	const close = () =>
+		new Promise((resolve) => {
+			child.removeAllListeners("exit");
+			child.on("exit", () => resolve());
+			child.kill();
+		});
+
+	return { request, outbox, close };
+}
+
+module.exports = { stripe, DEMO_USER_ID, startApp, startServer };
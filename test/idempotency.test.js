@@ -0,0 +1,105 @@
+// test/idempotency.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { stripe, DEMO_USER_ID, startApp } = require("./helpers");
+const billingRoutes = require("../routes/billing");
+const { listInvoices } = require("../services/invoices");
+
+let app;
+before(async () => {
+	app = await startApp(billingRoutes);
+	await app.request("POST", "/payment-methods/pm_card_visa/default");
+});
+after(() => app.close());
+
+test("a retried upgrade with the same Idempotency-Key is invoiced once", async () => {
+	const created = await app.request("POST", "/subscriptions", { planId: "starter_monthly" });
+	assert.equal(created.status, 201);
+	const sub = created.body.subscription;
+	await stripe.fake.settle();
+	const invoicesBefore = listInvoices((i) => i.source === "subscription").length;
+
+	const upgrade = () =>
+		app.request("PATCH", `/subscriptions/${sub.id}`, { planId: "pro_monthly" }, {
+			"Idempotency-Key": "upgrade-1",
+		});
+	const first = await upgrade();
+	assert.equal(first.status, 200, JSON.stringify(first.body));
+	assert.equal(first.body.change, "upgrade");
+	const retry = await upgrade();
+	assert.equal(retry.status, 200);
+	assert.equal(retry.headers.get("idempotent-replayed"), "true");
+	await stripe.fake.settle();
+
+	assert.equal(listInvoices((i) => i.source === "subscription").length, invoicesBefore + 1);
+});
+
+// The Stripe idempotency keys the PaymentIntents were created with
+const piKeys = [];
+const createPaymentIntent = stripe.paymentIntents.create;
+const recordingCreate = (params, options) => {
+	piKeys.push(options?.idempotencyKey);
+	return createPaymentIntent(params, options);
+};
+stripe.paymentIntents.create = recordingCreate;
+const expectedKey = (header, step) =>
+	`req_${crypto.createHash("sha256").update(`${DEMO_USER_ID}:${header}`).digest("hex")}_${step}`;
+
+for (const [path, body, step] of [
+	["/test-charge", { amountMinor: 100 }, "payment_intent"],
+	["/wallet/top-up", { amountMinor: 1000 }, "top_up"],
+]) {
+	test(`POST ${path} replays a retry and refuses the key for another body`, async () => {
+		const header = { "Idempotency-Key": `replay${path}` };
+		const charged = piKeys.length;
+
+		const first = await app.request("POST", path, body, header);
+		assert.ok(first.status < 300, JSON.stringify(first.body));
+		const retry = await app.request("POST", path, body, header);
+		assert.equal(retry.status, first.status);
+		assert.equal(retry.headers.get("idempotent-replayed"), "true");
+		assert.deepEqual(retry.body, first.body);
+		assert.deepEqual(piKeys.slice(charged), [expectedKey(header["Idempotency-Key"], step)]);
+
+		const other = await app.request("POST", path, { ...body, amountMinor: 2000 }, header);
+		assert.equal(other.status, 422);
+		assert.equal(piKeys.length, charged + 1);
+	});
+}
+
+test("a retry after the client went away reaches Stripe with the same key", async () => {
+	const header = { "Idempotency-Key": "dropped-connection" };
+	const charged = piKeys.length;
+	const controller = new AbortController();
+
+	// Drop the connection while the first charge is with Stripe
+	let firstCharge;
+	stripe.paymentIntents.create = (params, options) => {
+		stripe.paymentIntents.create = recordingCreate;
+		controller.abort();
+		firstCharge = new Promise((resolve) => setTimeout(resolve, 50)).then(() =>
+			recordingCreate(params, options)
+		);
+		return firstCharge;
+	};
+	await assert.rejects(
+		fetch(`${app.url}/test-charge`, {
+			method: "POST",
+			headers: { "content-type": "application/json", ...header },
+			body: JSON.stringify({ amountMinor: 100 }),
+			signal: controller.signal,
+		})
+	);
+	const dropped = await firstCharge;
+	await new Promise((resolve) => setImmediate(resolve));
+
+	const retry = await app.request("POST", "/test-charge", { amountMinor: 100 }, header);
+	assert.equal(retry.status, 200, JSON.stringify(retry.body));
+	assert.equal(retry.headers.get("idempotent-replayed"), null);
+	const key = expectedKey(header["Idempotency-Key"], "payment_intent");
+	assert.deepEqual(piKeys.slice(charged), [key, key]);
+	// ...so Stripe hands back the first PaymentIntent instead of charging again
+	assert.equal(retry.body.paymentIntentId, dropped.id);
+	assert.equal(listInvoices((i) => i.stripePaymentIntentId === dropped.id).length, 1);
+});
@@ -0,0 +1,110 @@
+// test/invoiceExport.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEMO_USER_ID, startApp } = require("./helpers");
+const invoiceRoutes = require("../routes/invoices");
+const { createInvoice } = require("../services/invoices");
+const { recordRefund } = require("../services/creditNotes");
+const { exportLines } = require("../services/invoiceExport");
+
+const account = { userId: DEMO_USER_ID };
+const line = (title, unitAmount, qty = 1) => ({ title, qty, unitAmount });
+
+let app;
+let paid;
+before(async () => {
+	app = await startApp(invoiceRoutes);
+	paid = createInvoice({
+		account,
+		source: "test_charge",
+		currency: "gbp",
+		lineItems: [line('=HYPERLINK("x")', 333, 3), line('Session, "long"', 1001)],
+		discount: { code: "ASSOC", label: "10% off", amount: 200 },
+		tax: { rate: 20, amount: 360, label: "VAT 20%", country: "GB", reverseCharge: false },
+		status: "paid",
+	});
+	recordRefund(paid, { id: "re_export", amount: 1000, status: "succeeded" });
+	const other = { account, currency: "gbp" };
+	createInvoice({ ...other, source: "test_charge", lineItems: [line("Abandoned", 500)], status: "void" });
+	createInvoice({ ...other, source: "usage", lineItems: [line("Unpaid usage", 700)], status: "open" });
+});
+after(() => app.close());
+
+// Data rows of a CSV export (BOM and header dropped)
+const rowsOf = (text) => text.replace(/^\ufeff/, "").trim().split("\r\n").slice(1);
+
+test("line taxes add up to the document's tax, the discount as a negative line", () => {
+	const lines = exportLines(paid);
+	assert.deepEqual(
+		lines.map((l) => [l.netAmount, l.taxAmount]),
+		[[999, 200], [1001, 200], [-200, -40]]
+	);
+	assert.equal(lines.reduce((sum, l) => sum + l.netAmount + l.taxAmount, 0), paid.amount);
+});
+
+test("csv lists every issued document with its status, credit notes negative", async () => {
+	const res = await app.request("GET", "/invoices/export?format=csv");
+	assert.equal(res.status, 200);
+	assert.match(res.headers.get("content-type"), /^text\/csv/);
+	const rows = rowsOf(res.text);
+	assert.ok(rows.some((r) => r.includes(",void,")));
+	assert.ok(rows.some((r) => r.includes(",open,")));
+	const cn = rows.find((r) => r.startsWith("Credit note,"));
+	assert.match(cn, /,-10\.00$/);
+	// Quoted, and not a formula
+	assert.ok(rows.some((r) => r.includes(`"'=HYPERLINK(""x"")"`)));
+	assert.ok(rows.some((r) => r.includes(`"Session, ""long"""`)));
+});
+
+for (const format of ["xero", "quickbooks"]) {
+	test(`${format} only has settled sales`, async () => {
+		const res = await app.request("GET", `/invoices/export?format=${format}`);
+		assert.equal(res.status, 200);
+		const rows = rowsOf(res.text);
+		assert.ok(!rows.some((r) => r.includes("Abandoned")));
+		assert.ok(!rows.some((r) => r.includes("Unpaid usage")));
+		assert.ok(rows.some((r) => r.includes(paid.number)));
+		assert.ok(rows.some((r) => r.includes("Refund against invoice")));
+	});
+}
+
+test("json has minor units per line and the totals", async () => {
+	const res = await app.request("GET", "/invoices/export?format=json");
+	assert.equal(res.status, 200);
+	const doc = res.body.documents.find((d) => d.id === paid.id);
+	assert.equal(doc.amount, 2160);
+	assert.equal(doc.refundedAmount, 1000);
+	assert.equal(doc.lineItems.length, 3);
+	const cn = res.body.documents.find((d) => d.type === "credit_note");
+	assert.equal(cn.amount, -1000);
+	assert.equal(cn.invoiceNumber, paid.number);
+});
+
+test("an unknown format is rejected", async () => {
+	const res = await app.request("GET", "/invoices/export?format=ods");
+	assert.equal(res.status, 400);
+});
+
+test("from and to must be real dates, and only they reach the filename", async () => {
+	for (const query of [
+		"from=yesterday",
+		"to=2025-02-30",
+		"from=2025-1-1",
+		"from=2025-01-01T00:00:00Z",
+		"to=2025-01-01%0d%0aSet-Cookie:%20x=1",
+		"from=2025-01-01&from=2025-02-01",
+	]) {
+		const res = await app.request("GET", `/invoices/export?format=json&${query}`);
+		assert.equal(res.status, 400, query);
+		assert.equal(res.headers.get("content-disposition"), null, query);
+		assert.equal((await app.request("GET", `/invoices?${query}`)).status, 400, query);
+	}
+
+	const year = new Date().getUTCFullYear();
+	const ok = await app.request("GET", `/invoices/export?format=json&from=${year}-01-01&to=${year}-12-31`);
+	assert.equal(ok.status, 200);
+	assert.equal(
+		ok.headers.get("content-disposition"),
+		`attachment; filename=invoices_${year}-01-01_${year}-12-31.json`
+	);
+});
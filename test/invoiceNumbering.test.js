@@ -0,0 +1,64 @@
+// test/invoiceNumbering.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEMO_USER_ID } = require("./helpers");
+const {
+	createInvoice,
+	transitionInvoice,
+	nextDocumentNumber,
+} = require("../services/invoices");
+const { recordRefund } = require("../services/creditNotes");
+
+const account = { userId: DEMO_USER_ID };
+const year = new Date().getUTCFullYear();
+const seqOf = (number) => Number(number.slice(-6));
+
+const draft = () =>
+	createInvoice({
+		account,
+		source: "test",
+		currency: "usd",
+		lineItems: [{ title: "Interpreting", qty: 1, unitAmount: 1000 }],
+	});
+
+test("invoices are numbered when they leave draft, without gaps", () => {
+	const [a, b, c] = [draft(), draft(), draft()];
+	assert.equal(a.number, null);
+
+	// Issued in a different order from the one they were drafted in
+	const first = transitionInvoice(c.id, "open");
+	const second = transitionInvoice(a.id, "paid");
+	const third = transitionInvoice(b.id, "void");
+	assert.match(first.number, new RegExp(`^VBZ-${year}-\\d{6}$`));
+	assert.equal(seqOf(second.number), seqOf(first.number) + 1);
+	assert.equal(seqOf(third.number), seqOf(first.number) + 2);
+
+	// Later moves keep the number
+	const paid = transitionInvoice(c.id, "paid");
+	assert.equal(paid.number, first.number);
+	assert.equal(paid.issuedAt, first.issuedAt);
+});
+
+test("credit notes have a sequence of their own", () => {
+	const inv = transitionInvoice(draft().id, "paid");
+	const cn1 = recordRefund(inv, { id: "re_number_1", amount: 400, status: "succeeded" });
+	const cn2 = recordRefund(inv, { id: "re_number_2", amount: 600, status: "succeeded" });
+	assert.match(cn1.number, new RegExp(`^VBZ-CN-${year}-\\d{6}$`));
+	assert.equal(seqOf(cn2.number), seqOf(cn1.number) + 1);
+	assert.equal(cn1.invoiceNumber, inv.number);
+
+	// ...so refunds don't leave holes in the invoice numbers
+	const next = transitionInvoice(draft().id, "open");
+	assert.equal(seqOf(next.number), seqOf(inv.number) + 1);
+
+	// A redelivered refund doesn't take another number
+	const again = recordRefund(inv, { id: "re_number_2", amount: 600, status: "succeeded" });
+	assert.equal(again.number, cn2.number);
+});
+
+test("each calendar year starts again at 1", () => {
+	assert.equal(nextDocumentNumber("", new Date("2031-01-01T00:00:00Z")), "VBZ-2031-000001");
+	assert.equal(nextDocumentNumber("", new Date("2031-12-31T23:59:59Z")), "VBZ-2031-000002");
+	assert.equal(nextDocumentNumber("", new Date("2032-01-01T00:00:00Z")), "VBZ-2032-000001");
+	assert.equal(nextDocumentNumber("CN", new Date("2031-06-01T00:00:00Z")), "VBZ-CN-2031-000001");
+});
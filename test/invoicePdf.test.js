@@ -0,0 +1,85 @@
+// test/invoicePdf.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+const {
+	DEFAULT_TEMPLATE,
+	parseLogo,
+	setInvoiceBranding,
+	invoiceTemplateFor,
+	createInvoicePDF,
+	writeInvoicePDF,
+} = require("../services/invoicePdf");
+
+// Smallest valid PNG (1x1, transparent)
+const PNG =
+	"data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=";
+
+test("user invoices and unbranded orgs get the default template", () => {
+	assert.equal(invoiceTemplateFor({ userId: "u_1", orgId: null }), DEFAULT_TEMPLATE);
+	assert.equal(invoiceTemplateFor({ orgId: "org_plain" }), DEFAULT_TEMPLATE);
+});
+
+test("an org's overrides replace the brand and footer note, never the seller", () => {
+	setInvoiceBranding("org_full", {
+		brandName: "Acme Interpreting",
+		accentColor: "#ff0000",
+		footerNote: "Thank you!",
+		...parseLogo(PNG),
+	});
+	const t = invoiceTemplateFor({ orgId: "org_full" });
+	assert.equal(t.brandName, "Acme Interpreting");
+	assert.equal(t.accentColor, "#ff0000");
+	assert.equal(t.footerNote, "Thank you!");
+	assert.ok(Buffer.isBuffer(t.logo));
+	assert.deepEqual(t.seller, DEFAULT_TEMPLATE.seller);
+	assert.equal(t.paymentTerms, DEFAULT_TEMPLATE.paymentTerms);
+});
+
+test("a brand name without a logo drops ours; other gaps fall back to the defaults", () => {
+	setInvoiceBranding("org_name", { brandName: "Named Only" });
+	const named = invoiceTemplateFor({ orgId: "org_name" });
+	assert.equal(named.brandName, "Named Only");
+	assert.equal(named.logo, null);
+	assert.equal(named.accentColor, DEFAULT_TEMPLATE.accentColor);
+
+	setInvoiceBranding("org_colour", { accentColor: "#00ff00" });
+	const coloured = invoiceTemplateFor({ orgId: "org_colour" });
+	assert.equal(coloured.brandName, DEFAULT_TEMPLATE.brandName);
+	assert.equal(coloured.logo, DEFAULT_TEMPLATE.logo);
+	assert.equal(coloured.accentColor, "#00ff00");
+});
+
+test("a PDF is drawn with the org's template", async () => {
+	const inv = {
+		id: "inv_pdf",
+		number: "VBZ-2026-000123",
+		status: "paid",
+		orgId: "org_full",
+		currency: "GBP",
+		lineItems: Array.from({ length: 60 }, (_, i) => ({
+			title: `Session ${i + 1}`,
+			qty: 1,
+			unitAmount: 1000,
+		})),
+		subtotal: 60000,
+		tax: { rate: 20, amount: 12000, label: "VAT 20%", country: "GB" },
+		amount: 72000,
+		discount: null,
+		issuedAt: "2026-01-15T10:00:00.000Z",
+		createdAt: "2026-01-15T10:00:00.000Z",
+	};
+	const doc = createInvoicePDF();
+	const chunks = [];
+	doc.on("data", (c) => chunks.push(c));
+	const done = new Promise((resolve) => doc.on("end", resolve));
+	writeInvoicePDF(doc, inv, { name: "Acme Client", address: null });
+	const pages = doc.bufferedPageRange().count;
+	doc.end();
+	await done;
+
+	const pdf = Buffer.concat(chunks);
+	assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+	// 60 lines don't fit on one page
+	assert.ok(pages > 1, `${pages} page(s)`);
+});
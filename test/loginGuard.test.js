@@ -0,0 +1,51 @@
+// test/loginGuard.test.js
+require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkLogin, recordLoginFailure, recordLoginSuccess } = require("../services/loginGuard");
+const { listAuditEvents } = require("../services/audit");
+
+const events = (type) => listAuditEvents({ type, limit: 500 });
+
+test("the sixth failure locks the account, with backoff after that", () => {
+	const email = "locked@example.com";
+	for (let i = 0; i < 5; i++)
+		assert.equal(recordLoginFailure(email, "10.0.0.1").retryAfterSeconds, 0);
+	assert.equal(checkLogin(email, "10.0.0.1").locked, false);
+
+	assert.equal(recordLoginFailure(email, "10.0.0.1").retryAfterSeconds, 30);
+	assert.equal(recordLoginFailure(email, "10.0.0.1").retryAfterSeconds, 60);
+	const lock = checkLogin(email, "10.0.0.2");
+	assert.equal(lock.locked, true);
+	assert.equal(lock.scope, "account");
+	assert.equal(events("auth.account_locked").length, 2);
+});
+
+test("attempts during a lockout are audited once, not once each", () => {
+	const email = "flood@example.com";
+	for (let i = 0; i < 6; i++) recordLoginFailure(email, "10.0.1.1");
+	const before = events("auth.login_blocked").length;
+
+	for (let i = 0; i < 50; i++) assert.equal(checkLogin(email, "10.0.1.1").locked, true);
+	assert.equal(events("auth.login_blocked").length, before + 1);
+
+	// A new lock is worth a new entry
+	recordLoginFailure(email, "10.0.1.1");
+	checkLogin(email, "10.0.1.1");
+	checkLogin(email, "10.0.1.1");
+	assert.equal(events("auth.login_blocked").length, before + 2);
+});
+
+test("a successful login clears the account counter but not the IP's", () => {
+	const email = "ok@example.com";
+	const ip = "10.0.2.1";
+	for (let i = 0; i < 5; i++) recordLoginFailure(email, ip);
+	recordLoginSuccess(email, ip, "u_x");
+	// Back to five free attempts for the account
+	for (let i = 0; i < 5; i++) assert.equal(recordLoginFailure(email, ip).retryAfterSeconds, 0);
+
+	// ...while the IP is at 10 of its 20
+	for (let i = 0; i < 10; i++) recordLoginFailure(`spray${i}@example.com`, ip);
+	assert.ok(recordLoginFailure("one-more@example.com", ip).retryAfterSeconds > 0);
+	assert.equal(checkLogin("someone-else@example.com", ip).scope, "ip");
+});
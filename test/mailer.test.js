@@ -0,0 +1,80 @@
+// test/mailer.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const MAILER = path.join(__dirname, "../services/mailer.js");
+
+// Load the mailer in a fresh process with `env`; returns { status, stderr }
+function loadMailer(env) {
+	return spawnSync(process.execPath, ["-e", `require(${JSON.stringify(MAILER)})`], {
+		env: { PATH: process.env.PATH, DATA_STORE: "memory", ...env },
+		encoding: "utf8",
+	});
+}
+
+test("production refuses to start without a delivering transport", () => {
+	for (const transport of [undefined, "outbox", "console"]) {
+		const env = {
+			NODE_ENV: "production",
+			APP_URL: "https://app.example.com",
+			...(transport && { MAIL_TRANSPORT: transport }),
+		};
+		const { status, stderr } = loadMailer(env);
+		assert.notEqual(status, 0, `MAIL_TRANSPORT=${transport}`);
+		assert.match(stderr, /MAIL_TRANSPORT/);
+	}
+});
+
+test("production starts with a transport module", () => {
+	const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "mail-")), "transport.js");
+	fs.writeFileSync(file, "module.exports = { async send() {} };");
+	const { status, stderr } = loadMailer({
+		NODE_ENV: "production",
+		APP_URL: "https://app.example.com",
+		MAIL_TRANSPORT: "module",
+		MAIL_TRANSPORT_MODULE: file,
+	});
+	assert.equal(status, 0, stderr);
+});
+
+test("production refuses to start without the app's URL", () => {
+	const { status, stderr } = loadMailer({ NODE_ENV: "production", MAIL_TRANSPORT: "console" });
+	assert.notEqual(status, 0);
+	assert.match(stderr, /APP_URL/);
+});
+
+test("emailed links go to the API or the app, whichever has the page", () => {
+	const code = `
+		const mailer = require(${JSON.stringify(MAILER)});
+		const sent = [];
+		mailer.setTransport({ async send(m) { sent.push(m.text); } });
+		const user = { email: "a@example.com", firstName: "A" };
+		Promise.all([
+			mailer.sendVerificationEmail(user, "v1"),
+			mailer.sendPasswordResetEmail(user, "r1"),
+			mailer.sendOrgInvitationEmail({ email: user.email, org: { name: "Org" }, token: "i1" }),
+		]).then(() => process.stderr.write(JSON.stringify(sent)));`;
+	const { status, stderr } = spawnSync(process.execPath, ["-e", code], {
+		env: {
+			PATH: process.env.PATH,
+			DATA_STORE: "memory",
+			MAIL_TRANSPORT: "console",
+			API_URL: "https://api.example.com/",
+			APP_URL: "https://app.example.com",
+		},
+		encoding: "utf8",
+	});
+	assert.equal(status, 0, stderr);
+	const sent = JSON.parse(stderr);
+	assert.match(sent[0], /https:\/\/api\.example\.com\/api\/auth\/verify-email\?token=v1/);
+	assert.match(sent[1], /https:\/\/app\.example\.com\/reset-password\?token=r1/);
+	assert.match(sent[2], /https:\/\/app\.example\.com\/accept-invite\?token=i1/);
+});
+
+test("development defaults to the outbox", () => {
+	assert.equal(loadMailer({ NODE_ENV: "development" }).status, 0);
+});
@@ -0,0 +1,105 @@
+// test/orgs.test.js
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { stripe, startApp } = require("./helpers");
+const orgRoutes = require("../routes/orgs");
+const billingRoutes = require("../routes/billing");
+const { createUser } = require("../services/users");
+const { createInvitation, getMembership } = require("../services/orgs");
+
+const person = (name) =>
+	createUser({
+		email: `${name}@example.com`,
+		password: "password123",
+		firstName: name,
+		lastName: "Tester",
+	});
+
+const apps = [];
+async function as(user, router = orgRoutes) {
+	const app = await startApp(router, { user: { id: user.id, role: "user" } });
+	apps.push(app);
+	return app;
+}
+after(() => Promise.all(apps.map((a) => a.close())));
+
+async function orgOwnedBy(owner) {
+	const created = await (await as(owner)).request("POST", "/", { name: `${owner.firstName} Ltd` });
+	assert.equal(created.status, 201, JSON.stringify(created.body));
+	return created.body.org;
+}
+
+test("an invitation is accepted once, by the invited address only", async () => {
+	const owner = person("owner1");
+	const invitee = person("invitee1");
+	const stranger = person("stranger1");
+	const org = await orgOwnedBy(owner);
+
+	const sent = await (await as(owner)).request("POST", `/${org.id}/invitations`, {
+		email: invitee.email,
+	});
+	assert.equal(sent.status, 201);
+	assert.equal(sent.body.invitation.tokenHash, undefined);
+
+	const { token } = createInvitation({ orgId: org.id, email: invitee.email, invitedBy: owner.id });
+
+	const wrongUser = await (await as(stranger)).request("POST", "/invitations/accept", { token });
+	assert.equal(wrongUser.status, 403);
+	assert.equal(getMembership(stranger.id), null);
+
+	const accepted = await (await as(invitee)).request("POST", "/invitations/accept", { token });
+	assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+	assert.equal(accepted.body.org.id, org.id);
+	assert.equal(accepted.body.role, "member");
+
+	const reused = await (await as(invitee)).request("POST", "/invitations/accept", { token });
+	assert.equal(reused.status, 400);
+});
+
+test("only the org's owners and admins see its billing", async () => {
+	const owner = person("owner2");
+	const member = person("member2");
+	const org = await orgOwnedBy(owner);
+	const { token } = createInvitation({ orgId: org.id, email: member.email, invitedBy: owner.id });
+	assert.equal((await (await as(member)).request("POST", "/invitations/accept", { token })).status, 200);
+
+	const memberBilling = await as(member, billingRoutes);
+	for (const path of ["/wallet", "/wallet/ledger", "/subscriptions"])
+		assert.equal((await memberBilling.request("GET", path)).status, 403, path);
+	assert.equal((await (await as(member)).request("GET", `/${org.id}/usage`)).status, 403);
+
+	const wallet = await (await as(owner, billingRoutes)).request("GET", "/wallet");
+	assert.equal(wallet.status, 200);
+
+	const promoted = await (await as(owner)).request("PATCH", `/${org.id}/members/${member.id}`, {
+		role: "admin",
+	});
+	assert.equal(promoted.status, 200, JSON.stringify(promoted.body));
+	assert.equal((await memberBilling.request("GET", "/wallet")).status, 200);
+});
+
+test("a live personal subscription must be canceled before joining or creating an org", async () => {
+	const owner = person("owner3");
+	const subscriber = person("subscriber3");
+	const org = await orgOwnedBy(owner);
+
+	const billing = await as(subscriber, billingRoutes);
+	await billing.request("POST", "/payment-methods/pm_card_visa/default");
+	const created = await billing.request("POST", "/subscriptions", { planId: "starter_monthly" });
+	assert.equal(created.status, 201, JSON.stringify(created.body));
+	await stripe.fake.settle();
+
+	const { token } = createInvitation({ orgId: org.id, email: subscriber.email, invitedBy: owner.id });
+	const orgs = await as(subscriber);
+	const refused = await orgs.request("POST", "/invitations/accept", { token });
+	assert.equal(refused.status, 409);
+	assert.equal(refused.body.code, "personal_subscription");
+	assert.equal(getMembership(subscriber.id), null);
+	assert.equal((await orgs.request("POST", "/", { name: "Solo Ltd" })).status, 409);
+
+	await stripe.subscriptions.cancel(created.body.subscription.id);
+	await stripe.fake.settle();
+
+	const joined = await orgs.request("POST", "/invitations/accept", { token });
+	assert.equal(joined.status, 200, JSON.stringify(joined.body));
+});
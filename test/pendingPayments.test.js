@@ -0,0 +1,92 @@
+// test/pendingPayments.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { stripe, startApp } = require("./helpers");
+const billingRoutes = require("../routes/billing");
+const { createUser } = require("../services/users");
+const { findInvoice } = require("../services/invoices");
+const { getWallet, listLedger } = require("../services/wallet");
+
+const user = createUser({
+	email: "sca@example.com",
+	password: "password123",
+	firstName: "Strong",
+	lastName: "Auth",
+});
+const account = { userId: user.id };
+
+let app;
+before(async () => {
+	app = await startApp(billingRoutes, { user: { id: user.id, role: "user" } });
+	await app.request("POST", "/payment-methods/pm_card_visa/default");
+	// Opt in to the wallet, then switch to a card whose bank asks for 3-D Secure
+	assert.equal((await app.request("POST", "/wallet/top-up", { amountMinor: 1000 })).status, 201);
+	await app.request("POST", "/payment-methods/pm_card_authenticationRequired/default");
+});
+after(() => app.close());
+
+// A top-up that stops at requires_action; returns its PaymentIntent id
+async function topUpNeedingAuth(amountMinor) {
+	const res = await app.request("POST", "/wallet/top-up", { amountMinor });
+	assert.equal(res.status, 202, JSON.stringify(res.body));
+	assert.equal(res.body.status, "requires_action");
+	assert.equal(res.body.recovery.nextStep, "handle_next_action");
+	await stripe.fake.settle();
+	return res.body.paymentIntentId;
+}
+
+const pendingIds = async () =>
+	(await app.request("GET", "/pending-payments")).body.payments.map((p) => p.id);
+const invoiceFor = (piId) => findInvoice((i) => i.stripePaymentIntentId === piId);
+
+test("a completed authentication credits the wallet and pays the invoice once", async () => {
+	const piId = await topUpNeedingAuth(2000);
+	assert.deepEqual(await pendingIds(), [piId]);
+	assert.equal(getWallet(account).balance, 1000);
+	assert.equal(invoiceFor(piId).status, "open");
+
+	// Before the customer has authenticated, the app is sent back to Stripe.js
+	const early = await app.request("POST", `/pending-payments/${piId}/complete`, {});
+	assert.equal(early.status, 202);
+	assert.ok(early.body.clientSecret);
+
+	await stripe.fake.completeAuthentication(piId);
+	await stripe.fake.settle();
+	assert.deepEqual(await pendingIds(), []);
+	assert.equal(getWallet(account).balance, 3000);
+	assert.equal(invoiceFor(piId).status, "paid");
+
+	const again = await app.request("POST", `/pending-payments/${piId}/complete`, {});
+	assert.equal(again.status, 409);
+	assert.equal(again.body.recovery.state, "succeeded");
+	assert.equal(getWallet(account).balance, 3000);
+	assert.equal(listLedger(getWallet(account).id).filter((e) => e.paymentIntentId === piId).length, 1);
+});
+
+test("a cancelled payment voids its invoice and leaves the wallet alone", async () => {
+	const piId = await topUpNeedingAuth(1500);
+	const before = getWallet(account).balance;
+
+	const canceled = await app.request("POST", `/pending-payments/${piId}/cancel`);
+	assert.equal(canceled.status, 200, JSON.stringify(canceled.body));
+	assert.equal(canceled.body.recovery.state, "canceled");
+	await stripe.fake.settle();
+
+	assert.deepEqual(await pendingIds(), []);
+	assert.equal(getWallet(account).balance, before);
+	assert.equal(invoiceFor(piId).status, "void");
+
+	assert.equal((await app.request("POST", `/pending-payments/${piId}/cancel`)).status, 409);
+	assert.equal((await app.request("POST", `/pending-payments/${piId}/complete`, {})).status, 409);
+});
+
+test("someone else's pending payment is not found", async () => {
+	const piId = await topUpNeedingAuth(500);
+	const other = await startApp(billingRoutes);
+	try {
+		assert.equal((await other.request("POST", `/pending-payments/${piId}/complete`, {})).status, 404);
+		assert.equal((await other.request("POST", `/pending-payments/${piId}/cancel`)).status, 404);
+	} finally {
+		await other.close();
+	}
+});
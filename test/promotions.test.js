@@ -0,0 +1,62 @@
+// test/promotions.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { stripe, startApp } = require("./helpers");
+const billingRoutes = require("../routes/billing");
+const { listInvoices } = require("../services/invoices");
+const { createPromotion } = require("../services/promotions");
+
+let app;
+before(async () => {
+	app = await startApp(billingRoutes);
+	await app.request("POST", "/payment-methods/pm_card_visa/default");
+	createPromotion({
+		code: "FREEBIE",
+		percentOff: 100,
+		appliesTo: ["one_off"],
+		oncePerAccount: false,
+	});
+	createPromotion({ code: "FIVEOFF", amountOff: 500, currency: "usd", appliesTo: ["one_off"] });
+});
+after(() => app.close());
+
+const testCharges = () => listInvoices((i) => i.source === "test_charge");
+
+test("test charges validate the amount", async () => {
+	for (const amountMinor of ["500", -100, 0, 10.5, 10_000_000]) {
+		const res = await app.request("POST", "/test-charge", { amountMinor });
+		assert.equal(res.status, 400, `amountMinor ${amountMinor}`);
+	}
+	assert.equal(testCharges().length, 0);
+});
+
+test("a promotion can't make a test charge free", async () => {
+	const body = { amountMinor: 500, promoCode: "freebie" };
+	const res = await app.request("POST", "/test-charge", body);
+	assert.equal(res.status, 400);
+	assert.equal(res.body.code, "promo_not_applicable");
+	assert.equal(testCharges().length, 0);
+});
+
+test("a discounted test charge charges the net amount and records the discount", async () => {
+	const body = { amountMinor: 2000, promoCode: "fiveoff" };
+	const res = await app.request("POST", "/test-charge", body);
+	assert.equal(res.status, 200, JSON.stringify(res.body));
+	assert.equal(res.body.discountMinor, 500);
+	assert.equal(res.body.netMinor, 1500);
+	const pi = await stripe.paymentIntents.retrieve(res.body.paymentIntentId);
+	assert.equal(pi.amount, 1500 + res.body.taxMinor);
+
+	const [inv] = testCharges();
+	assert.equal(inv.status, "paid");
+	assert.deepEqual(inv.lineItems, [{ title: "Test charge", qty: 1, unitAmount: 2000 }]);
+	assert.equal(inv.subtotal, 1500);
+	assert.equal(inv.discount.amount, 500);
+});
+
+test("a promotion can't make a top-up free either", async () => {
+	const body = { amountMinor: 2000, promoCode: "freebie" };
+	const res = await app.request("POST", "/wallet/top-up", body);
+	assert.equal(res.status, 400);
+	assert.equal(res.body.code, "promo_not_applicable");
+});
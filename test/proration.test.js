@@ -0,0 +1,66 @@
+// test/proration.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { stripe, startApp } = require("./helpers");
+const billingRoutes = require("../routes/billing");
+const { listInvoices } = require("../services/invoices");
+
+// The demo account is in the US: Starter is 649, Pro 1899 a month, no VAT
+let app;
+let sub;
+before(async () => {
+	app = await startApp(billingRoutes);
+	await app.request("POST", "/payment-methods/pm_card_visa/default");
+	const created = await app.request("POST", "/subscriptions", { planId: "starter_monthly" });
+	assert.equal(created.status, 201, JSON.stringify(created.body));
+	sub = created.body.subscription;
+	await stripe.fake.settle();
+});
+after(() => app.close());
+
+const subscriptionInvoices = () => listInvoices((i) => i.source === "subscription");
+const changePlan = async (planId) => {
+	const res = await app.request("PATCH", `/subscriptions/${sub.id}`, { planId });
+	assert.equal(res.status, 200, JSON.stringify(res.body));
+	await stripe.fake.settle();
+	return res.body;
+};
+
+test("an upgrade invoices the prorated difference straight away", async () => {
+	const before = subscriptionInvoices().length;
+	const body = await changePlan("pro_monthly");
+	assert.equal(body.change, "upgrade");
+	assert.equal(body.prorationBehavior, "always_invoice");
+	assert.equal(body.subscription.planId, "pro_monthly");
+
+	const invoices = subscriptionInvoices();
+	assert.equal(invoices.length, before + 1);
+	const proration = invoices.at(-1);
+	assert.equal(proration.status, "paid");
+	// Changed at the start of the period: the whole month's difference
+	assert.deepEqual(proration.lineItems.map((l) => l.unitAmount), [-649, 1899]);
+	assert.equal(proration.amount, 1250);
+});
+
+test("a downgrade isn't invoiced; its credit comes off the next renewal", async () => {
+	const before = subscriptionInvoices().length;
+	const body = await changePlan("starter_monthly");
+	assert.equal(body.change, "downgrade");
+	assert.equal(body.prorationBehavior, "create_prorations");
+	assert.equal(subscriptionInvoices().length, before);
+
+	await stripe.fake.renewSubscription(sub.id);
+	await stripe.fake.settle();
+	const renewal = subscriptionInvoices().at(-1);
+	const credit = renewal.lineItems.find((l) => l.title.startsWith("Unused time on"));
+	assert.ok(credit, JSON.stringify(renewal.lineItems));
+	assert.equal(credit.unitAmount, -1899);
+	assert.equal(renewal.amount, 649 - 1899 + 649);
+});
+
+test("changing to the current plan is refused", async () => {
+	const res = await app.request("PATCH", `/subscriptions/${sub.id}`, {
+		planId: "starter_monthly",
+	});
+	assert.equal(res.status, 409);
+});
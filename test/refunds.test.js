@@ -0,0 +1,85 @@
+// test/refunds.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEMO_USER_ID, startApp } = require("./helpers");
+const billingRoutes = require("../routes/billing");
+const { updateUser } = require("../services/users");
+const { findInvoice, getInvoice } = require("../services/invoices");
+const { creditNotesFor, recordRefund } = require("../services/creditNotes");
+const { createPromotion } = require("../services/promotions");
+const { getWallet } = require("../services/wallet");
+
+const account = { userId: DEMO_USER_ID };
+
+let app;
+let invoice;
+before(async () => {
+	// A UK customer, so the top-up carries 20% VAT
+	updateUser(DEMO_USER_ID, { country: "GB", postalCode: "SW1A 1AA" });
+	app = await startApp(billingRoutes, { user: { id: DEMO_USER_ID, role: "admin" } });
+	await app.request("POST", "/payment-methods/pm_card_visa/default");
+	createPromotion({ code: "QUARTER", percentOff: 25, appliesTo: ["one_off"] });
+
+	// 2000 of credit for 1500 + 300 VAT
+	const res = await app.request("POST", "/wallet/top-up", {
+		amountMinor: 2000,
+		promoCode: "QUARTER",
+	});
+	assert.equal(res.status, 201, JSON.stringify(res.body));
+	invoice = findInvoice((i) => i.stripePaymentIntentId === res.body.paymentIntentId);
+});
+after(() => app.close());
+
+const refund = (body) =>
+	app.request("POST", "/refunds", { paymentIntentId: invoice.stripePaymentIntentId, ...body });
+
+test("the top-up is invoiced net of the discount, with VAT on what was paid", () => {
+	assert.equal(invoice.subtotal, 1500);
+	assert.equal(invoice.tax.amount, 300);
+	assert.equal(invoice.amount, 1800);
+	assert.equal(getWallet(account).balance, 2000);
+});
+
+test("a partial refund splits VAT pro rata and takes back the credit it bought", async () => {
+	const res = await refund({ amountMinor: 900 });
+	assert.equal(res.status, 201, JSON.stringify(res.body));
+
+	const cn = res.body.creditNote;
+	assert.equal(cn.amount, 900);
+	assert.equal(cn.tax.amount, 150);
+	assert.equal(cn.subtotal, 750);
+	assert.equal(cn.invoiceNumber, invoice.number);
+
+	const inv = getInvoice(invoice.id);
+	assert.equal(inv.status, "paid");
+	assert.equal(inv.refundedAmount, 900);
+	// 750 paid for 1000 of credit
+	assert.equal(getWallet(account).balance, 1000);
+});
+
+test("recording the same Stripe refund again (the webhook) changes nothing", () => {
+	const [cn] = creditNotesFor(invoice.id);
+	recordRefund(getInvoice(invoice.id), {
+		id: cn.stripeRefundId,
+		amount: cn.amount,
+		status: "succeeded",
+	});
+	assert.equal(creditNotesFor(invoice.id).length, 1);
+	assert.equal(getInvoice(invoice.id).refundedAmount, 900);
+	assert.equal(getWallet(account).balance, 1000);
+});
+
+test("refunding the rest marks the invoice refunded; nothing more can be refunded", async () => {
+	const res = await refund({});
+	assert.equal(res.status, 201, JSON.stringify(res.body));
+	assert.equal(res.body.creditNote.amount, 900);
+
+	const inv = getInvoice(invoice.id);
+	assert.equal(inv.status, "refunded");
+	assert.equal(inv.refundedAmount, 1800);
+	const notes = creditNotesFor(invoice.id);
+	assert.equal(notes.reduce((sum, n) => sum + n.tax.amount, 0), invoice.tax.amount);
+	assert.equal(getWallet(account).balance, 0);
+
+	assert.equal((await refund({ amountMinor: 1 })).status, 409);
+});
@@ -0,0 +1,84 @@
+// test/roles.test.js
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+const adminRoutes = require("../routes/admin");
+const billingRoutes = require("../routes/billing");
+const { createUser, findUserById } = require("../services/users");
+
+const staff = (role) =>
+	createUser({
+		email: `${role}@example.com`,
+		password: "password123",
+		firstName: role,
+		lastName: "Staff",
+	});
+const accounts = { user: staff("user"), support: staff("support"), admin: staff("admin") };
+
+const apps = [];
+async function adminAs(role) {
+	const user = role && { id: accounts[role].id, role };
+	const app = await startApp(adminRoutes, { user });
+	apps.push(app);
+	return app;
+}
+after(() => Promise.all(apps.map((a) => a.close())));
+
+const READ_ROUTES = [
+	"/users",
+	"/audit-events",
+	"/stripe-events",
+	"/usage-billing/runs",
+	"/dunning",
+	"/promotions",
+];
+
+test("nobody signed in gets 401", async () => {
+	const app = await adminAs(null);
+	assert.equal((await app.request("GET", "/users")).status, 401);
+});
+
+test("a plain user gets 403 on every admin route", async () => {
+	const app = await adminAs("user");
+	for (const path of READ_ROUTES) {
+		const res = await app.request("GET", path);
+		assert.equal(res.status, 403, path);
+		assert.equal(res.body.requiredRole, "support");
+	}
+	const promote = await app.request("PUT", `/users/${accounts.user.id}/role`, { role: "admin" });
+	assert.equal(promote.status, 403);
+	assert.equal(findUserById(accounts.user.id).role, "user");
+});
+
+test("support can read but not change anything admin-only", async () => {
+	const app = await adminAs("support");
+	for (const path of READ_ROUTES) assert.equal((await app.request("GET", path)).status, 200, path);
+
+	for (const [method, path, body] of [
+		["PUT", `/users/${accounts.user.id}/role`, { role: "support" }],
+		["POST", "/usage-billing/run", {}],
+		["POST", "/dunning/run", {}],
+		["POST", "/promotions", { code: "STAFF10", percentOff: 10 }],
+	]) {
+		const res = await app.request(method, path, body);
+		assert.equal(res.status, 403, `${method} ${path}`);
+		assert.equal(res.body.requiredRole, "admin");
+	}
+
+	const billing = await startApp(billingRoutes, {
+		user: { id: accounts.support.id, role: "support" },
+	});
+	apps.push(billing);
+	assert.equal((await billing.request("GET", "/debug-key")).status, 403);
+	assert.equal((await billing.request("POST", "/refunds", { paymentIntentId: "pi_x" })).status, 403);
+});
+
+test("an admin can change roles, but not demote themselves", async () => {
+	const app = await adminAs("admin");
+	const res = await app.request("PUT", `/users/${accounts.user.id}/role`, { role: "support" });
+	assert.equal(res.status, 200, JSON.stringify(res.body));
+	assert.equal(findUserById(accounts.user.id).role, "support");
+
+	const self = await app.request("PUT", `/users/${accounts.admin.id}/role`, { role: "user" });
+	assert.equal(self.status, 400);
+});
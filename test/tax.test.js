@@ -0,0 +1,78 @@
+// test/tax.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { stripe } = require("./helpers");
+const {
+	parseVatNumber,
+	taxTreatment,
+	taxAmount,
+	resolveTaxRateId,
+} = require("../services/tax");
+
+test("UK customers, and ones we can't place, pay UK VAT", () => {
+	for (const country of ["GB", "United Kingdom", "scotland", undefined, "Narnia"]) {
+		const t = taxTreatment({ country });
+		assert.equal(t.rate, 20, `country ${country}`);
+		assert.equal(t.reverseCharge, false);
+	}
+	// A UK VAT number changes nothing for a UK business
+	assert.equal(taxTreatment({ country: "GB", vatNumber: "GB123456789" }).rate, 20);
+});
+
+test("EU consumers pay their own country's rate", () => {
+	const t = taxTreatment({ country: "Germany" });
+	assert.equal(t.country, "DE");
+	assert.equal(t.rate, 19);
+	assert.equal(t.label, "VAT 19% (DE)");
+});
+
+test("EU businesses with a VAT number for their country are reverse charged", () => {
+	const t = taxTreatment({ country: "FR", vatNumber: "fr 12 345678901" });
+	assert.equal(t.rate, 0);
+	assert.equal(t.reverseCharge, true);
+	assert.match(t.note, /Reverse charge/);
+
+	// A number from another country, or a malformed one, is ignored
+	assert.equal(taxTreatment({ country: "FR", vatNumber: "DE123456789" }).rate, 20);
+	assert.equal(taxTreatment({ country: "FR", vatNumber: "FR123" }).reverseCharge, false);
+});
+
+test("Greek VAT numbers use the EL prefix", () => {
+	assert.deepEqual(parseVatNumber("EL123456789"), {
+		vatNumber: "EL123456789",
+		country: "GR",
+	});
+	assert.equal(taxTreatment({ country: "GR", vatNumber: "EL123456789" }).reverseCharge, true);
+});
+
+test("customers outside the UK/EU VAT area pay no VAT", () => {
+	for (const customer of [
+		{ country: "US" },
+		{ country: "GB", postalCode: "JE2 3AB" },
+		{ country: "ES", postalCode: "35001" },
+	]) {
+		const t = taxTreatment(customer);
+		assert.equal(t.rate, 0, JSON.stringify(customer));
+		assert.equal(t.reverseCharge, false);
+		assert.equal(t.note, "Outside the scope of UK VAT");
+	}
+	// The rest of Spain is in
+	assert.equal(taxTreatment({ country: "ES", postalCode: "28001" }).rate, 21);
+});
+
+test("tax is rounded to the nearest minor unit", () => {
+	assert.equal(taxAmount(1000, { rate: 20 }), 200);
+	assert.equal(taxAmount(999, { rate: 25.5 }), 255);
+	assert.equal(taxAmount(1000, null), 0);
+});
+
+test("Stripe tax rates are created once per country and rate", async () => {
+	assert.equal(await resolveTaxRateId(taxTreatment({ country: "US" })), null);
+
+	const id = await resolveTaxRateId(taxTreatment({ country: "IE" }));
+	assert.equal(await resolveTaxRateId(taxTreatment({ country: "Ireland" })), id);
+	const { data } = await stripe.taxRates.list({ active: true, limit: 100 });
+	const rate = data.find((r) => r.id === id);
+	assert.equal(rate.percentage, 23);
+	assert.equal(rate.inclusive, false);
+});
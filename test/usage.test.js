@@ -0,0 +1,97 @@
+// test/usage.test.js
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || "sk-test";
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DEMO_USER_ID, startApp } = require("./helpers");
+const { Completions } = require("openai/resources/chat/completions/completions");
+const openaiRoutes = require("../routes/openai");
+const { listUsage } = require("../services/usage");
+const { previewUsage } = require("../services/meteredBilling");
+
+// No OpenAI here: every chat completion uses 42 tokens
+Completions.prototype.create = async () => ({
+	choices: [{ message: { content: "Hola mundo" } }],
+	usage: { total_tokens: 42 },
+});
+
+let app;
+before(async () => {
+	app = await startApp(openaiRoutes);
+});
+after(() => app.close());
+
+test("a translation is metered in the tokens its cost is based on", async () => {
+	const res = await app.request("POST", "/translate", {
+		text: "Hello world, this is longer than 42 characters in total",
+		target_language: "es",
+	});
+	assert.equal(res.status, 200, JSON.stringify(res.body));
+
+	const [record] = listUsage({ userId: DEMO_USER_ID }).filter((r) => r.service === "openai");
+	assert.equal(record.metric, "translation_tokens");
+	assert.equal(record.quantity, 42);
+	assert.equal(record.costEstimate, 42 * 0.00002);
+});
+
+test("translation tokens are priced on the usage invoice", () => {
+	const preview = previewUsage({ userId: DEMO_USER_ID });
+	const line = preview.lines.find((l) => l.metric === "translation_tokens");
+	assert.ok(line, JSON.stringify(preview));
+	assert.equal(line.quantity, 42);
+});
+
+/**
+ * Record usage in a child on the file store: nothing is written while the
+ * calls come in, and everything is there once the child has gone.
+ */
+function recordInChild(count, { stop }) {
+	const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-"));
+	const file = path.join(dataDir, "usage_records.json");
+	const usage = JSON.stringify(path.join(__dirname, "../services/usage.js"));
+	const code = `
+		const u = require(${usage});
+		for (let i = 0; i < ${count}; i++)
+			u.recordUsage("${DEMO_USER_ID}", { service: "tts", metric: "tts_characters", quantity: 10 });
+		console.log("written:" + require("fs").existsSync(${JSON.stringify(file)}));
+		${stop === "signal" ? "setInterval(() => {}, 1000);" : ""}
+	`;
+	const child = spawn(process.execPath, ["-e", code], {
+		env: {
+			PATH: process.env.PATH,
+			NODE_ENV: "test",
+			PAYMENT_GATEWAY: "fake",
+			DATA_STORE: "file",
+			DATA_DIR: dataDir,
+		},
+		stdio: ["ignore", "pipe", "inherit"],
+	});
+	return new Promise((resolve, reject) => {
+		let out = "";
+		child.stdout.on("data", (chunk) => {
+			out += chunk;
+			if (stop === "signal" && out.includes("written:")) child.kill("SIGTERM");
+		});
+		child.on("error", reject);
+		child.on("exit", () => {
+			const writtenDuringCalls = /written:true/.test(out);
+			const records = JSON.parse(fs.readFileSync(file, "utf8"));
+			resolve({ writtenDuringCalls, records });
+		});
+	});
+}
+
+test("usage records are written to the file store in batches, and on exit", async () => {
+	const { writtenDuringCalls, records } = await recordInChild(50, { stop: "exit" });
+	assert.equal(writtenDuringCalls, false);
+	assert.equal(records.length, 50);
+});
+
+test("pending usage records are flushed when the process is stopped", async () => {
+	const { writtenDuringCalls, records } = await recordInChild(20, { stop: "signal" });
+	assert.equal(writtenDuringCalls, false);
+	assert.equal(records.length, 20);
+});
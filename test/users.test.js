@@ -0,0 +1,102 @@
+// test/users.test.js
+process.env.ADMIN_EMAILS = "Boss@Example.com";
+require("./helpers");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { collection } = require("../services/store");
+const {
+	createUser,
+	findUserById,
+	findUserByEmail,
+	updateUser,
+	markEmailVerified,
+	verifyPassword,
+	toPublicUser,
+} = require("../services/users");
+
+const newUser = (email) =>
+	createUser({
+		email,
+		password: "password123",
+		firstName: "Ada",
+		lastName: "Lovelace",
+		city: "London",
+	});
+
+test("accounts are stored with a normalised email and a password hash", () => {
+	const user = newUser("  Ada@Example.COM ");
+	assert.match(user.id, /^u_[0-9a-f]{16}$/);
+	assert.equal(user.email, "ada@example.com");
+	assert.equal(user.role, "user");
+	assert.equal(user.emailVerified, false);
+	assert.notEqual(user.passwordHash, "password123");
+	assert.ok(verifyPassword(user, "password123"));
+	assert.ok(!verifyPassword(user, "password124"));
+
+	assert.equal(findUserByEmail("ADA@example.com").id, user.id);
+	assert.equal(findUserById(user.id).city, "London");
+	assert.throws(() => newUser("ada@example.com"), /already in use/);
+});
+
+test("ADMIN_EMAILS accounts start as admins", () => {
+	assert.equal(newUser("boss@example.com").role, "admin");
+});
+
+test("changing the email has to be verified again", () => {
+	const user = newUser("grace@example.com");
+	markEmailVerified(user.id);
+	assert.equal(updateUser(user.id, { city: "Arlington" }).emailVerified, true);
+
+	const moved = updateUser(user.id, { email: "Grace@Navy.mil", passwordHash: "x" });
+	assert.equal(moved.email, "grace@navy.mil");
+	assert.equal(moved.emailVerified, false);
+	assert.ok(verifyPassword(moved, "password123"), "unknown keys are ignored");
+});
+
+test("the public shape has no secrets", () => {
+	const pub = toPublicUser(newUser("alan@example.com"));
+	assert.equal(pub.name, "Ada Lovelace");
+	assert.equal(pub.passwordHash, undefined);
+	assert.equal(pub.mfa, undefined);
+});
+
+test("rows handed out are copies", () => {
+	const user = newUser("edsger@example.com");
+	user.firstName = "Changed";
+	findUserById(user.id).lastName = "Changed";
+	const stored = findUserById(user.id);
+	assert.equal(stored.firstName, "Ada");
+	assert.equal(stored.lastName, "Lovelace");
+	assert.throws(() => collection("users").insert(stored), /duplicate id/);
+});
+
+test("the file driver keeps accounts across restarts", () => {
+	const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+	const users = JSON.stringify(path.join(__dirname, "../services/users.js"));
+	const run = (code) =>
+		spawnSync(process.execPath, ["-e", `const u = require(${users}); ${code}`], {
+			env: {
+				PATH: process.env.PATH,
+				NODE_ENV: "test",
+				PAYMENT_GATEWAY: "fake",
+				DATA_STORE: "file",
+				DATA_DIR: dataDir,
+			},
+			encoding: "utf8",
+		});
+
+	const created = run(
+		`u.createUser({ email: "kept@example.com", password: "password123", firstName: "K", lastName: "P" })`
+	);
+	assert.equal(created.status, 0, created.stderr);
+	const read = run(`console.log(JSON.stringify(u.findUserByEmail("kept@example.com")))`);
+	assert.equal(read.status, 0, read.stderr);
+	// The services log as they load; the account is the last line
+	assert.equal(JSON.parse(read.stdout.trim().split("\n").at(-1)).firstName, "K");
+	assert.ok(fs.existsSync(path.join(dataDir, "users.json")));
+	assert.ok(!fs.existsSync(path.join(dataDir, "users.json.tmp")));
+});
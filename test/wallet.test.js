@@ -0,0 +1,76 @@
+// test/wallet.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEMO_USER_ID, startApp } = require("./helpers");
+const billingRoutes = require("../routes/billing");
+const { collection } = require("../services/store");
+const { recordUsage } = require("../services/usage");
+const { getWallet, listLedger, topUp } = require("../services/wallet");
+const { setTransport, sendLowBalanceEmail } = require("../services/mailer");
+
+const account = { userId: DEMO_USER_ID };
+
+let app;
+before(async () => {
+	app = await startApp(billingRoutes);
+	await app.request("POST", "/payment-methods/pm_card_visa/default");
+	const res = await app.request("POST", "/wallet/top-up", { amountMinor: 1000 });
+	assert.equal(res.status, 201, JSON.stringify(res.body));
+	await app.request("PUT", "/wallet/settings", {
+		autoRecharge: { enabled: true, amount: 2000, threshold: 500 },
+	});
+});
+after(() => app.close());
+
+// Auto-recharge runs after the debit that triggers it
+async function waitForTopUps(count) {
+	for (let i = 0; i < 50; i++) {
+		const topUps = listLedger(getWallet(account).id).filter((e) => e.type === "top_up");
+		if (topUps.length >= count) return topUps;
+		await new Promise((resolve) => setTimeout(resolve, 20));
+	}
+	assert.fail(`expected ${count} top-ups`);
+}
+
+test("a lease left behind by a crashed recharge doesn't disable auto-recharge", async () => {
+	const wallet = getWallet(account);
+	collection("wallets").update(wallet.id, {
+		autoRechargeLeaseUntil: new Date(Date.now() - 60 * 1000).toISOString(),
+	});
+
+	// 300 speech minutes = 600p, taking the balance to 400p
+	recordUsage(DEMO_USER_ID, { service: "speech", metric: "speech_minutes", quantity: 300 });
+	const topUps = await waitForTopUps(2);
+	const auto = topUps.find((e) => e.description === "Automatic top-up");
+	assert.equal(auto.amount, 2000);
+
+	const after = getWallet(account);
+	assert.equal(after.balance, 2400);
+	assert.equal(after.autoRechargeLeaseUntil, null);
+	assert.equal(after.lastAutoRechargeError, null);
+});
+
+test("a live lease keeps a second recharge from starting", async () => {
+	const wallet = getWallet(account);
+	collection("wallets").update(wallet.id, {
+		autoRechargeLeaseUntil: new Date(Date.now() + 60 * 1000).toISOString(),
+	});
+
+	recordUsage(DEMO_USER_ID, { service: "speech", metric: "speech_minutes", quantity: 1000 });
+	await new Promise((resolve) => setTimeout(resolve, 100));
+	const topUps = listLedger(wallet.id).filter((e) => e.type === "top_up");
+	assert.equal(topUps.length, 2);
+	assert.equal(getWallet(account).balance, 400);
+});
+
+test("amounts are worded in the wallet's currency", async () => {
+	// The demo account bills in US dollars
+	await assert.rejects(topUp(account, 100), /between US\$5\.00 and US\$500\.00/);
+
+	const sent = [];
+	setTransport({ async send(m) { sent.push(m.text); } });
+	await sendLowBalanceEmail({ email: "a@example.com" }, { balance: 420, currency: "usd" });
+	await sendLowBalanceEmail({ email: "b@example.com" }, { balance: 420, currency: "eur" });
+	assert.match(sent[0], /balance is down to US\$4\.20\./);
+	assert.match(sent[1], /balance is down to €4\.20\./);
+});